@@ -0,0 +1,85 @@
+// Local gazetteer of Bangladesh districts used to geocode addresses without
+// an external service. Coordinates are the district headquarters; postcode
+// ranges follow Bangladesh Post. Division names resolve to the district
+// that shares their name.
+export const DISTRICTS = [
+  // Dhaka division
+  { name: "Dhaka", lat: 23.8103, lng: 90.4125, postcodes: [[1000, 1399]] },
+  { name: "Narayanganj", lat: 23.6238, lng: 90.5, postcodes: [[1400, 1499]] },
+  { name: "Munshiganj", lat: 23.5422, lng: 90.5305, postcodes: [[1500, 1599]] },
+  { name: "Narsingdi", lat: 23.9322, lng: 90.7151, postcodes: [[1600, 1699]] },
+  { name: "Gazipur", lat: 23.9999, lng: 90.4203, postcodes: [[1700, 1799]] },
+  { name: "Manikganj", lat: 23.8617, lng: 90.0003, postcodes: [[1800, 1899]] },
+  { name: "Tangail", lat: 24.2513, lng: 89.9167, postcodes: [[1900, 1999]] },
+  { name: "Kishoreganj", lat: 24.4449, lng: 90.7766, postcodes: [[2300, 2399]] },
+  { name: "Rajbari", lat: 23.7574, lng: 89.6444, postcodes: [[7700, 7799]] },
+  { name: "Faridpur", lat: 23.6071, lng: 89.8429, postcodes: [[7800, 7899]] },
+  { name: "Madaripur", lat: 23.1641, lng: 90.1897, postcodes: [[7900, 7999]] },
+  { name: "Shariatpur", lat: 23.2423, lng: 90.4348, postcodes: [[8000, 8099]] },
+  { name: "Gopalganj", lat: 23.005, lng: 89.8266, postcodes: [[8100, 8199]] },
+
+  // Mymensingh division
+  { name: "Jamalpur", lat: 24.9375, lng: 89.9372, postcodes: [[2000, 2099]] },
+  { name: "Sherpur", lat: 25.0205, lng: 90.0153, postcodes: [[2100, 2199]] },
+  { name: "Mymensingh", lat: 24.7471, lng: 90.4203, postcodes: [[2200, 2299]] },
+  { name: "Netrokona", lat: 24.8709, lng: 90.7279, postcodes: [[2400, 2499]], aliases: ["Netrakona"] },
+
+  // Sylhet division
+  { name: "Sunamganj", lat: 25.0715, lng: 91.3992, postcodes: [[3000, 3099]] },
+  { name: "Sylhet", lat: 24.8949, lng: 91.8687, postcodes: [[3100, 3199]] },
+  { name: "Moulvibazar", lat: 24.4829, lng: 91.7774, postcodes: [[3200, 3299]], aliases: ["Maulvibazar"] },
+  { name: "Habiganj", lat: 24.3749, lng: 91.4155, postcodes: [[3300, 3399]] },
+
+  // Chattogram division
+  { name: "Brahmanbaria", lat: 23.9571, lng: 91.1119, postcodes: [[3400, 3499]] },
+  { name: "Cumilla", lat: 23.4607, lng: 91.1809, postcodes: [[3500, 3599]], aliases: ["Comilla"] },
+  { name: "Chandpur", lat: 23.2333, lng: 90.6712, postcodes: [[3600, 3699]] },
+  { name: "Lakshmipur", lat: 22.9447, lng: 90.8282, postcodes: [[3700, 3799]], aliases: ["Laxmipur"] },
+  { name: "Noakhali", lat: 22.8696, lng: 91.0995, postcodes: [[3800, 3899]] },
+  { name: "Feni", lat: 23.0159, lng: 91.3976, postcodes: [[3900, 3999]] },
+  { name: "Chattogram", lat: 22.3569, lng: 91.7832, postcodes: [[4000, 4399]], aliases: ["Chittagong"] },
+  { name: "Khagrachhari", lat: 23.1193, lng: 91.9847, postcodes: [[4400, 4499]], aliases: ["Khagrachari"] },
+  { name: "Rangamati", lat: 22.6533, lng: 92.175, postcodes: [[4500, 4599]] },
+  { name: "Bandarban", lat: 22.1953, lng: 92.2184, postcodes: [[4600, 4699]] },
+  { name: "Cox's Bazar", lat: 21.4272, lng: 92.0058, postcodes: [[4700, 4799]], aliases: ["Coxs Bazar", "Cox Bazar"] },
+
+  // Rangpur division
+  { name: "Panchagarh", lat: 26.3411, lng: 88.5542, postcodes: [[5000, 5099]] },
+  { name: "Thakurgaon", lat: 26.0337, lng: 88.4617, postcodes: [[5100, 5199]] },
+  { name: "Dinajpur", lat: 25.6217, lng: 88.6354, postcodes: [[5200, 5299]] },
+  { name: "Nilphamari", lat: 25.931, lng: 88.856, postcodes: [[5300, 5399]] },
+  { name: "Rangpur", lat: 25.7439, lng: 89.2752, postcodes: [[5400, 5499]] },
+  { name: "Lalmonirhat", lat: 25.9923, lng: 89.2847, postcodes: [[5500, 5599]] },
+  { name: "Kurigram", lat: 25.8054, lng: 89.6362, postcodes: [[5600, 5699]] },
+  { name: "Gaibandha", lat: 25.3288, lng: 89.543, postcodes: [[5700, 5799]] },
+
+  // Rajshahi division
+  { name: "Bogura", lat: 24.8465, lng: 89.3773, postcodes: [[5800, 5899]], aliases: ["Bogra"] },
+  { name: "Joypurhat", lat: 25.0968, lng: 89.0227, postcodes: [[5900, 5999]], aliases: ["Jaipurhat"] },
+  { name: "Rajshahi", lat: 24.3745, lng: 88.6042, postcodes: [[6000, 6299]] },
+  { name: "Chapai Nawabganj", lat: 24.5965, lng: 88.2776, postcodes: [[6300, 6399]], aliases: ["Chapainawabganj", "Nawabganj"] },
+  { name: "Natore", lat: 24.4206, lng: 89.0, postcodes: [[6400, 6499]] },
+  { name: "Naogaon", lat: 24.8005, lng: 88.9448, postcodes: [[6500, 6599]] },
+  { name: "Pabna", lat: 24.0064, lng: 89.2372, postcodes: [[6600, 6699]] },
+  { name: "Sirajganj", lat: 24.4534, lng: 89.7007, postcodes: [[6700, 6799]] },
+
+  // Khulna division
+  { name: "Kushtia", lat: 23.9013, lng: 89.1204, postcodes: [[7000, 7099]] },
+  { name: "Meherpur", lat: 23.7622, lng: 88.6318, postcodes: [[7100, 7199]] },
+  { name: "Chuadanga", lat: 23.6402, lng: 88.8418, postcodes: [[7200, 7299]] },
+  { name: "Jhenaidah", lat: 23.545, lng: 89.1726, postcodes: [[7300, 7399]] },
+  { name: "Jashore", lat: 23.1664, lng: 89.2081, postcodes: [[7400, 7499]], aliases: ["Jessore"] },
+  { name: "Narail", lat: 23.1725, lng: 89.5127, postcodes: [[7500, 7599]] },
+  { name: "Magura", lat: 23.4873, lng: 89.4199, postcodes: [[7600, 7699]] },
+  { name: "Khulna", lat: 22.8456, lng: 89.5403, postcodes: [[9000, 9299]] },
+  { name: "Bagerhat", lat: 22.6516, lng: 89.7859, postcodes: [[9300, 9399]] },
+  { name: "Satkhira", lat: 22.7185, lng: 89.0705, postcodes: [[9400, 9499]] },
+
+  // Barishal division
+  { name: "Barishal", lat: 22.701, lng: 90.3535, postcodes: [[8200, 8299]], aliases: ["Barisal"] },
+  { name: "Bhola", lat: 22.6859, lng: 90.6482, postcodes: [[8300, 8399]] },
+  { name: "Jhalokati", lat: 22.6406, lng: 90.1987, postcodes: [[8400, 8499]], aliases: ["Jhalakati"] },
+  { name: "Pirojpur", lat: 22.5841, lng: 89.972, postcodes: [[8500, 8599]] },
+  { name: "Patuakhali", lat: 22.3596, lng: 90.3299, postcodes: [[8600, 8699]] },
+  { name: "Barguna", lat: 22.1591, lng: 90.1119, postcodes: [[8700, 8799]] },
+];
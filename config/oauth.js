@@ -0,0 +1,26 @@
+// OpenID Connect providers. Each one is enabled when its client ID is set.
+// The issuer is configurable so a local mock OIDC server can stand in for a
+// real provider during tests.
+const oauthProviders = {
+  google: {
+    issuer: process.env.GOOGLE_ISSUER || "https://accounts.google.com",
+    clientId: process.env.GOOGLE_CLIENT_ID,
+    clientSecret: process.env.GOOGLE_CLIENT_SECRET,
+    scope: "openid email profile",
+  },
+  // Any other OIDC-compliant provider
+  oidc: {
+    issuer: process.env.OIDC_ISSUER,
+    clientId: process.env.OIDC_CLIENT_ID,
+    clientSecret: process.env.OIDC_CLIENT_SECRET,
+    scope: process.env.OIDC_SCOPE || "openid email profile",
+  },
+};
+
+export const getOAuthProvider = (name) => {
+  const provider = oauthProviders[name];
+  if (!provider || !provider.issuer || !provider.clientId) return null;
+  return { name, ...provider };
+};
+
+export default oauthProviders;
@@ -0,0 +1,37 @@
+// Roles a user can hold. Only the public roles can be chosen at registration;
+// staff roles are granted by a super admin or by the bootstrap script.
+export const PUBLIC_ROLES = ["seller", "buyer"];
+export const STAFF_ROLES = ["admin", "super-admin"];
+export const ROLES = [...PUBLIC_ROLES, ...STAFF_ROLES];
+
+export const PERMISSIONS = {
+  DASHBOARD_READ: "dashboard:read",
+  USERS_READ: "users:read",
+  USERS_UPDATE: "users:update",
+  USERS_DELETE: "users:delete",
+  ROLES_ASSIGN: "roles:assign",
+  PRODUCTS_READ: "products:read",
+  PRODUCTS_UPDATE: "products:update",
+  PRODUCTS_DELETE: "products:delete",
+  ORDERS_READ: "orders:read",
+  ORDERS_UPDATE: "orders:update",
+  ORDERS_DELETE: "orders:delete",
+  ARTICLES_PUBLISH: "articles:publish",
+  ARTICLES_DELETE: "articles:delete",
+};
+
+const ALL_PERMISSIONS = Object.values(PERMISSIONS);
+
+export const ROLE_PERMISSIONS = {
+  seller: [],
+  buyer: [],
+  admin: ALL_PERMISSIONS.filter(
+    (permission) => permission !== PERMISSIONS.ROLES_ASSIGN
+  ),
+  "super-admin": ALL_PERMISSIONS,
+};
+
+export const isValidPermission = (permission) =>
+  ALL_PERMISSIONS.includes(permission);
+
+export const getRolePermissions = (role) => ROLE_PERMISSIONS[role] || [];
@@ -0,0 +1,78 @@
+import fs from "fs/promises";
+
+// SMS providers share one interface: `send({ to, message })`.
+// Pick one with SMS_PROVIDER. Only development and test runs fall back to
+// "console"; anywhere else sending fails until the provider is set, so codes
+// are never just printed to a server log. The server still starts without
+// one, as not every deployment sends SMS.
+
+const consoleProvider = {
+  send: async ({ to, message }) => {
+    console.log(`[SMS to ${to}] ${message}`);
+  },
+};
+
+// Appends every message to a file so tests can read the codes back
+const fileProvider = {
+  send: async ({ to, message }) => {
+    const line = JSON.stringify({ to, message, sentAt: new Date() });
+    await fs.appendFile(process.env.SMS_FILE_PATH || "sms-outbox.log", `${line}\n`);
+  },
+};
+
+// Generic HTTP gateway: POSTs JSON to SMS_HTTP_URL with SMS_HTTP_API_KEY
+const httpProvider = {
+  send: async ({ to, message }) => {
+    const response = await fetch(process.env.SMS_HTTP_URL, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: `Bearer ${process.env.SMS_HTTP_API_KEY}`,
+      },
+      body: JSON.stringify({
+        to,
+        message,
+        sender: process.env.SMS_SENDER_ID,
+      }),
+    });
+
+    if (!response.ok) {
+      throw new Error(`SMS gateway responded with ${response.status}`);
+    }
+  },
+};
+
+const providers = {
+  console: consoleProvider,
+  file: fileProvider,
+  http: httpProvider,
+};
+
+const LOCAL_ENVS = ["development", "test"];
+
+const resolveProvider = () => {
+  if (!process.env.SMS_PROVIDER && !LOCAL_ENVS.includes(process.env.NODE_ENV)) {
+    throw new Error(
+      'SMS_PROVIDER is not set. Use "http" in production, or set NODE_ENV=development to print codes to the console'
+    );
+  }
+
+  const provider = providers[process.env.SMS_PROVIDER || "console"];
+  if (!provider) {
+    throw new Error(`Unknown SMS_PROVIDER "${process.env.SMS_PROVIDER}"`);
+  }
+  return provider;
+};
+
+// Resolved on every send, so a fixed configuration applies without a restart
+const smsProvider = {
+  send: async (options) => resolveProvider().send(options),
+};
+
+try {
+  resolveProvider();
+} catch (error) {
+  console.warn(`${error.message}. Text messages will fail until it is fixed.`);
+}
+
+export default smsProvider;
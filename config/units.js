@@ -0,0 +1,26 @@
+// Units a category can be sold in. Prices and quantities on a listing are
+// per unit; `pricePerKg` and `totalWeight` keep their names for existing
+// clients but mean "price per unit" and "total units".
+export const UNITS = {
+  kg: { label: "kg", fractional: true },
+  maund: { label: "maund", fractional: true }, // 40 seer, about 37.3 kg
+  litre: { label: "litre", fractional: true },
+  dozen: { label: "dozen", fractional: false },
+  piece: { label: "piece", fractional: false },
+  head: { label: "head", fractional: false }, // livestock
+};
+
+export const UNIT_NAMES = Object.keys(UNITS);
+
+export const DEFAULT_UNIT = "kg";
+
+export const getUnit = (name) => UNITS[name] || UNITS[DEFAULT_UNIT];
+
+// Whole units only for eggs, livestock and the like
+export const isValidQuantity = (quantity, unitName) =>
+  Number.isFinite(quantity) &&
+  quantity > 0 &&
+  (getUnit(unitName).fractional || Number.isInteger(quantity));
+
+export const formatQuantity = (quantity, unitName) =>
+  `${quantity} ${getUnit(unitName).label}`;
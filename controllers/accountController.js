@@ -0,0 +1,210 @@
+import User from '../models/User.js';
+import Product from '../models/Product.js';
+import Bid, { BID_PRIVATE_SELECT } from '../models/Bid.js';
+import Order from '../models/Order.js';
+import AiChat from '../models/AiChat.js';
+import Session from '../models/Session.js';
+import SavedSearch from '../models/SavedSearch.js';
+import WatchlistItem from '../models/WatchlistItem.js';
+import { DELETION_GRACE_DAYS } from '../utils/accountDeletion.js';
+import { revokeAllSessions } from '../utils/session.js';
+import { sendEmail, emailTemplates } from '../utils/sendEmail.js';
+
+// @desc    Download everything we hold about the logged-in user
+// @route   GET /api/auth/account/export
+// @access  Private
+export const exportAccountData = async (req, res) => {
+  try {
+    const userId = req.user._id;
+
+    const user = await User.findById(userId);
+
+    const products = await Product.find({ user: userId })
+      .populate('category', 'name');
+
+    const myBids = await Bid.find({ user: userId })
+      .select(`+proxyLimit ${BID_PRIVATE_SELECT}`)
+      .populate('product', 'title slug')
+      .sort({ bidAt: 1 });
+
+    const bids = myBids.map((bid) => ({
+      ...bid.toObject(),
+      product: bid.product && { id: bid.product._id, title: bid.product.title, slug: bid.product.slug },
+    }));
+
+    const orders = await Order.find({
+      $or: [{ seller: userId }, { buyer: userId }],
+    }).populate('product', 'title slug');
+
+    const reviews = {
+      written: orders
+        .filter((order) => order.buyer.equals(userId) && order.rating)
+        .map((order) => ({
+          orderNumber: order.orderNumber,
+          rating: order.rating,
+          review: order.review,
+          reviewedAt: order.reviewedAt,
+        })),
+      received: orders
+        .filter((order) => order.seller.equals(userId) && order.rating)
+        .map((order) => ({
+          orderNumber: order.orderNumber,
+          rating: order.rating,
+          review: order.review,
+          reviewedAt: order.reviewedAt,
+        })),
+    };
+
+    const aiChats = await AiChat.find({ userId }).sort({ createdAt: 1 });
+
+    const savedSearches = await SavedSearch.find({ user: userId })
+      .select('name filters alertMode emailAlerts createdAt');
+
+    const watchlist = await WatchlistItem.find({ user: userId })
+      .select('product createdAt')
+      .populate('product', 'title slug');
+
+    const sessions = await Session.find({ user: userId })
+      .select('userAgent ip createdAt lastUsedAt revokedAt');
+
+    const data = {
+      exportedAt: new Date(),
+      profile: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        phone: user.phone,
+        address: user.address,
+        role: user.role,
+        profilePicture: user.profilePicture,
+        isVerified: user.isVerified,
+        isEmailVerified: user.hasVerifiedEmail(),
+        isPhoneVerified: user.isPhoneVerified,
+        twoFactorEnabled: Boolean(user.twoFactor?.enabled),
+        sellerVerification: user.sellerVerification?.status && {
+          status: user.sellerVerification.status,
+          farmName: user.sellerVerification.farmName,
+          submittedAt: user.sellerVerification.submittedAt,
+          reviewedAt: user.sellerVerification.reviewedAt,
+          rejectionReason: user.sellerVerification.rejectionReason,
+          documents: user.sellerVerification.documents.map(({ kind, uploadedAt }) => ({
+            kind,
+            uploadedAt,
+          })),
+        },
+        linkedAccounts: user.oauthAccounts.map(({ provider, email, linkedAt }) => ({
+          provider,
+          email,
+          linkedAt,
+        })),
+        createdAt: user.createdAt,
+      },
+      products,
+      bids,
+      orders,
+      reviews,
+      aiChats,
+      savedSearches,
+      watchlist,
+      sessions,
+    };
+
+    res.setHeader(
+      'Content-Disposition',
+      `attachment; filename="annanewa-export-${userId}.json"`
+    );
+    res.json(data);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Schedule the logged-in user's account for deletion
+// @route   POST /api/auth/account/delete
+// @access  Private
+export const requestAccountDeletion = async (req, res) => {
+  try {
+    const { password, confirm } = req.body;
+
+    const user = await User.findById(req.user.id).select('+password');
+
+    if (user.deletion?.scheduledFor) {
+      return res.status(400).json({
+        success: false,
+        message: 'Account deletion is already scheduled',
+        scheduledFor: user.deletion.scheduledFor,
+      });
+    }
+
+    // Social sign-in accounts may have no password; they type DELETE instead
+    const confirmed = user.password
+      ? await user.comparePassword(password || '')
+      : confirm === 'DELETE';
+
+    if (!confirmed) {
+      return res.status(401).json({
+        success: false,
+        message: user.password ? 'Incorrect password' : 'Type DELETE to confirm',
+      });
+    }
+
+    const scheduledFor = new Date(Date.now() + DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000);
+
+    user.deletion = { requestedAt: new Date(), scheduledFor };
+    await user.save({ validateBeforeSave: false });
+
+    await revokeAllSessions(user._id, {
+      except: req.sessionId,
+      reason: 'Account deletion requested',
+    });
+
+    if (user.email) {
+      await sendEmail({
+        email: user.email,
+        subject: 'Account Deletion Scheduled - Annanewa Farming Media',
+        html: emailTemplates.accountDeletion(user.name, scheduledFor),
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Your account will be deleted on ${scheduledFor.toDateString()}. Log in and cancel before then to keep it.`,
+      scheduledFor,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Cancel a scheduled account deletion
+// @route   POST /api/auth/account/delete/cancel
+// @access  Private
+export const cancelAccountDeletion = async (req, res) => {
+  try {
+    if (!req.user.deletion?.scheduledFor) {
+      return res.status(400).json({
+        success: false,
+        message: 'No account deletion is scheduled',
+      });
+    }
+
+    req.user.deletion = undefined;
+    await req.user.save({ validateBeforeSave: false });
+
+    res.json({
+      success: true,
+      message: 'Account deletion cancelled',
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
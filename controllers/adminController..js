@@ -1,6 +1,18 @@
 import User from '../models/User.js';
 import Product from '../models/Product.js';
 import Order from '../models/Order.js';
+import { ROLES, STAFF_ROLES, PERMISSIONS, isValidPermission } from '../config/roles.js';
+import { suspendUser as applySuspension, reinstateUser } from '../utils/suspension.js';
+import { anonymizeUser } from '../utils/accountDeletion.js';
+import {
+  CLOSED_STATUSES,
+  canTransition,
+  closedReason,
+  rejectPendingBids,
+  removeListing,
+  transitionError,
+  transitionListing
+} from '../utils/listingStatus.js';
 
 // @desc    Get all users with pagination and search
 // @route   GET /api/admin/users
@@ -11,6 +23,7 @@ export const getAllUsers = async (req, res) => {
       search, 
       role, 
       isVerified, 
+      isActive,
       page = 1, 
       limit = 10 
     } = req.query;
@@ -19,8 +32,8 @@ export const getAllUsers = async (req, res) => {
     const limitNum = parseInt(limit);
     const skip = (pageNum - 1) * limitNum;
 
-    // Build search query
-    const query = {};
+    // Build search query; anonymized accounts are left out
+    const query = { deletedAt: null };
 
     // Search by name or email
     if (search) {
@@ -40,6 +53,11 @@ export const getAllUsers = async (req, res) => {
       query.isVerified = isVerified === 'true';
     }
 
+    // Filter by suspension status
+    if (isActive && isActive !== 'all') {
+      query.isActive = isActive === 'true' ? { $ne: false } : false;
+    }
+
     const users = await User.find(query)
       .select('-password') // Exclude password
       .sort({ createdAt: -1 })
@@ -65,7 +83,8 @@ export const getAllUsers = async (req, res) => {
         totalUsers: total,
         sellers: userStats.find(stat => stat._id === 'seller')?.count || 0,
         buyers: userStats.find(stat => stat._id === 'buyer')?.count || 0,
-        admins: userStats.find(stat => stat._id === 'admin')?.count || 0
+        admins: userStats.find(stat => stat._id === 'admin')?.count || 0,
+        superAdmins: userStats.find(stat => stat._id === 'super-admin')?.count || 0
       },
       pagination: {
         page: pageNum,
@@ -148,7 +167,7 @@ export const getUserById = async (req, res) => {
 // @access  Private (Admin only)
 export const updateUser = async (req, res) => {
   try {
-    const { role, isActive, isVerified } = req.body;
+    const { role, permissions, isActive, isVerified } = req.body;
 
     const user = await User.findById(req.params.userId);
 
@@ -159,18 +178,77 @@ export const updateUser = async (req, res) => {
       });
     }
 
+    if (role && !ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `Role must be one of: ${ROLES.join(', ')}`
+      });
+    }
+
+    if (permissions !== undefined &&
+      (!Array.isArray(permissions) || !permissions.every(isValidPermission))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Permissions must be a list of known permissions'
+      });
+    }
+
+    if ((isActive !== undefined && typeof isActive !== 'boolean') ||
+      (isVerified !== undefined && typeof isVerified !== 'boolean')) {
+      return res.status(400).json({
+        success: false,
+        message: 'isActive and isVerified must be true or false'
+      });
+    }
+
+    // Granting or revoking staff access is reserved for super admins
+    const touchesStaff =
+      STAFF_ROLES.includes(user.role) ||
+      (role && STAFF_ROLES.includes(role)) ||
+      permissions !== undefined;
+
+    if (touchesStaff && !req.user.hasPermission(PERMISSIONS.ROLES_ASSIGN)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only a super admin can change staff roles or permissions'
+      });
+    }
+
+    if (user._id.toString() === req.user.id && role && role !== user.role) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot change your own role'
+      });
+    }
+
+    if (user._id.toString() === req.user.id && isActive === false) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot suspend your own account'
+      });
+    }
+
     // Build update data
     const updateData = {};
     if (role) updateData.role = role;
-    if (typeof isActive === 'boolean') updateData.isActive = isActive;
+    if (Array.isArray(permissions)) updateData.permissions = permissions;
     if (typeof isVerified === 'boolean') updateData.isVerified = isVerified;
 
+    // Saved before any suspension, so a payload the validators reject
+    // changes nothing at all
     const updatedUser = await User.findByIdAndUpdate(
       req.params.userId,
       updateData,
       { new: true, runValidators: true }
     ).select('-password');
 
+    // Suspension side effects (hidden listings, withdrawn bids) live in one place
+    if (isActive === false && user.isActive !== false) {
+      await applySuspension(updatedUser, { suspendedBy: req.user._id });
+    } else if (isActive === true && user.isActive === false) {
+      await reinstateUser(updatedUser);
+    }
+
     res.json({
       success: true,
       message: 'User updated successfully',
@@ -208,24 +286,15 @@ export const deleteUser = async (req, res) => {
       });
     }
 
-    // Delete user's products
-    await Product.deleteMany({ user: user._id });
-
-    // Update orders to mark as cancelled
-    await Order.updateMany(
-      { 
-        $or: [{ seller: user._id }, { buyer: user._id }],
-        orderStatus: { $in: ['Processing', 'Pending'] }
-      },
-      {
-        orderStatus: 'Cancelled',
-        deliveryStatus: 'Cancelled',
-        cancellationReason: 'User account deleted by admin'
-      }
-    );
+    if (user.role === 'admin' && !req.user.hasPermission(PERMISSIONS.ROLES_ASSIGN)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only a super admin can delete an admin'
+      });
+    }
 
-    // Delete user
-    await User.findByIdAndDelete(req.params.userId);
+    // Anonymize rather than delete so orders keep a valid buyer/seller
+    await anonymizeUser(user, { reason: 'User account deleted by admin' });
 
     res.json({
       success: true,
@@ -241,6 +310,205 @@ export const deleteUser = async (req, res) => {
   }
 };
 
+// @desc    Suspend or ban a user
+// @route   PUT /api/admin/users/:userId/suspend
+// @access  Private (Admin only)
+export const suspendUser = async (req, res) => {
+  try {
+    const { reason, suspendedUntil } = req.body;
+
+    const user = await User.findById(req.params.userId);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (user._id.toString() === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot suspend your own account'
+      });
+    }
+
+    if (STAFF_ROLES.includes(user.role) && !req.user.hasPermission(PERMISSIONS.ROLES_ASSIGN)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only a super admin can suspend staff accounts'
+      });
+    }
+
+    if (suspendedUntil && !(new Date(suspendedUntil) > Date.now())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Suspension end date must be in the future'
+      });
+    }
+
+    const result = await applySuspension(user, {
+      reason,
+      until: suspendedUntil,
+      suspendedBy: req.user._id
+    });
+
+    res.json({
+      success: true,
+      message: suspendedUntil
+        ? `User suspended until ${new Date(suspendedUntil).toISOString()}`
+        : 'User banned',
+      ...result
+    });
+
+  } catch (error) {
+    console.error('Error suspending user:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Lift a user's suspension
+// @route   PUT /api/admin/users/:userId/reinstate
+// @access  Private (Admin only)
+export const reinstateSuspendedUser = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.userId);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (user.isActive !== false) {
+      return res.status(400).json({
+        success: false,
+        message: 'User is not suspended'
+      });
+    }
+
+    const result = await reinstateUser(user);
+
+    res.json({
+      success: true,
+      message: 'User reinstated successfully',
+      ...result
+    });
+
+  } catch (error) {
+    console.error('Error reinstating user:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Get suspension appeals
+// @route   GET /api/admin/appeals
+// @access  Private (Admin only)
+export const getAppeals = async (req, res) => {
+  try {
+    const { status = 'pending', page = 1, limit = 10 } = req.query;
+
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    const skip = (pageNum - 1) * limitNum;
+
+    const query = { 'appeal.status': { $exists: true } };
+    if (status !== 'all') {
+      query['appeal.status'] = status;
+    }
+
+    const users = await User.find(query)
+      .select('name email role isActive suspendedUntil suspensionReason suspendedAt appeal')
+      .sort({ 'appeal.submittedAt': 1 })
+      .limit(limitNum)
+      .skip(skip);
+
+    const total = await User.countDocuments(query);
+
+    res.json({
+      success: true,
+      appeals: users,
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        totalPages: Math.ceil(total / limitNum),
+        totalAppeals: total
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching appeals:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Approve or reject a suspension appeal
+// @route   PUT /api/admin/users/:userId/appeal
+// @access  Private (Admin only)
+export const reviewAppeal = async (req, res) => {
+  try {
+    const { decision, response } = req.body;
+
+    if (!['approved', 'rejected'].includes(decision)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Decision must be "approved" or "rejected"'
+      });
+    }
+
+    const user = await User.findById(req.params.userId);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (user.appeal?.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: 'User has no pending appeal'
+      });
+    }
+
+    user.appeal.status = decision;
+    user.appeal.response = response;
+    user.appeal.reviewedAt = new Date();
+    user.appeal.reviewedBy = req.user._id;
+
+    // reinstateUser saves the appeal review along with the lifted suspension
+    if (decision === 'approved') {
+      await reinstateUser(user);
+    } else {
+      await user.save();
+    }
+
+    res.json({
+      success: true,
+      message: `Appeal ${decision}`,
+      appeal: user.appeal
+    });
+
+  } catch (error) {
+    console.error('Error reviewing appeal:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
 // @desc    Get all products with admin filters
 // @route   GET /api/admin/products
 // @access  Private (Admin only)
@@ -314,7 +582,9 @@ export const getAllProducts = async (req, res) => {
         active: productStats.find(stat => stat._id === 'active')?.count || 0,
         sold: productStats.find(stat => stat._id === 'sold')?.count || 0,
         purchased: productStats.find(stat => stat._id === 'purchased')?.count || 0,
-        expired: productStats.find(stat => stat._id === 'expired')?.count || 0
+        expired: productStats.find(stat => stat._id === 'expired')?.count || 0,
+        hidden: productStats.find(stat => stat._id === 'hidden')?.count || 0,
+        pendingReview: productStats.find(stat => stat._id === 'pending-review')?.count || 0
       },
       pagination: {
         page: pageNum,
@@ -347,18 +617,14 @@ export const deleteProduct = async (req, res) => {
       });
     }
 
-    // Delete from Cloudinary if images exist
-    if (product.images && product.images.length > 0) {
-      for (const image of product.images) {
-        await deleteFromCloudinary(image.public_id);
-      }
-    }
-
-    await Product.findByIdAndDelete(req.params.productId);
+    const outcome = await removeListing(product);
 
     res.json({
       success: true,
-      message: 'Product deleted successfully'
+      message: outcome === 'deleted'
+        ? 'Product deleted successfully'
+        : 'Product has orders, so it was closed and kept for their history',
+      outcome
     });
 
   } catch (error) {
@@ -554,11 +820,29 @@ export const updateProductStatus = async (req, res) => {
       });
     }
 
-    const updatedProduct = await Product.findByIdAndUpdate(
-      req.params.productId,
-      { status },
-      { new: true, runValidators: true }
-    ).populate('user', 'name email');
+    // Listings awaiting review are approved or rejected from the review queue
+    if (!canTransition(product.status, status) || product.status === 'pending-review') {
+      return res.status(400).json({
+        success: false,
+        message: transitionError(product.status, status)
+      });
+    }
+
+    const updatedProduct = await transitionListing(product, status);
+
+    if (!updatedProduct) {
+      return res.status(409).json({
+        success: false,
+        message: 'Listing changed while updating. Please try again'
+      });
+    }
+
+    // Bids missed here are picked up by the listing expiry job
+    if (CLOSED_STATUSES.includes(status)) {
+      await rejectPendingBids(updatedProduct._id, closedReason(status));
+    }
+
+    await updatedProduct.populate('user', 'name email');
 
     res.json({
       success: true,
@@ -0,0 +1,133 @@
+import crypto from 'crypto';
+import ApiKey, { API_KEY_SCOPES } from '../models/ApiKey.js';
+import { hashToken } from '../utils/session.js';
+
+const MAX_KEYS_PER_USER = 10;
+
+const formatApiKey = (apiKey) => ({
+  id: apiKey._id,
+  name: apiKey.name,
+  prefix: apiKey.prefix,
+  scopes: apiKey.scopes,
+  rateLimitPerMinute: apiKey.rateLimitPerMinute,
+  lastUsedAt: apiKey.lastUsedAt,
+  expiresAt: apiKey.expiresAt,
+  revokedAt: apiKey.revokedAt,
+  createdAt: apiKey.createdAt,
+});
+
+export const createApiKey = async (req, res) => {
+  try {
+    const { name, scopes, rateLimitPerMinute, expiresAt } = req.body;
+
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Scopes are required. Available scopes: ${API_KEY_SCOPES.join(', ')}`,
+      });
+    }
+
+    const invalidScopes = scopes.filter((scope) => !API_KEY_SCOPES.includes(scope));
+    if (invalidScopes.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid scopes: ${invalidScopes.join(', ')}`,
+      });
+    }
+
+    if (expiresAt && !(new Date(expiresAt) > Date.now())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Expiry date must be in the future',
+      });
+    }
+
+    const activeKeys = await ApiKey.countDocuments({
+      user: req.user.id,
+      revokedAt: null,
+    });
+    if (activeKeys >= MAX_KEYS_PER_USER) {
+      return res.status(400).json({
+        success: false,
+        message: `You can have at most ${MAX_KEYS_PER_USER} active API keys`,
+      });
+    }
+
+    const key = `ak_${crypto.randomBytes(32).toString('hex')}`;
+
+    const apiKey = await ApiKey.create({
+      user: req.user.id,
+      name,
+      prefix: key.substring(0, 11),
+      keyHash: hashToken(key),
+      scopes: [...new Set(scopes)],
+      rateLimitPerMinute,
+      expiresAt,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'API key created. Copy it now, it will not be shown again.',
+      key,
+      apiKey: formatApiKey(apiKey),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+export const getApiKeys = async (req, res) => {
+  try {
+    const apiKeys = await ApiKey.find({ user: req.user.id }).sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      apiKeys: apiKeys.map(formatApiKey),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+export const revokeApiKey = async (req, res) => {
+  try {
+    const apiKey = await ApiKey.findOne({
+      _id: req.params.keyId,
+      user: req.user.id,
+    });
+
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        message: 'API key not found',
+      });
+    }
+
+    if (apiKey.revokedAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'API key is already revoked',
+      });
+    }
+
+    apiKey.revokedAt = new Date();
+    await apiKey.save();
+
+    res.json({
+      success: true,
+      message: 'API key revoked',
+      apiKey: formatApiKey(apiKey),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
@@ -1,30 +1,22 @@
 import User from '../models/User.js';
+import Session from '../models/Session.js';
+import { PUBLIC_ROLES } from '../config/roles.js';
+import {
+  rotateSession,
+  revokeSession,
+  revokeAllSessions,
+  hashToken,
+} from '../utils/session.js';
+import {
+  setAuthCookies,
+  clearAuthCookies,
+  sendLoginResponse,
+  sendLocked,
+} from '../utils/sendToken.js';
 import { sendEmail, emailTemplates } from '../utils/sendEmail.js';
+import { sendSms, smsTemplates, normalizePhone } from '../utils/sendSms.js';
 import { uploadToCloudinary, deleteFromCloudinary } from '../utils/cloudinaryUpload.js';
-
-// Set JWT token in cookie
-const sendToken = (user, res, message) => {
-  const token = user.getJwtToken();
-
-  const options = {
-    expires: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000), // 30 days
-    httpOnly: true,
-    secure: process.env.NODE_ENV === 'production',
-    sameSite: 'strict',
-  };
-
-  res.status(200).cookie('token', token, options).json({
-    success: true,
-    message,
-    user: {
-      id: user._id,
-      name: user.name,
-      email: user.email,
-      role: user.role,
-      profilePicture: user.profilePicture,
-    },
-  });
-};
+import { withGeo } from '../utils/geocode.js';
 
 export const register = async (req, res) => {
   try {
@@ -37,7 +29,42 @@ export const register = async (req, res) => {
       });
     }
 
-    const existingUser = await User.findOne({ email });
+    if (!PUBLIC_ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Role must be "seller" or "buyer"',
+      });
+    }
+
+    if (!phone) {
+      return res.status(400).json({
+        success: false,
+        message: 'Phone number is required',
+      });
+    }
+
+    // Without an email address the verification code goes out by SMS
+    const verifyVia = req.body.verifyVia || (email ? 'email' : 'phone');
+    if (!['email', 'phone'].includes(verifyVia)) {
+      return res.status(400).json({
+        success: false,
+        message: 'verifyVia must be "email" or "phone"',
+      });
+    }
+
+    if (verifyVia === 'email' && !email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is required to verify by email',
+      });
+    }
+
+    const existingUser = await User.findOne({
+      $or: [
+        { phone: normalizePhone(phone) },
+        ...(email ? [{ email: email.toLowerCase() }] : []),
+      ],
+    });
     if (existingUser) {
       return res.status(400).json({
         success: false,
@@ -49,7 +76,7 @@ export const register = async (req, res) => {
       name,
       email,
       phone,
-      address,
+      address: withGeo(address),
       role,
       password,
     });
@@ -57,15 +84,672 @@ export const register = async (req, res) => {
     const verificationToken = user.getVerificationToken();
     await user.save();
 
-    await sendEmail({
-      email: user.email,
-      subject: 'Email Verification - Annanewa Farming Media',
-      html: emailTemplates.verification(user.name, verificationToken),
-    });
+    if (verifyVia === 'phone') {
+      await sendSms({
+        phone: user.phone,
+        message: smsTemplates.verification(verificationToken),
+      });
+    } else {
+      await sendEmail({
+        email: user.email,
+        subject: 'Email Verification - Annanewa Farming Media',
+        html: emailTemplates.verification(user.name, verificationToken),
+      });
+    }
 
     res.status(201).json({
       success: true,
-      message: 'Registration successful. Check email for verification code.',
+      message: `Registration successful. Check your ${
+        verifyVia === 'phone' ? 'phone' : 'email'
+      } for the verification code.`,
+      verifyVia,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+export const verifyEmail = async (req, res) => {
+  try {
+    const { email, code } = req.body;
+
+    if (!email || !code) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email and code are required',
+      });
+    }
+
+    const user = await User.findOne({ email });
+
+    if (user?.isLocked()) return sendLocked(res, user);
+
+    if (!user || !user.matchesCode('verificationToken', code)) {
+      if (user) await user.registerFailedAttempt();
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired code',
+      });
+    }
+
+    user.resetFailedAttempts();
+    user.isVerified = true;
+    user.isEmailVerified = true;
+    user.verificationToken = undefined;
+    user.verificationTokenExpire = undefined;
+    await user.save();
+
+    await sendLoginResponse(user, req, res, 'Email verified successfully');
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+export const verifyPhone = async (req, res) => {
+  try {
+    const { phone, code } = req.body;
+
+    if (!phone || !code) {
+      return res.status(400).json({
+        success: false,
+        message: 'Phone and code are required',
+      });
+    }
+
+    const user = await User.findOne({ phone: normalizePhone(phone) });
+
+    if (user?.isLocked()) return sendLocked(res, user);
+
+    if (!user || !user.matchesCode('verificationToken', code)) {
+      if (user) await user.registerFailedAttempt();
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired code',
+      });
+    }
+
+    user.resetFailedAttempts();
+    user.isVerified = true;
+    user.isPhoneVerified = true;
+    user.verificationToken = undefined;
+    user.verificationTokenExpire = undefined;
+    await user.save();
+
+    await sendLoginResponse(user, req, res, 'Phone verified successfully');
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+export const login = async (req, res) => {
+  try {
+    const { email, phone, password } = req.body;
+
+    if ((!email && !phone) || !password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide email or phone and password',
+      });
+    }
+
+    const user = await User.findOne(
+      email ? { email } : { phone: normalizePhone(phone) }
+    ).select('+password');
+
+    if (user?.isLocked()) return sendLocked(res, user);
+
+    if (!user || !(await user.comparePassword(password))) {
+      if (user) await user.registerFailedAttempt();
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid credentials',
+      });
+    }
+
+    if (user.failedAttempts || user.lockCount) {
+      user.resetFailedAttempts();
+      await user.save({ validateBeforeSave: false });
+    }
+
+    if (!user.isVerified) {
+      return res.status(401).json({
+        success: false,
+        message: 'Please verify your email or phone first',
+      });
+    }
+
+    // Suspended users may still sign in, but only to submit an appeal
+    await sendLoginResponse(
+      user,
+      req,
+      res,
+      user.isSuspended()
+        ? 'Your account is suspended. You can only submit an appeal.'
+        : 'Login successful'
+    );
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+export const requestLoginOtp = async (req, res) => {
+  try {
+    const { phone } = req.body;
+
+    if (!phone) {
+      return res.status(400).json({
+        success: false,
+        message: 'Phone number is required',
+      });
+    }
+
+    const user = await User.findOne({ phone: normalizePhone(phone) });
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    const otp = user.getLoginOtp();
+    await user.save();
+
+    await sendSms({
+      phone: user.phone,
+      message: smsTemplates.login(otp),
+    });
+
+    res.json({
+      success: true,
+      message: `Login code sent to ${user.phone}`,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+export const loginWithOtp = async (req, res) => {
+  try {
+    const { phone, code } = req.body;
+
+    if (!phone || !code) {
+      return res.status(400).json({
+        success: false,
+        message: 'Phone and code are required',
+      });
+    }
+
+    const user = await User.findOne({ phone: normalizePhone(phone) });
+
+    if (user?.isLocked()) return sendLocked(res, user);
+
+    if (!user || !user.matchesCode('loginOtp', code)) {
+      if (user) await user.registerFailedAttempt();
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired code',
+      });
+    }
+
+    user.resetFailedAttempts();
+    // Receiving the code proves the user owns the phone
+    user.isVerified = true;
+    user.isPhoneVerified = true;
+    user.loginOtp = undefined;
+    user.loginOtpExpire = undefined;
+    await user.save();
+
+    await sendLoginResponse(
+      user,
+      req,
+      res,
+      user.isSuspended()
+        ? 'Your account is suspended. You can only submit an appeal.'
+        : 'Login successful'
+    );
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+export const logout = async (req, res) => {
+  try {
+    const refreshToken = req.cookies.refreshToken || req.body?.refreshToken;
+
+    if (refreshToken) {
+      const session = await Session.findOne({
+        refreshTokenHash: hashToken(refreshToken),
+      });
+      if (session) await revokeSession(session._id, 'Logged out');
+    }
+
+    clearAuthCookies(res);
+    res.json({
+      success: true,
+      message: 'Logged out successfully',
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+export const refreshAccessToken = async (req, res) => {
+  try {
+    const refreshToken = req.cookies.refreshToken || req.body?.refreshToken;
+
+    if (!refreshToken) {
+      return res.status(401).json({
+        success: false,
+        message: 'Refresh token missing',
+      });
+    }
+
+    const rotated = await rotateSession(refreshToken, req);
+
+    if (!rotated) {
+      clearAuthCookies(res);
+      return res.status(401).json({
+        success: false,
+        message: 'Session expired. Please login again',
+      });
+    }
+
+    const user = await User.findById(rotated.session.user);
+    if (!user) {
+      await revokeSession(rotated.session._id, 'User not found');
+      clearAuthCookies(res);
+      return res.status(401).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    const tokens = setAuthCookies(
+      req,
+      res,
+      user,
+      rotated.session,
+      rotated.refreshToken
+    );
+    res.json({
+      success: true,
+      message: 'Token refreshed',
+      ...tokens,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+export const getSessions = async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user.id,
+      revokedAt: null,
+      expiresAt: { $gt: Date.now() },
+    })
+      .select('userAgent ip createdAt lastUsedAt expiresAt')
+      .sort({ lastUsedAt: -1 });
+
+    res.json({
+      success: true,
+      sessions: sessions.map((session) => ({
+        id: session._id,
+        userAgent: session.userAgent,
+        ip: session.ip,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        expiresAt: session.expiresAt,
+        current: session._id.equals(req.sessionId),
+      })),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+export const revokeUserSession = async (req, res) => {
+  try {
+    const session = await Session.findOne({
+      _id: req.params.sessionId,
+      user: req.user.id,
+      revokedAt: null,
+    });
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found',
+      });
+    }
+
+    await revokeSession(session._id, 'Revoked by user');
+
+    if (session._id.equals(req.sessionId)) {
+      clearAuthCookies(res);
+    }
+
+    res.json({
+      success: true,
+      message: 'Session revoked',
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// Sign out every other device, keeping the current session
+export const revokeOtherSessions = async (req, res) => {
+  try {
+    const revoked = await revokeAllSessions(req.user.id, {
+      except: req.sessionId,
+      reason: 'Revoked by user',
+    });
+
+    res.json({
+      success: true,
+      message: `Signed out of ${revoked} other session(s)`,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+export const forgotPassword = async (req, res) => {
+  try {
+    const { email, phone } = req.body;
+
+    if (!email && !phone) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email or phone is required',
+      });
+    }
+
+    const user = await User.findOne(
+      email ? { email } : { phone: normalizePhone(phone) }
+    );
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    const resetToken = user.getResetPasswordToken();
+    await user.save();
+
+    // The code goes back the way the user asked for it
+    if (email) {
+      await sendEmail({
+        email: user.email,
+        subject: 'Password Reset - Annanewa Farming Media',
+        html: emailTemplates.resetPassword(user.name, resetToken),
+      });
+    } else {
+      await sendSms({
+        phone: user.phone,
+        message: smsTemplates.resetPassword(resetToken),
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Reset code sent to ${email ? 'email' : 'phone'}`,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+export const verifyResetCode = async (req, res) => {
+  try {
+    const { email, phone, code } = req.body;
+
+    if ((!email && !phone) || !code) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email or phone and code are required',
+      });
+    }
+
+    const user = await User.findOne(
+      email ? { email } : { phone: normalizePhone(phone) }
+    );
+
+    if (user?.isLocked()) return sendLocked(res, user);
+
+    if (!user || !user.matchesCode('resetPasswordToken', code)) {
+      if (user) await user.registerFailedAttempt();
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired reset code',
+      });
+    }
+
+    // Generate a reset key for the final reset step
+    const resetKey = user.getResetKey();
+    user.resetFailedAttempts();
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Reset code verified successfully',
+      resetKey: resetKey, // Send this key for the final reset step
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+export const resendOTP = async (req, res) => {
+  try {
+    // type: 'verification', 'reset' or 'login' (phone only)
+    const { email, phone, type } = req.body;
+
+    if ((!email && !phone) || !type) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email or phone and type are required',
+      });
+    }
+
+    const viaSms = !email;
+
+    const user = await User.findOne(
+      viaSms ? { phone: normalizePhone(phone) } : { email }
+    );
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    let otp;
+    let subject;
+    let template;
+
+    if (type === 'verification') {
+      // Resend verification OTP
+      if (user.isVerified) {
+        return res.status(400).json({
+          success: false,
+          message: 'Account is already verified',
+        });
+      }
+      
+      otp = user.getVerificationToken();
+      subject = 'Email Verification - Annanewa Farming Media';
+      template = viaSms
+        ? smsTemplates.verification(otp)
+        : emailTemplates.verification(user.name, otp);
+      
+    } else if (type === 'reset') {
+      // Resend password reset OTP
+      otp = user.getResetPasswordToken();
+      subject = 'Password Reset - Annanewa Farming Media';
+      template = viaSms
+        ? smsTemplates.resetPassword(otp)
+        : emailTemplates.resetPassword(user.name, otp);
+      
+    } else if (type === 'login' && viaSms) {
+      // Resend passwordless login OTP
+      otp = user.getLoginOtp();
+      template = smsTemplates.login(otp);
+
+    } else {
+      return res.status(400).json({
+        success: false,
+        message: viaSms
+          ? 'Invalid type. Use "verification", "reset" or "login" with a phone number'
+          : 'Invalid type. Use "verification" or "reset" with an email',
+      });
+    }
+
+    await user.save();
+
+    if (viaSms) {
+      await sendSms({
+        phone: user.phone,
+        message: template,
+      });
+    } else {
+      // Send email
+      await sendEmail({
+        email: user.email,
+        subject: subject,
+        html: template,
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `OTP sent successfully to ${viaSms ? user.phone : email}`,
+      type: type,
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+export const resetPassword = async (req, res) => {
+  try {
+    const { email, phone, resetKey, password, confirm_password } = req.body;
+
+    if (password !== confirm_password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Passwords do not match',
+      });
+    }
+
+    if ((!email && !phone) || !resetKey) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email or phone and reset key are required',
+      });
+    }
+
+    const user = await User.findOne(
+      email ? { email } : { phone: normalizePhone(phone) }
+    );
+
+    if (user?.isLocked()) return sendLocked(res, user);
+
+    if (!user || !user.matchesCode('resetKey', resetKey)) {
+      if (user) await user.registerFailedAttempt();
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired reset key',
+      });
+    }
+
+    // Reset password
+    user.password = password;
+    user.resetPasswordToken = undefined;
+    user.resetPasswordExpire = undefined;
+    user.resetKey = undefined;
+    user.resetKeyExpire = undefined;
+    await user.save();
+
+    // Log out everywhere: whoever knew the old password loses their sessions
+    await revokeAllSessions(user._id, { reason: 'Password reset' });
+
+    res.json({
+      success: true,
+      message: 'Password reset successful. Please login again.',
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+export const getProfile = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    
+    res.json({
+      success: true,
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        phone: user.phone,
+        address: user.address,
+        role: user.role,
+        permissions: user.getPermissions(),
+        profilePicture: user.profilePicture,
+        isVerified: user.isVerified,
+        isEmailVerified: user.hasVerifiedEmail(),
+        isPhoneVerified: user.isPhoneVerified,
+      },
     });
   } catch (error) {
     res.status(500).json({
@@ -75,29 +759,40 @@ export const register = async (req, res) => {
   }
 };
 
-export const verifyEmail = async (req, res) => {
+export const updateProfile = async (req, res) => {
   try {
-    const { email, code } = req.body;
-
-    const user = await User.findOne({
-      email,
-      verificationToken: code,
-      verificationTokenExpire: { $gt: Date.now() },
-    });
+    const { name, phone, address } = req.body;
 
-    if (!user) {
+    // The number can sign in and reset the password, so moving it needs
+    // the password and a code sent to the new number
+    if (phone && normalizePhone(phone) !== req.user.phone) {
       return res.status(400).json({
         success: false,
-        message: 'Invalid or expired code',
+        message: 'Change your phone number through /api/auth/phone/change',
       });
     }
 
-    user.isVerified = true;
-    user.verificationToken = undefined;
-    user.verificationTokenExpire = undefined;
-    await user.save();
+    const updateData = { name, address: withGeo(address) };
+
+    const user = await User.findByIdAndUpdate(
+      req.user.id,
+      updateData,
+      { new: true, runValidators: true }
+    );
 
-    sendToken(user, res, 'Email verified successfully');
+    res.json({
+      success: true,
+      message: 'Profile updated successfully',
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        phone: user.phone,
+        address: user.address,
+        role: user.role,
+        profilePicture: user.profilePicture,
+      },
+    });
   } catch (error) {
     res.status(500).json({
       success: false,
@@ -106,34 +801,51 @@ export const verifyEmail = async (req, res) => {
   }
 };
 
-export const login = async (req, res) => {
+export const changePassword = async (req, res) => {
   try {
-    const { email, password } = req.body;
+    const { currentPassword, password, confirm_password } = req.body;
 
-    if (!email || !password) {
+    if (!password || password !== confirm_password) {
       return res.status(400).json({
         success: false,
-        message: 'Please provide email and password',
+        message: 'Passwords do not match',
       });
     }
 
-    const user = await User.findOne({ email }).select('+password');
+    const user = await User.findById(req.user.id).select('+password');
 
-    if (!user || !(await user.comparePassword(password))) {
+    if (user.isLocked()) return sendLocked(res, user);
+
+    // Accounts created through social sign-in can set a first password freely
+    if (user.password && !(await user.comparePassword(currentPassword || ''))) {
+      await user.registerFailedAttempt();
       return res.status(401).json({
         success: false,
-        message: 'Invalid credentials',
+        message: 'Current password is incorrect',
       });
     }
 
-    if (!user.isVerified) {
-      return res.status(401).json({
-        success: false,
-        message: 'Please verify your email first',
+    user.password = password;
+    user.resetFailedAttempts();
+    await user.save();
+
+    const revoked = await revokeAllSessions(user._id, {
+      except: req.sessionId,
+      reason: 'Password changed',
+    });
+
+    if (user.email) {
+      await sendEmail({
+        email: user.email,
+        subject: 'Password Changed - Annanewa Farming Media',
+        html: emailTemplates.passwordChanged(user.name),
       });
     }
 
-    sendToken(user, res, 'Login successful');
+    res.json({
+      success: true,
+      message: `Password changed. Signed out of ${revoked} other session(s).`,
+    });
   } catch (error) {
     res.status(500).json({
       success: false,
@@ -142,41 +854,58 @@ export const login = async (req, res) => {
   }
 };
 
-export const logout = async (req, res) => {
-  res.cookie('token', null, {
-    expires: new Date(Date.now()),
-    httpOnly: true,
-  }).json({
-    success: true,
-    message: 'Logged out successfully',
-  });
-};
-
-export const forgotPassword = async (req, res) => {
+export const requestEmailChange = async (req, res) => {
   try {
-    const { email } = req.body;
+    const { newEmail, password } = req.body;
 
-    const user = await User.findOne({ email });
-    if (!user) {
-      return res.status(404).json({
+    if (!newEmail) {
+      return res.status(400).json({
         success: false,
-        message: 'User not found',
+        message: 'New email is required',
       });
     }
 
-    const resetToken = user.getResetPasswordToken();
+    const email = newEmail.trim().toLowerCase();
+
+    const user = await User.findById(req.user.id).select('+password');
+
+    if (user.isLocked()) return sendLocked(res, user);
+
+    if (user.password && !(await user.comparePassword(password || ''))) {
+      await user.registerFailedAttempt();
+      return res.status(401).json({
+        success: false,
+        message: 'Password is incorrect',
+      });
+    }
+
+    if (email === user.email) {
+      return res.status(400).json({
+        success: false,
+        message: 'This is already your email address',
+      });
+    }
+
+    if (await User.exists({ email })) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is already in use',
+      });
+    }
+
+    const code = user.getEmailChangeToken(email);
+    user.resetFailedAttempts();
     await user.save();
 
-    // Send email with reset code
     await sendEmail({
-      email: user.email,
-      subject: 'Password Reset - Annanewa Farming Media',
-      html: emailTemplates.resetPassword(user.name, resetToken),
+      email,
+      subject: 'Confirm Your New Email - Annanewa Farming Media',
+      html: emailTemplates.emailChange(user.name, code),
     });
 
     res.json({
       success: true,
-      message: 'Reset code sent to email',
+      message: `Verification code sent to ${email}`,
     });
   } catch (error) {
     res.status(500).json({
@@ -186,35 +915,58 @@ export const forgotPassword = async (req, res) => {
   }
 };
 
-export const verifyResetCode = async (req, res) => {
+export const confirmEmailChange = async (req, res) => {
   try {
-    const { email, code } = req.body;
+    const { code } = req.body;
 
-    const user = await User.findOne({
-      email,
-      resetPasswordToken: code,
-      resetPasswordExpire: { $gt: Date.now() },
-    });
+    const user = await User.findById(req.user.id);
 
-    if (!user) {
+    if (user.isLocked()) return sendLocked(res, user);
+
+    if (!user.pendingEmail || !user.matchesCode('emailChangeToken', code)) {
+      await user.registerFailedAttempt();
       return res.status(400).json({
         success: false,
-        message: 'Invalid or expired reset code',
+        message: 'Invalid or expired code',
       });
     }
 
-    // Generate a reset key for the final reset step
-    const resetKey = Math.random().toString(36).substring(2, 15) + 
-                    Math.random().toString(36).substring(2, 15);
-    
-    user.resetKey = resetKey;
-    user.resetKeyExpire = Date.now() + 10 * 60 * 1000; // 10 minutes
+    // Someone may have claimed the address while the code was out
+    if (await User.exists({ email: user.pendingEmail, _id: { $ne: user._id } })) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is already in use',
+      });
+    }
+
+    const oldEmail = user.email;
+
+    user.email = user.pendingEmail;
+    user.isEmailVerified = true;
+    user.isVerified = true;
+    user.pendingEmail = undefined;
+    user.emailChangeToken = undefined;
+    user.emailChangeExpire = undefined;
+    user.resetFailedAttempts();
     await user.save();
 
+    await revokeAllSessions(user._id, {
+      except: req.sessionId,
+      reason: 'Email changed',
+    });
+
+    if (oldEmail) {
+      await sendEmail({
+        email: oldEmail,
+        subject: 'Email Changed - Annanewa Farming Media',
+        html: emailTemplates.emailChanged(user.name, user.email),
+      });
+    }
+
     res.json({
       success: true,
-      message: 'Reset code verified successfully',
-      resetKey: resetKey, // Send this key for the final reset step
+      message: 'Email changed successfully',
+      email: user.email,
     });
   } catch (error) {
     res.status(500).json({
@@ -224,70 +976,58 @@ export const verifyResetCode = async (req, res) => {
   }
 };
 
-export const resendOTP = async (req, res) => {
+export const requestPhoneChange = async (req, res) => {
   try {
-    const { email, type } = req.body; // type: 'verification' or 'reset'
+    const { newPhone, password } = req.body;
 
-    if (!email || !type) {
+    if (!newPhone) {
       return res.status(400).json({
         success: false,
-        message: 'Email and type are required',
+        message: 'New phone number is required',
       });
     }
 
-    const user = await User.findOne({ email });
-    if (!user) {
-      return res.status(404).json({
+    const phone = normalizePhone(newPhone);
+
+    const user = await User.findById(req.user.id).select('+password');
+
+    if (user.isLocked()) return sendLocked(res, user);
+
+    if (user.password && !(await user.comparePassword(password || ''))) {
+      await user.registerFailedAttempt();
+      return res.status(401).json({
         success: false,
-        message: 'User not found',
+        message: 'Password is incorrect',
       });
     }
 
-    let otp;
-    let subject;
-    let template;
+    if (phone === user.phone) {
+      return res.status(400).json({
+        success: false,
+        message: 'This is already your phone number',
+      });
+    }
 
-    if (type === 'verification') {
-      // Resend verification OTP
-      if (user.isVerified) {
-        return res.status(400).json({
-          success: false,
-          message: 'Email is already verified',
-        });
-      }
-      
-      otp = user.getVerificationToken();
-      subject = 'Email Verification - Annanewa Farming Media';
-      template = emailTemplates.verification(user.name, otp);
-      
-    } else if (type === 'reset') {
-      // Resend password reset OTP
-      otp = user.getResetPasswordToken();
-      subject = 'Password Reset - Annanewa Farming Media';
-      template = emailTemplates.resetPassword(user.name, otp);
-      
-    } else {
+    if (await User.exists({ phone })) {
       return res.status(400).json({
         success: false,
-        message: 'Invalid type. Use "verification" or "reset"',
+        message: 'Phone number is already in use',
       });
     }
 
+    const code = user.getPhoneChangeToken(phone);
+    user.resetFailedAttempts();
     await user.save();
 
-    // Send email
-    await sendEmail({
-      email: user.email,
-      subject: subject,
-      html: template,
+    await sendSms({
+      phone,
+      message: smsTemplates.phoneChange(code),
     });
 
     res.json({
       success: true,
-      message: `OTP sent successfully to ${email}`,
-      type: type,
+      message: `Verification code sent to ${phone}`,
     });
-
   } catch (error) {
     res.status(500).json({
       success: false,
@@ -296,97 +1036,57 @@ export const resendOTP = async (req, res) => {
   }
 };
 
-export const resetPassword = async (req, res) => {
+export const confirmPhoneChange = async (req, res) => {
   try {
-    const { email, resetKey, password, confirm_password } = req.body;
+    const { code } = req.body;
 
-    if (password !== confirm_password) {
+    const user = await User.findById(req.user.id);
+
+    if (user.isLocked()) return sendLocked(res, user);
+
+    if (!user.pendingPhone || !user.matchesCode('phoneChangeToken', code)) {
+      await user.registerFailedAttempt();
       return res.status(400).json({
         success: false,
-        message: 'Passwords do not match',
+        message: 'Invalid or expired code',
       });
     }
 
-    const user = await User.findOne({
-      email,
-      resetKey: resetKey,
-      resetKeyExpire: { $gt: Date.now() },
-    });
-
-    if (!user) {
+    // Someone may have claimed the number while the code was out
+    if (await User.exists({ phone: user.pendingPhone, _id: { $ne: user._id } })) {
       return res.status(400).json({
         success: false,
-        message: 'Invalid or expired reset key',
+        message: 'Phone number is already in use',
       });
     }
 
-    // Reset password
-    user.password = password;
-    user.resetPasswordToken = undefined;
-    user.resetPasswordExpire = undefined;
-    user.resetKey = undefined;
-    user.resetKeyExpire = undefined;
-    await user.save();
+    const oldPhone = user.phone;
 
-    res.json({
-      success: true,
-      message: 'Password reset successful',
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: error.message,
-    });
-  }
-};
+    user.phone = user.pendingPhone;
+    user.isPhoneVerified = true;
+    user.isVerified = true;
+    user.pendingPhone = undefined;
+    user.phoneChangeToken = undefined;
+    user.phoneChangeExpire = undefined;
+    user.resetFailedAttempts();
+    await user.save();
 
-export const getProfile = async (req, res) => {
-  try {
-    const user = await User.findById(req.user.id);
-    
-    res.json({
-      success: true,
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        phone: user.phone,
-        address: user.address,
-        role: user.role,
-        profilePicture: user.profilePicture,
-        isVerified: user.isVerified,
-      },
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: error.message,
+    await revokeAllSessions(user._id, {
+      except: req.sessionId,
+      reason: 'Phone changed',
     });
-  }
-};
-
-export const updateProfile = async (req, res) => {
-  try {
-    const { name, phone, address } = req.body;
 
-    const user = await User.findByIdAndUpdate(
-      req.user.id,
-      { name, phone, address },
-      { new: true, runValidators: true }
-    );
+    if (oldPhone) {
+      await sendSms({
+        phone: oldPhone,
+        message: smsTemplates.phoneChanged(user.phone),
+      }).catch((error) => console.error('Failed to notify the old number:', error.message));
+    }
 
     res.json({
       success: true,
-      message: 'Profile updated successfully',
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        phone: user.phone,
-        address: user.address,
-        role: user.role,
-        profilePicture: user.profilePicture,
-      },
+      message: 'Phone number changed successfully',
+      phone: user.phone,
     });
   } catch (error) {
     res.status(500).json({
@@ -440,6 +1140,13 @@ export const resendVerification = async (req, res) => {
   try {
     const { email } = req.body;
 
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is required',
+      });
+    }
+
     const user = await User.findOne({ email });
     if (!user) {
       return res.status(404).json({
@@ -474,4 +1181,55 @@ export const resendVerification = async (req, res) => {
       message: error.message,
     });
   }
-};
\ No newline at end of file
+};
+export const submitAppeal = async (req, res) => {
+  try {
+    const { message } = req.body;
+
+    if (!req.user.isSuspended()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Your account is not suspended',
+      });
+    }
+
+    if (!message || !message.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Appeal message is required',
+      });
+    }
+
+    if (req.user.appeal?.status === 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: 'You already have a pending appeal',
+      });
+    }
+
+    if (req.user.appeal?.status === 'rejected') {
+      return res.status(400).json({
+        success: false,
+        message: 'Your appeal was already reviewed and rejected',
+      });
+    }
+
+    req.user.appeal = {
+      message: message.trim(),
+      status: 'pending',
+      submittedAt: new Date(),
+    };
+    await req.user.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Appeal submitted. An admin will review it shortly.',
+      appeal: req.user.appeal,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
@@ -1,16 +1,83 @@
 import Product from '../models/Product.js';
+import Bid, { BID_PRIVATE_FIELDS, BID_PRIVATE_SELECT } from '../models/Bid.js';
 import User from '../models/User.js';
+import Session from '../models/Session.js';
 import mongoose, { isValidObjectId } from 'mongoose';
-import Order from "../models/Order.js"
+import { acceptBidLot, lotFinancials, COMMISSION_RATE } from '../utils/orders.js';
+import { getUnit, isValidQuantity, formatQuantity } from '../config/units.js';
+import { notifyWatchers } from '../utils/watchlist.js';
+import { notifyUser } from '../utils/notify.js';
+import { emailTemplates } from '../utils/sendEmail.js';
+import {
+  isAuction,
+  auctionPhase,
+  beats,
+  bestPendingBid,
+  nextBidThreshold,
+  competingAmounts,
+  extendedEnd
+} from '../utils/auctions.js';
+import {
+  publishBidEvent,
+  subscribeToBidEvents,
+  getMissedBidEvents,
+  canSeeBidEvent,
+  bidSummary
+} from '../utils/bidEvents.js';
+import { checkProxyLimit, runProxyBids } from '../utils/proxyBids.js';
+
+// Bids must beat the listing's price: higher on sell posts, lower on buy
+// posts. Returns an error message or null.
+const checkBidAmount = (product, bidAmount) => {
+  const unit = getUnit(product.unit);
+  const amount = Number(bidAmount);
+
+  if (!Number.isFinite(amount) || amount <= 0) {
+    return 'Bid amount must be a positive number';
+  }
+  if (product.postType === 'sell' && amount <= product.pricePerKg) {
+    return `Bid must be higher than current price: ₹${product.pricePerKg}/${unit.label}`;
+  }
+  if (product.postType === 'buy' && amount >= product.pricePerKg) {
+    return `Bid must be lower than buyer's asking price: ₹${product.pricePerKg}/${unit.label}`;
+  }
+  return null;
+};
+
+// Best live offer on a listing: highest on sell posts, lowest on buy posts
+const bestLiveAmount = (product) =>
+  product.bids
+    .filter((bid) => ['pending', 'accepted'].includes(bid.status))
+    .reduce(
+      (best, bid) => (best === null || beats(product.postType, bid.bidAmount, best) ? bid.bidAmount : best),
+      null
+    );
 
+// A lot must fit what is left and the minimum order; the last lot may be
+// smaller than the minimum. Returns an error message or null.
+const checkBidQuantity = (product, quantity) => {
+  const unit = getUnit(product.unit);
+
+  if (!isValidQuantity(quantity, product.unit) || quantity > product.remainingWeight) {
+    return `Quantity must be ${unit.fractional ? 'more than 0' : 'a whole number'} and at most ${formatQuantity(product.remainingWeight, product.unit)}`;
+  }
+
+  const minimumQuantity = Math.min(product.minOrderQuantity || 0, product.remainingWeight);
+  if (quantity < minimumQuantity) {
+    return `Minimum order is ${formatQuantity(minimumQuantity, product.unit)}`;
+  }
+  return null;
+};
 
 export const placeBid = async (req, res) => {
   try {
     const { id } = req.params;
-    const { bidAmount, deliveryAddress, paymentMethod = 'Cash on Delivery' } = req.body;
+    const { bidAmount, quantity, proxyLimit, deliveryAddress, paymentMethod = 'Cash on Delivery' } = req.body;
 
-    const product = await Product.findById(id)
-      .populate('user', 'name email role address');
+    // Live bids only: they set the auction threshold and the best offer
+    let product = await Product.findById(id)
+      .populate('user', 'name email role address')
+      .populate({ path: 'bids', match: { status: { $in: ['pending', 'accepted'] } } });
 
     if (!product) {
       return res.status(404).json({
@@ -26,6 +93,27 @@ export const placeBid = async (req, res) => {
       });
     }
 
+    // The expiry job may not have run yet
+    if (product.expiryDate <= Date.now()) {
+      return res.status(400).json({
+        success: false,
+        message: 'This listing has expired'
+      });
+    }
+
+    const auction = isAuction(product);
+    if (auction) {
+      const phase = auctionPhase(product);
+      if (phase !== 'open') {
+        return res.status(400).json({
+          success: false,
+          message: phase === 'upcoming'
+            ? `Bidding opens on ${product.auction.startsAt.toLocaleString()}`
+            : 'This auction has closed'
+        });
+      }
+    }
+
     // Cannot bid on own post
     if (product.user._id.toString() === req.user.id) {
       return res.status(400).json({
@@ -37,16 +125,18 @@ export const placeBid = async (req, res) => {
     // Get bidder details for address
     const bidder = await User.findById(req.user.id);
 
+    const unit = getUnit(product.unit);
+
     // 🎯 SMART BID VALIDATION BASED ON POST TYPE
-    if (product.postType === 'sell') {
-      // Buyer bidding on SELLER post - must provide higher bid
-      if (bidAmount <= product.pricePerKg) {
-        return res.status(400).json({
-          success: false,
-          message: `Bid must be higher than current price: ₹${product.pricePerKg}/kg`
-        });
-      }
+    const amountError = checkBidAmount(product, bidAmount) || checkProxyLimit(product, bidAmount, proxyLimit);
+    if (amountError) {
+      return res.status(400).json({
+        success: false,
+        message: amountError
+      });
+    }
 
+    if (product.postType === 'sell') {
       // 🎯 FOR SELLER POSTS: Require delivery address from buyer
       if (!deliveryAddress || !deliveryAddress.address || !deliveryAddress.city || !deliveryAddress.state || !deliveryAddress.zipCode) {
         return res.status(400).json({
@@ -56,27 +146,40 @@ export const placeBid = async (req, res) => {
       }
 
     } else if (product.postType === 'buy') {
-      // Seller bidding on BUYER post - must provide lower bid
-      if (bidAmount >= product.pricePerKg) {
-        return res.status(400).json({
-          success: false,
-          message: `Bid must be lower than buyer's asking price: ₹${product.pricePerKg}/kg`
-        });
-      }
-
       // 🎯 FOR BUYER POSTS: Automatically use buyer's address from their profile
       // No delivery address required in request body
     }
 
-    // Check if user already placed a bid
+    // Auction bids must also beat the best bid by the minimum increment
+    const threshold = auction ? nextBidThreshold(product) : null;
+    if (threshold !== null &&
+      (product.postType === 'sell' ? Number(bidAmount) < threshold : Number(bidAmount) > threshold)) {
+      return res.status(400).json({
+        success: false,
+        message: `Bid must be ${product.postType === 'sell' ? 'at least' : 'at most'} ₹${threshold}/${unit.label}`
+      });
+    }
+
+    // Check if user already placed a bid; in an auction a new bid replaces it
     const existingBid = product.bids.find(bid => 
       bid.user.toString() === req.user.id && bid.status === 'pending'
     );
 
-    if (existingBid) {
+    if (existingBid && !auction) {
       return res.status(400).json({
         success: false,
-        message: 'You already have a pending bid on this product'
+        message: 'You already have a pending bid on this product. Update it instead'
+      });
+    }
+
+    // Bids take part of the listing; without a quantity, whatever is left.
+    // Auctions are for the whole remaining lot.
+    const bidQuantity = quantity === undefined || auction ? product.remainingWeight : Number(quantity);
+    const quantityError = checkBidQuantity(product, bidQuantity);
+    if (quantityError) {
+      return res.status(400).json({
+        success: false,
+        message: quantityError
       });
     }
 
@@ -103,22 +206,142 @@ export const placeBid = async (req, res) => {
       };
     }
 
+    const bestBefore = bestLiveAmount(product);
+
     // Add bid with smart address handling
-    product.bids.push({
+    const newBid = {
+      _id: new mongoose.Types.ObjectId(),
+      product: product._id,
       user: req.user.id,
       bidAmount: Number(bidAmount),
+      proxyLimit: proxyLimit === undefined || proxyLimit === null ? undefined : Number(proxyLimit),
+      quantity: bidQuantity,
       bidAt: new Date(),
       status: 'pending',
       deliveryAddress: finalDeliveryAddress,
-      paymentMethod: paymentMethod
-    });
+      paymentMethod: paymentMethod,
+      offers: [{
+        by: 'bidder',
+        action: 'placed',
+        amount: Number(bidAmount),
+        quantity: bidQuantity,
+        message: req.body.message
+      }]
+    };
+
+    let replaced = false;
+    if (auction) {
+      // Push the close back first: once endsAt is later than now the
+      // closing job cannot settle the auction while the bid goes in
+      const now = new Date();
+      const previousEnd = product.auction.endsAt;
+      const endsAt = extendedEnd(product, now);
+      const stillOpen = await Product.updateOne(
+        { _id: product._id, status: 'active', 'auction.closedAt': null, 'auction.endsAt': { $gt: now } },
+        {
+          $set: { 'auction.endsAt': endsAt },
+          $inc: { 'auction.extensions': endsAt > previousEnd ? 1 : 0 },
+          // A late bid must not let the listing expire before the auction closes
+          $max: { expiryDate: endsAt }
+        }
+      );
+
+      if (stillOpen.matchedCount === 0) {
+        return res.status(409).json({
+          success: false,
+          message: 'This auction has closed'
+        });
+      }
+      if (endsAt > previousEnd) {
+        await publishBidEvent(product._id, 'auction-extended', { endsAt });
+      }
+
+      // A new bid replaces the bidder's previous one. It has to make way
+      // first, as only one bid per bidder may be pending.
+      if (existingBid) {
+        const withdrawn = await Bid.updateOne(
+          { _id: existingBid._id, status: 'pending' },
+          {
+            $set: { status: 'withdrawn' },
+            $push: { offers: { by: 'system', action: 'withdrawn', message: 'Replaced by a new bid' } }
+          }
+        );
+        replaced = withdrawn.modifiedCount > 0;
+      }
+    }
+
+    // Undo the replacement when the new bid does not stand: back to
+    // pending, without the withdrawal
+    const restoreReplaced = async () => {
+      if (!replaced) return;
+      await Bid.updateOne(
+        { _id: existingBid._id, status: 'withdrawn' },
+        { $set: { status: 'pending' }, $pop: { offers: 1 } }
+      ).catch(error => console.error('Failed to restore replaced bid:', error.message));
+    };
+
+    let placed;
+    try {
+      placed = await Bid.create(newBid);
+    } catch (error) {
+      await restoreReplaced();
+      if (error.code !== 11000) throw error;
+      return res.status(409).json({
+        success: false,
+        message: 'You already have a pending bid on this product. Update it instead'
+      });
+    }
+
+    // Two auction bids placed at once may each have looked like the best;
+    // the one placed first stands
+    if (auction && await Bid.exists({
+      product: product._id,
+      status: 'pending',
+      _id: { $lt: newBid._id },
+      bidAmount: competingAmounts(product, Number(bidAmount))
+    })) {
+      await Bid.updateOne({ _id: newBid._id }, { status: 'withdrawn' });
+      await restoreReplaced();
+
+      return res.status(409).json({
+        success: false,
+        message: 'You were outbid. Please refresh and try again'
+      });
+    }
+
+    if (replaced) {
+      await publishBidEvent(product._id, 'bid-withdrawn', { bidIds: [existingBid._id] });
+    }
+
+    await placed.populate('user', 'name email');
+    await publishBidEvent(product._id, 'bid-placed', { bid: bidSummary(placed) });
+
+    // Proxy bids answer the new bid straight away
+    const autoBids = await runProxyBids(product._id);
+
+    product = await Product.findById(product._id)
+      .populate('user', 'name email role address')
+      .populate({ path: 'bids', populate: { path: 'user', select: 'name email' } });
 
-    await product.save();
-    await product.populate('bids.user', 'name email');
+    const bestAfter = bestLiveAmount(product);
+    if (bestBefore === null || beats(product.postType, bestAfter, bestBefore)) {
+      notifyWatchers(product, {
+        type: 'watchlist-new-bid',
+        title: `New ${product.postType === 'sell' ? 'higher' : 'lower'} bid on a listing you watch`,
+        message: `"${product.title}" has a new best bid of ₹${bestAfter}/${unit.label}.`,
+        exclude: req.user._id
+      }).catch(error => console.error('Watchlist alerts failed:', error.message));
+    }
+
+    const outbid = autoBids.length > 0 && !bestPendingBid(product)?._id.equals(newBid._id);
 
     res.json({
       success: true,
-      message: `Bid placed successfully${product.postType === 'buy' ? ' using buyer\'s delivery address' : ''}`,
+      message: outbid
+        ? 'Bid placed, but another bidder\'s proxy bid is ahead of yours'
+        : `Bid placed successfully${product.postType === 'buy' ? ' using buyer\'s delivery address' : ''}`,
+      outbid,
+      auction: auction ? product.auction : undefined,
       product,
       bidType: product.postType === 'sell' ? 'buyer_bid' : 'seller_bid',
       deliveryAddressUsed: finalDeliveryAddress
@@ -138,9 +361,8 @@ export const acceptBid = async (req, res) => {
   try {
     const { productId, bidId } = req.params;
 
-    const product = await Product.findById(productId)
-      .populate('user', 'name email phone address')
-      .populate('bids.user', 'name email phone address');
+    let product = await Product.findById(productId)
+      .populate('user', 'name email phone address');
 
     if (!product) {
       return res.status(404).json({
@@ -157,7 +379,25 @@ export const acceptBid = async (req, res) => {
       });
     }
 
-    const bid = product.bids.id(bidId);
+    if (product.status !== 'active') {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot accept bids on a ${product.status} listing`
+      });
+    }
+
+    if (isAuction(product) && !product.auction.closedAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'The winning bid is accepted automatically when the auction closes'
+      });
+    }
+
+    const bid = isValidObjectId(bidId)
+      ? await Bid.findOne({ _id: bidId, product: product._id })
+        .select('+deliveryAddress')
+        .populate('user', 'name email phone address')
+      : null;
     if (!bid) {
       return res.status(404).json({
         success: false,
@@ -172,92 +412,38 @@ export const acceptBid = async (req, res) => {
       bidAmount: bid.bidAmount
     });
 
-    // Update all bids status
-    product.bids.forEach(b => {
-      if (b._id.toString() === bidId) {
-        b.status = 'accepted';
-      } else {
-        b.status = 'rejected';
-      }
-    });
-
-    // Set bid winner and mark product accordingly
-    product.bidWinner = {
-      user: bid.user._id,
-      bidAmount: bid.bidAmount,
-      acceptedAt: new Date()
-    };
-    
-    // Set appropriate status based on post type
-    product.status = product.postType === 'sell' ? 'sold' : 'purchased';
-    product.soldAt = new Date();
-
-    // 🎯 CALCULATE 2% COMPANY REVENUE
-    const totalPrice = product.totalWeight * bid.bidAmount;
-    const companyRevenue = totalPrice * 0.02; // 2% commission
-    const sellerEarning = totalPrice - companyRevenue;
-
-    // Update product with company revenue
-    product.companyRevenue = companyRevenue;
+    if (bid.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: `This bid is already ${bid.status}`
+      });
+    }
 
-    await product.save();
+    const quantity = bid.quantity ?? product.remainingWeight;
+    if (quantity > product.remainingWeight) {
+      return res.status(400).json({
+        success: false,
+        message: `Only ${formatQuantity(product.remainingWeight, product.unit)} left on this listing`
+      });
+    }
 
-    // 🎯 DETERMINE SELLER AND BUYER BASED ON POST TYPE
-    let seller, buyer;
+    const accepted = await acceptBidLot(product, bid, quantity);
 
-    if (product.postType === 'sell') {
-      // Seller post: Post owner is seller, bidder is buyer
-      seller = product.user._id;
-      buyer = bid.user._id;
-    } else {
-      // Buyer post: Post owner is buyer, bidder is seller  
-      buyer = product.user._id;
-      seller = bid.user._id;
+    if (!accepted) {
+      return res.status(409).json({
+        success: false,
+        message: 'The listing or bid changed. Please refresh and try again'
+      });
     }
 
-    // Generate order number
-    const date = new Date();
-    const year = date.getFullYear();
-    const month = String(date.getMonth() + 1).padStart(2, '0');
-    const day = String(date.getDate()).padStart(2, '0');
-    
-    const todaysOrders = await Order.countDocuments({
-      createdAt: {
-        $gte: new Date(date.setHours(0, 0, 0, 0)),
-        $lte: new Date(date.setHours(23, 59, 59, 999))
-      }
-    });
-    
-    const orderNumber = `ORD-${year}${month}${day}-${String(todaysOrders + 1).padStart(4, '0')}`;
-
-    // Create order with 2% commission
-    const orderData = {
-      orderNumber: orderNumber,
-      product: productId,
-      seller: seller,
-      buyer: buyer,
-      postType: product.postType,
-      quantity: product.totalWeight,
-      pricePerKg: bid.bidAmount,
-      totalPrice: totalPrice,
-      // 🎯 REVENUE FIELDS
-      companyRevenue: parseFloat(companyRevenue.toFixed(2)),
-      sellerEarning: parseFloat(sellerEarning.toFixed(2)),
-      buyerPayment: totalPrice,
-      commissionRate: 0.02, // 2%
-      paymentMethod: bid.paymentMethod,
-      sellerLocation: product.user.address,
-      buyerLocation: bid.user.address,
-      deliveryAddress: bid.deliveryAddress, // Smart address from bid
-      expectedDelivery: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000),
-      notes: `Order created from ${product.postType} post: ${product.title}`
-    };
+    const { order } = accepted;
+    const { totalPrice, companyRevenue, sellerEarning } = lotFinancials(quantity, bid.bidAmount);
 
-    const order = await Order.create(orderData);
+    product = await Product.findById(productId);
 
     // Populate all data for response
     await product.populate('user', 'name email phone');
-    await product.populate('bids.user', 'name email');
+    await product.populate({ path: 'bids', populate: { path: 'user', select: 'name email' } });
     await product.populate('bidWinner.user', 'name email phone');
     
     // Populate order details
@@ -267,12 +453,14 @@ export const acceptBid = async (req, res) => {
 
     res.json({
       success: true,
-      message: `Bid accepted successfully! ${product.postType === 'sell' ? 'Product sold' : 'Purchase completed'}`,
+      message: product.remainingWeight > 0
+        ? `Bid accepted for ${formatQuantity(quantity, product.unit)}. ${formatQuantity(product.remainingWeight, product.unit)} still available`
+        : `Bid accepted successfully! ${product.postType === 'sell' ? 'Product sold' : 'Purchase completed'}`,
       financials: {
         totalTransaction: totalPrice,
-        companyRevenue: parseFloat(companyRevenue.toFixed(2)),
-        sellerEarning: parseFloat(sellerEarning.toFixed(2)),
-        commissionRate: '2%'
+        companyRevenue,
+        sellerEarning,
+        commissionRate: `${COMMISSION_RATE * 100}%`
       },
       product,
       order
@@ -287,6 +475,520 @@ export const acceptBid = async (req, res) => {
   }
 };
 
+// Load a listing and one of its bids for the owner (`as: 'owner'`), the
+// bidder (`as: 'bidder'`) or either. Sends the error response and returns
+// null when the caller may not act on the bid.
+const loadBid = async (req, res, as) => {
+  const product = isValidObjectId(req.params.id)
+    ? await Product.findById(req.params.id).populate('user', 'name email phone address')
+    : null;
+
+  if (!product) {
+    res.status(404).json({
+      success: false,
+      message: 'Product not found'
+    });
+    return null;
+  }
+
+  const bid = isValidObjectId(req.params.bidId)
+    ? await Bid.findOne({ _id: req.params.bidId, product: product._id })
+      .select(`+proxyLimit ${BID_PRIVATE_SELECT}`)
+      .populate('user', 'name email phone address')
+    : null;
+  if (!bid) {
+    res.status(404).json({
+      success: false,
+      message: 'Bid not found'
+    });
+    return null;
+  }
+
+  const isOwner = product.user._id.toString() === req.user.id;
+  const isBidder = bid.user._id.toString() === req.user.id;
+  const allowed = as === 'owner' ? isOwner : as === 'bidder' ? isBidder : isOwner || isBidder;
+
+  if (!allowed) {
+    res.status(403).json({
+      success: false,
+      message: 'Not authorized for this bid'
+    });
+    return null;
+  }
+
+  return { product, bid };
+};
+
+// Negotiation is only open on pending bids of active, non-auction listings
+const negotiationError = (product, bid) => {
+  if (product.status !== 'active') return `This listing is ${product.status}`;
+  if (isAuction(product)) return 'Auction bids cannot be changed. Place a new bid instead';
+  if (bid.status !== 'pending') return `This bid is already ${bid.status}`;
+  return null;
+};
+
+// Apply one negotiation step, conditional on the bid still being pending
+// (and matching `expect`). Returns the updated bid, or null when the bid
+// changed first. Closing a listing turns down its pending bids, so a step
+// that slips in just before is turned down with them.
+const updatePendingBid = (bid, update, expect = {}) =>
+  Bid.findOneAndUpdate(
+    { _id: bid._id, status: 'pending', ...expect },
+    update,
+    { new: true, runValidators: true }
+  )
+    .select(BID_PRIVATE_SELECT)
+    .populate('user', 'name email phone address');
+
+const bidChanged = (res) => res.status(409).json({
+  success: false,
+  message: 'The listing or bid changed. Please refresh and try again'
+});
+
+// Tell the other side of a negotiation what happened
+const notifyNegotiation = (user, product, { type, title, message, email = false }) =>
+  notifyUser(user, {
+    inApp: { type, title, message, products: [product._id] },
+    subject: email ? `${title} - Annanewa Farming Media` : undefined,
+    html: email ? emailTemplates.bidReply(user.name, title, message, product) : undefined
+  });
+
+// @desc    Change the amount, quantity or proxy limit of my pending bid
+// @route   PUT /api/product/:id/bids/:bidId
+// @access  Private (bidder)
+export const updateBid = async (req, res) => {
+  try {
+    const loaded = await loadBid(req, res, 'bidder');
+    if (!loaded) return;
+    const { product, bid } = loaded;
+
+    const notOpen = negotiationError(product, bid);
+    if (notOpen) {
+      return res.status(400).json({
+        success: false,
+        message: notOpen
+      });
+    }
+
+    const amount = req.body.bidAmount === undefined ? bid.bidAmount : Number(req.body.bidAmount);
+    const quantity = req.body.quantity === undefined
+      ? bid.quantity ?? product.remainingWeight
+      : Number(req.body.quantity);
+
+    // null turns proxy bidding off
+    const requestedLimit = req.body.proxyLimit === undefined ? bid.proxyLimit : req.body.proxyLimit;
+    const proxyLimit = requestedLimit === undefined || requestedLimit === null
+      ? undefined
+      : Number(requestedLimit);
+
+    const termsChanged = amount !== bid.bidAmount || quantity !== bid.quantity;
+    if (!termsChanged && proxyLimit === bid.proxyLimit) {
+      return res.status(400).json({
+        success: false,
+        message: 'Change the amount, quantity or proxy limit to update your bid'
+      });
+    }
+
+    const error = checkBidAmount(product, amount) ||
+      checkBidQuantity(product, quantity) ||
+      checkProxyLimit(product, amount, proxyLimit);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    // The owner only hears about new terms; a new bid answers any open
+    // counter-offer
+    const update = proxyLimit === undefined
+      ? { $unset: { proxyLimit: 1 } }
+      : { $set: { proxyLimit } };
+    if (termsChanged) {
+      update.$set = { ...update.$set, bidAmount: amount, quantity };
+      update.$unset = { ...update.$unset, counterOffer: 1 };
+      update.$push = {
+        offers: { by: 'bidder', action: 'updated', amount, quantity, message: req.body.message }
+      };
+    }
+
+    let updated = await updatePendingBid(bid, update);
+    if (!updated) return bidChanged(res);
+
+    if (termsChanged) {
+      const unit = getUnit(product.unit).label;
+      await publishBidEvent(product._id, 'bid-updated', { bid: bidSummary(updated) });
+      await notifyNegotiation(product.user, product, {
+        type: 'bid-updated',
+        title: 'A bid on your listing changed',
+        message: `${req.user.name} now offers ₹${amount}/${unit} for ${formatQuantity(quantity, product.unit)} of "${product.title}".`
+      });
+    }
+
+    // A new amount or a further limit can change who leads
+    const autoBids = await runProxyBids(product._id);
+    if (autoBids.length > 0) {
+      updated = await Bid.findById(bid._id)
+        .select(BID_PRIVATE_SELECT)
+        .populate('user', 'name email phone address') ?? updated;
+    }
+
+    res.json({
+      success: true,
+      message: 'Bid updated',
+      bid: { ...updated.toObject(), proxyLimit: proxyLimit ?? null }
+    });
+  } catch (error) {
+    console.error('Error updating bid:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Withdraw my pending bid
+// @route   PUT /api/product/:id/bids/:bidId/withdraw
+// @access  Private (bidder)
+export const withdrawBid = async (req, res) => {
+  try {
+    const loaded = await loadBid(req, res, 'bidder');
+    if (!loaded) return;
+    const { product, bid } = loaded;
+
+    const notOpen = negotiationError(product, bid);
+    if (notOpen) {
+      return res.status(400).json({
+        success: false,
+        message: notOpen
+      });
+    }
+
+    const updated = await updatePendingBid(bid, {
+      $set: { status: 'withdrawn' },
+      $unset: { counterOffer: 1 },
+      $push: { offers: { by: 'bidder', action: 'withdrawn', message: req.body.message } }
+    });
+    if (!updated) return bidChanged(res);
+
+    await publishBidEvent(product._id, 'bid-withdrawn', { bidIds: [bid._id] });
+    await notifyNegotiation(product.user, product, {
+      type: 'bid-withdrawn',
+      title: 'A bid on your listing was withdrawn',
+      message: `${req.user.name} withdrew their bid on "${product.title}".`
+    });
+
+    res.json({
+      success: true,
+      message: 'Bid withdrawn',
+      bid: updated
+    });
+  } catch (error) {
+    console.error('Error withdrawing bid:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Turn down a pending bid on my listing
+// @route   PUT /api/product/:id/bids/:bidId/reject
+// @access  Private (owner)
+export const rejectBid = async (req, res) => {
+  try {
+    const loaded = await loadBid(req, res, 'owner');
+    if (!loaded) return;
+    const { product, bid } = loaded;
+
+    const notOpen = negotiationError(product, bid);
+    if (notOpen) {
+      return res.status(400).json({
+        success: false,
+        message: notOpen
+      });
+    }
+
+    const reason = req.body.reason?.trim();
+    const updated = await updatePendingBid(bid, {
+      $set: { status: 'rejected' },
+      $unset: { counterOffer: 1 },
+      $push: { offers: { by: 'owner', action: 'rejected', message: reason } }
+    });
+    if (!updated) return bidChanged(res);
+
+    await publishBidEvent(product._id, 'bid-rejected', { bidIds: [bid._id], reason });
+    await notifyNegotiation(bid.user, product, {
+      type: 'bid-rejected',
+      title: 'Your bid was not accepted',
+      message: `Your bid on "${product.title}" was declined${reason ? `: ${reason}` : '.'}`,
+      email: true
+    });
+
+    res.json({
+      success: true,
+      message: 'Bid rejected',
+      bid: updated
+    });
+  } catch (error) {
+    console.error('Error rejecting bid:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Answer a pending bid with a counter-offer price
+// @route   PUT /api/product/:id/bids/:bidId/counter
+// @access  Private (owner)
+export const counterBid = async (req, res) => {
+  try {
+    const loaded = await loadBid(req, res, 'owner');
+    if (!loaded) return;
+    const { product, bid } = loaded;
+
+    const notOpen = negotiationError(product, bid);
+    if (notOpen) {
+      return res.status(400).json({
+        success: false,
+        message: notOpen
+      });
+    }
+
+    const amount = Number(req.body.amount);
+    const quantity = req.body.quantity === undefined
+      ? bid.quantity ?? product.remainingWeight
+      : Number(req.body.quantity);
+    const unit = getUnit(product.unit).label;
+
+    // Only worth sending if it asks for more (sell posts) or offers less (buy posts)
+    if (!Number.isFinite(amount) || amount <= 0 ||
+      (product.postType === 'sell' ? amount <= bid.bidAmount : amount >= bid.bidAmount)) {
+      return res.status(400).json({
+        success: false,
+        message: `Counter-offer must be ${product.postType === 'sell' ? 'higher' : 'lower'} than the bid of ₹${bid.bidAmount}/${unit}`
+      });
+    }
+
+    const quantityError = checkBidQuantity(product, quantity);
+    if (quantityError) {
+      return res.status(400).json({
+        success: false,
+        message: quantityError
+      });
+    }
+
+    const message = req.body.message?.trim();
+    const counterOffer = { amount, quantity, message, at: new Date() };
+
+    // Conditional on the amount we countered, in case the bidder just changed it
+    const updated = await updatePendingBid(
+      bid,
+      {
+        $set: { counterOffer: counterOffer },
+        $push: { offers: { by: 'owner', action: 'countered', amount, quantity, message } }
+      },
+      { bidAmount: bid.bidAmount }
+    );
+    if (!updated) return bidChanged(res);
+
+    // The terms are between the owner and this bidder
+    await publishBidEvent(product._id, 'bid-countered', { bidId: bid._id, counterOffer }, {
+      audience: [product.user._id, bid.user._id]
+    });
+    await notifyNegotiation(bid.user, product, {
+      type: 'bid-countered',
+      title: 'You received a counter-offer',
+      message: `The owner of "${product.title}" offers ₹${amount}/${unit} for ${formatQuantity(quantity, product.unit)}${message ? `: ${message}` : '.'}`,
+      email: true
+    });
+
+    res.json({
+      success: true,
+      message: 'Counter-offer sent',
+      bid: updated
+    });
+  } catch (error) {
+    console.error('Error sending counter-offer:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Accept the owner's counter-offer, which closes the deal
+// @route   PUT /api/product/:id/bids/:bidId/accept-counter
+// @access  Private (bidder)
+export const acceptCounterOffer = async (req, res) => {
+  try {
+    const loaded = await loadBid(req, res, 'bidder');
+    if (!loaded) return;
+    const { product, bid } = loaded;
+
+    const notOpen = negotiationError(product, bid);
+    if (notOpen) {
+      return res.status(400).json({
+        success: false,
+        message: notOpen
+      });
+    }
+
+    const counter = bid.counterOffer;
+    if (counter?.amount === undefined || counter?.amount === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'There is no counter-offer on this bid'
+      });
+    }
+
+    const quantity = counter.quantity ?? bid.quantity ?? product.remainingWeight;
+    if (quantity > product.remainingWeight) {
+      return res.status(400).json({
+        success: false,
+        message: `Only ${formatQuantity(product.remainingWeight, product.unit)} left on this listing`
+      });
+    }
+
+    // Take the counter-offer's terms, then accept exactly as the owner would
+    const agreed = await updatePendingBid(
+      bid,
+      {
+        $set: { bidAmount: counter.amount, quantity },
+        $unset: { counterOffer: 1 },
+        $push: {
+          offers: { by: 'bidder', action: 'counter-accepted', amount: counter.amount, quantity }
+        }
+      },
+      { 'counterOffer.amount': counter.amount }
+    );
+    if (!agreed) return bidChanged(res);
+
+    const accepted = await acceptBidLot(product, agreed, quantity, { by: 'bidder' });
+    if (!accepted) {
+      // Back to the bid and counter-offer as they were
+      const revert = {
+        $set: {
+          bidAmount: bid.bidAmount,
+          counterOffer: { amount: counter.amount, quantity: counter.quantity, message: counter.message, at: counter.at }
+        },
+        $pop: { offers: 1 }
+      };
+      if (bid.quantity === undefined) revert.$unset = { quantity: 1 };
+      else revert.$set.quantity = bid.quantity;
+
+      await Bid.updateOne(
+        { _id: bid._id, status: 'pending', bidAmount: counter.amount, 'counterOffer.amount': { $exists: false } },
+        revert
+      ).catch(error => console.error('Failed to restore counter-offer:', error.message));
+      return bidChanged(res);
+    }
+
+    const { order } = accepted;
+    const { totalPrice, companyRevenue, sellerEarning } = lotFinancials(quantity, agreed.bidAmount);
+
+    await notifyNegotiation(product.user, product, {
+      type: 'counter-accepted',
+      title: 'Your counter-offer was accepted',
+      message: `${req.user.name} accepted ₹${agreed.bidAmount}/${getUnit(product.unit).label} for ${formatQuantity(quantity, product.unit)} of "${product.title}". The order has been created.`,
+      email: true
+    });
+
+    await order.populate('product', 'title images slug');
+    await order.populate('seller', 'name email phone');
+    await order.populate('buyer', 'name email phone');
+
+    res.json({
+      success: true,
+      message: 'Counter-offer accepted. Your order has been created',
+      financials: {
+        totalTransaction: totalPrice,
+        companyRevenue,
+        sellerEarning,
+        commissionRate: `${COMMISSION_RATE * 100}%`
+      },
+      order
+    });
+  } catch (error) {
+    console.error('Error accepting counter-offer:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    The offer thread of one bid
+// @route   GET /api/product/:id/bids/:bidId/thread
+// @access  Private (owner and that bidder)
+export const getBidThread = async (req, res) => {
+  try {
+    const loaded = await loadBid(req, res, 'either');
+    if (!loaded) return;
+    const { product, bid } = loaded;
+
+    // Bids from before offer threads start with their original offer
+    const offers = bid.offers.length > 0
+      ? bid.offers
+      : [{ by: 'bidder', action: 'placed', amount: bid.bidAmount, quantity: bid.quantity, at: bid.bidAt }];
+
+    res.json({
+      success: true,
+      product: { _id: product._id, title: product.title, unit: product.unit },
+      bid: {
+        ...bidSummary(bid),
+        counterOffer: bid.counterOffer?.amount === undefined ? null : bid.counterOffer
+      },
+      offers
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// One page of the listings a user has bids on, as ids in page order, with
+// the total. Bids are narrowed by `bidMatch` and listings by `productMatch`
+// (fields prefixed with `product.`), so paging happens in the database.
+const pageOfBidListings = async (userId, { bidMatch = {}, productMatch = {}, sort, skip, limit }) => {
+  const [result] = await Bid.aggregate([
+    { $match: { user: userId, ...bidMatch } },
+    { $group: { _id: '$product' } },
+    {
+      $lookup: {
+        from: 'products',
+        localField: '_id',
+        foreignField: '_id',
+        pipeline: [{ $project: { status: 1, postType: 1, createdAt: 1, updatedAt: 1 } }],
+        as: 'product'
+      }
+    },
+    { $unwind: '$product' },
+    { $match: productMatch },
+    { $sort: { ...sort, _id: -1 } },
+    {
+      $facet: {
+        ids: [{ $skip: skip }, { $limit: limit }],
+        total: [{ $count: 'count' }]
+      }
+    }
+  ]);
+
+  return {
+    ids: result.ids.map(({ _id }) => _id),
+    total: result.total[0]?.count ?? 0
+  };
+};
+
+// Listings by id, in the order of `ids`
+const findInOrder = async (ids, query) => {
+  const products = await query.where({ _id: { $in: ids } });
+  const byId = new Map(products.map(product => [product._id.toString(), product]));
+  return ids.map(id => byId.get(id.toString())).filter(Boolean);
+};
 
 export const getMyBids = async (req, res) => {
   try {
@@ -296,40 +998,37 @@ export const getMyBids = async (req, res) => {
     const limitNum = parseInt(limit);
     const skip = (pageNum - 1) * limitNum;
 
-    // Find products where user has placed bids
-    const query = { 
-      'bids.user': req.user.id 
-    };
-
-    if (status && status !== 'all') {
-      query.status = status;
-    }
+    // Listings where the user has placed bids
+    const { ids, total } = await pageOfBidListings(req.user._id, {
+      productMatch: status && status !== 'all' ? { 'product.status': status } : {},
+      sort: { 'product.createdAt': -1 },
+      skip,
+      limit: limitNum
+    });
 
-    const products = await Product.find(query)
+    const products = await findInOrder(ids, Product.find()
       .populate('user', 'name email phone address')
-      .populate('bids.user', 'name email')
-      .populate('bidWinner.user', 'name email')
-      .sort({ createdAt: -1 })
-      .limit(limitNum)
-      .skip(skip);
+      .populate('bidWinner.user', 'name email'));
+
+    // Only the user's own bids are returned, so their proxy limits and
+    // negotiation details can be too
+    const myBids = await Bid.find({ user: req.user._id, product: { $in: ids } })
+      .select(`+proxyLimit ${BID_PRIVATE_SELECT}`)
+      .populate('user', 'name email')
+      .sort({ bidAt: 1 });
+
+    const bidCounts = await Bid.aggregate([
+      { $match: { product: { $in: ids } } },
+      { $group: { _id: '$product', count: { $sum: 1 } } }
+    ]);
+    const countsByProduct = new Map(bidCounts.map(({ _id, count }) => [_id.toString(), count]));
 
-    // Filter and format bids for the current user - SAFELY
     const biddingHistory = products.map(product => {
-      // Safely filter user's bids
-      const userBids = product.bids.filter(bid => {
-        // Check if bid.user exists and has _id
-        return bid.user && bid.user._id && bid.user._id.toString() === req.user.id;
-      });
-      
-      if (userBids.length === 0) return null; // Skip if no valid bids found
-
-      const latestBid = userBids[userBids.length - 1]; // Get latest bid
-      
-      // Safely check if user is winner
-      const isWinner = product.bidWinner && 
-                      product.bidWinner.user &&
-                      product.bidWinner.user._id &&
-                      product.bidWinner.user._id.toString() === req.user.id;
+      const userBids = myBids.filter(bid => bid.product.equals(product._id));
+      const latestBid = userBids[userBids.length - 1];
+
+      // Any accepted lot makes the user a winner
+      const isWinner = userBids.some(bid => bid.status === 'accepted');
 
       return {
         product: {
@@ -339,6 +1038,7 @@ export const getMyBids = async (req, res) => {
           images: product.images,
           pricePerKg: product.pricePerKg,
           totalWeight: product.totalWeight,
+          remainingWeight: product.remainingWeight,
           status: product.status,
           user: product.user
         },
@@ -346,11 +1046,9 @@ export const getMyBids = async (req, res) => {
         allMyBids: userBids,
         isWinner: isWinner,
         bidWinner: product.bidWinner,
-        totalBidsOnProduct: product.bids.length
+        totalBidsOnProduct: countsByProduct.get(product._id.toString()) || 0
       };
-    }).filter(item => item !== null); // Remove null entries
-
-    const total = await Product.countDocuments(query);
+    });
 
     res.json({
       success: true,
@@ -381,26 +1079,29 @@ export const getMyWins = async (req, res) => {
     const limitNum = parseInt(limit);
     const skip = (pageNum - 1) * limitNum;
 
-    // Find products where user is the bid winner
-    const query = { 
-      'bidWinner.user': req.user.id,
-      status: 'sold'
-    };
-
-    console.log(query)
+    // Seller posts where the user won at least one lot
+    const { ids, total } = await pageOfBidListings(req.user._id, {
+      bidMatch: { status: 'accepted' },
+      productMatch: { 'product.postType': 'sell' },
+      sort: { 'product.updatedAt': -1 },
+      skip,
+      limit: limitNum
+    });
 
-    const products = await Product.find(query)
+    const products = await findInOrder(ids, Product.find()
       .populate('user', 'name email phone address')
-      .populate('bidWinner.user', 'name email phone')
-      .sort({ soldAt: -1 })
-      .limit(limitNum)
-      .skip(skip);
+      .populate('bidWinner.user', 'name email phone'));
 
-    const total = await Product.countDocuments(query);
+    const lots = await Bid.find({ user: req.user._id, product: { $in: ids }, status: 'accepted' })
+      .select(BID_PRIVATE_SELECT)
+      .sort({ acceptedAt: 1 });
 
     res.json({
       success: true,
-      wonProducts: products,
+      wonProducts: products.map(product => ({
+        ...product.toObject(),
+        myLots: lots.filter(bid => bid.product.equals(product._id))
+      })),
       pagination: {
         page: pageNum,
         limit: limitNum,
@@ -425,12 +1126,12 @@ export const getProductWithBids = async (req, res) => {
     if (mongoose.Types.ObjectId.isValid(req.params.id)) {
       product = await Product.findById(req.params.id)
         .populate('user', 'name email phone address')
-        .populate('bids.user', 'name email phone')
+        .populate({ path: 'bids', select: BID_PRIVATE_SELECT, populate: { path: 'user', select: 'name email phone' } })
         .populate('bidWinner.user', 'name email phone');
     } else {
       product = await Product.findOne({ slug: req.params.id })
         .populate('user', 'name email phone address')
-        .populate('bids.user', 'name email phone')
+        .populate({ path: 'bids', select: BID_PRIVATE_SELECT, populate: { path: 'user', select: 'name email phone' } })
         .populate('bidWinner.user', 'name email phone');
     }
 
@@ -457,11 +1158,21 @@ export const getProductWithBids = async (req, res) => {
       bid.user._id.toString() === req.user.id
     );
 
+    // The owner sees the negotiation on every bid, a bidder only on their own
+    const isOwner = product.user._id.toString() === req.user.id;
+    const bids = product.bids.map(bid => {
+      const shown = bid.toObject();
+      if (!isOwner && bid.user._id.toString() !== req.user.id) {
+        for (const field of BID_PRIVATE_FIELDS) delete shown[field];
+      }
+      return shown;
+    });
+
     res.json({
       success: true,
-      product,
+      product: { ...product.toObject(), bids },
       myBid: myBid || null,
-      canAcceptBids: product.user._id.toString() === req.user.id
+      canAcceptBids: isOwner
     });
 
   } catch (error) {
@@ -470,4 +1181,93 @@ export const getProductWithBids = async (req, res) => {
       message: error.message
     });
   }
-};
\ No newline at end of file
+};
+
+const HEARTBEAT_MS = 25 * 1000;
+
+// @desc    Live bid updates for a listing as Server-Sent Events
+// @route   GET /api/product/:id/bids/stream
+// @access  Private (owner and bidders, as for /with-bids)
+export const streamBidEvents = async (req, res) => {
+  try {
+    const product = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await Product.findById(req.params.id).select('user')
+      : await Product.findOne({ slug: req.params.id }).select('user');
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    const canViewBids = product.user.toString() === req.user.id ||
+                       await Bid.exists({ product: product._id, user: req.user._id });
+
+    if (!canViewBids) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view bids for this product'
+      });
+    }
+
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('Connection', 'keep-alive');
+    res.setHeader('X-Accel-Buffering', 'no');
+    res.flushHeaders();
+
+    // Event ids only grow, so anything at or before the last one sent is a repeat
+    let lastSentId = req.get('last-event-id') || null;
+    const send = (event) => {
+      const id = event._id.toString();
+      if (lastSentId && id <= lastSentId) return;
+      if (!canSeeBidEvent(event, req.user.id)) return;
+      lastSentId = id;
+      res.write(`id: ${id}\nevent: ${event.type}\ndata: ${JSON.stringify({
+        productId: product._id,
+        at: event.createdAt,
+        ...event.data
+      })}\n\n`);
+    };
+
+    // Hold live events back until a reconnecting client has caught up
+    let queued = [];
+    const unsubscribe = subscribeToBidEvents(product._id, (event) =>
+      queued ? queued.push(event) : send(event)
+    );
+    for (const event of await getMissedBidEvents(product._id, lastSentId)) {
+      send(event);
+    }
+    queued.forEach(send);
+    queued = null;
+
+    // Keeps proxies from closing the connection, and ends the stream once
+    // the user logs out or their session is revoked
+    const heartbeat = setInterval(async () => {
+      try {
+        const session = await Session.findById(req.sessionId);
+        if (!session || !session.isValid()) {
+          res.write('event: end\ndata: session-expired\n\n');
+          res.end();
+          return;
+        }
+        res.write(': keep-alive\n\n');
+      } catch (error) {
+        console.error('Bid stream heartbeat failed:', error.message);
+      }
+    }, HEARTBEAT_MS);
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    });
+  } catch (error) {
+    console.error('Error streaming bids:', error);
+    if (res.headersSent) return res.end();
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
@@ -1,9 +1,22 @@
 import Category from "../models/category.js";
+import Product from "../models/Product.js";
+import { UNIT_NAMES } from "../config/units.js";
+
+// Returns an error message for a bad unit or grades list, otherwise null
+const checkUnitAndGrades = (unit, grades) => {
+    if (unit !== undefined && !UNIT_NAMES.includes(unit)) {
+        return `Unit must be one of: ${UNIT_NAMES.join(', ')}`;
+    }
+    if (grades !== undefined && (!Array.isArray(grades) || !grades.every((grade) => typeof grade === 'string' && grade.trim()))) {
+        return 'Grades must be a list of names';
+    }
+    return null;
+};
 
 // Create category
 export const createCategory = async (req, res) => {
     try {
-        const { name } = req.body;
+        const { name, unit, grades } = req.body;
 
         // Simple validation
         if (!name) {
@@ -12,6 +25,13 @@ export const createCategory = async (req, res) => {
             });
         }
 
+        const invalid = checkUnitAndGrades(unit, grades);
+        if (invalid) {
+            return res.status(400).json({
+                message: invalid
+            });
+        }
+
         // Check if category exists
         const existingCategory = await Category.findOne({ name });
         if (existingCategory) {
@@ -21,7 +41,11 @@ export const createCategory = async (req, res) => {
         }
 
         // Create category
-        const category = await Category.create({ name });
+        const category = await Category.create({
+            name,
+            unit,
+            grades: grades?.map((grade) => grade.trim())
+        });
 
         res.status(201).json({
             message: 'Category created successfully',
@@ -77,7 +101,7 @@ export const getCategoryById = async (req, res) => {
 // Update category
 export const updateCategory = async (req, res) => {
     try {
-        const { name } = req.body;
+        const { name, unit, grades } = req.body;
 
         if (!name) {
             return res.status(400).json({
@@ -85,6 +109,13 @@ export const updateCategory = async (req, res) => {
             });
         }
 
+        const invalid = checkUnitAndGrades(unit, grades);
+        if (invalid) {
+            return res.status(400).json({
+                message: invalid
+            });
+        }
+
         // Check if name already exists (excluding current category)
         const existingCategory = await Category.findOne({ 
             name, 
@@ -99,7 +130,12 @@ export const updateCategory = async (req, res) => {
 
         const category = await Category.findByIdAndUpdate(
             req.params.id,
-            { name },
+            {
+                name,
+                // Existing listings keep the unit they were created with
+                ...(unit !== undefined && { unit }),
+                ...(grades !== undefined && { grades: grades.map((grade) => grade.trim()) })
+            },
             { new: true }  // Return updated document
         );
 
@@ -109,6 +145,9 @@ export const updateCategory = async (req, res) => {
             });
         }
 
+        // Products carry the category name in their search index
+        await Product.reindexSearch({ category: category._id });
+
         res.status(200).json({
             message: 'Category updated successfully',
             category: category
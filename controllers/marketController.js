@@ -0,0 +1,54 @@
+import mongoose from 'mongoose';
+import { INTERVALS, MAX_DAYS, getPriceIndex } from '../utils/marketPrices.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// @desc    Market price index per category and state from accepted bids and completed orders
+// @route   GET /api/market/prices
+// @access  Public
+export const getMarketPrices = async (req, res) => {
+  try {
+    const { category, state, postType, interval = 'daily', days } = req.query;
+
+    if (!INTERVALS[interval]) {
+      return res.status(400).json({
+        success: false,
+        message: 'Interval must be "daily" or "weekly"',
+      });
+    }
+
+    if (category && category !== 'all' && !mongoose.Types.ObjectId.isValid(category)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid category',
+      });
+    }
+
+    const dayCount = Math.min(parseInt(days) || INTERVALS[interval].defaultDays, MAX_DAYS);
+    const to = new Date();
+    const from = new Date(to.getTime() - dayCount * DAY_MS);
+
+    const series = await getPriceIndex({
+      category: category !== 'all' ? category : undefined,
+      state: state !== 'all' ? state : undefined,
+      postType: ['sell', 'buy'].includes(postType) ? postType : undefined,
+      interval,
+      from,
+      to,
+    });
+
+    res.json({
+      success: true,
+      interval,
+      from,
+      to,
+      series,
+    });
+  } catch (error) {
+    console.error('Error fetching market prices:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
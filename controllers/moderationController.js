@@ -0,0 +1,144 @@
+import Product from '../models/Product.js';
+import {
+  canTransition,
+  transitionError,
+  transitionListing,
+  notifyListingReviewed,
+} from '../utils/listingStatus.js';
+import { notifySavedSearches } from '../utils/savedSearchAlerts.js';
+
+// @desc    Get the listing review queue, oldest submission first
+// @route   GET /api/admin/listing-reviews
+// @access  Private (Admin only)
+export const getListingReviews = async (req, res) => {
+  try {
+    const { status = 'pending-review', page = 1, limit = 10 } = req.query;
+
+    if (!['pending-review', 'rejected'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Status must be "pending-review" or "rejected"',
+      });
+    }
+
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    const skip = (pageNum - 1) * limitNum;
+
+    const query = { status };
+
+    const products = await Product.find(query)
+      .populate('user', 'name email phone createdAt sellerVerification.status')
+      .populate('category', 'name')
+      .populate('moderation.reviewedBy', 'name')
+      .sort({ 'moderation.submittedAt': 1 })
+      .limit(limitNum)
+      .skip(skip);
+
+    const total = await Product.countDocuments(query);
+
+    res.json({
+      success: true,
+      products,
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        totalPages: Math.ceil(total / limitNum),
+        totalProducts: total,
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching listing reviews:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Approve or reject a listing waiting for review
+// @route   PUT /api/admin/listing-reviews/:productId
+// @access  Private (Admin only)
+export const reviewListing = async (req, res) => {
+  try {
+    const { decision, reason } = req.body;
+
+    if (!['approved', 'rejected'].includes(decision)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Decision must be "approved" or "rejected"',
+      });
+    }
+
+    if (decision === 'rejected' && !reason?.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'A reason is required when rejecting',
+      });
+    }
+
+    const product = await Product.findById(req.params.productId).populate(
+      'user',
+      'name email phone isActive'
+    );
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found',
+      });
+    }
+
+    const target = decision === 'approved' ? 'active' : 'rejected';
+    if (!canTransition(product.status, target)) {
+      return res.status(400).json({
+        success: false,
+        message: transitionError(product.status, target),
+      });
+    }
+
+    if (decision === 'approved' && !product.user.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'The owner of this listing is suspended',
+      });
+    }
+
+    const now = new Date();
+    const review = { 'moderation.reviewedAt': now, 'moderation.reviewedBy': req.user._id };
+    const reviewed = await transitionListing(
+      product,
+      target,
+      decision === 'approved'
+        ? { set: { ...review, publishedAt: now }, unset: { 'moderation.rejectionReason': 1 } }
+        : { set: { ...review, 'moderation.rejectionReason': reason.trim() } }
+    );
+
+    if (!reviewed) {
+      return res.status(409).json({
+        success: false,
+        message: 'Listing changed while reviewing. Please try again',
+      });
+    }
+
+    if (reviewed.status === 'active') {
+      notifySavedSearches(reviewed).catch((error) =>
+        console.error('Saved search alerts failed:', error.message)
+      );
+    }
+
+    await notifyListingReviewed(product.user, reviewed);
+
+    res.json({
+      success: true,
+      message: `Listing ${decision}`,
+      product: reviewed,
+    });
+  } catch (error) {
+    console.error('Error reviewing listing:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
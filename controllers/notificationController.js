@@ -0,0 +1,101 @@
+import mongoose from 'mongoose';
+import Notification from '../models/Notification.js';
+
+// @desc    Get the logged-in user's notifications, newest first
+// @route   GET /api/notifications
+// @access  Private
+export const getNotifications = async (req, res) => {
+  try {
+    const { unread, page = 1, limit = 20 } = req.query;
+
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    const skip = (pageNum - 1) * limitNum;
+
+    const query = { user: req.user._id };
+    if (unread === 'true') query.readAt = null;
+
+    const notifications = await Notification.find(query)
+      .populate('products', 'title slug images pricePerKg unit status')
+      .sort({ createdAt: -1 })
+      .limit(limitNum)
+      .skip(skip);
+
+    const total = await Notification.countDocuments(query);
+    const unreadCount = await Notification.countDocuments({
+      user: req.user._id,
+      readAt: null,
+    });
+
+    res.json({
+      success: true,
+      notifications,
+      unreadCount,
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        totalPages: Math.ceil(total / limitNum),
+        totalNotifications: total,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Mark one notification as read
+// @route   PUT /api/notifications/:id/read
+// @access  Private
+export const markNotificationRead = async (req, res) => {
+  try {
+    const notification = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await Notification.findOneAndUpdate(
+          { _id: req.params.id, user: req.user._id },
+          { $min: { readAt: new Date() } },
+          { new: true }
+        )
+      : null;
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      notification,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Mark all notifications as read
+// @route   PUT /api/notifications/read-all
+// @access  Private
+export const markAllNotificationsRead = async (req, res) => {
+  try {
+    const result = await Notification.updateMany(
+      { user: req.user._id, readAt: null },
+      { readAt: new Date() }
+    );
+
+    res.json({
+      success: true,
+      message: `${result.modifiedCount} notification(s) marked as read`,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
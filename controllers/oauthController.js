@@ -0,0 +1,311 @@
+import jwt from 'jsonwebtoken';
+import User from '../models/User.js';
+import { PUBLIC_ROLES } from '../config/roles.js';
+import { getOAuthProvider } from '../config/oauth.js';
+import { createAuthorizationRequest, exchangeCode } from '../utils/oauth.js';
+import { createSession } from '../utils/session.js';
+import {
+  setAuthCookies,
+  sendLoginResponse,
+  createTwoFactorChallenge,
+} from '../utils/sendToken.js';
+import { sendSms, smsTemplates, normalizePhone } from '../utils/sendSms.js';
+import { withGeo } from '../utils/geocode.js';
+
+const STATE_COOKIE = 'oauth_state';
+const STATE_TTL_MS = 10 * 60 * 1000;
+const RESULT_COOKIE = 'oauth_result';
+const RESULT_TTL_MS = 5 * 60 * 1000;
+
+const callbackUrl = (req, provider) =>
+  `${process.env.API_URL || `${req.protocol}://${req.get('host')}`}/api/auth/oauth/${provider}/callback`;
+
+// Send the browser back to the frontend with the outcome in the query string
+const redirectToClient = (res, params) => {
+  const url = new URL('/oauth/callback', process.env.CLIENT_URL);
+  url.search = new URLSearchParams(params).toString();
+  res.redirect(url.toString());
+};
+
+// Tokens never go in the redirect URL, where browser history, proxies and
+// Referer headers would keep them. They wait in a short-lived cookie that
+// the frontend redeems once at POST /api/auth/oauth/result.
+const redirectWithResult = (res, status, result) => {
+  const payload = jwt.sign(
+    { purpose: 'oauth-result', status, ...result },
+    process.env.JWT_SECRET,
+    { expiresIn: RESULT_TTL_MS / 1000 }
+  );
+
+  res.cookie(RESULT_COOKIE, payload, {
+    expires: new Date(Date.now() + RESULT_TTL_MS),
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'strict',
+    path: '/api/auth/oauth',
+  });
+  redirectToClient(res, { status });
+};
+
+// @route GET /api/auth/oauth/:provider
+export const startOAuth = async (req, res) => {
+  try {
+    const provider = getOAuthProvider(req.params.provider);
+
+    if (!provider) {
+      return res.status(404).json({
+        success: false,
+        message: 'Sign-in provider not available',
+      });
+    }
+
+    const request = await createAuthorizationRequest(
+      provider,
+      callbackUrl(req, provider.name)
+    );
+
+    // Bind the flow to this browser. Lax so it survives the provider redirect.
+    const state = jwt.sign(
+      {
+        provider: provider.name,
+        state: request.state,
+        nonce: request.nonce,
+        codeVerifier: request.codeVerifier,
+      },
+      process.env.JWT_SECRET,
+      { expiresIn: STATE_TTL_MS / 1000 }
+    );
+
+    res
+      .cookie(STATE_COOKIE, state, {
+        expires: new Date(Date.now() + STATE_TTL_MS),
+        httpOnly: true,
+        secure: process.env.NODE_ENV === 'production',
+        sameSite: 'lax',
+        path: '/api/auth/oauth',
+      })
+      .redirect(request.url);
+  } catch (error) {
+    console.error('Error starting OAuth:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @route GET /api/auth/oauth/:provider/callback
+export const oauthCallback = async (req, res) => {
+  res.clearCookie(STATE_COOKIE, { path: '/api/auth/oauth' });
+
+  try {
+    const provider = getOAuthProvider(req.params.provider);
+    const { code, state, error } = req.query;
+
+    if (error) {
+      return redirectToClient(res, { status: 'error', message: String(error) });
+    }
+
+    let saved;
+    try {
+      saved = jwt.verify(req.cookies[STATE_COOKIE], process.env.JWT_SECRET);
+    } catch (err) {
+      saved = null;
+    }
+
+    if (!provider || !saved || saved.provider !== provider.name || saved.state !== state) {
+      return redirectToClient(res, {
+        status: 'error',
+        message: 'Sign-in expired or was started elsewhere. Please try again',
+      });
+    }
+
+    const claims = await exchangeCode(provider, {
+      code,
+      redirectUri: callbackUrl(req, provider.name),
+      codeVerifier: saved.codeVerifier,
+      nonce: saved.nonce,
+    });
+
+    const email = claims.email_verified === true ? claims.email?.toLowerCase() : undefined;
+
+    // Known identity first, then link by verified email
+    let user = await User.findOne({
+      oauthAccounts: { $elemMatch: { provider: provider.name, subject: claims.sub } },
+    });
+
+    if (!user && email) {
+      user = await User.findOne({ email });
+
+      // Whoever registered an unverified account may not own the address
+      // and could still sign in with their password or phone, so it is not
+      // handed to the provider's user
+      if (user && !user.hasVerifiedEmail()) {
+        return redirectToClient(res, {
+          status: 'error',
+          message: 'An account with this email already exists. Sign in and verify your email before linking it',
+        });
+      }
+
+      if (user) {
+        user.oauthAccounts.push({ provider: provider.name, subject: claims.sub, email });
+        await user.save({ validateBeforeSave: false });
+      }
+    }
+
+    if (!user) {
+      // New account: the frontend asks for role and phone, then calls
+      // /api/auth/oauth/complete with this token
+      const signupToken = jwt.sign(
+        {
+          purpose: 'oauth-signup',
+          provider: provider.name,
+          subject: claims.sub,
+          email,
+          name: claims.name,
+          picture: claims.picture,
+        },
+        process.env.JWT_SECRET,
+        { expiresIn: '30m' }
+      );
+
+      return redirectWithResult(res, 'signup', {
+        signupToken,
+        name: claims.name || '',
+        email: email || '',
+      });
+    }
+
+    if (user.twoFactor?.enabled) {
+      return redirectWithResult(res, '2fa', {
+        challengeToken: createTwoFactorChallenge(user),
+      });
+    }
+
+    const { session, refreshToken } = await createSession(user, req);
+    setAuthCookies(req, res, user, session, refreshToken);
+
+    redirectToClient(res, { status: 'success' });
+  } catch (error) {
+    console.error('Error in OAuth callback:', error);
+    redirectToClient(res, { status: 'error', message: 'Sign-in failed' });
+  }
+};
+
+// @route POST /api/auth/oauth/result
+export const getOAuthResult = async (req, res) => {
+  res.clearCookie(RESULT_COOKIE, { path: '/api/auth/oauth' });
+
+  let result;
+  try {
+    result = jwt.verify(req.cookies[RESULT_COOKIE], process.env.JWT_SECRET);
+  } catch (error) {
+    result = null;
+  }
+
+  if (!result || result.purpose !== 'oauth-result') {
+    return res.status(401).json({
+      success: false,
+      message: 'Sign-in expired. Please sign in again',
+    });
+  }
+
+  const { status, signupToken, challengeToken, name, email } = result;
+
+  res.json({
+    success: true,
+    status,
+    ...(status === 'signup' ? { signupToken, name, email } : { challengeToken }),
+  });
+};
+
+// @route POST /api/auth/oauth/complete
+export const completeOAuthSignup = async (req, res) => {
+  try {
+    const { signupToken, role, phone, address } = req.body;
+
+    let profile;
+    try {
+      profile = jwt.verify(signupToken, process.env.JWT_SECRET);
+    } catch (error) {
+      profile = null;
+    }
+
+    if (!profile || profile.purpose !== 'oauth-signup') {
+      return res.status(401).json({
+        success: false,
+        message: 'Sign-up expired. Please sign in again',
+      });
+    }
+
+    if (!PUBLIC_ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Role must be "seller" or "buyer"',
+      });
+    }
+
+    if (!phone) {
+      return res.status(400).json({
+        success: false,
+        message: 'Phone number is required',
+      });
+    }
+
+    const existingUser = await User.findOne({
+      $or: [
+        { phone: normalizePhone(phone) },
+        {
+          oauthAccounts: {
+            $elemMatch: { provider: profile.provider, subject: profile.subject },
+          },
+        },
+        ...(profile.email ? [{ email: profile.email }] : []),
+      ],
+    });
+    if (existingUser) {
+      return res.status(400).json({
+        success: false,
+        message: 'User already exists',
+      });
+    }
+
+    const user = await User.create({
+      name: profile.name || 'Annanewa user',
+      email: profile.email,
+      phone,
+      address: withGeo(address),
+      role,
+      profilePicture: profile.picture ? { url: profile.picture } : undefined,
+      isVerified: Boolean(profile.email),
+      isEmailVerified: Boolean(profile.email),
+      oauthAccounts: [
+        { provider: profile.provider, subject: profile.subject, email: profile.email },
+      ],
+    });
+
+    // Without a verified email from the provider, fall back to SMS verification
+    if (!user.isVerified) {
+      const verificationToken = user.getVerificationToken();
+      await user.save();
+
+      await sendSms({
+        phone: user.phone,
+        message: smsTemplates.verification(verificationToken),
+      });
+
+      return res.status(201).json({
+        success: true,
+        message: 'Account created. Check your phone for the verification code.',
+        verifyVia: 'phone',
+      });
+    }
+
+    await sendLoginResponse(user, req, res, 'Account created successfully');
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
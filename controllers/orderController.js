@@ -1,4 +1,5 @@
 import Order from "../models/Order.js";
+import { PERMISSIONS } from "../config/roles.js";
 
 export const getMyOrders = async (req, res) => {
   try {
@@ -75,7 +76,7 @@ export const getOrder = async (req, res) => {
 
     const isSeller = order.seller._id.toString() === req.user.id;
     const isBuyer = order.buyer._id.toString() === req.user.id;
-    const isAdmin = req.user.role === "admin";
+    const isAdmin = req.user.hasPermission(PERMISSIONS.ORDERS_READ);
 
     if (!isSeller && !isBuyer && !isAdmin) {
       return res.status(403).json({
@@ -117,7 +118,7 @@ export const updateOrderStatus = async (req, res) => {
       });
     }
 
-    if (req.user.role !== "admin") {
+    if (!req.user.hasPermission(PERMISSIONS.ORDERS_UPDATE)) {
       return res.status(403).json({
         success: false,
         message: "Only admin can update order status",
@@ -184,7 +185,7 @@ export const updateDeliveryStatus = async (req, res) => {
     }
 
     // ✅ FIXED: Allow both ADMIN and SELLER (order owner)
-    const isAdmin = req.user.role === "admin";
+    const isAdmin = req.user.hasPermission(PERMISSIONS.ORDERS_UPDATE);
     const isSeller = order.seller.toString() === req.user.id;
 
     if (!isAdmin && !isSeller) {
@@ -242,7 +243,7 @@ export const updatePaymentStatus = async (req, res) => {
     }
 
     const isSeller = order.seller.toString() === req.user.id;
-    const isAdmin = req.user.role === "admin";
+    const isAdmin = req.user.hasPermission(PERMISSIONS.ORDERS_UPDATE);
 
     if (!isSeller && !isAdmin) {
       return res.status(403).json({
@@ -492,7 +493,7 @@ export const deleteOrder = async (req, res) => {
       });
     }
 
-    if (req.user.role !== "admin") {
+    if (!req.user.hasPermission(PERMISSIONS.ORDERS_DELETE)) {
       return res.status(403).json({
         success: false,
         message: "Only admin can delete orders",
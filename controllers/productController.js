@@ -1,10 +1,176 @@
 import Product from "../models/Product.js";
+import Bid from "../models/Bid.js";
 import User from "../models/User.js";
+import Category from "../models/category.js";
 import mongoose from "mongoose";
+import { uploadToCloudinary } from "../utils/cloudinaryUpload.js";
+import { exceedsUnverifiedListingCap } from "../utils/sellerVerification.js";
+import { buildTextSearch } from "../utils/search.js";
 import {
-  uploadToCloudinary,
-  deleteFromCloudinary,
-} from "../utils/cloudinaryUpload.js";
+  withGeo,
+  parseNear,
+  parseRadiusKm,
+  nearFilters,
+  distanceKm,
+} from "../utils/geocode.js";
+import { getUnit, isValidQuantity, formatQuantity } from "../config/units.js";
+import { notifySavedSearches } from "../utils/savedSearchAlerts.js";
+import { getWatcherCounts, notifyWatchers } from "../utils/watchlist.js";
+import {
+  isAuction,
+  auctionPhase,
+  checkAuctionSettings,
+  auctionFields,
+} from "../utils/auctions.js";
+import { publishBidEvent } from "../utils/bidEvents.js";
+import {
+  NOT_PUBLIC_STATUSES,
+  canTransition,
+  transitionError,
+  transitionListing,
+  publishTarget,
+  publishListing,
+  removeListing,
+  requiresReview,
+} from "../utils/listingStatus.js";
+
+// Multipart forms send nested fields as JSON strings, JSON clients as objects
+const parseNested = (value) =>
+  typeof value === "string" ? JSON.parse(value) : value;
+
+const isBlank = (value) => value === undefined || value === null || value === "";
+
+// Check the unit-dependent fields of a listing against its category.
+// Returns an error message, or null when everything fits. Drafts may leave
+// the quantity out until they are published.
+const checkListingAttributes = (
+  category,
+  { totalWeight, grade, minOrderQuantity },
+  { draft = false } = {}
+) => {
+  const unit = getUnit(category.unit);
+  const hasWeight = !isBlank(totalWeight);
+
+  if ((hasWeight || !draft) && !isValidQuantity(Number(totalWeight), category.unit)) {
+    return `Total quantity must be ${
+      unit.fractional ? "more than 0" : "a whole number"
+    } ${unit.label}`;
+  }
+
+  if (grade && category.grades.length > 0 && !category.grades.includes(grade)) {
+    return `Grade must be one of: ${category.grades.join(", ")}`;
+  }
+
+  if (!isBlank(minOrderQuantity)) {
+    const minimum = Number(minOrderQuantity);
+    if (!isValidQuantity(minimum, category.unit) || (hasWeight && minimum > Number(totalWeight))) {
+      return `Minimum order must be between 0 and ${formatQuantity(Number(totalWeight), category.unit)}`;
+    }
+  }
+
+  return null;
+};
+
+const DRAFT_OPTIONAL_FIELDS = [
+  "description",
+  "pricePerKg",
+  "totalWeight",
+  "expiryDate",
+  "location.address",
+  "location.city",
+  "location.state",
+  "location.zipCode",
+];
+
+// Everything a draft may have left out has to be in place before the
+// listing goes live at `goesLiveAt`. Returns an error message or null.
+const checkReadyToPublish = async (product, user, goesLiveAt) => {
+  const missing = DRAFT_OPTIONAL_FIELDS.filter((path) => isBlank(product.get(path)));
+  if (missing.length > 0) {
+    return `Fill in ${missing.join(", ")} before publishing`;
+  }
+
+  if (product.expiryDate <= goesLiveAt) {
+    return "Expiry date must be after the listing goes live";
+  }
+
+  const category = await Category.findById(product.category);
+  if (!category) return "Category not found";
+
+  const attributeError = checkListingAttributes(category, product);
+  if (attributeError) return attributeError;
+
+  const cap = exceedsUnverifiedListingCap(user, product);
+  if (cap) {
+    return `Unverified sellers can list up to ${cap} in total value. Get verified to post larger listings.`;
+  }
+
+  if (isAuction(product)) {
+    return checkAuctionSettings(product.auction, { ...product.toObject(), goesLiveAt });
+  }
+
+  return null;
+};
+
+// What an owner may edit on a listing. Status, moderation, sold quantities
+// and the like change through their own endpoints or are derived.
+const EDITABLE_FIELDS = [
+  "title",
+  "description",
+  "pricePerKg",
+  "totalWeight",
+  "location",
+  "category",
+  "expiryDate",
+  "grade",
+  "moisturePercent",
+  "organicCertification",
+  "minOrderQuantity",
+  "auction",
+];
+const NESTED_FIELDS = ["location", "organicCertification", "auction"];
+
+// What moderation checks. Changing any of them, or adding images, sends an
+// approved listing back for review.
+const REVIEWED_FIELDS = ["title", "description", "pricePerKg", "category", "grade"];
+
+const changesReviewedField = (product, edits) =>
+  REVIEWED_FIELDS.some((field) => {
+    if (!(field in edits)) return false;
+    const current = product[field];
+    return typeof current === "number"
+      ? Number(edits[field]) !== current
+      : String(edits[field] ?? "") !== String(current ?? "");
+  });
+
+// Whether a request value names a MongoDB operator or path at any depth
+const hasOperatorKeys = (value) =>
+  value !== null &&
+  typeof value === "object" &&
+  Object.entries(value).some(
+    ([key, nested]) => key.startsWith("$") || key.includes(".") || hasOperatorKeys(nested)
+  );
+
+// The editable fields of a request, nested ones parsed. Null when the
+// request tries to smuggle in an operator.
+const pickEdits = (body = {}) => {
+  const edits = {};
+  for (const field of EDITABLE_FIELDS) {
+    if (body[field] === undefined) continue;
+    if (!NESTED_FIELDS.includes(field)) edits[field] = body[field];
+    else edits[field] = isBlank(body[field]) ? null : parseNested(body[field]);
+  }
+  return hasOperatorKeys(body) || hasOperatorKeys(edits) ? null : edits;
+};
+
+// Parse a requested publish time; undefined when none was given, null when
+// it is invalid or not in the future
+const parsePublishAt = (publishAt) => {
+  if (isBlank(publishAt)) return undefined;
+
+  const date = new Date(publishAt);
+  return Number.isNaN(date.getTime()) || date <= Date.now() ? null : date;
+};
 
 export const createProduct = async (req, res) => {
   try {
@@ -17,8 +183,31 @@ export const createProduct = async (req, res) => {
       category,
       expiryDate,
       postType, // 'sell' or 'buy'
+      grade,
+      moisturePercent,
+      organicCertification,
+      minOrderQuantity,
+      draft,
+      publishAt,
+      auction,
     } = req.body;
 
+    // Saved as a draft, scheduled for later, or published now
+    const isDraft = draft === true || draft === "true";
+    const scheduledFor = isDraft ? undefined : parsePublishAt(publishAt);
+    if (scheduledFor === null) {
+      return res.status(400).json({
+        success: false,
+        message: "Publish time must be in the future",
+      });
+    }
+    if (scheduledFor && new Date(expiryDate) <= scheduledFor) {
+      return res.status(400).json({
+        success: false,
+        message: "Expiry date must be after the listing goes live",
+      });
+    }
+
     // Validate post type based on user role
     if (!postType || !["sell", "buy"].includes(postType)) {
       return res.status(400).json({
@@ -27,6 +216,57 @@ export const createProduct = async (req, res) => {
       });
     }
 
+    const categoryDoc = mongoose.Types.ObjectId.isValid(category)
+      ? await Category.findById(category)
+      : null;
+    if (!categoryDoc) {
+      return res.status(400).json({
+        success: false,
+        message: "Category not found",
+      });
+    }
+
+    const attributeError = checkListingAttributes(
+      categoryDoc,
+      { totalWeight, grade, minOrderQuantity },
+      { draft: isDraft }
+    );
+    if (attributeError) {
+      return res.status(400).json({
+        success: false,
+        message: attributeError,
+      });
+    }
+
+    const auctionSettings = parseNested(auction);
+    if (auctionSettings) {
+      const auctionError = checkAuctionSettings(auctionSettings, {
+        postType,
+        pricePerKg,
+        expiryDate,
+        goesLiveAt: scheduledFor || new Date(),
+      });
+      if (auctionError) {
+        return res.status(400).json({
+          success: false,
+          message: auctionError,
+        });
+      }
+    }
+
+    const cap = exceedsUnverifiedListingCap(req.user, {
+      postType,
+      pricePerKg,
+      totalWeight,
+    });
+    if (cap) {
+      return res.status(403).json({
+        success: false,
+        message: `Unverified sellers can list up to ${cap} in total value. Get verified to post larger listings.`,
+        listingValueCap: cap,
+      });
+    }
+
     // Upload images
     const images = [];
     if (req.files && req.files.length > 0) {
@@ -39,27 +279,61 @@ export const createProduct = async (req, res) => {
       }
     }
 
+    const now = new Date();
+    let status = "draft";
+    if (!isDraft) {
+      status = scheduledFor
+        ? "scheduled"
+        : await publishTarget({ postType }, req.user);
+    }
+
     const product = await Product.create({
+      status,
+      publishAt: scheduledFor,
+      publishedAt: status === "active" ? now : undefined,
+      priceHistory: isBlank(pricePerKg) ? [] : [{ pricePerKg, changedAt: now }],
+      moderation: status === "pending-review" ? { submittedAt: now } : undefined,
       title,
       description,
       pricePerKg,
       totalWeight,
-      location: JSON.parse(location),
+      unit: categoryDoc.unit,
+      minOrderQuantity: minOrderQuantity || undefined,
+      grade,
+      moisturePercent,
+      organicCertification: parseNested(organicCertification),
+      auction: auctionSettings ? auctionFields(auctionSettings) : undefined,
+      location: withGeo(parseNested(location)),
       category,
       expiryDate,
       postType,
-      userRole: req.user.role, // Store who created this post
+      // The side of the trade, whatever the account role (staff can post too)
+      userRole: postType === "sell" ? "seller" : "buyer",
       user: req.user.id,
       images,
     });
 
     await product.populate("user", "name email role");
 
-    res.status(201).json({
-      success: true,
-      message: `Product ${
+    if (status === "active") {
+      // Alerts go out in the background; the seller doesn't wait for them
+      notifySavedSearches(product).catch((error) =>
+        console.error("Saved search alerts failed:", error.message)
+      );
+    }
+
+    const messages = {
+      draft: "Draft saved",
+      scheduled: `Post scheduled to go live on ${scheduledFor?.toLocaleString()}`,
+      "pending-review": "Post submitted. It will go live once an admin approves it.",
+      active: `Product ${
         postType === "sell" ? "sale" : "purchase"
       } post created successfully`,
+    };
+
+    res.status(201).json({
+      success: true,
+      message: messages[status],
       product,
     });
   } catch (error) {
@@ -86,7 +360,7 @@ export const getMyProducts = async (req, res) => {
     const skip = (pageNum - 1) * limitNum;
 
     const products = await Product.find(query)
-      .populate("bids.user", "name email")
+      .populate({ path: "bids", populate: { path: "user", select: "name email" } })
       .populate("category", "name" )
       .sort({ createdAt: -1 })
       .limit(limitNum)
@@ -94,9 +368,14 @@ export const getMyProducts = async (req, res) => {
 
     const total = await Product.countDocuments(query);
 
+    const watcherCounts = await getWatcherCounts(products.map((product) => product._id));
+
     res.json({
       success: true,
-      products,
+      products: products.map((product) => ({
+        ...product.toObject(),
+        watcherCount: watcherCounts.get(product._id.toString()) || 0,
+      })),
       pagination: {
         page: pageNum,
         limit: limitNum,
@@ -112,6 +391,34 @@ export const getMyProducts = async (req, res) => {
   }
 };
 
+// "me" uses the caller's saved address; anything else goes through parseNear
+const resolveNearPoint = (near, user) => {
+  if (near !== "me") return parseNear(near);
+
+  const coordinates = user.address?.geo?.coordinates;
+  return coordinates?.length ? { type: "Point", coordinates: [...coordinates] } : null;
+};
+
+// Restrict a listing query to a radius around `origin`. Results come back
+// nearest first unless a text search is also active, since MongoDB cannot
+// combine $text with $nearSphere. Returns the query to count with.
+const applyNearFilter = (query, origin, radiusKm) => {
+  const { sorted, within } = nearFilters(origin, radiusKm);
+  query["location.geo"] = query.$text ? within : sorted;
+  return { ...query, "location.geo": within };
+};
+
+const withDistance = (product, origin) => {
+  const coordinates = product.location?.geo?.coordinates;
+  if (!origin || !coordinates?.length) return product;
+
+  return {
+    ...product,
+    distanceKm:
+      Math.round(distanceKm(origin, { type: "Point", coordinates }) * 10) / 10,
+  };
+};
+
 export const getProductsForBuyer = async (req, res) => {
   try {
     const {
@@ -120,6 +427,9 @@ export const getProductsForBuyer = async (req, res) => {
       minPrice,
       maxPrice,
       state,
+      verifiedOnly,
+      near,
+      radius,
       page = 1,
       limit = 10,
     } = req.query;
@@ -129,7 +439,11 @@ export const getProductsForBuyer = async (req, res) => {
     const skip = (pageNum - 1) * limitNum;
 
     // Step 1: Find all SELLER users
-    const sellerUsers = await User.find({ role: "seller" }).select("_id");
+    const sellerQuery = { role: "seller" };
+    if (verifiedOnly === "true") {
+      sellerQuery["sellerVerification.status"] = "approved";
+    }
+    const sellerUsers = await User.find(sellerQuery).select("_id");
     const sellerIds = sellerUsers.map((user) => user._id);
 
     // Step 2: Build query for products created by sellers
@@ -138,7 +452,7 @@ export const getProductsForBuyer = async (req, res) => {
       status: "active",
     };
 
-    if (search) query.title = { $regex: search, $options: "i" };
+    if (search) query.$text = { $search: buildTextSearch(search) };
     if (category && category !== "all") query.category = category;
     if (minPrice || maxPrice) {
       query.pricePerKg = {};
@@ -149,19 +463,43 @@ export const getProductsForBuyer = async (req, res) => {
       query["location.state"] = { $regex: state, $options: "i" };
     }
 
+    let countQuery = query;
+    let origin = null;
+    const radiusKm = parseRadiusKm(radius);
+    if (near) {
+      origin = resolveNearPoint(near, req.user);
+      if (!origin) {
+        return res.status(400).json({
+          success: false,
+          message: `Could not find a location for "${near}"`,
+        });
+      }
+      countQuery = applyNearFilter(query, origin, radiusKm);
+    }
+    const sortedByDistance = Boolean(query["location.geo"]?.$nearSphere);
+
     const products = await Product.find(query)
-      .populate("user", "name email phone address role")
-      .populate("bids.user", "name email")
-      .sort({ createdAt: -1 })
+      .populate("user", "name email phone address role sellerVerification.status")
+      .populate({ path: "bids", populate: { path: "user", select: "name email" } })
+      .sort(sortedByDistance ? {} : { createdAt: -1 })
       .limit(limitNum)
       .skip(skip);
 
-    const total = await Product.countDocuments(query);
+    const total = await Product.countDocuments(countQuery);
 
     res.json({
       success: true,
       message: "Products from sellers",
-      products,
+      products: products.map((product) =>
+        withDistance(
+          {
+            ...product.toObject(),
+            sellerVerified: product.user?.sellerVerification?.status === "approved",
+          },
+          origin
+        )
+      ),
+      near: origin ? { coordinates: origin.coordinates, radiusKm } : undefined,
       pagination: {
         page: pageNum,
         limit: limitNum,
@@ -196,14 +534,16 @@ export const getAllProducts = async (req, res) => {
 
     const query = {};
 
-    // Search by title
+    // Full-text search over title, description and category
     if (search) {
-      query.title = { $regex: search, $options: "i" };
+      query.$text = { $search: buildTextSearch(search) };
     }
 
-    // Filter by status
-    if (status && status !== "all") {
+    // Filter by status; hidden and unpublished listings are never public
+    if (status && status !== "all" && !NOT_PUBLIC_STATUSES.includes(status)) {
       query.status = status;
+    } else {
+      query.status = { $nin: NOT_PUBLIC_STATUSES };
     }
 
     // Filter by category
@@ -229,7 +569,7 @@ export const getAllProducts = async (req, res) => {
     }
 
     const products = await Product.find(query)
-      .select("title description pricePerKg totalWeight images category")
+      .select("title description pricePerKg totalWeight remainingWeight images category")
       .populate("category", "name" )
       .sort(sortOption)
       .limit(limitNum)
@@ -267,6 +607,8 @@ export const getProductsForSeller = async (req, res) => {
       minPrice,
       maxPrice,
       state,
+      near,
+      radius,
       page = 1,
       limit = 10,
     } = req.query;
@@ -285,7 +627,7 @@ export const getProductsForSeller = async (req, res) => {
       status: "active",
     };
 
-    if (search) query.title = { $regex: search, $options: "i" };
+    if (search) query.$text = { $search: buildTextSearch(search) };
     if (category && category !== "all") query.category = category;
     if (minPrice || maxPrice) {
       query.pricePerKg = {};
@@ -296,19 +638,206 @@ export const getProductsForSeller = async (req, res) => {
       query["location.state"] = { $regex: state, $options: "i" };
     }
 
+    let countQuery = query;
+    let origin = null;
+    const radiusKm = parseRadiusKm(radius);
+    if (near) {
+      origin = resolveNearPoint(near, req.user);
+      if (!origin) {
+        return res.status(400).json({
+          success: false,
+          message: `Could not find a location for "${near}"`,
+        });
+      }
+      countQuery = applyNearFilter(query, origin, radiusKm);
+    }
+    const sortedByDistance = Boolean(query["location.geo"]?.$nearSphere);
+
     const products = await Product.find(query)
       .populate("user", "name email phone address role")
-      .populate("bids.user", "name email")
-      .sort({ createdAt: -1 })
+      .populate({ path: "bids", populate: { path: "user", select: "name email" } })
+      .sort(sortedByDistance ? {} : { createdAt: -1 })
       .limit(limitNum)
       .skip(skip);
 
-    const total = await Product.countDocuments(query);
+    const total = await Product.countDocuments(countQuery);
 
     res.json({
       success: true,
       message: "Products from buyers",
-      products,
+      products: products.map((product) => withDistance(product.toObject(), origin)),
+      near: origin ? { coordinates: origin.coordinates, radiusKm } : undefined,
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        totalPages: Math.ceil(total / limitNum),
+        totalProducts: total,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// Boundaries of the price-per-unit facet buckets; anything from the last
+// one up is counted as "1000+"
+const PRICE_BUCKETS = [0, 25, 50, 100, 250, 500, 1000];
+
+export const searchProducts = async (req, res) => {
+  try {
+    const {
+      q,
+      postType,
+      category,
+      state,
+      minPrice,
+      maxPrice,
+      sort,
+      page = 1,
+      limit = 10,
+    } = req.query;
+
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    const skip = (pageNum - 1) * limitNum;
+
+    const match = { status: "active" };
+
+    // $text must come first in the match for the index to be used
+    if (q && q.trim()) {
+      match.$text = { $search: buildTextSearch(q) };
+    }
+    if (postType && postType !== "all") match.postType = postType;
+    if (category && category !== "all") {
+      if (!mongoose.Types.ObjectId.isValid(category)) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid category",
+        });
+      }
+      match.category = new mongoose.Types.ObjectId(category);
+    }
+    if (state && state !== "all") {
+      match["location.state"] = { $regex: state, $options: "i" };
+    }
+    if (minPrice || maxPrice) {
+      match.pricePerKg = {};
+      if (minPrice) match.pricePerKg.$gte = parseFloat(minPrice);
+      if (maxPrice) match.pricePerKg.$lte = parseFloat(maxPrice);
+    }
+
+    let sortOption = match.$text
+      ? { score: -1, createdAt: -1 }
+      : { createdAt: -1 };
+    if (sort === "latest") {
+      sortOption = { createdAt: -1 };
+    } else if (sort === "highestPrice") {
+      sortOption = { pricePerKg: -1 };
+    } else if (sort === "lowestPrice") {
+      sortOption = { pricePerKg: 1 };
+    }
+
+    const [result] = await Product.aggregate([
+      { $match: match },
+      ...(match.$text ? [{ $addFields: { score: { $meta: "textScore" } } }] : []),
+      {
+        $facet: {
+          products: [
+            { $sort: sortOption },
+            { $skip: skip },
+            { $limit: limitNum },
+            {
+              $lookup: {
+                from: "bids",
+                localField: "_id",
+                foreignField: "product",
+                pipeline: [{ $project: { _id: 1 } }],
+                as: "bidIds",
+              },
+            },
+            {
+              $project: {
+                title: 1,
+                slug: 1,
+                description: 1,
+                pricePerKg: 1,
+                totalWeight: 1,
+                remainingWeight: 1,
+                unit: 1,
+                grade: 1,
+                images: 1,
+                location: 1,
+                postType: 1,
+                user: 1,
+                category: 1,
+                expiryDate: 1,
+                createdAt: 1,
+                score: 1,
+                bidCount: { $size: "$bidIds" },
+              },
+            },
+          ],
+          total: [{ $count: "count" }],
+          categories: [
+            {
+              $group: {
+                _id: "$category",
+                name: { $first: "$categoryName" },
+                count: { $sum: 1 },
+              },
+            },
+            { $sort: { count: -1 } },
+          ],
+          states: [
+            { $group: { _id: "$location.state", count: { $sum: 1 } } },
+            { $sort: { count: -1 } },
+          ],
+          priceBuckets: [
+            {
+              $bucket: {
+                groupBy: "$pricePerKg",
+                boundaries: PRICE_BUCKETS,
+                default: "1000+",
+                output: { count: { $sum: 1 } },
+              },
+            },
+          ],
+        },
+      },
+    ]);
+
+    const products = await Product.populate(result.products, [
+      { path: "user", select: "name role sellerVerification.status" },
+      { path: "category", select: "name" },
+    ]);
+
+    const total = result.total[0]?.count || 0;
+
+    res.json({
+      success: true,
+      products: products.map((product) => ({
+        ...product,
+        sellerVerified: product.user?.sellerVerification?.status === "approved",
+      })),
+      facets: {
+        categories: result.categories.map(({ _id, name, count }) => ({
+          id: _id,
+          name,
+          count,
+        })),
+        states: result.states.map(({ _id, count }) => ({ state: _id, count })),
+        priceBuckets: result.priceBuckets.map(({ _id, count }) => {
+          const index = PRICE_BUCKETS.indexOf(_id);
+          return {
+            min: index === -1 ? PRICE_BUCKETS[PRICE_BUCKETS.length - 1] : _id,
+            max: index === -1 ? null : PRICE_BUCKETS[index + 1],
+            count,
+          };
+        }),
+      },
       pagination: {
         page: pageNum,
         limit: limitNum,
@@ -317,6 +846,7 @@ export const getProductsForSeller = async (req, res) => {
       },
     });
   } catch (error) {
+    console.error("Error searching products:", error);
     res.status(500).json({
       success: false,
       message: error.message,
@@ -331,9 +861,9 @@ export const getProduct = async (req, res) => {
     product = await Product.findOne({ slug: req.params.slug })
       .populate("user", "name email phone address role")
       .populate("category", "name" )
-      .populate("bids.user", "name email");
+      .populate({ path: "bids", populate: { path: "user", select: "name email" } });
 
-    if (!product) {
+    if (!product || NOT_PUBLIC_STATUSES.includes(product.status)) {
       return res.status(404).json({
         success: false,
         message: "Product not found",
@@ -352,6 +882,47 @@ export const getProduct = async (req, res) => {
   }
 };
 
+// @desc    Asking prices and accepted bids of a listing over time
+// @route   GET /api/product/:id/price-history
+// @access  Public
+export const getPriceHistory = async (req, res) => {
+  try {
+    const product = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await Product.findById(req.params.id).select("title unit status priceHistory")
+      : null;
+
+    if (!product || NOT_PUBLIC_STATUSES.includes(product.status)) {
+      return res.status(404).json({
+        success: false,
+        message: "Product not found",
+      });
+    }
+
+    const accepted = await Bid.find({ product: product._id, status: "accepted" })
+      .select("bidAmount quantity acceptedAt bidAt");
+
+    const acceptedBids = accepted
+      .map((bid) => ({
+        bidAmount: bid.bidAmount,
+        quantity: bid.quantity,
+        acceptedAt: bid.acceptedAt ?? bid.bidAt,
+      }))
+      .sort((a, b) => a.acceptedAt - b.acceptedAt);
+
+    res.json({
+      success: true,
+      product: { _id: product._id, title: product.title, unit: product.unit },
+      askingPrices: product.priceHistory,
+      acceptedBids,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
 export const updateMyProduct = async (req, res) => {
   try {
     let product = await Product.findById(req.params.id);
@@ -370,10 +941,116 @@ export const updateMyProduct = async (req, res) => {
       });
     }
 
-    const updateData = { ...req.body };
+    const edits = pickEdits(req.body);
+    if (!edits) {
+      return res.status(400).json({
+        success: false,
+        message: "Field names cannot start with $ or contain dots",
+      });
+    }
+
+    const cap = exceedsUnverifiedListingCap(req.user, {
+      postType: product.postType,
+      pricePerKg: edits.pricePerKg ?? product.pricePerKg,
+      totalWeight: edits.totalWeight ?? product.totalWeight,
+    });
+    if (cap) {
+      return res.status(403).json({
+        success: false,
+        message: `Unverified sellers can list up to ${cap} in total value. Get verified to post larger listings.`,
+        listingValueCap: cap,
+      });
+    }
+
+    const updateData = { ...edits };
+
+    // Drafts may not have a quantity yet
+    const soldWeight = isBlank(product.totalWeight)
+      ? 0
+      : product.totalWeight - product.remainingWeight;
+
+    if (["category", "totalWeight", "grade", "minOrderQuantity"].some((field) => field in edits)) {
+      const categoryDoc = mongoose.Types.ObjectId.isValid(edits.category ?? product.category)
+        ? await Category.findById(edits.category ?? product.category)
+        : null;
+      if (!categoryDoc) {
+        return res.status(400).json({
+          success: false,
+          message: "Category not found",
+        });
+      }
+
+      // Lots already sold were counted in the old unit
+      if (categoryDoc.unit !== product.unit && soldWeight > 0) {
+        return res.status(400).json({
+          success: false,
+          message: "Cannot move a partly sold listing to a category with a different unit",
+        });
+      }
+
+      const attributeError = checkListingAttributes(
+        categoryDoc,
+        {
+          totalWeight: edits.totalWeight ?? product.totalWeight,
+          grade: edits.grade ?? product.grade,
+          minOrderQuantity: edits.minOrderQuantity ?? product.minOrderQuantity,
+        },
+        { draft: product.status === "draft" }
+      );
+      if (attributeError) {
+        return res.status(400).json({
+          success: false,
+          message: attributeError,
+        });
+      }
+
+      updateData.unit = categoryDoc.unit;
+    }
+
+    // Auction settings are fixed once anyone has bid or the auction opened
+    if ("auction" in edits) {
+      const hasBids = await Bid.exists({ product: product._id });
+      if (hasBids || (isAuction(product) && auctionPhase(product) !== "upcoming")) {
+        return res.status(400).json({
+          success: false,
+          message: "Auction settings cannot change once bidding has started",
+        });
+      }
+
+      const auctionSettings = edits.auction;
+      delete updateData.auction;
+      if (auctionSettings) {
+        const auctionError = checkAuctionSettings(auctionSettings, {
+          postType: product.postType,
+          pricePerKg: edits.pricePerKg ?? product.pricePerKg,
+          expiryDate: edits.expiryDate ?? product.expiryDate,
+          goesLiveAt: product.publishAt || new Date(),
+        });
+        if (auctionError) {
+          return res.status(400).json({
+            success: false,
+            message: auctionError,
+          });
+        }
+        updateData.auction = auctionFields(auctionSettings);
+      } else {
+        updateData.$unset = { auction: 1 };
+      }
+    }
+
+    // Keep what has already been sold when the owner changes the total
+    if (edits.totalWeight !== undefined) {
+      if (Number(edits.totalWeight) < soldWeight) {
+        return res.status(400).json({
+          success: false,
+          message: `${formatQuantity(soldWeight, product.unit)} has already been sold from this listing`,
+        });
+      }
+      updateData.remainingWeight = Number(edits.totalWeight) - soldWeight;
+    }
 
-    if (req.body.location) {
-      updateData.location = JSON.parse(req.body.location);
+    if (edits.location) {
+      updateData.location = withGeo(edits.location);
     }
 
     if (req.files && req.files.length > 0) {
@@ -388,14 +1065,62 @@ export const updateMyProduct = async (req, res) => {
       updateData.images = [...product.images, ...newImages];
     }
 
-    product = await Product.findByIdAndUpdate(req.params.id, updateData, {
-      new: true,
-      runValidators: true,
-    }).populate("user", "name email role");
+    const previousPrice = product.pricePerKg;
+
+    if (!isBlank(edits.pricePerKg) && Number(edits.pricePerKg) !== previousPrice) {
+      const changes = [{ pricePerKg: Number(edits.pricePerKg), changedAt: new Date() }];
+      // Listings from before price history start theirs with the old price
+      if (product.priceHistory.length === 0 && !isBlank(previousPrice)) {
+        changes.unshift({ pricePerKg: previousPrice, changedAt: product.createdAt });
+      }
+      updateData.$push = { priceHistory: { $each: changes } };
+    }
+
+    // An approved listing goes back for review, unless its owner no longer
+    // needs it
+    const resubmit =
+      product.status === "active" &&
+      Boolean(product.moderation?.reviewedAt) &&
+      (changesReviewedField(product, edits) || req.files?.length > 0) &&
+      (await requiresReview(req.user, product.postType));
+    if (resubmit) {
+      updateData.status = "pending-review";
+      updateData["moderation.submittedAt"] = new Date();
+    }
+
+    // Conditional on the status we checked, in case the listing sold since
+    product = await Product.findOneAndUpdate(
+      { _id: product._id, status: product.status },
+      updateData,
+      { new: true, runValidators: true }
+    ).populate("user", "name email role");
+
+    if (!product) {
+      return res.status(409).json({
+        success: false,
+        message: "Listing changed while updating. Please try again",
+      });
+    }
+
+    if (resubmit) {
+      await publishBidEvent(product._id, "status-changed", { status: "pending-review" });
+    }
+
+    if (product.status === "active" && product.pricePerKg !== previousPrice) {
+      const unit = getUnit(product.unit).label;
+      notifyWatchers(product, {
+        type: "watchlist-price-change",
+        title: "Price changed on a listing you watch",
+        message: `"${product.title}" is now ₹${product.pricePerKg}/${unit} (was ₹${previousPrice}/${unit}).`,
+        email: true,
+      }).catch((error) => console.error("Watchlist alerts failed:", error.message));
+    }
 
     res.json({
       success: true,
-      message: "Product updated successfully",
+      message: resubmit
+        ? "Product updated. It will be back once an admin approves the changes."
+        : "Product updated successfully",
       product,
     });
   } catch (error) {
@@ -406,8 +1131,18 @@ export const updateMyProduct = async (req, res) => {
   }
 };
 
-export const deleteMyProduct = async (req, res) => {
+// Extend an active listing or relist an expired one
+export const renewMyProduct = async (req, res) => {
   try {
+    const expiryDate = new Date(req.body.expiryDate);
+
+    if (Number.isNaN(expiryDate.getTime()) || expiryDate <= Date.now()) {
+      return res.status(400).json({
+        success: false,
+        message: "Expiry date must be in the future",
+      });
+    }
+
     const product = await Product.findById(req.params.id);
 
     if (!product) {
@@ -420,19 +1155,208 @@ export const deleteMyProduct = async (req, res) => {
     if (product.user.toString() !== req.user.id) {
       return res.status(403).json({
         success: false,
-        message: "Not authorized to delete this product",
+        message: "Not authorized to renew this product",
       });
     }
 
-    for (const image of product.images) {
-      await deleteFromCloudinary(image.public_id);
+    if (!["active", "expired"].includes(product.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `A ${product.status} listing cannot be renewed`,
+      });
+    }
+
+    // Conditional on the status we checked, in case the expiry job ran since
+    const renewed = await Product.findOneAndUpdate(
+      { _id: product._id, status: product.status },
+      {
+        $set: { status: "active", expiryDate },
+        $unset: { expiryReminderSentAt: 1, expiredAt: 1 },
+      },
+      { new: true }
+    ).populate("user", "name email role");
+
+    if (!renewed) {
+      return res.status(409).json({
+        success: false,
+        message: "Listing changed while renewing. Please try again",
+      });
+    }
+
+    if (product.status === "expired") {
+      await publishBidEvent(renewed._id, "status-changed", { status: "active" });
+    }
+
+    res.json({
+      success: true,
+      message:
+        product.status === "expired"
+          ? "Product relisted successfully"
+          : "Product renewed successfully",
+      product: renewed,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Publish a draft or rejected listing now, or schedule it
+// @route   PUT /api/product/my-products/:id/publish
+// @access  Private
+export const publishMyProduct = async (req, res) => {
+  try {
+    const scheduledFor = parsePublishAt(req.body.publishAt);
+    if (scheduledFor === null) {
+      return res.status(400).json({
+        success: false,
+        message: "Publish time must be in the future",
+      });
+    }
+
+    const product = await Product.findById(req.params.id);
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: "Product not found",
+      });
+    }
+
+    if (product.user.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: "Not authorized to publish this product",
+      });
+    }
+
+    const target = scheduledFor ? "scheduled" : await publishTarget(product, req.user);
+    if (!canTransition(product.status, target)) {
+      return res.status(400).json({
+        success: false,
+        message: transitionError(product.status, target),
+      });
+    }
+
+    const notReady = await checkReadyToPublish(product, req.user, scheduledFor || new Date());
+    if (notReady) {
+      return res.status(400).json({
+        success: false,
+        message: notReady,
+      });
+    }
+
+    const published = scheduledFor
+      ? await transitionListing(product, "scheduled", { set: { publishAt: scheduledFor } })
+      : await publishListing(product, req.user);
+
+    if (!published) {
+      return res.status(409).json({
+        success: false,
+        message: "Listing changed while publishing. Please try again",
+      });
+    }
+
+    const messages = {
+      scheduled: `Product scheduled to go live on ${scheduledFor?.toLocaleString()}`,
+      "pending-review": "Product submitted. It will go live once an admin approves it.",
+      active: "Product published successfully",
+    };
+
+    res.json({
+      success: true,
+      message: messages[published.status],
+      product: published,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Take a scheduled, pending or rejected listing back to draft
+// @route   PUT /api/product/my-products/:id/unpublish
+// @access  Private
+export const unpublishMyProduct = async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.id);
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: "Product not found",
+      });
+    }
+
+    if (product.user.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: "Not authorized to unpublish this product",
+      });
+    }
+
+    if (!canTransition(product.status, "draft")) {
+      return res.status(400).json({
+        success: false,
+        message: transitionError(product.status, "draft"),
+      });
+    }
+
+    const draft = await transitionListing(product, "draft", {
+      unset: { publishAt: 1, "moderation.submittedAt": 1 },
+    });
+
+    if (!draft) {
+      return res.status(409).json({
+        success: false,
+        message: "Listing changed while unpublishing. Please try again",
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Product moved back to drafts",
+      product: draft,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+export const deleteMyProduct = async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.id);
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: "Product not found",
+      });
+    }
+
+    if (product.user.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: "Not authorized to delete this product",
+      });
     }
 
-    await Product.findByIdAndDelete(req.params.id);
+    const outcome = await removeListing(product);
 
     res.json({
       success: true,
-      message: "Product deleted successfully",
+      message:
+        outcome === "deleted"
+          ? "Product deleted successfully"
+          : "Product has orders, so it was closed and kept for their history",
+      outcome,
     });
   } catch (error) {
     res.status(500).json({
@@ -477,7 +1401,7 @@ export const getAdminProducts = async (req, res) => {
 
     const products = await Product.find(query)
       .populate("user", "name email role")
-      .populate("bids.user", "name email")
+      .populate({ path: "bids", populate: { path: "user", select: "name email" } })
       .populate("category", "name" )
       .sort({ createdAt: -1 })
       .limit(limitNum)
@@ -0,0 +1,201 @@
+import mongoose from 'mongoose';
+import SavedSearch, { ALERT_MODES } from '../models/SavedSearch.js';
+
+const MAX_SAVED_SEARCHES = 20;
+
+// Pick the filter fields out of a request body, using the for-buyer /
+// for-seller parameter names. Returns { filters } or { error }.
+const readFilters = (body, role) => {
+  const { search, category, minPrice, maxPrice, state } = body;
+
+  if (category && category !== 'all' && !mongoose.Types.ObjectId.isValid(category)) {
+    return { error: 'Invalid category' };
+  }
+
+  const filters = {
+    search: search || undefined,
+    category: category && category !== 'all' ? category : undefined,
+    minPrice: minPrice !== undefined && minPrice !== '' ? parseFloat(minPrice) : undefined,
+    maxPrice: maxPrice !== undefined && maxPrice !== '' ? parseFloat(maxPrice) : undefined,
+    state: state && state !== 'all' ? state : undefined,
+    postType: body.postType || (role === 'seller' ? 'buy' : 'sell'),
+  };
+
+  if (
+    filters.minPrice !== undefined &&
+    filters.maxPrice !== undefined &&
+    filters.minPrice > filters.maxPrice
+  ) {
+    return { error: 'Minimum price cannot be above maximum price' };
+  }
+
+  return { filters };
+};
+
+// @desc    Get the logged-in user's saved searches
+// @route   GET /api/product/saved-searches
+// @access  Private
+export const getSavedSearches = async (req, res) => {
+  try {
+    const savedSearches = await SavedSearch.find({ user: req.user._id })
+      .populate('filters.category', 'name')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      savedSearches,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Save a search and choose how to be alerted about new matches
+// @route   POST /api/product/saved-searches
+// @access  Private
+export const createSavedSearch = async (req, res) => {
+  try {
+    const { name, alertMode, emailAlerts } = req.body;
+
+    if (!name || !name.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Name is required',
+      });
+    }
+
+    if (alertMode !== undefined && !ALERT_MODES.includes(alertMode)) {
+      return res.status(400).json({
+        success: false,
+        message: `Alert mode must be one of: ${ALERT_MODES.join(', ')}`,
+      });
+    }
+
+    const { filters, error } = readFilters(req.body, req.user.role);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error,
+      });
+    }
+
+    const count = await SavedSearch.countDocuments({ user: req.user._id });
+    if (count >= MAX_SAVED_SEARCHES) {
+      return res.status(400).json({
+        success: false,
+        message: `You can save up to ${MAX_SAVED_SEARCHES} searches`,
+      });
+    }
+
+    const savedSearch = await SavedSearch.create({
+      user: req.user._id,
+      name,
+      filters,
+      alertMode,
+      emailAlerts,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Search saved',
+      savedSearch,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Rename a saved search, change its filters or alert settings
+// @route   PUT /api/product/saved-searches/:id
+// @access  Private
+export const updateSavedSearch = async (req, res) => {
+  try {
+    const savedSearch = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await SavedSearch.findOne({ _id: req.params.id, user: req.user._id })
+      : null;
+
+    if (!savedSearch) {
+      return res.status(404).json({
+        success: false,
+        message: 'Saved search not found',
+      });
+    }
+
+    const { name, alertMode, emailAlerts } = req.body;
+
+    if (alertMode !== undefined && !ALERT_MODES.includes(alertMode)) {
+      return res.status(400).json({
+        success: false,
+        message: `Alert mode must be one of: ${ALERT_MODES.join(', ')}`,
+      });
+    }
+
+    const filterFields = ['search', 'category', 'minPrice', 'maxPrice', 'state', 'postType'];
+    if (filterFields.some((field) => field in req.body)) {
+      const { filters, error } = readFilters(
+        { ...savedSearch.toObject().filters, ...req.body },
+        req.user.role
+      );
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: error,
+        });
+      }
+      savedSearch.filters = filters;
+      // Queued matches were for the old filters
+      savedSearch.pendingMatches = [];
+    }
+
+    if (name !== undefined) savedSearch.name = name;
+    if (alertMode !== undefined) savedSearch.alertMode = alertMode;
+    if (emailAlerts !== undefined) savedSearch.emailAlerts = emailAlerts;
+
+    await savedSearch.save();
+
+    res.json({
+      success: true,
+      message: 'Saved search updated',
+      savedSearch,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Delete a saved search
+// @route   DELETE /api/product/saved-searches/:id
+// @access  Private
+export const deleteSavedSearch = async (req, res) => {
+  try {
+    const savedSearch = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await SavedSearch.findOneAndDelete({ _id: req.params.id, user: req.user._id })
+      : null;
+
+    if (!savedSearch) {
+      return res.status(404).json({
+        success: false,
+        message: 'Saved search not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Saved search deleted',
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
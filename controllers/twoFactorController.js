@@ -0,0 +1,245 @@
+import User from '../models/User.js';
+import Session from '../models/Session.js';
+import {
+  generateSecret,
+  getOtpAuthUrl,
+  verifyTotp,
+  encryptSecret,
+  decryptSecret,
+  generateRecoveryCodes,
+} from '../utils/totp.js';
+import { sendToken, sendLocked, verifyChallengeToken } from '../utils/sendToken.js';
+
+const TWO_FACTOR_FIELDS = '+twoFactor.secret +twoFactor.recoveryCodes';
+
+export const setupTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled',
+      });
+    }
+
+    const secret = generateSecret();
+    user.twoFactor.pendingSecret = encryptSecret(secret);
+    await user.save({ validateBeforeSave: false });
+
+    res.json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      secret,
+      otpauthUrl: getOtpAuthUrl(secret, user.email || user.phone),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+export const enableTwoFactor = async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    const user = await User.findById(req.user.id).select('+twoFactor.pendingSecret');
+
+    if (user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled',
+      });
+    }
+
+    if (!user.twoFactor?.pendingSecret) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start two-factor setup first',
+      });
+    }
+
+    const secret = decryptSecret(user.twoFactor.pendingSecret);
+    const step = verifyTotp(secret, code);
+
+    if (step === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid code',
+      });
+    }
+
+    const recoveryCodes = generateRecoveryCodes();
+
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.enabled = true;
+    user.twoFactor.enabledAt = new Date();
+    user.twoFactor.lastUsedStep = step;
+    user.setRecoveryCodes(recoveryCodes);
+    await user.save({ validateBeforeSave: false });
+
+    // The session that just proved the code counts as verified
+    await Session.updateOne({ _id: req.sessionId }, { twoFactorVerified: true });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store these recovery codes somewhere safe.',
+      recoveryCodes,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+export const disableTwoFactor = async (req, res) => {
+  try {
+    const { password, code } = req.body;
+
+    const user = await User.findById(req.user.id).select(`+password ${TWO_FACTOR_FIELDS}`);
+
+    if (!user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled',
+      });
+    }
+
+    if (user.requiresTwoFactor()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Two-factor authentication is required for accounts with admin access',
+      });
+    }
+
+    if (user.isLocked()) return sendLocked(res, user);
+
+    if (!password || !(await user.comparePassword(password)) || !user.verifySecondFactor(code)) {
+      await user.registerFailedAttempt();
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid password or code',
+      });
+    }
+
+    user.twoFactor = { enabled: false };
+    user.resetFailedAttempts();
+    await user.save({ validateBeforeSave: false });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled',
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+export const regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    const user = await User.findById(req.user.id).select(TWO_FACTOR_FIELDS);
+
+    if (!user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled',
+      });
+    }
+
+    if (user.isLocked()) return sendLocked(res, user);
+
+    if (!user.verifySecondFactor(code)) {
+      await user.registerFailedAttempt();
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid code',
+      });
+    }
+
+    const recoveryCodes = generateRecoveryCodes();
+    user.setRecoveryCodes(recoveryCodes);
+    await user.save({ validateBeforeSave: false });
+
+    res.json({
+      success: true,
+      message: 'New recovery codes generated. The old ones no longer work.',
+      recoveryCodes,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// Second login step: exchange the challenge token and a code for a session
+export const verifyTwoFactorLogin = async (req, res) => {
+  try {
+    const { challengeToken, code } = req.body;
+
+    if (!challengeToken || !code) {
+      return res.status(400).json({
+        success: false,
+        message: 'Challenge token and code are required',
+      });
+    }
+
+    let userId;
+    try {
+      userId = verifyChallengeToken(challengeToken);
+    } catch (error) {
+      return res.status(401).json({
+        success: false,
+        message: 'Login challenge expired. Please login again',
+      });
+    }
+
+    const user = await User.findById(userId).select(TWO_FACTOR_FIELDS);
+
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    if (user.isLocked()) return sendLocked(res, user);
+
+    if (!user.verifySecondFactor(code)) {
+      await user.registerFailedAttempt();
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid code',
+      });
+    }
+
+    user.resetFailedAttempts();
+    await user.save({ validateBeforeSave: false });
+
+    await sendToken(
+      user,
+      req,
+      res,
+      user.isSuspended()
+        ? 'Your account is suspended. You can only submit an appeal.'
+        : 'Login successful',
+      { twoFactorVerified: true }
+    );
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
@@ -0,0 +1,252 @@
+import User from '../models/User.js';
+import {
+  uploadDocumentToCloudinary,
+  getSignedDocumentUrl,
+} from '../utils/cloudinaryUpload.js';
+import {
+  getUnverifiedListingCap,
+  deleteVerificationDocuments,
+} from '../utils/sellerVerification.js';
+import { sendEmail, emailTemplates } from '../utils/sendEmail.js';
+
+// Documents go out without their storage ids; staff get a short-lived link
+const withDocumentUrls = (verification) => ({
+  status: verification.status,
+  farmName: verification.farmName,
+  submittedAt: verification.submittedAt,
+  reviewedAt: verification.reviewedAt,
+  rejectionReason: verification.rejectionReason,
+  documents: verification.documents.map((document) => ({
+    id: document._id,
+    kind: document.kind,
+    uploadedAt: document.uploadedAt,
+    url: getSignedDocumentUrl(document),
+  })),
+});
+
+// @desc    Get the logged-in seller's verification status
+// @route   GET /api/auth/seller-verification
+// @access  Private (Seller)
+export const getMySellerVerification = async (req, res) => {
+  try {
+    const verification = req.user.sellerVerification;
+
+    res.json({
+      success: true,
+      verification: verification?.status
+        ? {
+            status: verification.status,
+            farmName: verification.farmName,
+            submittedAt: verification.submittedAt,
+            reviewedAt: verification.reviewedAt,
+            rejectionReason: verification.rejectionReason,
+            documents: verification.documents.map(({ kind, uploadedAt }) => ({
+              kind,
+              uploadedAt,
+            })),
+          }
+        : { status: 'unverified' },
+      listingValueCap: req.user.isVerifiedSeller() ? null : getUnverifiedListingCap(),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Submit ID and land documents for seller verification
+// @route   POST /api/auth/seller-verification
+// @access  Private (Seller)
+export const submitSellerVerification = async (req, res) => {
+  try {
+    const user = req.user;
+    const idFiles = req.files?.idDocuments || [];
+    const landFiles = req.files?.landDocuments || [];
+
+    if (user.role !== 'seller') {
+      return res.status(403).json({
+        success: false,
+        message: 'Only sellers can apply for verification',
+      });
+    }
+
+    if (['pending', 'approved'].includes(user.sellerVerification?.status)) {
+      return res.status(400).json({
+        success: false,
+        message:
+          user.sellerVerification.status === 'pending'
+            ? 'Your documents are already waiting for review'
+            : 'You are already a verified seller',
+      });
+    }
+
+    if (idFiles.length === 0 || landFiles.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Upload at least one ID document and one land document',
+      });
+    }
+
+    const documents = [];
+    for (const [kind, files] of [['id', idFiles], ['land', landFiles]]) {
+      for (const file of files) {
+        const result = await uploadDocumentToCloudinary(file);
+        documents.push({
+          kind,
+          public_id: result.public_id,
+          resourceType: result.resource_type,
+          format: result.format,
+        });
+      }
+    }
+
+    // A rejected application's documents are replaced, not kept
+    await deleteVerificationDocuments(user.sellerVerification?.documents);
+
+    user.sellerVerification = {
+      status: 'pending',
+      documents,
+      farmName: req.body.farmName?.trim(),
+      submittedAt: new Date(),
+    };
+    await user.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Documents submitted. An admin will review them shortly.',
+      verification: {
+        status: user.sellerVerification.status,
+        submittedAt: user.sellerVerification.submittedAt,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Get the seller verification queue
+// @route   GET /api/admin/verifications
+// @access  Private (Admin only)
+export const getVerifications = async (req, res) => {
+  try {
+    const { status = 'pending', page = 1, limit = 10 } = req.query;
+
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    const skip = (pageNum - 1) * limitNum;
+
+    const query = { 'sellerVerification.status': { $exists: true }, deletedAt: null };
+    if (status !== 'all') {
+      query['sellerVerification.status'] = status;
+    }
+
+    const users = await User.find(query)
+      .select('name email phone address createdAt sellerVerification')
+      .sort({ 'sellerVerification.submittedAt': 1 })
+      .limit(limitNum)
+      .skip(skip);
+
+    const total = await User.countDocuments(query);
+
+    res.json({
+      success: true,
+      verifications: users.map((user) => ({
+        user: {
+          id: user._id,
+          name: user.name,
+          email: user.email,
+          phone: user.phone,
+          address: user.address,
+          createdAt: user.createdAt,
+        },
+        ...withDocumentUrls(user.sellerVerification),
+      })),
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        totalPages: Math.ceil(total / limitNum),
+        totalVerifications: total,
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching verifications:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Approve or reject a seller's verification documents
+// @route   PUT /api/admin/verifications/:userId
+// @access  Private (Admin only)
+export const reviewVerification = async (req, res) => {
+  try {
+    const { decision, reason } = req.body;
+
+    if (!['approved', 'rejected'].includes(decision)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Decision must be "approved" or "rejected"',
+      });
+    }
+
+    if (decision === 'rejected' && !reason?.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'A reason is required when rejecting',
+      });
+    }
+
+    const user = await User.findById(req.params.userId);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    if (user.sellerVerification?.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: 'User has no pending verification',
+      });
+    }
+
+    user.sellerVerification.status = decision;
+    user.sellerVerification.rejectionReason =
+      decision === 'rejected' ? reason.trim() : undefined;
+    user.sellerVerification.reviewedAt = new Date();
+    user.sellerVerification.reviewedBy = req.user._id;
+    await user.save();
+
+    if (user.email) {
+      await sendEmail({
+        email: user.email,
+        subject: 'Seller Verification - Annanewa Farming Media',
+        html:
+          decision === 'approved'
+            ? emailTemplates.sellerVerificationApproved(user.name)
+            : emailTemplates.sellerVerificationRejected(user.name, reason.trim()),
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Verification ${decision}`,
+      verification: withDocumentUrls(user.sellerVerification),
+    });
+  } catch (error) {
+    console.error('Error reviewing verification:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
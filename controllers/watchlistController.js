@@ -0,0 +1,129 @@
+import mongoose from 'mongoose';
+import Product from '../models/Product.js';
+import WatchlistItem from '../models/WatchlistItem.js';
+import { NOT_PUBLIC_STATUSES } from '../utils/listingStatus.js';
+
+// @desc    Get the products the logged-in user is watching
+// @route   GET /api/product/watchlist
+// @access  Private
+export const getWatchlist = async (req, res) => {
+  try {
+    const { page = 1, limit = 10 } = req.query;
+
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    const skip = (pageNum - 1) * limitNum;
+
+    const query = { user: req.user._id };
+
+    const items = await WatchlistItem.find(query)
+      .populate({
+        path: 'product',
+        populate: [
+          { path: 'user', select: 'name role' },
+          { path: 'category', select: 'name' },
+        ],
+      })
+      .sort({ createdAt: -1 })
+      .limit(limitNum)
+      .skip(skip);
+
+    const total = await WatchlistItem.countDocuments(query);
+
+    res.json({
+      success: true,
+      watchlist: items
+        // Hidden and unpublished listings stay on the list but aren't shown
+        .filter((item) => item.product && !NOT_PUBLIC_STATUSES.includes(item.product.status))
+        .map((item) => ({
+          product: item.product,
+          watchedAt: item.createdAt,
+        })),
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        totalPages: Math.ceil(total / limitNum),
+        totalItems: total,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Add a product to the watchlist
+// @route   POST /api/product/watchlist/:productId
+// @access  Private
+export const addToWatchlist = async (req, res) => {
+  try {
+    const { productId } = req.params;
+
+    const product = mongoose.Types.ObjectId.isValid(productId)
+      ? await Product.findById(productId).select('user status')
+      : null;
+
+    if (!product || NOT_PUBLIC_STATUSES.includes(product.status)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found',
+      });
+    }
+
+    if (product.user.equals(req.user._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot watch your own listing',
+      });
+    }
+
+    // Upsert so adding twice is harmless
+    await WatchlistItem.updateOne(
+      { user: req.user._id, product: product._id },
+      { $setOnInsert: { user: req.user._id, product: product._id } },
+      { upsert: true }
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Added to watchlist',
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Remove a product from the watchlist
+// @route   DELETE /api/product/watchlist/:productId
+// @access  Private
+export const removeFromWatchlist = async (req, res) => {
+  try {
+    const { productId } = req.params;
+
+    const result = mongoose.Types.ObjectId.isValid(productId)
+      ? await WatchlistItem.deleteOne({ user: req.user._id, product: productId })
+      : { deletedCount: 0 };
+
+    if (result.deletedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product is not on your watchlist',
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Removed from watchlist',
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
@@ -1,10 +1,65 @@
 import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
+import Session from '../models/Session.js';
+import ApiKey from '../models/ApiKey.js';
+import { reinstateUser } from '../utils/suspension.js';
+import { hashToken } from '../utils/session.js';
+import { hit, setRateLimitHeaders } from '../utils/rateLimiter.js';
 
-export const protect = async (req, res, next) => {
+// Browsers send the access token as a cookie, mobile clients as a Bearer header
+const getAccessToken = (req) => {
+  const header = req.get('authorization');
+  if (header && header.startsWith('Bearer ')) {
+    return header.slice(7).trim();
+  }
+  return req.cookies.token;
+};
+
+const getApiKey = (req) => {
+  const header = req.get('authorization');
+  if (header && header.startsWith('ApiKey ')) {
+    return header.slice(7).trim();
+  }
+  return req.get('x-api-key');
+};
+
+// Load the account behind a token or key and apply the suspension rules.
+// Returns false when a response has already been sent.
+const loadUser = async (req, res, userId, allowSuspended) => {
+  req.user = await User.findById(userId);
+
+  if (!req.user || req.user.deletedAt) {
+    res.status(401).json({
+      success: false,
+      message: 'User not found',
+    });
+    return false;
+  }
+
+  // Temporary suspensions lift themselves once they run out
+  if (req.user.isActive === false && !req.user.isSuspended()) {
+    await reinstateUser(req.user);
+  }
+
+  if (req.user.isSuspended() && !allowSuspended) {
+    res.status(403).json({
+      success: false,
+      message: 'Your account has been suspended',
+      suspension: {
+        reason: req.user.suspensionReason,
+        suspendedUntil: req.user.suspendedUntil || null,
+        appealStatus: req.user.appeal?.status || null,
+      },
+    });
+    return false;
+  }
+
+  return true;
+};
+
+const authenticate = (allowSuspended) => async (req, res, next) => {
   try {
-    // Get token from cookie
-    const token = req.cookies.token;
+    const token = getAccessToken(req);
 
     if (!token) {
       return res.status(401).json({
@@ -14,15 +69,78 @@ export const protect = async (req, res, next) => {
     }
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = await User.findById(decoded.id);
-    
-    if (!req.user) {
+
+    // Access tokens are only honoured while their session is alive
+    const session = decoded.sid && (await Session.findById(decoded.sid));
+    if (!session || !session.isValid() || !session.user.equals(decoded.id)) {
       return res.status(401).json({
         success: false,
-        message: 'User not found',
+        message: 'Session expired. Please login again',
       });
     }
 
+    req.sessionId = session._id;
+    req.twoFactorVerified = session.twoFactorVerified;
+
+    if (await loadUser(req, res, decoded.id, allowSuspended)) {
+      next();
+    }
+  } catch (error) {
+    return res.status(401).json({
+      success: false,
+      message: 'Not authorized',
+    });
+  }
+};
+
+export const protect = authenticate(false);
+
+// Same as protect but lets suspended users through, for the appeal route
+export const protectAllowSuspended = authenticate(true);
+
+// For routes partners may call programmatically: accepts an API key holding
+// `scope`, and otherwise falls back to the normal login check
+export const protectOrApiKey = (scope) => async (req, res, next) => {
+  const key = getApiKey(req);
+  if (!key) return protect(req, res, next);
+
+  try {
+    const apiKey = await ApiKey.findOne({ keyHash: hashToken(key) });
+
+    if (!apiKey || !apiKey.isValid()) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or revoked API key',
+      });
+    }
+
+    if (!apiKey.scopes.includes(scope)) {
+      return res.status(403).json({
+        success: false,
+        message: `API key is missing the "${scope}" scope`,
+      });
+    }
+
+    const limit = hit(`api-key:${apiKey._id}`, {
+      max: apiKey.rateLimitPerMinute,
+      windowMs: 60 * 1000,
+    });
+    setRateLimitHeaders(res, limit);
+
+    if (!limit.allowed) {
+      return res.status(429).json({
+        success: false,
+        message: 'API key rate limit exceeded. Try again later',
+      });
+    }
+
+    if (!(await loadUser(req, res, apiKey.user, false))) return;
+
+    req.apiKey = apiKey;
+    ApiKey.updateOne({ _id: apiKey._id }, { lastUsedAt: new Date() }).catch(
+      (error) => console.error('Failed to record API key use:', error.message)
+    );
+
     next();
   } catch (error) {
     return res.status(401).json({
@@ -32,14 +150,33 @@ export const protect = async (req, res, next) => {
   }
 };
 
-export const authorize = (...roles) => {
+// Allow the request only if the user holds every listed permission and
+// signed in with two-factor authentication
+export const authorize = (...permissions) => {
   return (req, res, next) => {
-    if (!roles.includes(req.user.role)) {
+    if (!permissions.every((permission) => req.user.hasPermission(permission))) {
       return res.status(403).json({
         success: false,
         message: 'Access denied',
       });
     }
+
+    if (!req.user.twoFactor?.enabled) {
+      return res.status(403).json({
+        success: false,
+        message: 'Enable two-factor authentication to access admin features',
+        twoFactorSetupRequired: true,
+      });
+    }
+
+    if (!req.twoFactorVerified) {
+      return res.status(403).json({
+        success: false,
+        message: 'Please login again with your two-factor code',
+        twoFactorRequired: true,
+      });
+    }
+
     next();
   };
-};
\ No newline at end of file
+};
@@ -0,0 +1,34 @@
+import { hit, setRateLimitHeaders } from '../utils/rateLimiter.js';
+
+// Limit how often one IP address can hit a route group, e.g.
+// rateLimitByIp('login', { max: 10, windowMs: 15 * 60 * 1000 })
+export const rateLimitByIp = (name, { max, windowMs }) => {
+  return (req, res, next) => {
+    const result = hit(`${name}:${req.ip}`, { max, windowMs });
+    setRateLimitHeaders(res, result);
+
+    if (!result.allowed) {
+      res.set('Retry-After', String(Math.ceil((result.resetAt - Date.now()) / 1000)));
+      return res.status(429).json({
+        success: false,
+        message: 'Too many attempts. Please try again later',
+      });
+    }
+
+    next();
+  };
+};
+
+const FIFTEEN_MINUTES = 15 * 60 * 1000;
+
+// Guessing passwords and codes
+export const authAttemptLimiter = rateLimitByIp('auth-attempt', {
+  max: 20,
+  windowMs: FIFTEEN_MINUTES,
+});
+
+// Sending codes by email or SMS
+export const codeSendLimiter = rateLimitByIp('code-send', {
+  max: 5,
+  windowMs: FIFTEEN_MINUTES,
+});
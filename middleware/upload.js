@@ -16,4 +16,19 @@ const upload = multer({
   fileFilter,
 });
 
-export default upload;
\ No newline at end of file
+// Verification documents are often scanned to PDF
+const documentFilter = (req, file, cb) => {
+  if (file.mimetype.startsWith('image/') || file.mimetype === 'application/pdf') {
+    cb(null, true);
+  } else {
+    cb(new Error('Please upload images or PDF documents'), false);
+  }
+};
+
+export const uploadDocuments = multer({
+  storage,
+  limits: { fileSize: 10 * 1024 * 1024 }, // 10MB
+  fileFilter: documentFilter,
+});
+
+export default upload;
@@ -0,0 +1,57 @@
+import mongoose from "mongoose";
+
+// What a partner integration is allowed to do with a key
+export const API_KEY_SCOPES = ["products:create", "bids:create"];
+
+const apiKeySchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    name: {
+      type: String,
+      required: [true, "API key name is required"],
+      trim: true,
+      maxlength: [50, "Name cannot be more than 50 characters"],
+    },
+    // First characters of the key, shown in listings so users can tell keys apart
+    prefix: {
+      type: String,
+      required: true,
+    },
+    // SHA-256 of the full key; the key itself is only shown once at creation
+    keyHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    scopes: {
+      type: [{ type: String, enum: API_KEY_SCOPES }],
+      validate: {
+        validator: (scopes) => scopes.length > 0,
+        message: "At least one scope is required",
+      },
+    },
+    rateLimitPerMinute: {
+      type: Number,
+      default: 60,
+      min: [1, "Rate limit must be at least 1 request per minute"],
+      max: [600, "Rate limit cannot exceed 600 requests per minute"],
+    },
+    lastUsedAt: Date,
+    expiresAt: Date,
+    revokedAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+apiKeySchema.methods.isValid = function () {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > Date.now());
+};
+
+export default mongoose.model("ApiKey", apiKeySchema);
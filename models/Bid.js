@@ -0,0 +1,162 @@
+import mongoose from "mongoose";
+
+export const BID_STATUSES = ["pending", "accepted", "rejected", "withdrawn"];
+
+export const OFFER_ACTIONS = [
+  "placed",
+  "updated",
+  "countered",
+  "counter-accepted",
+  "accepted",
+  "rejected",
+  "withdrawn",
+  "auto-bid",
+];
+
+// One step in the negotiation over a bid
+const offerSchema = new mongoose.Schema(
+  {
+    by: {
+      type: String,
+      enum: ["bidder", "owner", "system"],
+      required: true,
+    },
+    action: {
+      type: String,
+      enum: OFFER_ACTIONS,
+      required: true,
+    },
+    amount: Number,
+    quantity: Number,
+    message: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Message cannot be more than 500 characters"],
+    },
+    at: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+const deliveryAddressSchema = new mongoose.Schema(
+  {
+    address: {
+      type: String,
+      required: true,
+    },
+    city: {
+      type: String,
+      required: true,
+    },
+    state: {
+      type: String,
+      required: true,
+    },
+    zipCode: {
+      type: String,
+      required: true,
+    },
+    country: {
+      type: String,
+      default: "India",
+    },
+  },
+  { _id: false }
+);
+
+const counterOfferSchema = new mongoose.Schema(
+  {
+    amount: Number,
+    quantity: Number,
+    message: String,
+    at: Date,
+  },
+  { _id: false }
+);
+
+// Negotiation details only the listing owner and the bidder may see. Like
+// the proxy limit they are left out of queries unless selected back in
+// with BID_PRIVATE_SELECT.
+export const BID_PRIVATE_FIELDS = ["deliveryAddress", "counterOffer", "offers"];
+export const BID_PRIVATE_SELECT = BID_PRIVATE_FIELDS.map((field) => `+${field}`).join(" ");
+
+// A bid on a listing. Each bid is its own document, so placing one is a
+// single insert and never rewrites the listing.
+const bidSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    bidAmount: {
+      type: Number,
+      required: true,
+    },
+    // Proxy bidding: the highest (sell posts) or lowest (buy posts)
+    // amount the system may bid on the bidder's behalf. Only the bidder
+    // ever sees it; see utils/proxyBids.js.
+    proxyLimit: {
+      type: Number,
+      min: [0, "Proxy limit cannot be negative"],
+      select: false,
+    },
+    // Kg wanted; bids from before lots existed are for the whole listing
+    quantity: {
+      type: Number,
+      min: [0, "Quantity cannot be negative"],
+    },
+    acceptedAt: Date,
+    bidAt: {
+      type: Date,
+      default: Date.now,
+    },
+    status: {
+      type: String,
+      enum: BID_STATUSES,
+      default: "pending",
+    },
+    deliveryAddress: {
+      type: deliveryAddressSchema,
+      required: true,
+      select: false,
+    },
+    paymentMethod: {
+      type: String,
+      enum: ["Cash on Delivery", "Bank Transfer", "UPI", "Card"],
+      default: "Cash on Delivery",
+    },
+    // The owner's open counter-offer, until the bidder accepts it or
+    // changes their bid
+    counterOffer: {
+      type: counterOfferSchema,
+      select: false,
+    },
+    // Every offer and reply on this bid, oldest first
+    offers: {
+      type: [offerSchema],
+      select: false,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// One pending bid per user on each listing; settled bids stay as history
+bidSchema.index(
+  { product: 1, user: 1 },
+  { unique: true, partialFilterExpression: { status: "pending" }, name: "one_pending_bid" }
+);
+bidSchema.index({ product: 1, status: 1, bidAmount: 1 });
+bidSchema.index({ user: 1, status: 1, bidAt: -1 });
+
+export default mongoose.model("Bid", bidSchema);
@@ -0,0 +1,46 @@
+import mongoose from "mongoose";
+
+export const BID_EVENT_TYPES = [
+  "bid-placed",
+  "bid-updated",
+  "bid-countered",
+  "bid-accepted",
+  "bid-rejected",
+  "bid-withdrawn",
+  "status-changed",
+  "auction-extended",
+  "auction-closed",
+];
+
+// Live updates for a listing's bid stream. Kept for a day so clients that
+// reconnect can catch up from the last event they saw.
+const bidEventSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: BID_EVENT_TYPES,
+      required: true,
+    },
+    data: mongoose.Schema.Types.Mixed,
+    // Users the event is for, e.g. the two sides of a counter-offer;
+    // everyone on the stream when unset
+    audience: {
+      type: [mongoose.Schema.ObjectId],
+      ref: "User",
+      default: undefined,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+bidEventSchema.index({ product: 1, _id: 1 });
+bidEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+export default mongoose.model("BidEvent", bidEventSchema);
@@ -0,0 +1,59 @@
+import mongoose from "mongoose";
+
+export const NOTIFICATION_TYPES = [
+  "listing-expiring",
+  "listing-expired",
+  "listing-published",
+  "listing-approved",
+  "listing-rejected",
+  "auction-closed",
+  "auction-won",
+  "bid-updated",
+  "bid-withdrawn",
+  "bid-countered",
+  "bid-rejected",
+  "counter-accepted",
+  "saved-search-match",
+  "saved-search-digest",
+  "watchlist-price-change",
+  "watchlist-new-bid",
+  "watchlist-expiring",
+  "watchlist-sold",
+];
+
+// In-app notifications, shown in the notification bell. Old ones are
+// removed after 90 days.
+const notificationSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    type: {
+      type: String,
+      enum: NOTIFICATION_TYPES,
+      required: true,
+    },
+    title: {
+      type: String,
+      required: true,
+    },
+    message: String,
+    products: [
+      {
+        type: mongoose.Schema.ObjectId,
+        ref: "Product",
+      },
+    ],
+    readAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+notificationSchema.index({ createdAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+export default mongoose.model("Notification", notificationSchema);
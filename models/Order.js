@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import PricePoint from './PricePoint.js';
 
 const orderSchema = new mongoose.Schema({
   orderNumber: {
@@ -38,6 +39,11 @@ const orderSchema = new mongoose.Schema({
     required: true,
     min: 0
   },
+  // Unit of the listing; quantity and pricePerKg are per this unit
+  unit: {
+    type: String,
+    default: 'kg'
+  },
   totalPrice: {
     type: Number,
     required: true,
@@ -133,4 +139,20 @@ const orderSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// Keep the market price index in step with order status changes
+orderSchema.post('findOneAndUpdate', async function (order) {
+  const update = this.getUpdate() || {};
+  const changed = { ...update, ...update.$set };
+
+  if (order && 'orderStatus' in changed) {
+    await PricePoint.syncOrder(order);
+  }
+});
+
+orderSchema.post('findOneAndDelete', async function (order) {
+  if (order) {
+    await PricePoint.deleteOne({ order: order._id });
+  }
+});
+
 export default mongoose.model('Order', orderSchema);
\ No newline at end of file
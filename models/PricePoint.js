@@ -0,0 +1,93 @@
+import mongoose from "mongoose";
+
+export const PRICE_SOURCES = ["accepted-bid", "completed-order"];
+
+// One traded price for the market price index. Each accepted bid has an
+// order; its point counts from acceptance, moves to the delivery date once
+// the order is completed and is dropped if the order is cancelled.
+const pricePointSchema = new mongoose.Schema(
+  {
+    order: {
+      type: mongoose.Schema.ObjectId,
+      ref: "Order",
+      required: true,
+      unique: true,
+    },
+    product: {
+      type: mongoose.Schema.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+    category: {
+      type: mongoose.Schema.ObjectId,
+      ref: "Category",
+      required: true,
+    },
+    state: {
+      type: String,
+      trim: true,
+    },
+    postType: {
+      type: String,
+      enum: ["sell", "buy"],
+    },
+    unit: String,
+    price: {
+      type: Number,
+      required: true,
+    },
+    quantity: {
+      type: Number,
+      required: true,
+    },
+    source: {
+      type: String,
+      enum: PRICE_SOURCES,
+      required: true,
+    },
+    recordedAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+pricePointSchema.index({ category: 1, state: 1, recordedAt: 1 });
+pricePointSchema.index({ recordedAt: 1 });
+
+// Bring an order's price point in line with its current status
+pricePointSchema.statics.syncOrder = async function (order) {
+  if (["Cancelled", "Refunded"].includes(order.orderStatus)) {
+    await this.deleteOne({ order: order._id });
+    return null;
+  }
+
+  const product = await mongoose
+    .model("Product")
+    .findById(order.product?._id ?? order.product)
+    .select("category location.state");
+  if (!product) return null;
+
+  const completed = order.orderStatus === "Completed";
+
+  return this.findOneAndUpdate(
+    { order: order._id },
+    {
+      product: product._id,
+      category: product.category,
+      state: product.location?.state,
+      postType: order.postType,
+      unit: order.unit,
+      price: order.pricePerKg,
+      quantity: order.quantity,
+      source: completed ? "completed-order" : "accepted-bid",
+      recordedAt: completed ? order.deliveredAt ?? order.updatedAt : order.createdAt,
+    },
+    { upsert: true, new: true, runValidators: true }
+  );
+};
+
+export default mongoose.model("PricePoint", pricePointSchema);
@@ -1,5 +1,25 @@
 import mongoose from "mongoose";
 import slugify from "slugify";
+import { buildSearchKeys } from "../utils/search.js";
+import { UNIT_NAMES, DEFAULT_UNIT } from "../config/units.js";
+
+export const LISTING_STATUSES = [
+  "draft",
+  "scheduled",
+  "pending-review",
+  "rejected",
+  "active",
+  "sold",
+  "expired",
+  "cancelled",
+  "purchased",
+  "hidden",
+];
+
+// Drafts can be saved half-finished; everything is checked again on publish
+function requiredUnlessDraft() {
+  return this.status !== "draft";
+}
 
 const productSchema = new mongoose.Schema(
   {
@@ -16,18 +36,67 @@ const productSchema = new mongoose.Schema(
     },
     description: {
       type: String,
-      required: [true, "Product description is required"],
+      required: [requiredUnlessDraft, "Product description is required"],
     },
     pricePerKg: {
       type: Number,
-      required: [true, "Price per kg is required"],
+      required: [requiredUnlessDraft, "Price per kg is required"],
       min: [0, "Price cannot be negative"],
     },
+    // Every asking price the listing has had, oldest first
+    priceHistory: [
+      {
+        _id: false,
+        pricePerKg: Number,
+        changedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
     totalWeight: {
       type: Number,
-      required: [true, "Total weight is required"],
+      required: [requiredUnlessDraft, "Total weight is required"],
       min: [0, "Weight cannot be negative"],
     },
+    // Copied from the category when the listing is created. Price, weights
+    // and bid quantities are all in this unit despite their names.
+    unit: {
+      type: String,
+      enum: UNIT_NAMES,
+      default: DEFAULT_UNIT,
+    },
+    // Smallest lot a bid may ask for, unless less than this is left
+    minOrderQuantity: {
+      type: Number,
+      min: [0, "Minimum order quantity cannot be negative"],
+    },
+    grade: {
+      type: String,
+      trim: true,
+    },
+    moisturePercent: {
+      type: Number,
+      min: [0, "Moisture must be between 0 and 100"],
+      max: [100, "Moisture must be between 0 and 100"],
+    },
+    organicCertification: {
+      certified: {
+        type: Boolean,
+        default: false,
+      },
+      certifier: String,
+      certificateNumber: String,
+      validUntil: Date,
+    },
+    // Weight not yet sold in accepted lots; the listing closes at zero
+    remainingWeight: {
+      type: Number,
+      min: [0, "Weight cannot be negative"],
+      default: function () {
+        return this.totalWeight;
+      },
+    },
     images: [
       {
         public_id: String,
@@ -37,70 +106,32 @@ const productSchema = new mongoose.Schema(
     location: {
       address: {
         type: String,
-        required: true,
+        required: requiredUnlessDraft,
       },
       city: {
         type: String,
-        required: true,
+        required: requiredUnlessDraft,
       },
       state: {
         type: String,
-        required: true,
+        required: requiredUnlessDraft,
       },
       zipCode: {
         type: String,
-        required: true,
+        required: requiredUnlessDraft,
       },
-    },
-    bids: [
-      {
-        user: {
-          type: mongoose.Schema.ObjectId,
-          ref: "User",
-          required: true,
-        },
-        bidAmount: {
-          type: Number,
-          required: true,
-        },
-        bidAt: {
-          type: Date,
-          default: Date.now,
-        },
-        status: {
+      // GeoJSON point ([lng, lat]) from the client's GPS or the gazetteer
+      geo: {
+        type: {
           type: String,
-          enum: ["pending", "accepted", "rejected"],
-          default: "pending",
-        },
-        deliveryAddress: {
-          address: {
-            type: String,
-            required: true,
-          },
-          city: {
-            type: String,
-            required: true,
-          },
-          state: {
-            type: String,
-            required: true,
-          },
-          zipCode: {
-            type: String,
-            required: true,
-          },
-          country: {
-            type: String,
-            default: "India",
-          },
+          enum: ["Point"],
         },
-        paymentMethod: {
-          type: String,
-          enum: ["Cash on Delivery", "Bank Transfer", "UPI", "Card"],
-          default: "Cash on Delivery",
+        coordinates: {
+          type: [Number],
+          default: undefined,
         },
       },
-    ],
+    },
     user: {
       type: mongoose.Schema.ObjectId,
       ref: "User",
@@ -118,9 +149,27 @@ const productSchema = new mongoose.Schema(
     },
     status: {
       type: String,
-      enum: ["active", "sold", "expired", "cancelled", "purchased"],
+      enum: LISTING_STATUSES,
       default: "active",
     },
+    // When a scheduled listing goes live
+    publishAt: Date,
+    publishedAt: Date,
+    // Review of listings from new sellers, see utils/listingStatus.js
+    moderation: {
+      submittedAt: Date,
+      reviewedAt: Date,
+      reviewedBy: {
+        type: mongoose.Schema.ObjectId,
+        ref: "User",
+      },
+      rejectionReason: String,
+    },
+    // Why a listing is hidden, so it can be restored by the same process
+    hiddenReason: {
+      type: String,
+      enum: ["owner-suspended"],
+    },
     category: {
       type: mongoose.Schema.ObjectId,
       ref: "Category",
@@ -128,14 +177,47 @@ const productSchema = new mongoose.Schema(
     },
     expiryDate: {
       type: Date,
-      required: true,
+      required: requiredUnlessDraft,
+    },
+    // Set by the listing expiry job; cleared when the owner renews
+    expiryReminderSentAt: Date,
+    expiredAt: Date,
+    // Denormalized for the text index; kept in sync by the hooks below
+    categoryName: String,
+    searchKeys: {
+      type: [String],
+      select: false,
+    },
+    // Optional timed auction; see utils/auctions.js. Bids are for the whole
+    // remaining lot and the best one is accepted when the auction closes.
+    auction: {
+      startsAt: Date,
+      endsAt: Date,
+      // Lowest acceptable price on sell posts, highest on buy posts
+      reservePrice: {
+        type: Number,
+        min: [0, "Reserve price cannot be negative"],
+      },
+      minIncrement: {
+        type: Number,
+        min: [0, "Minimum increment cannot be negative"],
+      },
+      // Times a late bid pushed endsAt back
+      extensions: Number,
+      closedAt: Date,
+      outcome: {
+        type: String,
+        enum: ["won", "reserve-not-met", "no-bids", "failed"],
+      },
     },
+    // Most recently accepted bid; every accepted lot has its own Order
     bidWinner: {
       user: {
         type: mongoose.Schema.ObjectId,
         ref: "User",
       },
       bidAmount: Number,
+      quantity: Number,
       acceptedAt: Date,
     },
     soldAt: {
@@ -148,9 +230,89 @@ const productSchema = new mongoose.Schema(
   },
   {
     timestamps: true,
+    // So populated bids are part of API responses
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
   }
 );
 
+// Bids live in their own collection (models/Bid.js); populate this to load
+// them with the listing, oldest first
+productSchema.virtual("bids", {
+  ref: "Bid",
+  localField: "_id",
+  foreignField: "product",
+  options: { sort: { bidAt: 1 } },
+});
+
+productSchema.index(
+  {
+    title: "text",
+    categoryName: "text",
+    searchKeys: "text",
+    description: "text",
+  },
+  {
+    name: "product_search",
+    weights: { title: 10, categoryName: 5, searchKeys: 3, description: 1 },
+    // English stemming would mangle Bengali words and romanized names;
+    // search keys already fold plurals and spelling variants
+    default_language: "none",
+  }
+);
+
+productSchema.index({ "location.geo": "2dsphere" });
+productSchema.index({ status: 1, publishAt: 1 });
+productSchema.index({ "auction.closedAt": 1, "auction.endsAt": 1 });
+
+const SEARCH_FIELDS = ["title", "description", "category"];
+
+productSchema.methods.refreshSearchFields = async function () {
+  const category = await mongoose
+    .model("Category")
+    .findById(this.category?._id ?? this.category)
+    .select("name");
+
+  this.categoryName = category?.name;
+  this.searchKeys = buildSearchKeys(this.title, this.categoryName, this.description);
+};
+
+// Recompute search fields for every product matching the filter, e.g.
+// after a category is renamed
+productSchema.statics.reindexSearch = async function (filter = {}) {
+  let count = 0;
+
+  for await (const product of this.find(filter).select("title description category")) {
+    await product.refreshSearchFields();
+    await this.updateOne(
+      { _id: product._id },
+      { categoryName: product.categoryName, searchKeys: product.searchKeys }
+    );
+    count++;
+  }
+
+  return count;
+};
+
+productSchema.pre("save", async function () {
+  if (this.isNew || SEARCH_FIELDS.some((field) => this.isModified(field))) {
+    await this.refreshSearchFields();
+  }
+});
+
+productSchema.post("findOneAndUpdate", async function (product) {
+  const update = this.getUpdate() || {};
+  const changed = { ...update, ...update.$set };
+
+  if (product && SEARCH_FIELDS.some((field) => field in changed)) {
+    await product.refreshSearchFields();
+    await product.constructor.updateOne(
+      { _id: product._id },
+      { categoryName: product.categoryName, searchKeys: product.searchKeys }
+    );
+  }
+});
+
 // Generate slug before saving
 productSchema.pre("save", function (next) {
   if (this.isModified("title")) {
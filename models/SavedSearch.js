@@ -0,0 +1,68 @@
+import mongoose from "mongoose";
+
+export const ALERT_MODES = ["instant", "daily", "off"];
+
+const savedSearchSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    name: {
+      type: String,
+      required: [true, "Name is required"],
+      trim: true,
+      maxlength: [60, "Name cannot be more than 60 characters"],
+    },
+    // Same filters as /api/product/for-buyer and /for-seller
+    filters: {
+      search: {
+        type: String,
+        trim: true,
+      },
+      category: {
+        type: mongoose.Schema.ObjectId,
+        ref: "Category",
+      },
+      minPrice: Number,
+      maxPrice: Number,
+      state: {
+        type: String,
+        trim: true,
+      },
+      // Buyers look for sell posts, sellers for buy posts
+      postType: {
+        type: String,
+        enum: ["sell", "buy"],
+        required: true,
+      },
+    },
+    alertMode: {
+      type: String,
+      enum: ALERT_MODES,
+      default: "instant",
+    },
+    // In-app alerts are always created; email is optional
+    emailAlerts: {
+      type: Boolean,
+      default: true,
+    },
+    // New matches waiting for the next daily digest
+    pendingMatches: [
+      {
+        type: mongoose.Schema.ObjectId,
+        ref: "Product",
+      },
+    ],
+    lastDigestAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+savedSearchSchema.index({ alertMode: 1, "filters.postType": 1 });
+
+export default mongoose.model("SavedSearch", savedSearchSchema);
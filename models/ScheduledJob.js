@@ -0,0 +1,31 @@
+import mongoose from "mongoose";
+
+// One document per recurring background job. The schedule and lock live in
+// the database so restarts and multiple server instances never run the same
+// job twice at once.
+const scheduledJobSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    nextRunAt: {
+      type: Date,
+      required: true,
+    },
+    // Lease held by the instance running the job. An instance that dies
+    // mid-run lets the lease lapse and another one picks the job up.
+    lockedUntil: Date,
+    lockedBy: String,
+    lastStartedAt: Date,
+    lastFinishedAt: Date,
+    lastResult: mongoose.Schema.Types.Mixed,
+    lastError: String,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+export default mongoose.model("ScheduledJob", scheduledJobSchema);
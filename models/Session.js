@@ -0,0 +1,56 @@
+import mongoose from "mongoose";
+
+// One document per signed-in device. The refresh token itself is never
+// stored, only its SHA-256 hash; it rotates on every refresh.
+const sessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    refreshTokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // Hash of the token this one replaced, to detect reuse of a stolen token
+    previousTokenHash: {
+      type: String,
+      index: true,
+    },
+    // When the token last rotated; the previous one is still honoured for a
+    // few seconds after that
+    rotatedAt: Date,
+    userAgent: String,
+    ip: String,
+    // Whether the user passed the 2FA step when this session was opened
+    twoFactorVerified: {
+      type: Boolean,
+      default: false,
+    },
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: Date,
+    revokedReason: String,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Let MongoDB drop sessions once the refresh token has expired
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+sessionSchema.methods.isValid = function () {
+  return !this.revokedAt && this.expiresAt > Date.now();
+};
+
+export default mongoose.model("Session", sessionSchema);
@@ -1,6 +1,10 @@
 import mongoose from "mongoose";
 import bcrypt from "bcryptjs";
+import crypto from "crypto";
 import jwt from "jsonwebtoken";
+import { ROLES, getRolePermissions, isValidPermission } from "../config/roles.js";
+import { normalizePhone } from "../utils/sendSms.js";
+import { decryptSecret, verifyTotp } from "../utils/totp.js";
 
 const userSchema = new mongoose.Schema(
   {
@@ -10,15 +14,25 @@ const userSchema = new mongoose.Schema(
       trim: true,
       maxlength: 50,
     },
+    // Optional: farmers can sign up with a phone number only
     email: {
       type: String,
-      required: true,
       unique: true,
+      sparse: true,
       lowercase: true,
+      trim: true,
     },
+    // Sparse so anonymized (deleted) accounts can drop their number. Sign-up
+    // always asks for one; only accounts with an email can be left without
+    // it, e.g. those that lost a shared number in scripts/migratePhones.js.
     phone: {
       type: String,
-      required: true,
+      required: function () {
+        return !this.email;
+      },
+      unique: true,
+      sparse: true,
+      set: normalizePhone,
     },
     address: {
       street: String,
@@ -29,38 +43,206 @@ const userSchema = new mongoose.Schema(
         type: String,
         default: "Bangladesh",
       },
+      // GeoJSON point ([lng, lat]) used as the default for near-me search
+      geo: {
+        type: {
+          type: String,
+          enum: ["Point"],
+        },
+        coordinates: {
+          type: [Number],
+          default: undefined,
+        },
+      },
     },
     role: {
       type: String,
-      enum: ["seller", "buyer"],
+      enum: ROLES,
       required: true,
     },
+    // Extra grants on top of the role's defaults
+    permissions: {
+      type: [String],
+      default: [],
+      validate: {
+        validator: (permissions) => permissions.every(isValidPermission),
+        message: "Invalid permission",
+      },
+    },
+    // Optional for accounts created through social sign-in
     password: {
       type: String,
-      required: true,
+      required: function () {
+        return !this.oauthAccounts?.length;
+      },
       minlength: 6,
       select: false,
     },
+    oauthAccounts: [
+      {
+        provider: {
+          type: String,
+          required: true,
+        },
+        subject: {
+          type: String,
+          required: true,
+        },
+        email: String,
+        linkedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
     profilePicture: {
       public_id: String,
       url: String,
     },
+    // Account verified through either email or phone
     isVerified: {
       type: Boolean,
       default: false,
     },
+    isEmailVerified: {
+      type: Boolean,
+      default: false,
+    },
+    isPhoneVerified: {
+      type: Boolean,
+      default: false,
+    },
+    // Suspension / ban. isActive false with no suspendedUntil is a permanent ban.
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    suspendedUntil: Date,
+    suspensionReason: String,
+    suspendedAt: Date,
+    suspendedBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: "User",
+    },
+    appeal: {
+      message: String,
+      status: {
+        type: String,
+        enum: ["pending", "approved", "rejected"],
+      },
+      submittedAt: Date,
+      response: String,
+      reviewedAt: Date,
+      reviewedBy: {
+        type: mongoose.Schema.ObjectId,
+        ref: "User",
+      },
+    },
+    // Seller KYC. Documents are stored as authenticated Cloudinary assets
+    // and only shown to staff through signed URLs.
+    sellerVerification: {
+      status: {
+        type: String,
+        enum: ["pending", "approved", "rejected"],
+      },
+      documents: [
+        {
+          kind: {
+            type: String,
+            enum: ["id", "land"],
+          },
+          public_id: String,
+          resourceType: String,
+          format: String,
+          uploadedAt: {
+            type: Date,
+            default: Date.now,
+          },
+        },
+      ],
+      farmName: String,
+      submittedAt: Date,
+      reviewedAt: Date,
+      reviewedBy: {
+        type: mongoose.Schema.ObjectId,
+        ref: "User",
+      },
+      rejectionReason: String,
+    },
+    // One-time codes and the reset key are stored as SHA-256 hashes
     verificationToken: String,
     verificationTokenExpire: Date,
     resetPasswordToken: String,
     resetPasswordExpire: Date,
+    loginOtp: String,
+    loginOtpExpire: Date,
     resetKey: String, // For reset password verification
     resetKeyExpire: Date,
+    // Email change waiting for the code sent to the new address
+    pendingEmail: {
+      type: String,
+      lowercase: true,
+      trim: true,
+    },
+    emailChangeToken: String,
+    emailChangeExpire: Date,
+    // Phone change waiting for the code sent to the new number
+    pendingPhone: {
+      type: String,
+      set: normalizePhone,
+    },
+    phoneChangeToken: String,
+    phoneChangeExpire: Date,
+    // Brute-force protection: failures since the last lock, and how many
+    // times the account has been locked in a row
+    failedAttempts: {
+      type: Number,
+      default: 0,
+    },
+    lockCount: {
+      type: Number,
+      default: 0,
+    },
+    lockUntil: Date,
+    // Self-service deletion: the account is anonymized once scheduledFor passes
+    deletion: {
+      requestedAt: Date,
+      scheduledFor: Date,
+    },
+    deletedAt: Date,
+    // TOTP two-factor authentication. The secret is encrypted and the
+    // recovery codes are hashed; none of them are selected by default.
+    twoFactor: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      secret: {
+        type: String,
+        select: false,
+      },
+      pendingSecret: {
+        type: String,
+        select: false,
+      },
+      recoveryCodes: {
+        type: [String],
+        select: false,
+      },
+      lastUsedStep: Number,
+      enabledAt: Date,
+    },
   },
   {
     timestamps: true,
   }
 );
 
+userSchema.index(
+  { "oauthAccounts.provider": 1, "oauthAccounts.subject": 1 },
+  { unique: true, sparse: true }
+);
+
 // Encrypt password
 userSchema.pre("save", async function (next) {
   if (!this.isModified("password")) return next();
@@ -71,34 +253,199 @@ userSchema.pre("save", async function (next) {
 
 // Compare password
 userSchema.methods.comparePassword = async function (enteredPassword) {
+  if (!this.password) return false;
   return await bcrypt.compare(enteredPassword, this.password);
 };
 
-// Generate JWT token
-userSchema.methods.getJwtToken = function () {
+// Effective permissions: role defaults plus per-user grants
+userSchema.methods.getPermissions = function () {
+  return [...new Set([...getRolePermissions(this.role), ...this.permissions])];
+};
+
+userSchema.methods.hasPermission = function (permission) {
+  return this.getPermissions().includes(permission);
+};
+
+// Suspended accounts stay blocked until an admin reinstates them or
+// suspendedUntil passes
+userSchema.methods.isSuspended = function () {
+  if (this.isActive !== false) return false;
+  return !this.suspendedUntil || this.suspendedUntil > Date.now();
+};
+
+userSchema.methods.isVerifiedSeller = function () {
+  return this.role === "seller" && this.sellerVerification?.status === "approved";
+};
+
+// Generate short-lived access token bound to a session
+userSchema.methods.getJwtToken = function (sessionId) {
   return jwt.sign(
-    { id: this._id, role: this.role },
+    { id: this._id, role: this.role, sid: sessionId },
     process.env.JWT_SECRET,
-    { expiresIn: '30d' } // Fixed: use direct value
+    { expiresIn: '15m' }
   );
 };
 
-// Generate verification token
+const SHA256_HEX = /^[0-9a-f]{64}$/;
+
+const hashCode = (code) =>
+  crypto.createHash("sha256").update(String(code)).digest("hex");
+
+// 6-digit one-time code, valid for 10 minutes
+const generateCode = () => crypto.randomInt(100000, 1000000).toString();
+
+const CODE_TTL_MS = 10 * 60 * 1000;
+
+// Generate verification token (email or phone)
 userSchema.methods.getVerificationToken = function () {
-  const verificationToken = Math.floor(
-    100000 + Math.random() * 900000
-  ).toString();
-  this.verificationToken = verificationToken;
-  this.verificationTokenExpire = Date.now() + 10 * 60 * 1000;
+  const verificationToken = generateCode();
+  this.verificationToken = hashCode(verificationToken);
+  this.verificationTokenExpire = Date.now() + CODE_TTL_MS;
   return verificationToken;
 };
 
 // Generate reset token
 userSchema.methods.getResetPasswordToken = function () {
-  const resetToken = Math.floor(100000 + Math.random() * 900000).toString();
-  this.resetPasswordToken = resetToken;
-  this.resetPasswordExpire = Date.now() + 10 * 60 * 1000;
+  const resetToken = generateCode();
+  this.resetPasswordToken = hashCode(resetToken);
+  this.resetPasswordExpire = Date.now() + CODE_TTL_MS;
   return resetToken;
 };
 
+// Generate passwordless SMS login code
+userSchema.methods.getLoginOtp = function () {
+  const loginOtp = generateCode();
+  this.loginOtp = hashCode(loginOtp);
+  this.loginOtpExpire = Date.now() + CODE_TTL_MS;
+  return loginOtp;
+};
+
+// Generate the key that authorises the final password reset step
+userSchema.methods.getResetKey = function () {
+  const resetKey = crypto.randomBytes(32).toString("hex");
+  this.resetKey = hashCode(resetKey);
+  this.resetKeyExpire = Date.now() + CODE_TTL_MS;
+  return resetKey;
+};
+
+// Generate the code that confirms a move to a new email address
+userSchema.methods.getEmailChangeToken = function (newEmail) {
+  const code = generateCode();
+  this.pendingEmail = newEmail;
+  this.emailChangeToken = hashCode(code);
+  this.emailChangeExpire = Date.now() + CODE_TTL_MS;
+  return code;
+};
+
+// Generate the code that confirms a move to a new phone number
+userSchema.methods.getPhoneChangeToken = function (newPhone) {
+  const code = generateCode();
+  this.pendingPhone = newPhone;
+  this.phoneChangeToken = hashCode(code);
+  this.phoneChangeExpire = Date.now() + CODE_TTL_MS;
+  return code;
+};
+
+const CODE_FIELDS = {
+  verificationToken: "verificationTokenExpire",
+  resetPasswordToken: "resetPasswordExpire",
+  loginOtp: "loginOtpExpire",
+  resetKey: "resetKeyExpire",
+  emailChangeToken: "emailChangeExpire",
+  phoneChangeToken: "phoneChangeExpire",
+};
+
+// Check a submitted code against a stored hash, e.g. matchesCode("loginOtp", code)
+userSchema.methods.matchesCode = function (field, code) {
+  const stored = this[field];
+  const expire = this[CODE_FIELDS[field]];
+
+  if (!stored || !code || !expire || expire <= Date.now()) return false;
+
+  // Codes issued before hashing was introduced are stored in plain text and
+  // no longer accepted; timingSafeEqual would throw on the length mismatch
+  if (typeof code !== "string" && typeof code !== "number") return false;
+  if (typeof stored !== "string" || !SHA256_HEX.test(stored)) return false;
+
+  return crypto.timingSafeEqual(
+    Buffer.from(stored, "hex"),
+    Buffer.from(hashCode(code), "hex")
+  );
+};
+
+// Anyone holding an admin permission must use 2FA to reach admin routes
+userSchema.methods.requiresTwoFactor = function () {
+  return this.getPermissions().length > 0;
+};
+
+// Check an authenticator code or a recovery code. Needs the document loaded
+// with +twoFactor.secret +twoFactor.recoveryCodes; the caller saves.
+userSchema.methods.verifySecondFactor = function (code) {
+  if (!this.twoFactor?.enabled || !code) return false;
+
+  const step = verifyTotp(
+    decryptSecret(this.twoFactor.secret),
+    String(code).trim(),
+    this.twoFactor.lastUsedStep
+  );
+  if (step !== null) {
+    this.twoFactor.lastUsedStep = step;
+    return true;
+  }
+
+  const codeHash = hashCode(String(code).trim().toLowerCase());
+  const index = this.twoFactor.recoveryCodes.indexOf(codeHash);
+  if (index !== -1) {
+    this.twoFactor.recoveryCodes.splice(index, 1);
+    return true;
+  }
+
+  return false;
+};
+
+userSchema.methods.setRecoveryCodes = function (codes) {
+  this.twoFactor.recoveryCodes = codes.map(hashCode);
+};
+
+const MAX_FAILED_ATTEMPTS = 5;
+const BASE_LOCK_MS = 60 * 1000; // 1 minute
+const MAX_LOCK_MS = 24 * 60 * 60 * 1000; // 1 day
+
+// Accounts from before phone sign-up have no isEmailVerified: they could
+// only ever be verified by email, so a verified one has a verified email
+userSchema.methods.hasVerifiedEmail = function () {
+  if (this.$isDefault("isEmailVerified")) return Boolean(this.isVerified && this.email);
+  return this.isEmailVerified;
+};
+
+userSchema.methods.isLocked = function () {
+  return Boolean(this.lockUntil && this.lockUntil > Date.now());
+};
+
+// Record a wrong password or code. Every fifth failure locks the account,
+// doubling the lock each time, and burns any outstanding codes so guessing
+// has to start over against a new one.
+userSchema.methods.registerFailedAttempt = async function () {
+  this.failedAttempts += 1;
+
+  if (this.failedAttempts >= MAX_FAILED_ATTEMPTS) {
+    this.lockUntil = Date.now() + Math.min(BASE_LOCK_MS * 2 ** this.lockCount, MAX_LOCK_MS);
+    this.lockCount += 1;
+    this.failedAttempts = 0;
+
+    for (const [field, expireField] of Object.entries(CODE_FIELDS)) {
+      this[field] = undefined;
+      this[expireField] = undefined;
+    }
+  }
+
+  await this.save({ validateBeforeSave: false });
+};
+
+userSchema.methods.resetFailedAttempts = function () {
+  this.failedAttempts = 0;
+  this.lockCount = 0;
+  this.lockUntil = undefined;
+};
+
 export default mongoose.model("User", userSchema);
@@ -0,0 +1,24 @@
+import mongoose from "mongoose";
+
+const watchlistItemSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    product: {
+      type: mongoose.Schema.ObjectId,
+      ref: "Product",
+      required: true,
+      index: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+watchlistItemSchema.index({ user: 1, product: 1 }, { unique: true });
+
+export default mongoose.model("WatchlistItem", watchlistItemSchema);
@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import { UNIT_NAMES, DEFAULT_UNIT } from "../config/units.js";
 
 const categorySchema = new mongoose.Schema({
     name: {
@@ -6,6 +7,17 @@ const categorySchema = new mongoose.Schema({
         required: true,
         trim: true,
         unique: true
+    },
+    // What listings in this category are counted and priced in
+    unit: {
+        type: String,
+        enum: UNIT_NAMES,
+        default: DEFAULT_UNIT
+    },
+    // Quality grades sellers can pick from, best first (e.g. ["A", "B", "C"])
+    grades: {
+        type: [String],
+        default: []
     }
 }, {
     timestamps: true  // Adds createdAt and updatedAt fields
@@ -8,27 +8,41 @@ import {
   deleteProduct,
   getDashboardStats,
   updateProductStatus,
+  suspendUser,
+  reinstateSuspendedUser,
+  getAppeals,
+  reviewAppeal,
 } from "../controllers/adminController..js";
 import { protect, authorize } from "../middleware/auth.js";
 import { deleteOrder, getOrderStats } from "../controllers/orderController.js";
+import { getVerifications, reviewVerification } from "../controllers/verificationController.js";
+import { getListingReviews, reviewListing } from "../controllers/moderationController.js";
+import { PERMISSIONS } from "../config/roles.js";
 
 const router = express.Router();
 
-// All routes are protected and admin only
+// All routes are protected; each one requires its own permission
 router.use(protect);
-router.use(authorize("admin"));
-router.get("/stats", getOrderStats);
+router.get("/stats", authorize(PERMISSIONS.ORDERS_READ), getOrderStats);
 
-router.get("/dashboard", getDashboardStats);
-router.get("/products", getAllProducts);
+router.get("/dashboard", authorize(PERMISSIONS.DASHBOARD_READ), getDashboardStats);
+router.get("/products", authorize(PERMISSIONS.PRODUCTS_READ), getAllProducts);
 
-router.get("/users", getAllUsers);
-router.get("/users/:userId", getUserById);
-router.put("/users/:userId", updateUser);
-router.delete("/users/:userId", deleteUser);
-router.delete("/:orderId", deleteOrder);
+router.get("/users", authorize(PERMISSIONS.USERS_READ), getAllUsers);
+router.get("/users/:userId", authorize(PERMISSIONS.USERS_READ), getUserById);
+router.put("/users/:userId", authorize(PERMISSIONS.USERS_UPDATE), updateUser);
+router.delete("/users/:userId", authorize(PERMISSIONS.USERS_DELETE), deleteUser);
+router.put("/users/:userId/suspend", authorize(PERMISSIONS.USERS_UPDATE), suspendUser);
+router.put("/users/:userId/reinstate", authorize(PERMISSIONS.USERS_UPDATE), reinstateSuspendedUser);
+router.put("/users/:userId/appeal", authorize(PERMISSIONS.USERS_UPDATE), reviewAppeal);
+router.get("/appeals", authorize(PERMISSIONS.USERS_READ), getAppeals);
+router.get("/verifications", authorize(PERMISSIONS.USERS_READ), getVerifications);
+router.put("/verifications/:userId", authorize(PERMISSIONS.USERS_UPDATE), reviewVerification);
+router.get("/listing-reviews", authorize(PERMISSIONS.PRODUCTS_READ), getListingReviews);
+router.put("/listing-reviews/:productId", authorize(PERMISSIONS.PRODUCTS_UPDATE), reviewListing);
+router.delete("/:orderId", authorize(PERMISSIONS.ORDERS_DELETE), deleteOrder);
 
-router.delete("/products/:productId", deleteProduct);
-router.put("/products/:productId/status", updateProductStatus);
+router.delete("/products/:productId", authorize(PERMISSIONS.PRODUCTS_DELETE), deleteProduct);
+router.put("/products/:productId/status", authorize(PERMISSIONS.PRODUCTS_UPDATE), updateProductStatus);
 
 export default router;
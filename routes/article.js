@@ -1,6 +1,7 @@
 import express from "express";
 import { authorize, protect } from "../middleware/auth.js";
 import upload from "../middleware/upload.js";
+import { PERMISSIONS } from "../config/roles.js";
 import {
   createArticle,
   deleteArticle,
@@ -13,7 +14,7 @@ const router = express.Router();
 router.post(
   "/",
   protect,
-  authorize("admin"),
+  authorize(PERMISSIONS.ARTICLES_PUBLISH),
   upload.fields([
     { name: "cover_image", maxCount: 1 },
     { name: "images", maxCount: 5 },
@@ -27,7 +28,7 @@ router.get("/:slug", getArticle);
 router.put(
   "/:id",
   protect,
-  authorize("admin"),
+  authorize(PERMISSIONS.ARTICLES_PUBLISH),
   upload.fields([
     { name: "cover_image", maxCount: 1 },
     { name: "images", maxCount: 5 },
@@ -35,5 +36,5 @@ router.put(
   updateArticle
 );
 
-router.delete("/:id", protect, authorize("admin"), deleteArticle);
+router.delete("/:id", protect, authorize(PERMISSIONS.ARTICLES_DELETE), deleteArticle);
 export default router;
@@ -2,7 +2,10 @@ import express from "express";
 import {
   register,
   verifyEmail,
+  verifyPhone,
   login,
+  requestLoginOtp,
+  loginWithOtp,
   logout,
   forgotPassword,
   resetPassword,
@@ -12,31 +15,107 @@ import {
   resendVerification,
   verifyResetCode,
   resendOTP,
+  submitAppeal,
+  changePassword,
+  requestEmailChange,
+  confirmEmailChange,
+  requestPhoneChange,
+  confirmPhoneChange,
+  refreshAccessToken,
+  getSessions,
+  revokeUserSession,
+  revokeOtherSessions,
 } from "../controllers/authController.js";
-import { protect } from "../middleware/auth.js";
-import upload from "../middleware/upload.js";
+import {
+  createApiKey,
+  getApiKeys,
+  revokeApiKey,
+} from "../controllers/apiKeyController.js";
+import {
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  verifyTwoFactorLogin,
+} from "../controllers/twoFactorController.js";
+import {
+  startOAuth,
+  oauthCallback,
+  getOAuthResult,
+  completeOAuthSignup,
+} from "../controllers/oauthController.js";
+import {
+  exportAccountData,
+  requestAccountDeletion,
+  cancelAccountDeletion,
+} from "../controllers/accountController.js";
+import {
+  getMySellerVerification,
+  submitSellerVerification,
+} from "../controllers/verificationController.js";
+import { protect, protectAllowSuspended } from "../middleware/auth.js";
+import { authAttemptLimiter, codeSendLimiter } from "../middleware/rateLimit.js";
+import upload, { uploadDocuments } from "../middleware/upload.js";
 
 const router = express.Router();
 
 // Public routes
-router.post("/register", register);
-router.post("/verify-email", verifyEmail);
-router.post("/login", login);
-router.post("/forgot-password", forgotPassword);
-router.post("/verify-reset-code", verifyResetCode);
-router.post("/resend-otp", resendOTP);
-router.post("/reset-password", resetPassword);
-router.post("/resend-verification", resendVerification);
+router.post("/register", codeSendLimiter, register);
+router.post("/verify-email", authAttemptLimiter, verifyEmail);
+router.post("/verify-phone", authAttemptLimiter, verifyPhone);
+router.post("/login", authAttemptLimiter, login);
+router.post("/login/otp", codeSendLimiter, requestLoginOtp);
+router.post("/login/otp/verify", authAttemptLimiter, loginWithOtp);
+router.post("/2fa/verify", authAttemptLimiter, verifyTwoFactorLogin);
+router.post("/forgot-password", codeSendLimiter, forgotPassword);
+router.post("/verify-reset-code", authAttemptLimiter, verifyResetCode);
+router.post("/resend-otp", codeSendLimiter, resendOTP);
+router.post("/reset-password", authAttemptLimiter, resetPassword);
+router.post("/resend-verification", codeSendLimiter, resendVerification);
+router.post("/refresh", refreshAccessToken);
+router.post("/oauth/result", getOAuthResult);
+router.post("/oauth/complete", codeSendLimiter, completeOAuthSignup);
+router.get("/oauth/:provider", startOAuth);
+router.get("/oauth/:provider/callback", authAttemptLimiter, oauthCallback);
 
 // Protected routes
 router.post("/logout", logout);
 router.get("/profile", protect, getProfile);
 router.put("/profile", protect, updateProfile);
+router.put("/password", protect, authAttemptLimiter, changePassword);
+router.post("/email/change", protect, codeSendLimiter, requestEmailChange);
+router.post("/email/confirm", protect, authAttemptLimiter, confirmEmailChange);
+router.post("/phone/change", protect, codeSendLimiter, requestPhoneChange);
+router.post("/phone/confirm", protect, authAttemptLimiter, confirmPhoneChange);
 router.put(
   "/profile/picture",
   protect,
   upload.single("profilePicture"),
   updateProfilePicture
 );
+router.post("/appeal", protectAllowSuspended, submitAppeal);
+router.get("/sessions", protect, getSessions);
+router.delete("/sessions", protect, revokeOtherSessions);
+router.delete("/sessions/:sessionId", protect, revokeUserSession);
+router.post("/2fa/setup", protect, setupTwoFactor);
+router.post("/2fa/enable", protect, enableTwoFactor);
+router.post("/2fa/disable", protect, disableTwoFactor);
+router.post("/2fa/recovery-codes", protect, regenerateRecoveryCodes);
+router.get("/account/export", protect, exportAccountData);
+router.post("/account/delete", protect, requestAccountDeletion);
+router.post("/account/delete/cancel", protect, cancelAccountDeletion);
+router.get("/seller-verification", protect, getMySellerVerification);
+router.post(
+  "/seller-verification",
+  protect,
+  uploadDocuments.fields([
+    { name: "idDocuments", maxCount: 2 },
+    { name: "landDocuments", maxCount: 3 },
+  ]),
+  submitSellerVerification
+);
+router.get("/api-keys", protect, getApiKeys);
+router.post("/api-keys", protect, createApiKey);
+router.delete("/api-keys/:keyId", protect, revokeApiKey);
 
 export default router;
@@ -0,0 +1,16 @@
+import express from "express";
+import {
+  getNotifications,
+  markNotificationRead,
+  markAllNotificationsRead,
+} from "../controllers/notificationController.js";
+import { protect } from "../middleware/auth.js";
+
+const router = express.Router();
+
+router.use(protect);
+router.get("/", getNotifications);
+router.put("/read-all", markAllNotificationsRead);
+router.put("/:id/read", markNotificationRead);
+
+export default router;
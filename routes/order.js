@@ -13,23 +13,24 @@ import {
   getOrderStats
 } from '../controllers/orderController.js';
 import { protect, authorize } from '../middleware/auth.js';
+import { PERMISSIONS } from '../config/roles.js';
 
 const router = express.Router();
 
 // ✅ FIXED: Put ADMIN routes BEFORE parameter routes
 // Admin only routes
-router.get('/admin/all', protect, authorize('admin'), getAllOrders);
+router.get('/admin/all', protect, authorize(PERMISSIONS.ORDERS_READ), getAllOrders);
 
 
 
 // Protected routes - Order management
 // router.post('/create-from-bid', protect, createOrderFromBid);
 router.get('/my-orders', protect, getMyOrders);
-router.put('/:orderId/delivery-status', protect, authorize('admin'), updateDeliveryStatus);
+router.put('/:orderId/delivery-status', protect, authorize(PERMISSIONS.ORDERS_UPDATE), updateDeliveryStatus);
 router.put('/:orderId/payment-status', protect, updatePaymentStatus);
 router.put('/:orderId/cancel', protect, cancelOrder);
 router.put('/:orderId/review', protect, addOrderReview);
-router.put('/:orderId/status', protect, authorize('admin'), updateOrderStatus);
+router.put('/:orderId/status', protect, authorize(PERMISSIONS.ORDERS_UPDATE), updateOrderStatus);
 router.get('/:orderId', protect, getOrder);
 
 export default router;
\ No newline at end of file
@@ -5,39 +5,92 @@ import {
   getProductsForBuyer,
   getProductsForSeller,
   getProduct,
+  getPriceHistory,
   updateMyProduct,
   deleteMyProduct,
+  renewMyProduct,
+  publishMyProduct,
+  unpublishMyProduct,
 
   getAdminProducts,
   getAllProducts,
+  searchProducts,
 } from "../controllers/productController.js";
-import { protect, authorize } from "../middleware/auth.js";
+import { protect, protectOrApiKey } from "../middleware/auth.js";
 import upload from "../middleware/upload.js";
-import { acceptBid, getMyBids, getMyWins, getProductWithBids, placeBid } from "../controllers/bidController.js";
+import {
+  getSavedSearches,
+  createSavedSearch,
+  updateSavedSearch,
+  deleteSavedSearch,
+} from "../controllers/savedSearchController.js";
+import {
+  getWatchlist,
+  addToWatchlist,
+  removeFromWatchlist,
+} from "../controllers/watchlistController.js";
+import {
+  acceptBid,
+  getMyBids,
+  getMyWins,
+  getProductWithBids,
+  placeBid,
+  streamBidEvents,
+  updateBid,
+  withdrawBid,
+  rejectBid,
+  counterBid,
+  acceptCounterOffer,
+  getBidThread,
+} from "../controllers/bidController.js";
 
 const router = express.Router();
 
 // Public routes
 
 // Protected routes - Personal products (both roles)
-router.post("/", protect, upload.array("images", 5), createProduct);
+router.post(
+  "/",
+  protectOrApiKey("products:create"),
+  upload.array("images", 5),
+  createProduct
+);
 router.get("/for-buyer", protect, getProductsForBuyer);
 router.get("/for-seller", protect, getProductsForSeller);
 router.get("/all-products", getAllProducts);
+router.get("/search", searchProducts);
 router.get("/my-products", protect, getMyProducts);
 router.get("/my-wins", protect, getMyWins);
 router.get("/my-bids/history", protect, getMyBids);
+router.get("/watchlist", protect, getWatchlist);
+router.post("/watchlist/:productId", protect, addToWatchlist);
+router.delete("/watchlist/:productId", protect, removeFromWatchlist);
+router.get("/saved-searches", protect, getSavedSearches);
+router.post("/saved-searches", protect, createSavedSearch);
+router.put("/saved-searches/:id", protect, updateSavedSearch);
+router.delete("/saved-searches/:id", protect, deleteSavedSearch);
 router.put(
   "/my-products/:id",
   protect,
   upload.array("images", 5),
   updateMyProduct
 );
+router.put("/my-products/:id/renew", protect, renewMyProduct);
+router.put("/my-products/:id/publish", protect, publishMyProduct);
+router.put("/my-products/:id/unpublish", protect, unpublishMyProduct);
 router.delete("/my-products/:id", protect, deleteMyProduct);
 router.get("/:slug", getProduct);
 
-router.post("/:id/bid", protect, placeBid);
+router.post("/:id/bid", protectOrApiKey("bids:create"), placeBid);
 router.put("/:productId/accept-bid/:bidId", protect, acceptBid);
 router.get("/:id/with-bids", protect, getProductWithBids);
+router.get("/:id/bids/stream", protect, streamBidEvents);
+router.put("/:id/bids/:bidId", protect, updateBid);
+router.put("/:id/bids/:bidId/withdraw", protect, withdrawBid);
+router.put("/:id/bids/:bidId/reject", protect, rejectBid);
+router.put("/:id/bids/:bidId/counter", protect, counterBid);
+router.put("/:id/bids/:bidId/accept-counter", protect, acceptCounterOffer);
+router.get("/:id/bids/:bidId/thread", protect, getBidThread);
+router.get("/:id/price-history", getPriceHistory);
 
 export default router;
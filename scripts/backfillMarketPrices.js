@@ -0,0 +1,31 @@
+// Build the market price index from orders placed before it existed.
+//
+//   npm run backfill-prices
+//
+// Safe to run again at any time; each order's price point is brought in
+// line with the order's current status.
+import "dotenv/config";
+import mongoose from "mongoose";
+import connectDatabase from "../config/database.js";
+import "../models/Product.js";
+import Order from "../models/Order.js";
+import PricePoint from "../models/PricePoint.js";
+
+const run = async () => {
+  await connectDatabase();
+
+  await PricePoint.createIndexes();
+
+  let count = 0;
+  for await (const order of Order.find({ orderStatus: { $nin: ["Cancelled", "Refunded"] } })) {
+    if (await PricePoint.syncOrder(order)) count++;
+  }
+  console.log(`Recorded prices for ${count} order(s)`);
+
+  await mongoose.disconnect();
+};
+
+run().catch((error) => {
+  console.error("Failed to backfill market prices:", error.message);
+  process.exit(1);
+});
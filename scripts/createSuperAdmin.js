@@ -0,0 +1,58 @@
+// Bootstrap the first super admin.
+//
+//   npm run create-admin -- <email> [password] [phone]
+//
+// Promotes an existing account, or creates a verified one when a password and
+// phone are given. Refuses to run once a super admin exists; further staff
+// roles are granted through PUT /api/admin/users/:userId.
+import "dotenv/config";
+import mongoose from "mongoose";
+import connectDatabase from "../config/database.js";
+import User from "../models/User.js";
+
+const [email, password, phone] = process.argv.slice(2);
+
+const run = async () => {
+  if (!email) {
+    console.error("Usage: npm run create-admin -- <email> [password] [phone]");
+    process.exit(1);
+  }
+
+  await connectDatabase();
+
+  if (await User.exists({ role: "super-admin" })) {
+    console.error("A super admin already exists. Ask them to grant you a role.");
+    process.exit(1);
+  }
+
+  let user = await User.findOne({ email: email.toLowerCase() });
+
+  if (user) {
+    user.role = "super-admin";
+    user.isVerified = true;
+    await user.save();
+    console.log(`Promoted ${user.email} to super admin`);
+  } else {
+    if (!password || !phone) {
+      console.error(`No user with email ${email}. Pass a password and phone to create one.`);
+      process.exit(1);
+    }
+
+    user = await User.create({
+      name: "Super Admin",
+      email,
+      phone,
+      role: "super-admin",
+      password,
+      isVerified: true,
+    });
+    console.log(`Created super admin ${user.email}`);
+  }
+
+  await mongoose.disconnect();
+};
+
+run().catch((error) => {
+  console.error("Failed to create super admin:", error.message);
+  process.exit(1);
+});
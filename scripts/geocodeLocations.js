@@ -0,0 +1,51 @@
+// Fill in missing GeoJSON points on product locations and user addresses
+// from the local gazetteer.
+//
+//   npm run geocode
+//
+// Points that are already set (including GPS coordinates sent by clients)
+// are left alone, so it is safe to run again.
+import "dotenv/config";
+import mongoose from "mongoose";
+import connectDatabase from "../config/database.js";
+import Product from "../models/Product.js";
+import User from "../models/User.js";
+import { geocode } from "../utils/geocode.js";
+
+const backfill = async (Model, path) => {
+  let updated = 0;
+  let unmatched = 0;
+
+  const missing = {
+    [path]: { $exists: true },
+    [`${path}.geo.coordinates`]: { $exists: false },
+  };
+
+  for await (const doc of Model.find(missing).select(path).lean()) {
+    const point = geocode(doc[path]);
+    if (!point) {
+      unmatched++;
+      continue;
+    }
+
+    await Model.updateOne({ _id: doc._id }, { [`${path}.geo`]: point });
+    updated++;
+  }
+
+  console.log(`${Model.modelName}: geocoded ${updated}, no match for ${unmatched}`);
+};
+
+const run = async () => {
+  await connectDatabase();
+
+  await Product.createIndexes();
+  await backfill(Product, "location");
+  await backfill(User, "address");
+
+  await mongoose.disconnect();
+};
+
+run().catch((error) => {
+  console.error("Failed to geocode locations:", error.message);
+  process.exit(1);
+});
@@ -0,0 +1,86 @@
+// Move bids embedded in listings into the bids collection. Run it once
+// before starting a server that reads bids from the collection.
+//
+//   npm run migrate-bids
+//
+// Bids keep their _id, and a listing's embedded bids are only removed once
+// every one of them is in the collection, so it is safe to run again.
+import "dotenv/config";
+import mongoose from "mongoose";
+import connectDatabase from "../config/database.js";
+import Product from "../models/Product.js";
+import Bid from "../models/Bid.js";
+
+// Only one pending bid per user and listing is allowed now; should there
+// be more, the latest stays pending and the rest are withdrawn
+const withOnePendingPerUser = (bids) => {
+  const latest = new Map();
+  for (const bid of bids) {
+    if ((bid.status ?? "pending") !== "pending") continue;
+    const previous = latest.get(bid.user.toString());
+    if (!previous || bid.bidAt > previous.bidAt) latest.set(bid.user.toString(), bid);
+  }
+
+  return bids.map((bid) =>
+    (bid.status ?? "pending") === "pending" && latest.get(bid.user.toString()) !== bid
+      ? { ...bid, status: "withdrawn" }
+      : bid
+  );
+};
+
+const run = async () => {
+  await connectDatabase();
+
+  await Bid.createIndexes();
+
+  let moved = 0;
+  let listings = 0;
+  let skipped = 0;
+
+  // `bids` is no longer in the Product schema, so it is read with the driver
+  const embedded = Product.collection.find(
+    { bids: { $exists: true } },
+    { projection: { bids: 1 } }
+  );
+
+  for await (const product of embedded) {
+    const bids = withOnePendingPerUser(product.bids || []).map((bid) => ({
+      ...bid,
+      product: product._id,
+      status: bid.status ?? "pending",
+      offers: bid.offers ?? [],
+      createdAt: bid.bidAt,
+      updatedAt: bid.acceptedAt ?? bid.bidAt,
+    }));
+
+    if (bids.length > 0) {
+      try {
+        await Bid.collection.insertMany(bids, { ordered: false });
+      } catch (error) {
+        // Bids copied by an earlier run are already there
+        if (error.code !== 11000) throw error;
+      }
+
+      const copied = await Bid.countDocuments({ _id: { $in: bids.map((bid) => bid._id) } });
+      if (copied < bids.length) {
+        console.warn(`Listing ${product._id}: ${bids.length - copied} bid(s) could not be copied; left in place`);
+        skipped++;
+        continue;
+      }
+    }
+
+    await Product.collection.updateOne({ _id: product._id }, { $unset: { bids: "" } });
+    moved += bids.length;
+    listings++;
+  }
+
+  console.log(`Moved ${moved} bid(s) from ${listings} listing(s)`);
+  if (skipped > 0) console.log(`${skipped} listing(s) need attention; see the warnings above`);
+
+  await mongoose.disconnect();
+};
+
+run().catch((error) => {
+  console.error("Failed to migrate bids:", error.message);
+  process.exit(1);
+});
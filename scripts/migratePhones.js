@@ -0,0 +1,78 @@
+// Store every phone number in normalized form and build the unique phone
+// index. Run it once before starting a server with the unique index, which
+// cannot be built while two accounts share a number.
+//
+//   npm run migrate-phones
+//
+// Where accounts share a number once normalized, the one that verified it
+// keeps it (then the most recently updated); the others lose the number and
+// are listed so support can contact them by email. Safe to run again.
+import "dotenv/config";
+import mongoose from "mongoose";
+import connectDatabase from "../config/database.js";
+import User from "../models/User.js";
+import { normalizePhone } from "../utils/sendSms.js";
+
+// Which of the accounts sharing a number keeps it
+const keeperFirst = (a, b) =>
+  Number(Boolean(b.isPhoneVerified)) - Number(Boolean(a.isPhoneVerified)) ||
+  Number(Boolean(b.isVerified)) - Number(Boolean(a.isVerified)) ||
+  (b.updatedAt ?? 0) - (a.updatedAt ?? 0) ||
+  (a.createdAt ?? 0) - (b.createdAt ?? 0);
+
+const run = async () => {
+  // The unique index is built at the end, once the numbers allow it
+  mongoose.set("autoIndex", false);
+  await connectDatabase();
+
+  // Read with the driver: the schema setter would hide unnormalized values
+  const users = await User.collection
+    .find(
+      { phone: { $exists: true, $nin: [null, ""] } },
+      { projection: { phone: 1, email: 1, isVerified: 1, isPhoneVerified: 1, createdAt: 1, updatedAt: 1 } }
+    )
+    .toArray();
+
+  const byPhone = new Map();
+  for (const user of users) {
+    const phone = normalizePhone(user.phone);
+    byPhone.set(phone, [...(byPhone.get(phone) ?? []), user]);
+  }
+
+  let normalized = 0;
+  const dropped = [];
+
+  for (const [phone, holders] of byPhone) {
+    const [keeper, ...others] = holders.sort(keeperFirst);
+
+    for (const user of others) {
+      await User.collection.updateOne(
+        { _id: user._id },
+        { $unset: { phone: "" }, $set: { isPhoneVerified: false } }
+      );
+      dropped.push({ user, phone });
+    }
+
+    if (keeper.phone !== phone) {
+      await User.collection.updateOne({ _id: keeper._id }, { $set: { phone } });
+      normalized++;
+    }
+  }
+
+  await User.createIndexes();
+
+  console.log(`Normalized ${normalized} phone number(s) across ${users.length} account(s)`);
+  if (dropped.length > 0) {
+    console.log(`${dropped.length} account(s) shared a number and lost it:`);
+    for (const { user, phone } of dropped) {
+      console.log(`  ${user._id} ${user.email ?? "(no email)"} had ${phone}`);
+    }
+  }
+
+  await mongoose.disconnect();
+};
+
+run().catch((error) => {
+  console.error("Failed to migrate phone numbers:", error.message);
+  process.exit(1);
+});
@@ -0,0 +1,26 @@
+// Build the text index and fill in search fields for existing products.
+//
+//   npm run reindex-search
+//
+// Safe to run again at any time; every product's search fields are rebuilt
+// from its current title, description and category.
+import "dotenv/config";
+import mongoose from "mongoose";
+import connectDatabase from "../config/database.js";
+import "../models/category.js";
+import Product from "../models/Product.js";
+
+const run = async () => {
+  await connectDatabase();
+
+  await Product.createIndexes();
+  const count = await Product.reindexSearch();
+  console.log(`Reindexed ${count} product(s)`);
+
+  await mongoose.disconnect();
+};
+
+run().catch((error) => {
+  console.error("Failed to reindex products:", error.message);
+  process.exit(1);
+});
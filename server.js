@@ -10,14 +10,37 @@ import OrderRoute from "./routes/order.js";
 import AdminRouter from "./routes/admin.js";
 import ArticleRouter from "./routes/article.js"
 import AiChatRouter from "./routes/aiRouter.js"
+import NotificationRouter from "./routes/notification.js";
+import MarketRouter from "./routes/market.js";
+import { processDueDeletions } from "./utils/accountDeletion.js";
+import { processListingExpiry } from "./utils/listingExpiry.js";
+import { sendSavedSearchDigests } from "./utils/savedSearchAlerts.js";
+import { publishScheduledListings } from "./utils/listingStatus.js";
+import { closeEndedAuctions } from "./utils/auctions.js";
+import { startScheduler } from "./utils/scheduler.js";
 connectDatabase();
 const app = express();
+
+// Behind a reverse proxy, set TRUST_PROXY (e.g. 1) so rate limits see the
+// client's IP instead of the proxy's
+if (process.env.TRUST_PROXY) {
+  app.set("trust proxy", Number(process.env.TRUST_PROXY) || process.env.TRUST_PROXY);
+}
+// CLIENT_URL plus any extra comma-separated origins in CORS_ORIGINS.
+// Requests without an Origin header (mobile apps, partner servers) pass.
+const allowedOrigins = [process.env.CLIENT_URL, ...(process.env.CORS_ORIGINS || "").split(",")]
+  .map((origin) => origin && origin.trim())
+  .filter(Boolean);
+
 app.use(
   cors({
-    origin: process.env.CLIENT_URL,
+    origin: (origin, callback) => {
+      callback(null, !origin || allowedOrigins.includes(origin));
+    },
     credentials: true,
     methods: ["GET", "POST", "PUT", "PATCH", "DELETE"],
-    allowedHeaders: ["Content-Type", "Authorization"],
+    allowedHeaders: ["Content-Type", "Authorization", "X-API-Key", "X-Auth-Mode"],
+    exposedHeaders: ["X-RateLimit-Limit", "X-RateLimit-Remaining", "X-RateLimit-Reset"],
   })
 );
 
@@ -31,6 +54,8 @@ app.use('/api/categories', CategoryRoutes);
 app.use("/api/order", OrderRoute);
 app.use("/api/admin", AdminRouter);
 app.use("/api/ai", AiChatRouter);
+app.use("/api/notifications", NotificationRouter);
+app.use("/api/market", MarketRouter);
 
 app.use((err, req, res, next) => {
   console.error(err.stack);
@@ -47,4 +72,18 @@ app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
 });
 
+// Background jobs; schedules and locks are kept in MongoDB
+startScheduler([
+  // Anonymize accounts whose deletion grace period has ended
+  { name: "account-deletions", intervalMs: 60 * 60 * 1000, run: processDueDeletions },
+  // Remind owners before expiry, then expire listings and close their bids
+  { name: "listing-expiry", intervalMs: 5 * 60 * 1000, run: processListingExpiry },
+  // Daily saved-search digests; each search is sent at most once a day
+  { name: "saved-search-digests", intervalMs: 60 * 60 * 1000, run: sendSavedSearchDigests },
+  // Publish scheduled listings, or queue them for review
+  { name: "listing-publish", intervalMs: 60 * 1000, run: publishScheduledListings },
+  // Close timed auctions and accept their winning bids
+  { name: "auction-close", intervalMs: 60 * 1000, run: closeEndedAuctions },
+]);
+
 export default app;
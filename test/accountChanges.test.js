@@ -0,0 +1,246 @@
+import { describe, it, mock, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import User from "../models/User.js";
+import Session from "../models/Session.js";
+import transporter from "../config/nodemailer.js";
+import smsProvider from "../config/sms.js";
+import {
+  changePassword,
+  requestEmailChange,
+  confirmEmailChange,
+  requestPhoneChange,
+  confirmPhoneChange,
+  updateProfile,
+} from "../controllers/authController.js";
+import { query, mockResponse } from "./helpers.js";
+
+afterEach(() => mock.restoreAll());
+
+const userWith = (fields = {}) => {
+  const user = new User({ name: "Tania", email: "tania@example.com", role: "buyer", ...fields });
+  mock.method(user, "save", async () => user);
+  mock.method(user, "comparePassword", async (password) => password === "current");
+  return user;
+};
+
+// Capture outgoing email; sendEmail also logs to the console
+const captureEmail = () => {
+  mock.method(console, "log", () => {});
+  const send = mock.method(transporter, "sendMail", async () => ({}));
+  return {
+    send,
+    lastCode: () => send.mock.calls.at(-1).arguments[0].html.match(/\d{6}/)[0],
+  };
+};
+
+describe("changePassword", () => {
+  it("changes the password, keeps this session and signs out the others", async () => {
+    const mail = captureEmail();
+    const user = userWith({ password: "hashed" });
+    mock.method(User, "findById", () => query(user));
+    const revoke = mock.method(Session, "updateMany", async () => ({ modifiedCount: 3 }));
+    const res = mockResponse();
+
+    await changePassword(
+      {
+        user: { id: user._id },
+        sessionId: "current-session",
+        body: { currentPassword: "current", password: "newPass1", confirm_password: "newPass1" },
+      },
+      res
+    );
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(user.password, "newPass1");
+    assert.deepEqual(revoke.mock.calls[0].arguments[0]._id, { $ne: "current-session" });
+    assert.match(res.body.message, /3 other session/);
+    assert.equal(mail.send.mock.calls[0].arguments[0].to, "tania@example.com");
+  });
+
+  it("counts a wrong current password as a failed attempt", async () => {
+    const user = userWith({ password: "hashed" });
+    mock.method(User, "findById", () => query(user));
+    const res = mockResponse();
+
+    await changePassword(
+      { user: { id: user._id }, body: { currentPassword: "guess", password: "newPass1", confirm_password: "newPass1" } },
+      res
+    );
+
+    assert.equal(res.statusCode, 401);
+    assert.equal(user.failedAttempts, 1);
+    assert.equal(user.password, "hashed");
+  });
+
+  it("lets social sign-in accounts set a first password", async () => {
+    captureEmail();
+    const user = userWith();
+    mock.method(User, "findById", () => query(user));
+    mock.method(Session, "updateMany", async () => ({ modifiedCount: 0 }));
+    const res = mockResponse();
+
+    await changePassword({ user: { id: user._id }, body: { password: "first1", confirm_password: "first1" } }, res);
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(user.password, "first1");
+  });
+});
+
+describe("email change", () => {
+  it("moves to the new address once the code sent there is confirmed", async () => {
+    const mail = captureEmail();
+    const user = userWith({ password: "hashed" });
+    mock.method(User, "findById", () => query(user));
+    mock.method(User, "exists", async () => null);
+    mock.method(Session, "updateMany", async () => ({ modifiedCount: 1 }));
+
+    const requested = mockResponse();
+    await requestEmailChange({ user: { id: user._id }, body: { newEmail: " New@Example.com ", password: "current" } }, requested);
+    assert.equal(requested.statusCode, 200);
+    assert.equal(mail.send.mock.calls[0].arguments[0].to, "new@example.com");
+    assert.equal(user.email, "tania@example.com");
+
+    const confirmed = mockResponse();
+    await confirmEmailChange({ user: { id: user._id }, body: { code: mail.lastCode() } }, confirmed);
+
+    assert.equal(confirmed.statusCode, 200);
+    assert.equal(user.email, "new@example.com");
+    assert.equal(user.pendingEmail, undefined);
+    assert.equal(user.emailChangeToken, undefined);
+    assert.equal(mail.send.mock.calls[1].arguments[0].to, "tania@example.com");
+  });
+
+  it("refuses an address that is already taken", async () => {
+    const user = userWith({ password: "hashed" });
+    mock.method(User, "findById", () => query(user));
+    mock.method(User, "exists", async () => ({ _id: "someone" }));
+    const res = mockResponse();
+
+    await requestEmailChange({ user: { id: user._id }, body: { newEmail: "taken@example.com", password: "current" } }, res);
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(user.pendingEmail, undefined);
+  });
+
+  it("refuses when the address was claimed while the code was out", async () => {
+    const user = userWith();
+    const code = user.getEmailChangeToken("new@example.com");
+    mock.method(User, "findById", () => query(user));
+    mock.method(User, "exists", async () => ({ _id: "someone" }));
+    const res = mockResponse();
+
+    await confirmEmailChange({ user: { id: user._id }, body: { code } }, res);
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(user.email, "tania@example.com");
+  });
+
+  it("counts a wrong code as a failed attempt", async () => {
+    const user = userWith();
+    user.getEmailChangeToken("new@example.com");
+    mock.method(User, "findById", () => query(user));
+    const res = mockResponse();
+
+    await confirmEmailChange({ user: { id: user._id }, body: { code: "000000" } }, res);
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(user.failedAttempts, 1);
+  });
+});
+
+describe("phone change", () => {
+  const OLD_PHONE = "+8801712345678";
+
+  const captureSms = () => {
+    const send = mock.method(smsProvider, "send", async () => {});
+    return {
+      send,
+      lastCode: () => send.mock.calls.at(-1).arguments[0].message.match(/\d{6}/)[0],
+    };
+  };
+
+  it("moves to the new number once the code sent there is confirmed", async () => {
+    const sms = captureSms();
+    const user = userWith({ password: "hashed", phone: OLD_PHONE, isPhoneVerified: true });
+    mock.method(User, "findById", () => query(user));
+    mock.method(User, "exists", async () => null);
+    const revoke = mock.method(Session, "updateMany", async () => ({ modifiedCount: 1 }));
+
+    const requested = mockResponse();
+    await requestPhoneChange({ user: { id: user._id }, body: { newPhone: "01898765432", password: "current" } }, requested);
+    assert.equal(requested.statusCode, 200);
+    assert.equal(sms.send.mock.calls[0].arguments[0].to, "+8801898765432");
+    assert.equal(user.phone, OLD_PHONE);
+
+    const confirmed = mockResponse();
+    await confirmPhoneChange(
+      { user: { id: user._id }, sessionId: "current-session", body: { code: sms.lastCode() } },
+      confirmed
+    );
+
+    assert.equal(confirmed.statusCode, 200);
+    assert.equal(user.phone, "+8801898765432");
+    assert.equal(user.isPhoneVerified, true);
+    assert.equal(user.pendingPhone, undefined);
+    assert.equal(user.phoneChangeToken, undefined);
+    assert.deepEqual(revoke.mock.calls[0].arguments[0]._id, { $ne: "current-session" });
+    assert.equal(sms.send.mock.calls[1].arguments[0].to, OLD_PHONE);
+  });
+
+  it("needs the password before sending a code", async () => {
+    const sms = captureSms();
+    const user = userWith({ password: "hashed", phone: OLD_PHONE });
+    mock.method(User, "findById", () => query(user));
+    const res = mockResponse();
+
+    await requestPhoneChange({ user: { id: user._id }, body: { newPhone: "01898765432", password: "guess" } }, res);
+
+    assert.equal(res.statusCode, 401);
+    assert.equal(user.failedAttempts, 1);
+    assert.equal(user.pendingPhone, undefined);
+    assert.equal(sms.send.mock.callCount(), 0);
+  });
+
+  it("refuses a number that is already taken", async () => {
+    const user = userWith({ password: "hashed", phone: OLD_PHONE });
+    mock.method(User, "findById", () => query(user));
+    mock.method(User, "exists", async () => ({ _id: "someone" }));
+    const res = mockResponse();
+
+    await requestPhoneChange({ user: { id: user._id }, body: { newPhone: "01898765432", password: "current" } }, res);
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(user.pendingPhone, undefined);
+  });
+
+  it("counts a wrong code as a failed attempt", async () => {
+    const user = userWith({ phone: OLD_PHONE });
+    user.getPhoneChangeToken("+8801898765432");
+    mock.method(User, "findById", () => query(user));
+    const res = mockResponse();
+
+    await confirmPhoneChange({ user: { id: user._id }, body: { code: "000000" } }, res);
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(user.failedAttempts, 1);
+    assert.equal(user.phone, OLD_PHONE);
+  });
+
+  it("cannot be done through a profile update", async () => {
+    const user = userWith({ phone: OLD_PHONE });
+    const update = mock.method(User, "findByIdAndUpdate", () => query(user));
+    const res = mockResponse();
+
+    await updateProfile({ user, body: { name: "Tania", phone: "01898765432" } }, res);
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(update.mock.callCount(), 0);
+
+    // The current number in another format is not a change
+    const unchanged = mockResponse();
+    await updateProfile({ user, body: { name: "Tania", phone: "01712345678" } }, unchanged);
+
+    assert.equal(unchanged.statusCode, 200);
+    assert.equal(update.mock.calls[0].arguments[1].phone, undefined);
+  });
+});
@@ -0,0 +1,305 @@
+import { describe, it, mock, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import User from "../models/User.js";
+import Product from "../models/Product.js";
+import Bid from "../models/Bid.js";
+import Order from "../models/Order.js";
+import AiChat from "../models/AiChat.js";
+import Session from "../models/Session.js";
+import ApiKey from "../models/ApiKey.js";
+import SavedSearch from "../models/SavedSearch.js";
+import Notification from "../models/Notification.js";
+import WatchlistItem from "../models/WatchlistItem.js";
+import PricePoint from "../models/PricePoint.js";
+import transporter from "../config/nodemailer.js";
+import cloudinary from "../config/cloudinary.js";
+import { anonymizeUser, processDueDeletions } from "../utils/accountDeletion.js";
+import {
+  requestAccountDeletion,
+  cancelAccountDeletion,
+  exportAccountData,
+} from "../controllers/accountController.js";
+import { deleteMyProduct } from "../controllers/productController.js";
+import { deleteProduct } from "../controllers/adminController..js";
+import { query, mockResponse, captureBidEvents, id } from "./helpers.js";
+
+afterEach(() => mock.restoreAll());
+
+const userWith = (fields = {}) => {
+  const user = new User({ name: "Mita", email: "mita@example.com", phone: "+8801712345678", role: "seller", ...fields });
+  mock.method(user, "save", async () => user);
+  return user;
+};
+
+cloudinary.config({ cloud_name: "test", api_key: "key", api_secret: "secret" });
+
+// Record every write anonymizeUser makes; `listings` are the user's
+// listings Product.find returns, `traded` the ids of those with an accepted
+// bid or an order, `pendingBids` the bids still open on each listing
+const stubWrites = ({ listings = [], openOrders = [], traded = [], pendingBids = [] } = {}) => {
+  const calls = [];
+  const record = (name, result) => (...args) => {
+    calls.push({ name, args });
+    return typeof result === "function" ? result(...args) : result;
+  };
+
+  mock.method(Product, "find", record("Product.find", () => query(listings)));
+  mock.method(Order, "find", record("Order.find", () => query(openOrders)));
+  for (const [model, name] of [
+    [Product, "Product"],
+    [Bid, "Bid"],
+    [Order, "Order"],
+    [WatchlistItem, "WatchlistItem"],
+    [PricePoint, "PricePoint"],
+    [AiChat, "AiChat"],
+    [Session, "Session"],
+    [ApiKey, "ApiKey"],
+    [SavedSearch, "SavedSearch"],
+    [Notification, "Notification"],
+  ]) {
+    for (const method of ["deleteMany", "updateMany", "updateOne"]) {
+      mock.method(model, method, record(`${name}.${method}`, Promise.resolve({ modifiedCount: 0 })));
+    }
+  }
+  mock.method(User.collection, "updateOne", record("User.tombstone", Promise.resolve({})));
+
+  const hasTraded = ({ product }) => query(traded.includes(product) ? { _id: product } : null);
+  mock.method(Bid, "exists", hasTraded);
+  mock.method(Order, "exists", () => query(null));
+  mock.method(Bid, "find", () => query(pendingBids));
+  mock.method(Product, "deleteOne", record("Product.deleteOne", Promise.resolve({ deletedCount: 1 })));
+  mock.method(Product, "findOneAndUpdate", record("Product.cancel", ({ _id }) => Promise.resolve({ _id })));
+  captureBidEvents();
+  mock.method(cloudinary.uploader, "destroy", record("cloudinary.destroy", Promise.resolve({ result: "ok" })));
+
+  const find = (name) => calls.filter((call) => call.name === name);
+  return { calls, find };
+};
+
+describe("anonymizeUser", () => {
+  it("replaces personal data with a tombstone", async () => {
+    const user = userWith();
+    const writes = stubWrites();
+
+    await anonymizeUser(user);
+
+    const [{ args }] = writes.find("User.tombstone");
+    assert.deepEqual(args[0], { _id: user._id });
+    assert.equal(args[1].$set.name, "Deleted user");
+    assert.ok(args[1].$set.deletedAt);
+    for (const field of [
+      "email",
+      "phone",
+      "address",
+      "password",
+      "oauthAccounts",
+      "twoFactor",
+      "pendingEmail",
+      "emailChangeToken",
+      "emailChangeExpire",
+    ]) {
+      assert.ok(field in args[1].$unset, `${field} is removed`);
+    }
+  });
+
+  it("removes private data held in other collections", async () => {
+    const user = userWith();
+    const writes = stubWrites();
+
+    await anonymizeUser(user);
+
+    for (const name of ["AiChat", "Session", "ApiKey", "SavedSearch", "Notification"]) {
+      assert.equal(writes.find(`${name}.deleteMany`).length, 1, `${name} is cleared`);
+    }
+    const withdrawn = writes
+      .find("Bid.updateMany")
+      .find((call) => call.args[0].status === "pending");
+    assert.deepEqual(withdrawn.args[1], { status: "withdrawn" });
+  });
+
+  it("cancels open orders and drops their price points", async () => {
+    const order = { _id: id() };
+    const writes = stubWrites({ openOrders: [order] });
+
+    await anonymizeUser(userWith());
+
+    assert.deepEqual(writes.find("PricePoint.deleteMany")[0].args[0], { order: { $in: [order._id] } });
+    const cancelled = writes.find("Order.updateMany")[0];
+    assert.equal(cancelled.args[1].orderStatus, "Cancelled");
+  });
+});
+
+describe("listing removal", () => {
+  const listing = (fields = {}) => ({
+    _id: id(),
+    status: "active",
+    images: [{ public_id: "annanewa/products/rice" }],
+    ...fields,
+  });
+
+  it("deletes listings that never traded, with their images and bids", async () => {
+    const unsold = listing();
+    const writes = stubWrites({ listings: [unsold] });
+
+    await anonymizeUser(userWith());
+
+    assert.deepEqual(writes.find("Product.deleteOne")[0].args[0], { _id: unsold._id });
+    assert.deepEqual(writes.find("Bid.deleteMany")[0].args[0], { product: unsold._id });
+    assert.equal(writes.find("cloudinary.destroy")[0].args[0], "annanewa/products/rice");
+    assert.equal(writes.find("Product.cancel").length, 0);
+  });
+
+  it("cancels partly sold listings instead of deleting them", async () => {
+    const partlySold = listing();
+    const pending = [id()];
+    const writes = stubWrites({ listings: [partlySold], traded: [partlySold._id], pendingBids: pending });
+
+    await anonymizeUser(userWith());
+
+    assert.equal(writes.find("Product.deleteOne").length, 0);
+    assert.equal(writes.find("cloudinary.destroy").length, 0);
+    assert.ok(!writes.find("Bid.deleteMany").some((call) => call.args[0].product === partlySold._id));
+
+    const [cancel] = writes.find("Product.cancel");
+    assert.equal(cancel.args[0]._id, partlySold._id);
+    assert.equal(cancel.args[1].status, "cancelled");
+
+    const rejected = writes.find("Bid.updateMany").find((call) => call.args[0]._id);
+    assert.deepEqual(rejected.args[0]._id, { $in: pending });
+    assert.equal(rejected.args[1].$set.status, "rejected");
+  });
+
+  it("keeps sold listings without looking for orders, and scrubs their address", async () => {
+    const sold = listing({ status: "sold" });
+    const user = userWith();
+    const writes = stubWrites({ listings: [sold] });
+
+    await anonymizeUser(user);
+
+    assert.equal(writes.find("Product.deleteOne").length, 0);
+    assert.equal(Bid.exists.mock.callCount(), 0);
+    const [scrub] = writes.find("Product.updateMany");
+    assert.deepEqual(scrub.args[0], { user: user._id });
+    assert.equal(scrub.args[1]["location.address"], "[deleted]");
+  });
+
+  it("closes a traded listing its owner deletes", async () => {
+    const userId = id();
+    const partlySold = listing({ user: userId });
+    const writes = stubWrites({ traded: [partlySold._id] });
+    mock.method(Product, "findById", async () => partlySold);
+    const res = mockResponse();
+
+    await deleteMyProduct({ params: { id: partlySold._id }, user: { id: userId.toString() } }, res);
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.outcome, "cancelled");
+    assert.equal(writes.find("Product.deleteOne").length, 0);
+  });
+
+  it("lets an admin delete a listing that never traded", async () => {
+    const unsold = listing();
+    const writes = stubWrites();
+    mock.method(Product, "findById", async () => unsold);
+    const res = mockResponse();
+
+    await deleteProduct({ params: { productId: unsold._id } }, res);
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.outcome, "deleted");
+    assert.equal(writes.find("Product.deleteOne").length, 1);
+    assert.deepEqual(writes.find("WatchlistItem.deleteMany")[0].args[0], { product: unsold._id });
+  });
+});
+
+describe("processDueDeletions", () => {
+  it("anonymizes accounts whose grace period has passed and carries on after a failure", async () => {
+    const users = [userWith(), userWith()];
+    mock.method(User, "find", () => query(users));
+    mock.method(console, "error", () => {});
+    let runs = 0;
+    const writes = stubWrites();
+    mock.method(User.collection, "updateOne", async () => {
+      runs++;
+      if (runs === 1) throw new Error("write failed");
+      return {};
+    });
+
+    assert.equal(await processDueDeletions(), 2);
+    assert.equal(runs, 2);
+    assert.ok(writes.calls.length > 0);
+  });
+});
+
+describe("account deletion requests", () => {
+  it("schedules deletion after the password is confirmed and logs out other devices", async () => {
+    const user = userWith({ password: "hashed" });
+    mock.method(user, "comparePassword", async (password) => password === "right");
+    mock.method(User, "findById", () => query(user));
+    const revoke = mock.method(Session, "updateMany", async () => ({ modifiedCount: 2 }));
+    const sendMail = mock.method(transporter, "sendMail", async () => ({}));
+    mock.method(console, "log", () => {});
+    const res = mockResponse();
+
+    await requestAccountDeletion({ user: { id: user._id }, sessionId: "current", body: { password: "right" } }, res);
+
+    assert.equal(res.statusCode, 200);
+    assert.ok(user.deletion.scheduledFor > Date.now());
+    assert.equal(sendMail.mock.calls[0].arguments[0].to, "mita@example.com");
+    assert.deepEqual(revoke.mock.calls[0].arguments[0]._id, { $ne: "current" });
+  });
+
+  it("refuses a wrong password", async () => {
+    const user = userWith({ password: "hashed" });
+    mock.method(user, "comparePassword", async () => false);
+    mock.method(User, "findById", () => query(user));
+    const res = mockResponse();
+
+    await requestAccountDeletion({ user: { id: user._id }, body: { password: "wrong" } }, res);
+
+    assert.equal(res.statusCode, 401);
+    assert.equal(user.deletion?.scheduledFor, undefined);
+  });
+
+  it("asks social sign-in accounts to type DELETE", async () => {
+    const user = userWith();
+    mock.method(User, "findById", () => query(user));
+    const res = mockResponse();
+
+    await requestAccountDeletion({ user: { id: user._id }, body: { confirm: "delete" } }, res);
+
+    assert.equal(res.statusCode, 401);
+    assert.equal(res.body.message, "Type DELETE to confirm");
+  });
+
+  it("cancels a scheduled deletion", async () => {
+    const user = userWith({ deletion: { requestedAt: new Date(), scheduledFor: new Date(Date.now() + 1000) } });
+    const res = mockResponse();
+
+    await cancelAccountDeletion({ user }, res);
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(user.deletion?.scheduledFor, undefined);
+  });
+});
+
+describe("exportAccountData", () => {
+  it("sends the profile as a download without secrets", async () => {
+    const user = userWith({ password: "hashed", isVerified: true });
+    user.twoFactor = { enabled: true, secret: "encrypted" };
+    mock.method(User, "findById", () => query(user));
+    for (const model of [Product, Bid, Order, AiChat, SavedSearch, WatchlistItem, Session]) {
+      mock.method(model, "find", () => query([]));
+    }
+    const res = mockResponse();
+
+    await exportAccountData({ user: { _id: user._id } }, res);
+
+    assert.match(res.headers["content-disposition"], /attachment/);
+    assert.equal(res.body.profile.email, "mita@example.com");
+    assert.equal(res.body.profile.twoFactorEnabled, true);
+    const body = JSON.stringify(res.body);
+    assert.ok(!body.includes("hashed"));
+    assert.ok(!body.includes("encrypted"));
+  });
+});
@@ -0,0 +1,124 @@
+import { describe, it, mock, afterEach, before } from "node:test";
+import assert from "node:assert/strict";
+import jwt from "jsonwebtoken";
+import User from "../models/User.js";
+import Session from "../models/Session.js";
+import ApiKey from "../models/ApiKey.js";
+import { protect, protectOrApiKey } from "../middleware/auth.js";
+import { createApiKey } from "../controllers/apiKeyController.js";
+import { hashToken } from "../utils/session.js";
+import { query, mockResponse } from "./helpers.js";
+
+before(() => {
+  process.env.JWT_SECRET = "test-secret";
+});
+
+afterEach(() => mock.restoreAll());
+
+const request = (headers) => ({
+  get: (name) => headers[name.toLowerCase()],
+  cookies: {},
+});
+
+const apiKeyWith = (fields) =>
+  new ApiKey({
+    user: new User({ role: "seller" })._id,
+    name: "ERP sync",
+    prefix: "ak_12345678",
+    keyHash: hashToken("ak_secret"),
+    scopes: ["products:create"],
+    rateLimitPerMinute: 2,
+    ...fields,
+  });
+
+describe("Bearer tokens", () => {
+  it("authenticates a mobile client from the Authorization header", async () => {
+    const user = new User({ role: "buyer" });
+    const session = new Session({ user: user._id, refreshTokenHash: "h", expiresAt: new Date(Date.now() + 60_000) });
+    mock.method(Session, "findById", () => query(session));
+    mock.method(User, "findById", () => query(user));
+    const token = jwt.sign({ id: user._id, sid: session._id }, process.env.JWT_SECRET);
+
+    const req = request({ authorization: `Bearer ${token}` });
+    const next = mock.fn();
+    await protect(req, mockResponse(), next);
+
+    assert.equal(next.mock.callCount(), 1);
+    assert.equal(req.user, user);
+  });
+
+  it("rejects a tampered token", async () => {
+    const token = jwt.sign({ id: "x", sid: "y" }, "another-secret");
+    const res = mockResponse();
+    await protect(request({ authorization: `Bearer ${token}` }), res, mock.fn());
+    assert.equal(res.statusCode, 401);
+  });
+});
+
+describe("API keys", () => {
+  it("lets a key with the scope act as its owner", async () => {
+    const apiKey = apiKeyWith({});
+    const owner = new User({ _id: apiKey.user, role: "seller" });
+    mock.method(ApiKey, "findOne", () => query(apiKey));
+    mock.method(ApiKey, "updateOne", async () => ({}));
+    mock.method(User, "findById", () => query(owner));
+
+    const req = request({ "x-api-key": "ak_secret" });
+    const res = mockResponse();
+    const next = mock.fn();
+    await protectOrApiKey("products:create")(req, res, next);
+
+    assert.equal(next.mock.callCount(), 1);
+    assert.equal(req.apiKey, apiKey);
+    assert.equal(res.headers["x-ratelimit-limit"], "2");
+  });
+
+  it("refuses a key without the scope", async () => {
+    mock.method(ApiKey, "findOne", () => query(apiKeyWith({})));
+    const res = mockResponse();
+    await protectOrApiKey("bids:create")(request({ authorization: "ApiKey ak_secret" }), res, mock.fn());
+    assert.equal(res.statusCode, 403);
+  });
+
+  it("refuses revoked and expired keys", async () => {
+    for (const fields of [{ revokedAt: new Date() }, { expiresAt: new Date(Date.now() - 1000) }]) {
+      mock.method(ApiKey, "findOne", () => query(apiKeyWith(fields)));
+      const res = mockResponse();
+      await protectOrApiKey("products:create")(request({ "x-api-key": "ak_secret" }), res, mock.fn());
+      assert.equal(res.statusCode, 401);
+    }
+  });
+
+  it("rate limits each key per minute", async () => {
+    const apiKey = apiKeyWith({ rateLimitPerMinute: 1 });
+    mock.method(ApiKey, "findOne", () => query(apiKey));
+    mock.method(ApiKey, "updateOne", async () => ({}));
+    mock.method(User, "findById", () => query(new User({ _id: apiKey.user })));
+
+    const first = mockResponse();
+    await protectOrApiKey("products:create")(request({ "x-api-key": "ak_secret" }), first, mock.fn());
+    const second = mockResponse();
+    await protectOrApiKey("products:create")(request({ "x-api-key": "ak_secret" }), second, mock.fn());
+
+    assert.equal(first.statusCode, 200);
+    assert.equal(second.statusCode, 429);
+  });
+
+  it("stores only the hash of a new key", async () => {
+    mock.method(ApiKey, "countDocuments", async () => 0);
+    const create = mock.method(ApiKey, "create", async (fields) => new ApiKey(fields));
+    const res = mockResponse();
+    await createApiKey({ user: { id: new User()._id }, body: { name: "ERP", scopes: ["products:create"] } }, res);
+
+    assert.equal(res.statusCode, 201);
+    const stored = create.mock.calls[0].arguments[0];
+    assert.equal(stored.keyHash, hashToken(res.body.key));
+    assert.ok(!JSON.stringify(res.body.apiKey).includes(res.body.key));
+  });
+
+  it("rejects unknown scopes", async () => {
+    const res = mockResponse();
+    await createApiKey({ user: { id: "u" }, body: { name: "ERP", scopes: ["orders:delete"] } }, res);
+    assert.equal(res.statusCode, 400);
+  });
+});
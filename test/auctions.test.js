@@ -0,0 +1,269 @@
+import { describe, it, mock, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import Product from "../models/Product.js";
+import Bid from "../models/Bid.js";
+import User from "../models/User.js";
+import Notification from "../models/Notification.js";
+import Order from "../models/Order.js";
+import PricePoint from "../models/PricePoint.js";
+import WatchlistItem from "../models/WatchlistItem.js";
+import {
+  auctionPhase,
+  nextBidThreshold,
+  extendedEnd,
+  checkAuctionSettings,
+  meetsReserve,
+  competingAmounts,
+  closeEndedAuctions,
+  SNIPING_WINDOW_MINUTES,
+  EXTENSION_MINUTES,
+} from "../utils/auctions.js";
+import { placeBid } from "../controllers/bidController.js";
+import { query, mockResponse, id, captureBidEvents } from "./helpers.js";
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+let events;
+
+beforeEach(() => {
+  events = captureBidEvents();
+});
+
+afterEach(() => mock.restoreAll());
+
+const auctionListing = (fields = {}) => ({
+  _id: id(),
+  user: { _id: id(), name: "Mita", address: {} },
+  title: "Aman paddy",
+  status: "active",
+  postType: "sell",
+  pricePerKg: 40,
+  remainingWeight: 100,
+  unit: "kg",
+  expiryDate: new Date(Date.now() + 48 * HOUR_MS),
+  bids: [],
+  ...fields,
+  auction: {
+    startsAt: new Date(Date.now() - HOUR_MS),
+    endsAt: new Date(Date.now() + 24 * HOUR_MS),
+    minIncrement: 2,
+    ...fields.auction,
+  },
+});
+
+describe("auction rules", () => {
+  it("knows whether an auction is upcoming, open or closed", () => {
+    const now = new Date();
+    assert.equal(auctionPhase(auctionListing(), now), "open");
+    assert.equal(auctionPhase(auctionListing({ auction: { startsAt: new Date(Date.now() + HOUR_MS) } }), now), "upcoming");
+    assert.equal(auctionPhase(auctionListing({ auction: { endsAt: now } }), now), "closed");
+    assert.equal(auctionPhase(auctionListing({ auction: { closedAt: now } }), now), "closed");
+  });
+
+  it("asks the next bid to beat the best by the minimum increment", () => {
+    const bids = [
+      { status: "pending", bidAmount: 45 },
+      { status: "pending", bidAmount: 50 },
+      { status: "withdrawn", bidAmount: 60 },
+    ];
+    assert.equal(nextBidThreshold(auctionListing({ bids })), 52);
+    assert.equal(nextBidThreshold(auctionListing({ postType: "buy", bids })), 43);
+    assert.equal(nextBidThreshold(auctionListing()), null);
+
+    assert.deepEqual(competingAmounts(auctionListing(), 52), { $gt: 50 });
+    assert.deepEqual(competingAmounts(auctionListing({ auction: { minIncrement: 0 } }), 52), { $gte: 52 });
+  });
+
+  it("extends the close only for bids in the last minutes", () => {
+    const now = new Date();
+    const late = auctionListing({ auction: { endsAt: new Date(now.getTime() + (SNIPING_WINDOW_MINUTES - 1) * MINUTE_MS) } });
+    assert.equal(extendedEnd(late, now).getTime(), now.getTime() + EXTENSION_MINUTES * MINUTE_MS);
+
+    const early = auctionListing();
+    assert.equal(extendedEnd(early, now), early.auction.endsAt);
+  });
+
+  it("checks reserve prices against the post type", () => {
+    const sell = auctionListing({ auction: { reservePrice: 45 } });
+    assert.equal(meetsReserve(sell, 44), false);
+    assert.equal(meetsReserve(sell, 45), true);
+    assert.equal(meetsReserve(auctionListing({ postType: "buy", auction: { reservePrice: 35 } }), 36), false);
+  });
+
+  it("rejects settings that cannot work", () => {
+    const endsAt = new Date(Date.now() + HOUR_MS);
+    const listing = { postType: "sell", pricePerKg: 40, expiryDate: new Date(Date.now() + 2 * HOUR_MS) };
+
+    assert.equal(checkAuctionSettings({ endsAt: "soon" }, listing), "Auction start and end must be valid dates");
+    assert.equal(
+      checkAuctionSettings({ endsAt: new Date(Date.now() + 3 * HOUR_MS) }, listing),
+      "Auction must end before the listing expires"
+    );
+    assert.equal(
+      checkAuctionSettings({ endsAt, reservePrice: 30 }, listing),
+      "Reserve price must be above the starting price"
+    );
+    assert.equal(checkAuctionSettings({ endsAt, minIncrement: -1 }, listing), "Minimum increment cannot be negative");
+    assert.equal(checkAuctionSettings({ endsAt, reservePrice: 50, minIncrement: 2 }, listing), null);
+  });
+});
+
+describe("replacing an auction bid", () => {
+  const bidderId = id();
+  const previous = { _id: id(), user: bidderId, status: "pending", bidAmount: 50 };
+
+  // Place a new bid over the bidder's previous one. `create` stands in for
+  // Bid.create; the returned list holds every Bid.updateOne call.
+  const replaceBid = async ({ create, withdrawn = 1, outbid = false }) => {
+    const product = auctionListing({ bids: [previous] });
+    mock.method(Product, "findById", () => query(product));
+    mock.method(Product, "updateOne", async () => ({ matchedCount: 1 }));
+    mock.method(User, "findById", async () => ({ _id: bidderId }));
+    mock.method(Bid, "create", create);
+    mock.method(Bid, "exists", async () => (outbid ? { _id: id() } : null));
+    const updates = [];
+    mock.method(Bid, "updateOne", (filter, update) => {
+      updates.push({ filter, update });
+      return Promise.resolve({ modifiedCount: filter.status === "pending" ? withdrawn : 1 });
+    });
+    const res = mockResponse();
+
+    await placeBid(
+      {
+        params: { id: product._id },
+        user: { id: bidderId.toString(), _id: bidderId },
+        body: {
+          bidAmount: 55,
+          deliveryAddress: { address: "Road 1", city: "Dhaka", state: "Dhaka", zipCode: "1207" },
+        },
+      },
+      res
+    );
+    return { res, updates };
+  };
+
+  const restored = (updates) =>
+    updates.find(({ filter }) => filter._id === previous._id && filter.status === "withdrawn");
+
+  it("puts the previous bid back when the new one cannot be saved", async () => {
+    const logged = mock.method(console, "error", () => {});
+    const { res, updates } = await replaceBid({
+      create: async () => {
+        throw new Error("connection reset");
+      },
+    });
+
+    assert.equal(res.statusCode, 500);
+    assert.equal(logged.mock.calls[0].arguments[0], "Error placing bid:");
+    assert.equal(updates[0].update.$set.status, "withdrawn");
+    assert.deepEqual(restored(updates).update, { $set: { status: "pending" }, $pop: { offers: 1 } });
+    assert.ok(!events.some((event) => event.type === "bid-withdrawn"));
+  });
+
+  it("puts the previous bid back when the new one loses a race", async () => {
+    const { res, updates } = await replaceBid({
+      create: async (bid) => ({ ...bid, populate: async () => {} }),
+      outbid: true,
+    });
+
+    assert.equal(res.statusCode, 409);
+    assert.equal(res.body.message, "You were outbid. Please refresh and try again");
+    assert.ok(restored(updates));
+  });
+
+  it("leaves a bid alone that this request did not withdraw", async () => {
+    const duplicate = Object.assign(new Error("duplicate key"), { code: 11000 });
+    const { res, updates } = await replaceBid({
+      create: async () => {
+        throw duplicate;
+      },
+      withdrawn: 0,
+    });
+
+    assert.equal(res.statusCode, 409);
+    assert.equal(restored(updates), undefined);
+  });
+});
+
+describe("closing auctions", () => {
+  const close = async (claimed) => {
+    mock.method(Product, "find", () => query([{ _id: claimed?._id ?? id() }]));
+    mock.method(Product, "findOneAndUpdate", () => query(claimed));
+    const outcomes = mock.method(Product, "updateOne", async () => ({}));
+    const notified = mock.method(Notification, "create", async (fields) => fields);
+    const closed = await closeEndedAuctions();
+    return { closed, outcomes, notified };
+  };
+
+  it("records an auction without bids", async () => {
+    const listing = auctionListing({ auction: { endsAt: new Date(Date.now() - MINUTE_MS) } });
+
+    const { closed, outcomes, notified } = await close(listing);
+
+    assert.equal(closed, 1);
+    assert.deepEqual(outcomes.mock.calls[0].arguments[1], { "auction.outcome": "no-bids" });
+    assert.equal(events[0].type, "auction-closed");
+    assert.equal(notified.mock.calls[0].arguments[0].type, "auction-closed");
+  });
+
+  it("leaves the bid for the owner when the reserve is not met", async () => {
+    const bids = [{ _id: id(), user: { _id: id() }, status: "pending", bidAmount: 42 }];
+    const listing = auctionListing({ bids, auction: { reservePrice: 45, endsAt: new Date(Date.now() - MINUTE_MS) } });
+    const accept = mock.method(Bid, "findOneAndUpdate", () => query(null));
+
+    const { outcomes } = await close(listing);
+
+    assert.deepEqual(outcomes.mock.calls[0].arguments[1], { "auction.outcome": "reserve-not-met" });
+    assert.equal(accept.mock.callCount(), 0);
+  });
+
+  it("tells the winner the price and quantity in the listing's unit", async () => {
+    const winner = { _id: id(), name: "Rafiq", address: {} };
+    const bids = [{ _id: id(), user: winner, status: "pending", bidAmount: 300, quantity: 12 }];
+    const listing = auctionListing({
+      bids,
+      unit: "dozen",
+      remainingWeight: 12,
+      $isDefault: () => false,
+      auction: { endsAt: new Date(Date.now() - MINUTE_MS) },
+    });
+    mock.method(Bid, "findOneAndUpdate", () => query(bids[0]));
+    mock.method(Bid, "find", () => query([]));
+    mock.method(WatchlistItem, "find", () => query([]));
+    mock.method(Order, "countDocuments", async () => 0);
+    mock.method(Order, "create", async (fields) => fields);
+    mock.method(PricePoint, "syncOrder", async () => null);
+
+    const { outcomes, notified } = await close(listing);
+
+    assert.deepEqual(outcomes.mock.calls.at(-1).arguments[1], { "auction.outcome": "won" });
+    const won = notified.mock.calls.find((call) => call.arguments[0].type === "auction-won").arguments[0];
+    assert.match(won.message, /at ₹300\/dozen for 12 dozen\./);
+  });
+
+  it("releases an auction that failed to settle so the next run retries it", async () => {
+    const bids = [{ _id: id(), user: { _id: id() }, status: "pending", bidAmount: 50 }];
+    const listing = auctionListing({ bids, $isDefault: () => false, auction: { endsAt: new Date(Date.now() - MINUTE_MS) } });
+    mock.method(Bid, "findOneAndUpdate", () => query(Promise.reject(new Error("connection reset"))));
+    const logged = mock.method(console, "error", () => {});
+
+    const { closed, outcomes, notified } = await close(listing);
+
+    assert.equal(closed, 0);
+    assert.match(logged.mock.calls[0].arguments[0], /^Failed to settle auction/);
+    const [filter, update] = outcomes.mock.calls[0].arguments;
+    assert.equal(filter["auction.outcome"], null);
+    assert.deepEqual(update, { $unset: { "auction.closedAt": 1 } });
+    assert.equal(outcomes.mock.callCount(), 1);
+    assert.equal(notified.mock.callCount(), 0);
+    assert.ok(!events.some((event) => event.type === "auction-closed"));
+  });
+
+  it("skips auctions another run closed first", async () => {
+    const { closed, outcomes } = await close(null);
+
+    assert.equal(closed, 0);
+    assert.equal(outcomes.mock.callCount(), 0);
+  });
+});
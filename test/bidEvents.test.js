@@ -0,0 +1,134 @@
+import { describe, it, mock, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { EventEmitter } from "node:events";
+import Product from "../models/Product.js";
+import Bid from "../models/Bid.js";
+import BidEvent from "../models/BidEvent.js";
+import { publishBidEvent, bidSummary } from "../utils/bidEvents.js";
+import { streamBidEvents } from "../controllers/bidController.js";
+import { query, mockResponse, id, captureBidEvents } from "./helpers.js";
+
+beforeEach(() => {
+  captureBidEvents();
+});
+
+afterEach(() => mock.restoreAll());
+
+// An open SSE connection: the request can be closed, the response records
+// what was written
+const connect = async ({ product, userId, lastEventId, missed = [], bidder = false }) => {
+  mock.method(Product, "findById", () => query(product));
+  mock.method(Bid, "exists", async () => (bidder ? { _id: id() } : null));
+  const find = mock.method(BidEvent, "find", () => query(missed));
+
+  const req = Object.assign(new EventEmitter(), {
+    params: { id: product._id.toString() },
+    user: { id: userId.toString(), _id: userId },
+    get: (name) => (name === "last-event-id" ? lastEventId : undefined),
+  });
+  const res = mockResponse();
+  res.chunks = [];
+  res.flushHeaders = () => {};
+  res.write = (chunk) => res.chunks.push(chunk);
+  res.end = () => {
+    res.ended = true;
+  };
+
+  await streamBidEvents(req, res);
+  return { req, res, find };
+};
+
+// The `event:` and `data:` of each event written to the stream
+const written = (res) =>
+  res.chunks
+    .filter((chunk) => chunk.startsWith("id: "))
+    .map((chunk) => {
+      const [, type] = chunk.match(/^event: (.*)$/m);
+      const [, data] = chunk.match(/^data: (.*)$/m);
+      return { type, data: JSON.parse(data) };
+    });
+
+describe("live bid stream", () => {
+  it("only lets the owner and bidders listen", async () => {
+    const product = { _id: id(), user: id() };
+
+    const { res } = await connect({ product, userId: id() });
+
+    assert.equal(res.statusCode, 403);
+    assert.equal(res.chunks.length, 0);
+  });
+
+  it("streams events published for the listing until the client leaves", async () => {
+    const owner = id();
+    const product = { _id: id(), user: owner };
+    const { req, res } = await connect({ product, userId: owner });
+
+    assert.equal(res.headers["content-type"], "text/event-stream");
+    await publishBidEvent(product._id, "bid-placed", { bid: { bidAmount: 55 } });
+    await publishBidEvent(id(), "bid-placed", { bid: { bidAmount: 99 } });
+
+    req.emit("close");
+    await publishBidEvent(product._id, "bid-withdrawn", { bidIds: [] });
+
+    assert.deepEqual(
+      written(res).map(({ type, data }) => [type, data.bid?.bidAmount]),
+      [["bid-placed", 55]]
+    );
+  });
+
+  it("keeps events meant for others off a bidder's stream", async () => {
+    const owner = id();
+    const product = { _id: id(), user: owner };
+    const { req, res } = await connect({ product, userId: id(), bidder: true });
+
+    await publishBidEvent(product._id, "bid-countered", { counterOffer: { amount: 60 } }, { audience: [owner, id()] });
+    await publishBidEvent(product._id, "bid-placed", { bid: { bidAmount: 55 } });
+    req.emit("close");
+
+    assert.deepEqual(
+      written(res).map(({ type }) => type),
+      ["bid-placed"]
+    );
+  });
+
+  it("replays what a reconnecting bidder missed, once", async () => {
+    const product = { _id: id(), user: id() };
+    const lastEventId = id().toString();
+    const missed = [
+      { _id: id(), type: "bid-placed", data: { bid: { bidAmount: 51 } } },
+      { _id: id(), type: "bid-updated", data: { bid: { bidAmount: 53 } } },
+    ];
+
+    const { req, res, find } = await connect({ product, userId: id(), bidder: true, lastEventId, missed });
+    // A live copy of an event already replayed is not sent again
+    mock.method(BidEvent, "create", async () => ({ toObject: () => ({ ...missed[1], product: product._id }) }));
+    await publishBidEvent(product._id, "bid-updated", {});
+    req.emit("close");
+
+    assert.deepEqual(find.mock.calls[0].arguments[0], {
+      product: product._id,
+      _id: { $gt: lastEventId },
+    });
+    assert.deepEqual(
+      written(res).map(({ type }) => type),
+      ["bid-placed", "bid-updated"]
+    );
+    assert.equal(written(res)[0].data.productId, product._id.toString());
+  });
+
+  it("shows bidders a bid without contact details or addresses", () => {
+    const bid = {
+      _id: id(),
+      user: { _id: id(), name: "Rafiq", email: "rafiq@example.com" },
+      bidAmount: 55,
+      quantity: 10,
+      status: "pending",
+      bidAt: new Date(),
+      proxyLimit: 70,
+      deliveryAddress: { address: "Road 1" },
+    };
+
+    assert.deepEqual(Object.keys(bidSummary(bid)).sort(), ["_id", "bidAmount", "bidAt", "quantity", "status", "user"]);
+    assert.deepEqual(Object.keys(bidSummary(bid).user), ["_id", "name"]);
+  });
+});
@@ -0,0 +1,285 @@
+import { describe, it, mock, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import Product from "../models/Product.js";
+import Bid from "../models/Bid.js";
+import Order from "../models/Order.js";
+import PricePoint from "../models/PricePoint.js";
+import User from "../models/User.js";
+import WatchlistItem from "../models/WatchlistItem.js";
+import { acceptBidLot, createOrderForBid } from "../utils/orders.js";
+import { placeBid, getMyBids, getProductWithBids } from "../controllers/bidController.js";
+import { getProduct } from "../controllers/productController.js";
+import { query, mockResponse, id, captureBidEvents } from "./helpers.js";
+
+let events;
+
+beforeEach(() => {
+  events = captureBidEvents();
+});
+
+afterEach(() => mock.restoreAll());
+
+const owner = { _id: id(), name: "Mita", address: { city: "Bogura" } };
+const bidder = { _id: id(), name: "Rafiq", address: { city: "Dhaka" } };
+
+const listing = (fields = {}) => ({
+  _id: id(),
+  user: owner,
+  title: "Aman paddy",
+  status: "active",
+  postType: "sell",
+  pricePerKg: 40,
+  totalWeight: 100,
+  remainingWeight: 100,
+  unit: "kg",
+  expiryDate: new Date(Date.now() + 86400000),
+  bids: [],
+  $isDefault: () => false,
+  ...fields,
+});
+
+const pendingBid = (fields = {}) => ({
+  _id: id(),
+  user: bidder,
+  status: "pending",
+  bidAmount: 45,
+  quantity: 30,
+  deliveryAddress: { address: "Road 1", city: "Dhaka", state: "Dhaka", zipCode: "1207" },
+  ...fields,
+});
+
+describe("bid collection", () => {
+  it("allows one pending bid per user on a listing", () => {
+    const [, options] = Bid.schema.indexes().find(([, { name }]) => name === "one_pending_bid");
+
+    assert.equal(options.unique, true);
+    assert.deepEqual(options.partialFilterExpression, { status: "pending" });
+  });
+
+  it("answers a second bid that raced the first with a conflict", async () => {
+    const product = listing();
+    mock.method(Product, "findById", () => query(product));
+    mock.method(User, "findById", async () => bidder);
+    const duplicate = Object.assign(new Error("duplicate key"), { code: 11000 });
+    const create = mock.method(Bid, "create", async () => {
+      throw duplicate;
+    });
+    const res = mockResponse();
+
+    await placeBid(
+      {
+        params: { id: product._id },
+        user: { id: bidder._id.toString(), _id: bidder._id },
+        body: { bidAmount: 45, deliveryAddress: pendingBid().deliveryAddress },
+      },
+      res
+    );
+
+    assert.equal(res.statusCode, 409);
+    assert.equal(res.body.message, "You already have a pending bid on this product. Update it instead");
+    assert.equal(create.mock.calls[0].arguments[0].product, product._id);
+    assert.equal(events.length, 0);
+  });
+
+  it("pages my bids in the database", async () => {
+    const listed = [listing(), listing()];
+    const ids = listed.map((product) => product._id);
+    const aggregate = mock.method(Bid, "aggregate", async (pipeline) =>
+      pipeline.some((stage) => stage.$facet)
+        ? [{ ids: ids.map((_id) => ({ _id })), total: [{ count: 12 }] }]
+        : [{ _id: ids[0], count: 3 }]
+    );
+    // The database returns listings in any order
+    mock.method(Product, "find", () => query([...listed].reverse()));
+    const mine = [pendingBid({ product: ids[0] }), pendingBid({ product: ids[1], status: "accepted" })];
+    mock.method(Bid, "find", () => query(mine));
+    const res = mockResponse();
+
+    await getMyBids({ user: { _id: bidder._id }, query: { page: "2", limit: "5", status: "active" } }, res);
+
+    const pipeline = aggregate.mock.calls[0].arguments[0];
+    assert.deepEqual(pipeline[0], { $match: { user: bidder._id } });
+    assert.deepEqual(pipeline.find((stage) => stage.$facet).$facet.ids, [{ $skip: 5 }, { $limit: 5 }]);
+    assert.ok(pipeline.some((stage) => stage.$match?.["product.status"] === "active"));
+
+    const { biddingHistory, pagination } = res.body;
+    assert.deepEqual(
+      biddingHistory.map((entry) => entry.product._id),
+      ids
+    );
+    assert.deepEqual(
+      biddingHistory.map((entry) => [entry.isWinner, entry.totalBidsOnProduct]),
+      [
+        [false, 3],
+        [true, 0],
+      ]
+    );
+    assert.deepEqual(pagination, { page: 2, limit: 5, totalPages: 3, totalProducts: 12 });
+  });
+});
+
+describe("bid details", () => {
+  // A bid as the database returns it for `select`: fields the schema hides
+  // are left out unless selected back in
+  const stored = (bid, select = "") => {
+    const fields = { ...bid };
+    for (const [path, type] of Object.entries(Bid.schema.paths)) {
+      if (type.options.select === false && !select.split(" ").includes(`+${path}`)) delete fields[path];
+    }
+    return { ...fields, toObject: () => ({ ...fields }) };
+  };
+
+  // Product.findOne/findById resolving to `product` with its bids populated
+  // as the controller asked for them
+  const populating = (product, bids) => () => {
+    let select;
+    const found = query(null);
+    found.populate = (options) => {
+      if (options.path === "bids") select = options.select;
+      return found;
+    };
+    found.then = (resolve, reject) => {
+      const populated = { ...product, bids: bids.map((bid) => stored(bid, select)) };
+      return Promise.resolve({ ...populated, toObject: () => ({ ...populated }) }).then(resolve, reject);
+    };
+    return found;
+  };
+
+  const negotiated = (fields) =>
+    pendingBid({
+      counterOffer: { amount: 48, quantity: 30, at: new Date() },
+      offers: [{ by: "bidder", action: "placed", amount: 45, quantity: 30 }],
+      ...fields,
+    });
+
+  it("are left out of public listings", async () => {
+    mock.method(Product, "findOne", populating(listing(), [negotiated()]));
+    const res = mockResponse();
+
+    await getProduct({ params: { slug: "aman-paddy" } }, res);
+
+    const [bid] = res.body.product.bids;
+    assert.equal(bid.bidAmount, 45);
+    for (const field of ["counterOffer", "offers", "deliveryAddress", "proxyLimit"]) {
+      assert.equal(field in bid, false, field);
+    }
+  });
+
+  it("show a bidder only their own bids in full", async () => {
+    const rival = { _id: id(), name: "Karim" };
+    const product = listing();
+    mock.method(Product, "findById", populating(product, [negotiated(), negotiated({ user: rival })]));
+    const res = mockResponse();
+
+    await getProductWithBids({ params: { id: product._id.toString() }, user: { id: bidder._id.toString() } }, res);
+
+    const [mine, theirs] = res.body.product.bids;
+    assert.equal(mine.counterOffer.amount, 48);
+    assert.equal(mine.deliveryAddress.city, "Dhaka");
+    assert.equal(theirs.bidAmount, 45);
+    assert.equal("counterOffer" in theirs, false);
+    assert.equal("deliveryAddress" in theirs, false);
+    assert.equal(res.body.canAcceptBids, false);
+  });
+});
+
+describe("accepting a lot", () => {
+  // Accept `quantity` of `product` for `bid`. `claimed` and `updated` stand
+  // in for the bid and listing after their conditional updates.
+  const accept = async ({ product, bid, quantity, claimed = bid, updated, turnedDown = [] }) => {
+    const claim = mock.method(Bid, "findOneAndUpdate", () => query(claimed));
+    const take = mock.method(Product, "findOneAndUpdate", async () => updated);
+    const restore = mock.method(Bid, "updateOne", async () => ({ modifiedCount: 1 }));
+    const rejectRest = mock.method(Bid, "updateMany", async () => ({ modifiedCount: turnedDown.length }));
+    mock.method(Bid, "find", () => query(turnedDown));
+    const close = mock.method(Product, "updateOne", async () => ({ modifiedCount: 1 }));
+    mock.method(Order, "countDocuments", async () => 0);
+    mock.method(Order, "create", async (fields) => fields);
+    mock.method(PricePoint, "syncOrder", async () => null);
+
+    const result = await acceptBidLot(product, bid, quantity);
+    return { result, claim, take, restore, rejectRest, close };
+  };
+
+  it("gives up when the bid was settled first", async () => {
+    const { result, take } = await accept({ product: listing(), bid: pendingBid(), quantity: 30, claimed: null });
+
+    assert.equal(result, null);
+    assert.equal(take.mock.callCount(), 0);
+  });
+
+  it("puts the bid back as it was when not enough is left", async () => {
+    const counterOffer = { amount: 48, quantity: 30, at: new Date() };
+    const bid = pendingBid({ counterOffer });
+
+    const { result, restore } = await accept({ product: listing(), bid, quantity: 30, updated: null });
+
+    assert.equal(result, null);
+    const [filter, update] = restore.mock.calls[0].arguments;
+    assert.equal(filter.status, "accepted");
+    assert.deepEqual(update.$set, { status: "pending", quantity: 30, counterOffer });
+    assert.deepEqual(update.$pop, { offers: 1 });
+  });
+
+  it("turns down bids for more than is left after a part lot", async () => {
+    const product = listing();
+    const oversized = id();
+
+    const { result, rejectRest, close } = await accept({
+      product,
+      bid: pendingBid(),
+      quantity: 30,
+      updated: { ...product, remainingWeight: 70 },
+      turnedDown: [oversized],
+    });
+
+    assert.equal(result.product.remainingWeight, 70);
+    assert.equal(result.order.quantity, 30);
+    assert.equal(result.order.orderNumber.endsWith("-0001"), true);
+    assert.deepEqual(rejectRest.mock.calls[0].arguments[0], { _id: { $in: [oversized] }, status: "pending" });
+    assert.equal(close.mock.callCount(), 0);
+    assert.deepEqual(
+      events.map((event) => [event.type, event.data.reason]),
+      [
+        ["bid-accepted", undefined],
+        ["bid-rejected", "Not enough left on the listing"],
+      ]
+    );
+  });
+
+  it("closes the listing once it is sold out", async () => {
+    const product = listing({ remainingWeight: 30 });
+    const watchers = mock.method(WatchlistItem, "find", () => query([]));
+
+    const { close } = await accept({
+      product,
+      bid: pendingBid(),
+      quantity: 30,
+      updated: { ...product, remainingWeight: 0 },
+    });
+
+    assert.deepEqual(close.mock.calls[0].arguments[1].status, "sold");
+    assert.equal(events.at(-1).type, "status-changed");
+    assert.equal(events.at(-1).data.status, "sold");
+    assert.equal(watchers.mock.callCount(), 1);
+  });
+});
+
+describe("order numbers", () => {
+  it("draws the next number when two lots take the same one", async () => {
+    mock.method(Order, "countDocuments", async () => 4);
+    const duplicate = Object.assign(new Error("duplicate key"), { code: 11000 });
+    const create = mock.method(Order, "create", async (fields) => {
+      if (create.mock.callCount() === 0) throw duplicate;
+      return fields;
+    });
+    mock.method(PricePoint, "syncOrder", async () => null);
+
+    const order = await createOrderForBid(listing(), pendingBid(), 30);
+
+    assert.equal(create.mock.callCount(), 2);
+    assert.equal(order.orderNumber.endsWith("-0006"), true);
+    assert.equal(order.buyer, bidder._id);
+    assert.equal(order.totalPrice, 1350);
+  });
+});
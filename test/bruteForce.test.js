@@ -0,0 +1,111 @@
+import { describe, it, mock, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import User from "../models/User.js";
+import { rateLimitByIp } from "../middleware/rateLimit.js";
+import { login } from "../controllers/authController.js";
+import { query, mockResponse } from "./helpers.js";
+
+afterEach(() => mock.restoreAll());
+
+const userWith = (fields = {}) => {
+  const user = new User({ name: "Rina", email: "rina@example.com", role: "buyer", ...fields });
+  mock.method(user, "save", async () => user);
+  return user;
+};
+
+describe("matchesCode", () => {
+  it("accepts the code that was issued", () => {
+    const user = userWith();
+    const code = user.getLoginOtp();
+    assert.equal(user.matchesCode("loginOtp", code), true);
+    assert.equal(user.matchesCode("loginOtp", Number(code)), true);
+  });
+
+  it("rejects a wrong or expired code", () => {
+    const user = userWith();
+    const code = user.getLoginOtp();
+    assert.equal(user.matchesCode("loginOtp", "000000"), false);
+    user.loginOtpExpire = Date.now() - 1;
+    assert.equal(user.matchesCode("loginOtp", code), false);
+  });
+
+  it("returns false instead of throwing on codes stored in plain text", () => {
+    const user = userWith({ verificationToken: "123456", verificationTokenExpire: Date.now() + 60_000 });
+    assert.equal(user.matchesCode("verificationToken", "123456"), false);
+  });
+
+  it("returns false for hashes of the wrong length or format", () => {
+    const user = userWith({ loginOtp: "abcd", loginOtpExpire: Date.now() + 60_000 });
+    assert.equal(user.matchesCode("loginOtp", "123456"), false);
+    user.loginOtp = "z".repeat(64);
+    assert.equal(user.matchesCode("loginOtp", "123456"), false);
+  });
+
+  it("returns false for codes that are not strings or numbers", () => {
+    const user = userWith();
+    user.getLoginOtp();
+    assert.equal(user.matchesCode("loginOtp", { $ne: null }), false);
+    assert.equal(user.matchesCode("loginOtp", ["123456"]), false);
+  });
+});
+
+describe("account lockout", () => {
+  it("locks after five failures, burns open codes and doubles the next lock", async () => {
+    const user = userWith();
+    user.getLoginOtp();
+
+    for (let attempt = 0; attempt < 5; attempt++) await user.registerFailedAttempt();
+    assert.ok(user.isLocked());
+    assert.equal(user.loginOtp, undefined);
+    const firstLock = user.lockUntil - Date.now();
+
+    user.lockUntil = undefined;
+    for (let attempt = 0; attempt < 5; attempt++) await user.registerFailedAttempt();
+    const secondLock = user.lockUntil - Date.now();
+    assert.ok(secondLock > firstLock * 1.5);
+  });
+
+  it("refuses even the right password while locked", async () => {
+    const user = userWith({ password: "secret123", lockUntil: Date.now() + 60_000 });
+    const compare = mock.method(user, "comparePassword", async () => true);
+    mock.method(User, "findOne", () => query(user));
+    const res = mockResponse();
+
+    await login({ body: { email: "rina@example.com", password: "secret123" }, get: () => undefined }, res);
+
+    assert.equal(res.statusCode, 429);
+    assert.equal(compare.mock.callCount(), 0);
+  });
+
+  it("clears the counters after a success", () => {
+    const user = userWith({ failedAttempts: 3, lockCount: 2 });
+    user.resetFailedAttempts();
+    assert.equal(user.failedAttempts, 0);
+    assert.equal(user.lockCount, 0);
+  });
+});
+
+describe("rateLimitByIp", () => {
+  it("answers 429 with Retry-After once an IP runs out of attempts", () => {
+    const limiter = rateLimitByIp(`test-${Date.now()}`, { max: 2, windowMs: 60_000 });
+    const next = mock.fn();
+    const responses = [1, 2, 3].map(() => {
+      const res = mockResponse();
+      limiter({ ip: "10.0.0.1" }, res, next);
+      return res;
+    });
+
+    assert.equal(next.mock.callCount(), 2);
+    assert.equal(responses[2].statusCode, 429);
+    assert.ok(responses[2].headers["retry-after"]);
+    assert.equal(responses[0].headers["x-ratelimit-remaining"], "1");
+  });
+
+  it("counts each IP separately", () => {
+    const limiter = rateLimitByIp(`test-ip-${Date.now()}`, { max: 1, windowMs: 60_000 });
+    const next = mock.fn();
+    limiter({ ip: "10.0.0.1" }, mockResponse(), next);
+    limiter({ ip: "10.0.0.2" }, mockResponse(), next);
+    assert.equal(next.mock.callCount(), 2);
+  });
+});
@@ -0,0 +1,110 @@
+import { describe, it, mock, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import User from "../models/User.js";
+import Product from "../models/Product.js";
+import {
+  pointFromCoordinates,
+  withGeo,
+  parseNear,
+  parseRadiusKm,
+  distanceKm,
+  nearFilters,
+  DEFAULT_RADIUS_KM,
+  MAX_RADIUS_KM,
+} from "../utils/geocode.js";
+import { getProductsForBuyer } from "../controllers/productController.js";
+import { query, mockResponse } from "./helpers.js";
+
+afterEach(() => mock.restoreAll());
+
+const DHAKA = { type: "Point", coordinates: [90.4125, 23.8103] };
+const CHATTOGRAM = { type: "Point", coordinates: [91.8123, 22.3569] };
+
+describe("geocoding", () => {
+  it("stores GeoJSON points as [lng, lat] and rejects impossible coordinates", () => {
+    assert.deepEqual(pointFromCoordinates("23.8", "90.4"), { type: "Point", coordinates: [90.4, 23.8] });
+    assert.equal(pointFromCoordinates(95, 10), null);
+    assert.equal(pointFromCoordinates("north", 10), null);
+  });
+
+  it("prefers GPS coordinates and falls back to the postcode, city and state", () => {
+    const gps = withGeo({ city: "Dhaka", latitude: 24, longitude: 89 });
+    assert.deepEqual(gps.geo.coordinates, [89, 24]);
+    assert.equal(gps.latitude, undefined);
+
+    const byCity = withGeo({ city: "Bogra" });
+    assert.equal(byCity.geo.type, "Point");
+
+    const unknown = withGeo({ city: "Atlantis" });
+    assert.equal(unknown.geo, undefined);
+  });
+
+  it("parses `near` as coordinates, a postcode or a district", () => {
+    assert.deepEqual(parseNear("23.81,90.41").coordinates, [90.41, 23.81]);
+    assert.ok(parseNear("Dhaka"));
+    assert.equal(parseNear("Atlantis"), null);
+  });
+
+  it("clamps the radius", () => {
+    assert.equal(parseRadiusKm(undefined), DEFAULT_RADIUS_KM);
+    assert.equal(parseRadiusKm("-5"), DEFAULT_RADIUS_KM);
+    assert.equal(parseRadiusKm("10000"), MAX_RADIUS_KM);
+    assert.equal(parseRadiusKm("25"), 25);
+  });
+
+  it("measures great-circle distances", () => {
+    const km = distanceKm(DHAKA, CHATTOGRAM);
+    assert.ok(km > 200 && km < 230, `${km} km`);
+    assert.equal(distanceKm(DHAKA, DHAKA), 0);
+  });
+
+  it("builds radius filters in metres and radians", () => {
+    const { sorted, within } = nearFilters(DHAKA, 50);
+    assert.equal(sorted.$nearSphere.$maxDistance, 50000);
+    assert.equal(within.$geoWithin.$centerSphere[1], 50 / 6371);
+  });
+});
+
+describe("near me search", () => {
+  const search = async (queryString, user) => {
+    mock.method(User, "find", () => query([]));
+    const find = mock.method(Product, "find", () => query([]));
+    const count = mock.method(Product, "countDocuments", async () => 0);
+    const res = mockResponse();
+    await getProductsForBuyer({ query: queryString, user }, res);
+    return { res, filter: find.mock.calls[0]?.arguments[0], countFilter: count.mock.calls[0]?.arguments[0] };
+  };
+
+  it("sorts by distance around the buyer's saved address", async () => {
+    const buyer = new User({ role: "buyer", address: { city: "Dhaka", geo: DHAKA } });
+    const { res, filter, countFilter } = await search({ near: "me", radius: "20" }, buyer);
+
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(filter["location.geo"].$nearSphere.$geometry.coordinates, DHAKA.coordinates);
+    assert.ok(countFilter["location.geo"].$geoWithin, "counts use $geoWithin");
+    assert.equal(res.body.near.radiusKm, 20);
+  });
+
+  it("uses $geoWithin alongside a text search", async () => {
+    const { filter } = await search({ near: "Dhaka", search: "aloo" }, null);
+    assert.ok(filter.$text);
+    assert.ok(filter["location.geo"].$geoWithin);
+  });
+
+  it("explains when a place cannot be found", async () => {
+    const { res } = await search({ near: "Atlantis" }, null);
+    assert.equal(res.statusCode, 400);
+  });
+
+  it("adds the distance to each result", async () => {
+    const product = new Product({ title: "Aloo", location: { city: "Chattogram", geo: CHATTOGRAM } });
+    mock.method(User, "find", () => query([]));
+    mock.method(Product, "find", () => query([product]));
+    mock.method(Product, "countDocuments", async () => 1);
+    const res = mockResponse();
+
+    await getProductsForBuyer({ query: { near: "23.8103,90.4125" } }, res);
+
+    assert.ok(res.body.products[0].distanceKm > 200);
+  });
+});
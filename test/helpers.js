@@ -0,0 +1,90 @@
+// Shared stand-ins for controller and helper tests. Nothing here talks to
+// MongoDB: model methods are replaced with node:test mocks that resolve to
+// the given documents.
+import { mock } from "node:test";
+import mongoose from "mongoose";
+import BidEvent from "../models/BidEvent.js";
+
+// A fresh ObjectId
+export const id = () => new mongoose.Types.ObjectId();
+
+// A Mongoose query stand-in: chainable like the real thing and resolves to
+// `result` when awaited
+export const query = (result) => {
+  const chain = {
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject),
+    catch: (reject) => Promise.resolve(result).catch(reject),
+    exec: () => Promise.resolve(result),
+  };
+  for (const method of ["select", "populate", "sort", "limit", "skip", "lean", "where", "session", "setOptions", "distinct"]) {
+    chain[method] = () => chain;
+  }
+  return chain;
+};
+
+// An Express response recorder
+export const mockResponse = () => {
+  const res = {
+    statusCode: 200,
+    body: undefined,
+    headers: {},
+    cookies: {},
+    clearedCookies: [],
+    redirectedTo: undefined,
+  };
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = (body) => {
+    res.body = body;
+    return res;
+  };
+  res.setHeader = (name, value) => {
+    res.headers[name.toLowerCase()] = value;
+    return res;
+  };
+  res.set = (headers, value) => {
+    if (typeof headers === "string") return res.setHeader(headers, value);
+    for (const [name, headerValue] of Object.entries(headers)) res.setHeader(name, headerValue);
+    return res;
+  };
+  res.cookie = (name, value, options) => {
+    res.cookies[name] = { value, options };
+    return res;
+  };
+  res.clearCookie = (name) => {
+    res.clearedCookies.push(name);
+    return res;
+  };
+  res.redirect = (url) => {
+    res.redirectedTo = url;
+    return res;
+  };
+  return res;
+};
+
+// A document stand-in whose save() records each call
+export const doc = (fields) => {
+  const document = {
+    saved: 0,
+    ...fields,
+    save: async () => {
+      document.saved++;
+      return document;
+    },
+  };
+  return document;
+};
+
+// Keep published bid events instead of storing them: returns the list they
+// are added to, as stored. Undone by mock.restoreAll().
+export const captureBidEvents = () => {
+  const events = [];
+  mock.method(BidEvent, "create", async (fields) => {
+    const event = { _id: id(), ...fields, createdAt: new Date() };
+    events.push(event);
+    return { toObject: () => event };
+  });
+  return events;
+};
@@ -0,0 +1,148 @@
+import { describe, it, mock, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import Product from "../models/Product.js";
+import Bid from "../models/Bid.js";
+import User from "../models/User.js";
+import { processListingExpiry } from "../utils/listingExpiry.js";
+import { CLOSED_STATUSES } from "../utils/listingStatus.js";
+import { updateProductStatus } from "../controllers/adminController..js";
+import { query, mockResponse, doc, id, captureBidEvents } from "./helpers.js";
+
+let events;
+let bidUpdates;
+
+beforeEach(() => {
+  events = captureBidEvents();
+  bidUpdates = [];
+  mock.method(Bid, "updateMany", async (filter, update) => {
+    bidUpdates.push({ filter, update });
+    return { modifiedCount: filter._id.$in.length };
+  });
+  mock.method(User, "findById", () => query(null));
+});
+
+afterEach(() => mock.restoreAll());
+
+// Product.find serves the reminder, expiry and stranded-bid lookups in turn
+const stubListings = ({ due = [], closed = [] } = {}) => {
+  const finds = [];
+  mock.method(Product, "find", (filter) => {
+    finds.push(filter);
+    if (filter.expiryReminderSentAt === null) return query([]);
+    if (filter.expiryDate) return query(due.map(({ _id }) => ({ _id })));
+    return query(closed);
+  });
+  return finds;
+};
+
+describe("listing expiry", () => {
+  it("expires due listings and turns down their pending bids", async () => {
+    const listing = { _id: id(), title: "Rice", status: "expired" };
+    const pending = [id(), id()];
+    stubListings({ due: [listing] });
+    mock.method(Product, "findOneAndUpdate", async (filter) => {
+      assert.equal(filter.status, "active");
+      return listing;
+    });
+    mock.method(Bid, "find", (filter) => query(filter.product ? pending : []));
+
+    const result = await processListingExpiry();
+
+    assert.deepEqual(result, { reminded: 0, expired: 1, rejectedBids: 0 });
+    assert.equal(bidUpdates.length, 1);
+    assert.deepEqual(bidUpdates[0].filter, { _id: { $in: pending }, status: "pending" });
+    assert.equal(bidUpdates[0].update.$push.offers.message, "Listing expired");
+    assert.deepEqual(
+      events.map((event) => event.type),
+      ["status-changed", "bid-rejected"]
+    );
+    assert.deepEqual(events[1].data, { bidIds: pending, reason: "Listing expired" });
+  });
+
+  it("skips a listing another run expired first", async () => {
+    stubListings({ due: [{ _id: id() }] });
+    mock.method(Product, "findOneAndUpdate", async () => null);
+    mock.method(Bid, "find", () => query([]));
+
+    const result = await processListingExpiry();
+
+    assert.equal(result.expired, 0);
+    assert.equal(bidUpdates.length, 0);
+    assert.equal(events.length, 0);
+  });
+
+  it("turns down bids left pending on closed listings", async () => {
+    const sold = { _id: id(), status: "sold" };
+    const expired = { _id: id(), status: "expired" };
+    const hidden = id();
+    const strandedOnSold = [id()];
+    const strandedOnExpired = [id(), id()];
+    const finds = stubListings({ closed: [sold, expired] });
+    mock.method(Bid, "find", (filter) => {
+      if (!filter.product) return query([sold._id, expired._id, hidden]);
+      return query(filter.product === sold._id ? strandedOnSold : strandedOnExpired);
+    });
+
+    const result = await processListingExpiry();
+
+    assert.equal(result.rejectedBids, 3);
+    const lookup = finds.at(-1);
+    assert.deepEqual(lookup._id.$in, [sold._id, expired._id, hidden]);
+    assert.deepEqual(lookup.status.$in, CLOSED_STATUSES);
+    assert.deepEqual(
+      bidUpdates.map(({ update }) => update.$push.offers.message),
+      ["Listing closed", "Listing expired"]
+    );
+    assert.deepEqual(
+      events.map(({ product, data }) => [product, data.bidIds]),
+      [
+        [sold._id, strandedOnSold],
+        [expired._id, strandedOnExpired],
+      ]
+    );
+  });
+
+  it("does nothing when no bids are pending", async () => {
+    const finds = stubListings();
+    mock.method(Bid, "find", () => query([]));
+
+    const result = await processListingExpiry();
+
+    assert.equal(result.rejectedBids, 0);
+    assert.equal(finds.length, 2);
+    assert.equal(bidUpdates.length, 0);
+  });
+});
+
+describe("admin listing status changes", () => {
+  const changeStatus = async (from, to, pending) => {
+    const listing = doc({ _id: id(), status: from, populate: async () => {} });
+    mock.method(Product, "findById", async () => listing);
+    mock.method(Product, "findOneAndUpdate", async () => ({ ...listing, status: to }));
+    mock.method(Bid, "find", () => query(pending));
+
+    const res = mockResponse();
+    await updateProductStatus({ params: { productId: listing._id }, body: { status: to } }, res);
+    return res;
+  };
+
+  it("turns down pending bids when a listing is closed", async () => {
+    const pending = [id()];
+    const res = await changeStatus("active", "cancelled", pending);
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(bidUpdates.length, 1);
+    assert.equal(bidUpdates[0].update.$push.offers.message, "Listing closed");
+    assert.deepEqual(
+      events.find((event) => event.type === "bid-rejected").data,
+      { bidIds: pending, reason: "Listing closed" }
+    );
+  });
+
+  it("keeps bids on a hidden listing", async () => {
+    const res = await changeStatus("active", "hidden", [id()]);
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(bidUpdates.length, 0);
+  });
+});
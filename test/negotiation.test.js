@@ -0,0 +1,175 @@
+import { describe, it, mock, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import Product from "../models/Product.js";
+import Bid from "../models/Bid.js";
+import Notification from "../models/Notification.js";
+import transporter from "../config/nodemailer.js";
+import { canSeeBidEvent } from "../utils/bidEvents.js";
+import { counterBid, acceptCounterOffer } from "../controllers/bidController.js";
+import { query, mockResponse, id, captureBidEvents } from "./helpers.js";
+
+let events;
+
+beforeEach(() => {
+  events = captureBidEvents();
+  mock.method(Notification, "create", async (fields) => fields);
+  mock.method(transporter, "sendMail", async () => ({}));
+  mock.method(console, "log", () => {});
+});
+
+afterEach(() => mock.restoreAll());
+
+const owner = { _id: id(), name: "Mita", email: "mita@example.com", address: {} };
+const bidder = { _id: id(), name: "Rafiq", email: "rafiq@example.com", address: {} };
+
+const listing = () => ({
+  _id: id(),
+  user: owner,
+  title: "Aman paddy",
+  status: "active",
+  postType: "sell",
+  pricePerKg: 40,
+  totalWeight: 100,
+  remainingWeight: 100,
+  unit: "kg",
+  $isDefault: () => false,
+});
+
+const pendingBid = (fields = {}) => ({
+  _id: id(),
+  user: bidder,
+  status: "pending",
+  bidAmount: 42,
+  quantity: 20,
+  offers: [],
+  ...fields,
+});
+
+// Run a negotiation step as `user`. `updates` stands in for each
+// Bid.findOneAndUpdate call in turn.
+const negotiate = async (action, { user, product, bid, body = {}, updates = [] }) => {
+  mock.method(Product, "findById", () => query(product));
+  mock.method(Bid, "findOne", () => query(bid));
+  const results = [...updates];
+  const findOneAndUpdate = mock.method(Bid, "findOneAndUpdate", () => query(results.shift() ?? null));
+  const updateOne = mock.method(Bid, "updateOne", async () => ({ modifiedCount: 1 }));
+  const res = mockResponse();
+
+  await action(
+    {
+      params: { id: product._id.toString(), bidId: bid._id.toString() },
+      user: { id: user._id.toString(), _id: user._id, name: user.name },
+      body,
+    },
+    res
+  );
+  return { res, findOneAndUpdate, updateOne };
+};
+
+describe("counter-offers", () => {
+  it("shares the counter terms only with the bidder and the owner", async () => {
+    const product = listing();
+    const bid = pendingBid();
+
+    const { res } = await negotiate(counterBid, {
+      user: owner,
+      product,
+      bid,
+      body: { amount: 45, message: "Dried and sorted" },
+      updates: [{ ...bid, counterOffer: { amount: 45 } }],
+    });
+
+    assert.equal(res.statusCode, 200);
+    const [countered] = events;
+    assert.equal(countered.type, "bid-countered");
+    assert.equal(countered.data.counterOffer.amount, 45);
+    assert.deepEqual(countered.audience, [owner._id, bidder._id]);
+
+    assert.equal(canSeeBidEvent(countered, owner._id.toString()), true);
+    assert.equal(canSeeBidEvent(countered, bidder._id.toString()), true);
+    assert.equal(canSeeBidEvent(countered, id().toString()), false);
+    assert.equal(canSeeBidEvent({ type: "bid-placed" }, id().toString()), true);
+  });
+
+  it("only counters with a price that improves on the bid", async () => {
+    const { res, findOneAndUpdate } = await negotiate(counterBid, {
+      user: owner,
+      product: listing(),
+      bid: pendingBid(),
+      body: { amount: 40 },
+    });
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.message, "Counter-offer must be higher than the bid of ₹42/kg");
+    assert.equal(findOneAndUpdate.mock.callCount(), 0);
+    assert.equal(events.length, 0);
+  });
+
+  it("puts the bid and counter-offer back when the lot cannot be accepted", async () => {
+    const product = listing();
+    const counterOffer = { amount: 45, quantity: 30, message: "Dried", at: new Date("2026-10-18") };
+    const bid = pendingBid({ counterOffer });
+    const agreed = { ...bid, bidAmount: 45, quantity: 30, counterOffer: undefined };
+
+    // The terms are taken, then the bid is accepted by someone else first
+    const { res, updateOne } = await negotiate(acceptCounterOffer, {
+      user: bidder,
+      product,
+      bid,
+      updates: [agreed, null],
+    });
+
+    assert.equal(res.statusCode, 409);
+    const [filter, revert] = updateOne.mock.calls[0].arguments;
+    assert.deepEqual(filter, {
+      _id: bid._id,
+      status: "pending",
+      bidAmount: 45,
+      "counterOffer.amount": { $exists: false },
+    });
+    assert.deepEqual(revert, {
+      $set: { bidAmount: 42, quantity: 20, counterOffer },
+      $pop: { offers: 1 },
+    });
+  });
+
+  it("clears the quantity of a bid that had none when putting it back", async () => {
+    const product = listing();
+    const bid = pendingBid({ quantity: undefined, counterOffer: { amount: 45, at: new Date() } });
+
+    const { updateOne } = await negotiate(acceptCounterOffer, {
+      user: bidder,
+      product,
+      bid,
+      updates: [{ ...bid, bidAmount: 45, quantity: 100 }, null],
+    });
+
+    const [, revert] = updateOne.mock.calls[0].arguments;
+    assert.equal(revert.$set.quantity, undefined);
+    assert.deepEqual(revert.$unset, { quantity: 1 });
+  });
+
+  it("leaves the bid alone when the counter-offer changed first", async () => {
+    const { res, findOneAndUpdate, updateOne } = await negotiate(acceptCounterOffer, {
+      user: bidder,
+      product: listing(),
+      bid: pendingBid({ counterOffer: { amount: 45, at: new Date() } }),
+      updates: [null],
+    });
+
+    assert.equal(res.statusCode, 409);
+    assert.equal(findOneAndUpdate.mock.calls[0].arguments[0]["counterOffer.amount"], 45);
+    assert.equal(updateOne.mock.callCount(), 0);
+  });
+
+  it("refuses to accept when there is no counter-offer", async () => {
+    const { res } = await negotiate(acceptCounterOffer, {
+      user: bidder,
+      product: listing(),
+      bid: pendingBid(),
+    });
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.message, "There is no counter-offer on this bid");
+  });
+});
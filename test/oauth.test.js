@@ -0,0 +1,232 @@
+import { describe, it, mock, afterEach, before } from "node:test";
+import assert from "node:assert/strict";
+import jwt from "jsonwebtoken";
+import User from "../models/User.js";
+import Session from "../models/Session.js";
+import oauthProviders from "../config/oauth.js";
+import { startOAuth, oauthCallback, getOAuthResult, completeOAuthSignup } from "../controllers/oauthController.js";
+import { query, mockResponse } from "./helpers.js";
+
+const ISSUER = "https://idp.test";
+
+before(() => {
+  process.env.JWT_SECRET = "test-secret";
+  process.env.CLIENT_URL = "https://app.test";
+  process.env.API_URL = "https://api.test";
+  Object.assign(oauthProviders.oidc, { issuer: ISSUER, clientId: "annanewa", clientSecret: "shh" });
+});
+
+afterEach(() => mock.restoreAll());
+
+// Stand in for the provider: discovery document plus a token endpoint that
+// returns an ID token with the given claims
+const fakeProvider = (claims) =>
+  mock.method(globalThis, "fetch", async (url) => {
+    if (String(url).endsWith("/.well-known/openid-configuration")) {
+      return Response.json({
+        issuer: ISSUER,
+        authorization_endpoint: `${ISSUER}/authorize`,
+        token_endpoint: `${ISSUER}/token`,
+      });
+    }
+    return Response.json({ id_token: jwt.sign(claims(), "provider-key") });
+  });
+
+// Run the whole redirect dance and return the callback's response
+const signIn = async (claims) => {
+  let nonce;
+  fakeProvider(() => ({
+    iss: ISSUER,
+    aud: "annanewa",
+    exp: Math.floor(Date.now() / 1000) + 60,
+    nonce,
+    sub: "subject-1",
+    ...claims,
+  }));
+
+  const started = mockResponse();
+  await startOAuth({ params: { provider: "oidc" }, protocol: "https", get: () => "api.test" }, started);
+  const authorizeUrl = new URL(started.redirectedTo);
+  nonce = authorizeUrl.searchParams.get("nonce");
+
+  const res = mockResponse();
+  await oauthCallback(
+    {
+      params: { provider: "oidc" },
+      query: { code: "auth-code", state: authorizeUrl.searchParams.get("state") },
+      cookies: { oauth_state: started.cookies.oauth_state.value },
+      protocol: "https",
+      get: () => undefined,
+      ip: "127.0.0.1",
+    },
+    res
+  );
+  return res;
+};
+
+const redirectParams = (res) => Object.fromEntries(new URL(res.redirectedTo).searchParams);
+
+const userWith = (fields) => {
+  const user = new User({ name: "Nila", email: "nila@example.com", role: "buyer", ...fields });
+  mock.method(user, "save", async () => user);
+  return user;
+};
+
+describe("oauthCallback", () => {
+  it("signs in a user already linked to the provider", async () => {
+    const user = userWith({ isVerified: true, isEmailVerified: true });
+    mock.method(User, "findOne", () => query(user));
+    mock.method(Session, "create", async (fields) => new Session(fields));
+
+    const res = await signIn({ email: "nila@example.com", email_verified: true });
+
+    assert.deepEqual(redirectParams(res), { status: "success" });
+    assert.ok(res.cookies.token);
+  });
+
+  it("links a verified local account by email", async () => {
+    const user = userWith({ isVerified: true, isEmailVerified: true });
+    mock.method(User, "findOne", (filter) => query(filter.email ? user : null));
+    mock.method(Session, "create", async (fields) => new Session(fields));
+
+    const res = await signIn({ email: "NILA@example.com", email_verified: true });
+
+    assert.equal(redirectParams(res).status, "success");
+    assert.equal(user.oauthAccounts[0].subject, "subject-1");
+  });
+
+  it("links an account verified by email before phone sign-up existed", async () => {
+    // Stored without isEmailVerified, as accounts from back then are
+    const user = User.hydrate({ _id: new User()._id, name: "Nila", email: "nila@example.com", role: "buyer", isVerified: true });
+    mock.method(user, "save", async () => user);
+    mock.method(User, "findOne", (filter) => query(filter.email ? user : null));
+    mock.method(Session, "create", async (fields) => new Session(fields));
+
+    const res = await signIn({ email: "nila@example.com", email_verified: true });
+
+    assert.equal(redirectParams(res).status, "success");
+    assert.equal(user.oauthAccounts[0].subject, "subject-1");
+  });
+
+  it("does not count an unverified account from back then as verified", () => {
+    const user = User.hydrate({ _id: new User()._id, name: "Nila", email: "nila@example.com", role: "buyer", isVerified: false });
+
+    assert.equal(user.hasVerifiedEmail(), false);
+  });
+
+  it("refuses to link an account whose email was never verified", async () => {
+    const user = userWith({ isVerified: true, isPhoneVerified: true, isEmailVerified: false });
+    mock.method(User, "findOne", (filter) => query(filter.email ? user : null));
+    const create = mock.method(Session, "create", async (fields) => new Session(fields));
+
+    const res = await signIn({ email: "nila@example.com", email_verified: true });
+
+    assert.equal(redirectParams(res).status, "error");
+    assert.equal(user.oauthAccounts.length, 0);
+    assert.equal(create.mock.callCount(), 0);
+    assert.equal(res.cookies.token, undefined);
+  });
+
+  it("ignores emails the provider has not verified", async () => {
+    const user = userWith({ isVerified: true, isEmailVerified: true });
+    const findOne = mock.method(User, "findOne", (filter) => query(filter.email ? user : null));
+
+    const res = await signIn({ email: "nila@example.com", email_verified: false });
+
+    assert.equal(redirectParams(res).status, "signup");
+    assert.equal(findOne.mock.callCount(), 1);
+    assert.equal(user.oauthAccounts.length, 0);
+  });
+
+  it("keeps the signup token out of the redirect URL", async () => {
+    mock.method(User, "findOne", () => query(null));
+
+    const res = await signIn({ email: "new@example.com", email_verified: true, name: "New" });
+
+    assert.deepEqual(redirectParams(res), { status: "signup" });
+    assert.ok(!res.redirectedTo.includes("new@example.com"));
+    assert.ok(res.cookies.oauth_result.options.httpOnly);
+
+    const result = mockResponse();
+    await getOAuthResult({ cookies: { oauth_result: res.cookies.oauth_result.value } }, result);
+    assert.equal(result.body.status, "signup");
+    assert.equal(result.body.email, "new@example.com");
+    assert.equal(jwt.verify(result.body.signupToken, process.env.JWT_SECRET).purpose, "oauth-signup");
+    assert.ok(result.clearedCookies.includes("oauth_result"));
+  });
+
+  it("keeps the 2FA challenge out of the redirect URL", async () => {
+    const user = userWith({ isVerified: true, isEmailVerified: true });
+    user.twoFactor = { enabled: true };
+    mock.method(User, "findOne", () => query(user));
+    const create = mock.method(Session, "create", async (fields) => new Session(fields));
+
+    const res = await signIn({ email: "nila@example.com", email_verified: true });
+
+    assert.deepEqual(redirectParams(res), { status: "2fa" });
+    assert.equal(create.mock.callCount(), 0);
+
+    const result = mockResponse();
+    await getOAuthResult({ cookies: { oauth_result: res.cookies.oauth_result.value } }, result);
+    assert.equal(jwt.verify(result.body.challengeToken, process.env.JWT_SECRET).purpose, "2fa");
+  });
+
+  it("rejects a callback whose state does not match the cookie", async () => {
+    const started = mockResponse();
+    fakeProvider(() => ({}));
+    await startOAuth({ params: { provider: "oidc" }, protocol: "https", get: () => "api.test" }, started);
+
+    const res = mockResponse();
+    await oauthCallback(
+      {
+        params: { provider: "oidc" },
+        query: { code: "auth-code", state: "forged" },
+        cookies: { oauth_state: started.cookies.oauth_state.value },
+      },
+      res
+    );
+    assert.equal(redirectParams(res).status, "error");
+  });
+
+  it("rejects an ID token issued for another nonce", async () => {
+    mock.method(console, "error", () => {});
+    mock.method(User, "findOne", () => query(null));
+    const res = await signIn({ nonce: "replayed" });
+    assert.equal(redirectParams(res).status, "error");
+  });
+});
+
+describe("getOAuthResult", () => {
+  it("needs the result cookie", async () => {
+    const res = mockResponse();
+    await getOAuthResult({ cookies: {} }, res);
+    assert.equal(res.statusCode, 401);
+  });
+});
+
+describe("completeOAuthSignup", () => {
+  const signupToken = (email) =>
+    jwt.sign({ purpose: "oauth-signup", provider: "oidc", subject: "s", email, name: "New" }, process.env.JWT_SECRET);
+
+  it("creates a verified account when the provider vouched for the email", async () => {
+    mock.method(User, "findOne", () => query(null));
+    mock.method(User, "create", async (fields) => userWith(fields));
+    mock.method(Session, "create", async (fields) => new Session(fields));
+    const res = mockResponse();
+
+    await completeOAuthSignup(
+      { body: { signupToken: signupToken("new@example.com"), role: "seller", phone: "01712345678" }, get: () => undefined },
+      res
+    );
+
+    assert.equal(res.statusCode, 200);
+    assert.ok(res.cookies.token);
+  });
+
+  it("refuses tokens minted for another purpose", async () => {
+    const res = mockResponse();
+    const token = jwt.sign({ purpose: "2fa" }, process.env.JWT_SECRET);
+    await completeOAuthSignup({ body: { signupToken: token, role: "seller", phone: "017" } }, res);
+    assert.equal(res.statusCode, 401);
+  });
+});
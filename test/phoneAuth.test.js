@@ -0,0 +1,232 @@
+import { describe, it, mock, afterEach, before } from "node:test";
+import assert from "node:assert/strict";
+import User from "../models/User.js";
+import Session from "../models/Session.js";
+import smsProvider from "../config/sms.js";
+import {
+  register,
+  requestLoginOtp,
+  loginWithOtp,
+  verifyPhone,
+  forgotPassword,
+  verifyResetCode,
+  resetPassword,
+  resendOTP,
+} from "../controllers/authController.js";
+import { normalizePhone } from "../utils/sendSms.js";
+import { query, mockResponse } from "./helpers.js";
+
+before(() => {
+  process.env.JWT_SECRET = "test-secret";
+});
+
+afterEach(() => mock.restoreAll());
+
+const request = (body) => ({ body, get: () => undefined, ip: "127.0.0.1", cookies: {} });
+
+const userWith = (fields = {}) => {
+  const user = new User({
+    name: "Karim",
+    phone: "+8801712345678",
+    role: "buyer",
+    password: "secret123",
+    ...fields,
+  });
+  mock.method(user, "save", async () => user);
+  return user;
+};
+
+// Capture outgoing SMS and read back the code in the latest one
+const captureSms = () => {
+  const send = mock.method(smsProvider, "send", async () => {});
+  return {
+    send,
+    lastCode: () => send.mock.calls.at(-1).arguments[0].message.match(/\d{6}/)[0],
+  };
+};
+
+describe("normalizePhone", () => {
+  it("stores local and international forms the same way", () => {
+    assert.equal(normalizePhone("01712345678"), "+8801712345678");
+    assert.equal(normalizePhone("8801712345678"), "+8801712345678");
+    assert.equal(normalizePhone("+880 1712-345678"), "+8801712345678");
+  });
+});
+
+describe("register", () => {
+  const body = {
+    name: "Karim",
+    phone: "01712345678",
+    role: "buyer",
+    password: "secret123",
+    confirm_password: "secret123",
+  };
+
+  it("sends the verification code by SMS when there is no email", async () => {
+    const sms = captureSms();
+    mock.method(User, "findOne", () => query(null));
+    mock.method(User, "create", async (fields) => userWith(fields));
+    const res = mockResponse();
+
+    await register(request(body), res);
+
+    assert.equal(res.statusCode, 201);
+    assert.equal(res.body.verifyVia, "phone");
+    assert.equal(sms.send.mock.calls[0].arguments[0].to, "+8801712345678");
+  });
+
+  it("rejects an unknown verification channel", async () => {
+    const create = mock.method(User, "create", async () => {});
+    const res = mockResponse();
+    await register(request({ ...body, email: "k@example.com", verifyVia: "carrier-pigeon" }), res);
+    assert.equal(res.statusCode, 400);
+    assert.equal(create.mock.callCount(), 0);
+  });
+
+  it("needs an email to verify by email", async () => {
+    const res = mockResponse();
+    await register(request({ ...body, verifyVia: "email" }), res);
+    assert.equal(res.statusCode, 400);
+  });
+});
+
+describe("phone verification and OTP login", () => {
+  it("verifies the phone with the code that was sent", async () => {
+    const user = userWith();
+    const code = user.getVerificationToken();
+    mock.method(User, "findOne", () => query(user));
+    mock.method(Session, "create", async (fields) => new Session(fields));
+    const res = mockResponse();
+
+    await verifyPhone(request({ phone: "01712345678", code }), res);
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(user.isPhoneVerified, true);
+    assert.ok(res.cookies.token);
+  });
+
+  it("logs in with a code sent by SMS, once", async () => {
+    const sms = captureSms();
+    const user = userWith();
+    mock.method(User, "findOne", () => query(user));
+    mock.method(Session, "create", async (fields) => new Session(fields));
+
+    await requestLoginOtp(request({ phone: "01712345678" }), mockResponse());
+    const code = sms.lastCode();
+
+    const res = mockResponse();
+    await loginWithOtp(request({ phone: "01712345678", code }), res);
+    assert.equal(res.statusCode, 200);
+    assert.equal(user.isVerified, true);
+
+    const again = mockResponse();
+    await loginWithOtp(request({ phone: "01712345678", code }), again);
+    assert.equal(again.statusCode, 400);
+  });
+
+  it("locks the account after too many wrong codes", async () => {
+    const user = userWith();
+    user.getLoginOtp();
+    mock.method(User, "findOne", () => query(user));
+
+    let res;
+    for (let attempt = 0; attempt < 10 && res?.statusCode !== 429; attempt++) {
+      res = mockResponse();
+      await loginWithOtp(request({ phone: "01712345678", code: "000000" }), res);
+    }
+
+    assert.equal(res.statusCode, 429);
+    assert.ok(res.headers["retry-after"]);
+  });
+});
+
+describe("password reset by phone", () => {
+  it("sends the code by SMS and resets the password with it", async () => {
+    const sms = captureSms();
+    const user = userWith();
+    const findOne = mock.method(User, "findOne", () => query(user));
+    const revoke = mock.method(Session, "updateMany", async () => ({ modifiedCount: 1 }));
+
+    const sent = mockResponse();
+    await forgotPassword(request({ phone: "01712345678" }), sent);
+    assert.equal(sent.statusCode, 200);
+    assert.deepEqual(findOne.mock.calls[0].arguments[0], { phone: "+8801712345678" });
+    assert.match(sms.send.mock.calls[0].arguments[0].message, /password reset code/);
+
+    const verified = mockResponse();
+    await verifyResetCode(request({ phone: "01712345678", code: sms.lastCode() }), verified);
+    assert.equal(verified.statusCode, 200);
+
+    const reset = mockResponse();
+    await resetPassword(
+      request({
+        phone: "01712345678",
+        resetKey: verified.body.resetKey,
+        password: "newSecret1",
+        confirm_password: "newSecret1",
+      }),
+      reset
+    );
+    assert.equal(reset.statusCode, 200);
+    assert.equal(user.password, "newSecret1");
+    assert.equal(revoke.mock.callCount(), 1);
+  });
+
+  it("resends a reset code by SMS", async () => {
+    const sms = captureSms();
+    const user = userWith();
+    mock.method(User, "findOne", () => query(user));
+    const res = mockResponse();
+
+    await resendOTP(request({ phone: "01712345678", type: "reset" }), res);
+
+    assert.equal(res.statusCode, 200);
+    assert.ok(user.resetPasswordToken);
+    assert.equal(sms.send.mock.callCount(), 1);
+  });
+
+  it("needs an email or a phone", async () => {
+    const res = mockResponse();
+    await forgotPassword(request({}), res);
+    assert.equal(res.statusCode, 400);
+  });
+});
+
+describe("SMS provider", () => {
+  it("must be configured outside development and test, but only to send", async () => {
+    const { NODE_ENV, SMS_PROVIDER } = process.env;
+    process.env.NODE_ENV = "production";
+    delete process.env.SMS_PROVIDER;
+    const warn = mock.method(console, "warn", () => {});
+    const log = mock.method(console, "log", () => {});
+    try {
+      const { default: provider } = await import("../config/sms.js?production");
+      assert.match(warn.mock.calls[0].arguments[0], /SMS_PROVIDER is not set/);
+
+      await assert.rejects(provider.send({ to: "+8801711000000", message: "123456" }), /SMS_PROVIDER is not set/);
+      assert.equal(log.mock.callCount(), 0);
+
+      process.env.SMS_PROVIDER = "console";
+      await provider.send({ to: "+8801711000000", message: "123456" });
+      assert.equal(log.mock.callCount(), 1);
+    } finally {
+      process.env.NODE_ENV = NODE_ENV;
+      if (SMS_PROVIDER === undefined) delete process.env.SMS_PROVIDER;
+      else process.env.SMS_PROVIDER = SMS_PROVIDER;
+    }
+  });
+
+  it("accepts an explicit provider in production", async () => {
+    const { NODE_ENV, SMS_PROVIDER } = process.env;
+    process.env.NODE_ENV = "production";
+    process.env.SMS_PROVIDER = "http";
+    try {
+      const { default: provider } = await import("../config/sms.js?production-http");
+      assert.equal(typeof provider.send, "function");
+    } finally {
+      process.env.NODE_ENV = NODE_ENV;
+      if (SMS_PROVIDER === undefined) delete process.env.SMS_PROVIDER;
+      else process.env.SMS_PROVIDER = SMS_PROVIDER;
+    }
+  });
+});
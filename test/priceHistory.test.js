@@ -0,0 +1,204 @@
+import { describe, it, mock, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import Product from "../models/Product.js";
+import Bid from "../models/Bid.js";
+import PricePoint from "../models/PricePoint.js";
+import WatchlistItem from "../models/WatchlistItem.js";
+import { MAX_DAYS } from "../utils/marketPrices.js";
+import { getMarketPrices } from "../controllers/marketController.js";
+import { getPriceHistory, updateMyProduct } from "../controllers/productController.js";
+import { query, mockResponse, id } from "./helpers.js";
+
+afterEach(() => mock.restoreAll());
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe("market price points", () => {
+  const order = (fields = {}) => ({
+    _id: id(),
+    product: id(),
+    postType: "sell",
+    unit: "kg",
+    pricePerKg: 42,
+    quantity: 50,
+    orderStatus: "Processing",
+    createdAt: new Date("2026-10-01"),
+    ...fields,
+  });
+
+  const stubProduct = (product) => {
+    mock.method(Product, "findById", () => query(product));
+    return mock.method(PricePoint, "findOneAndUpdate", async (_filter, update) => update);
+  };
+
+  it("counts an accepted bid from the day its order was created", async () => {
+    const category = id();
+    const upsert = stubProduct({ _id: id(), category, location: { state: "Rajshahi" } });
+    const processing = order();
+
+    const point = await PricePoint.syncOrder(processing);
+
+    assert.deepEqual(upsert.mock.calls[0].arguments[0], { order: processing._id });
+    assert.equal(upsert.mock.calls[0].arguments[2].upsert, true);
+    assert.equal(point.source, "accepted-bid");
+    assert.equal(point.recordedAt, processing.createdAt);
+    assert.equal(point.category, category);
+    assert.equal(point.state, "Rajshahi");
+    assert.equal(point.price, 42);
+  });
+
+  it("moves a completed order to its delivery date", async () => {
+    stubProduct({ _id: id(), category: id(), location: { state: "Dhaka" } });
+    const deliveredAt = new Date("2026-10-05");
+
+    const point = await PricePoint.syncOrder(order({ orderStatus: "Completed", deliveredAt }));
+
+    assert.equal(point.source, "completed-order");
+    assert.equal(point.recordedAt, deliveredAt);
+  });
+
+  it("drops the point of a cancelled or refunded order", async () => {
+    const drop = mock.method(PricePoint, "deleteOne", async () => ({ deletedCount: 1 }));
+    const upsert = stubProduct(null);
+
+    for (const orderStatus of ["Cancelled", "Refunded"]) {
+      const cancelled = order({ orderStatus });
+      assert.equal(await PricePoint.syncOrder(cancelled), null);
+      assert.deepEqual(drop.mock.calls.at(-1).arguments[0], { order: cancelled._id });
+    }
+    assert.equal(upsert.mock.callCount(), 0);
+  });
+
+  it("skips orders whose listing is gone", async () => {
+    const upsert = stubProduct(null);
+
+    assert.equal(await PricePoint.syncOrder(order()), null);
+    assert.equal(upsert.mock.callCount(), 0);
+  });
+});
+
+describe("market price index", () => {
+  const fetchPrices = async (query) => {
+    const aggregate = mock.method(PricePoint, "aggregate", async () => []);
+    const res = mockResponse();
+    await getMarketPrices({ query }, res);
+    return { res, pipeline: aggregate.mock.calls[0]?.arguments[0] };
+  };
+
+  it("rejects unknown intervals and malformed categories", async () => {
+    const weird = await fetchPrices({ interval: "hourly" });
+    assert.equal(weird.res.statusCode, 400);
+
+    const malformed = await fetchPrices({ category: "rice" });
+    assert.equal(malformed.res.statusCode, 400);
+    assert.equal(malformed.pipeline, undefined);
+  });
+
+  it("caps the period at a year and weeks start on Monday", async () => {
+    const { res, pipeline } = await fetchPrices({ interval: "weekly", days: "5000", state: "all" });
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(Math.round((res.body.to - res.body.from) / DAY_MS), MAX_DAYS);
+    const [{ $match: match }, { $group: group }] = pipeline;
+    assert.equal(match.state, undefined);
+    assert.equal(group._id.period.$dateTrunc.startOfWeek, "monday");
+  });
+
+  it("filters by category, state and post type", async () => {
+    const category = id().toString();
+
+    const { pipeline } = await fetchPrices({ category, state: "Dhaka", postType: "buy" });
+
+    const [{ $match: match }] = pipeline;
+    assert.equal(match.category.toString(), category);
+    assert.deepEqual(match.state, { $regex: "Dhaka", $options: "i" });
+    assert.equal(match.postType, "buy");
+  });
+});
+
+describe("listing price history", () => {
+  it("lists asking prices and accepted bids in order", async () => {
+    const product = { _id: id(), title: "Rice", unit: "kg", status: "sold", priceHistory: [{ pricePerKg: 40 }] };
+    mock.method(Product, "findById", () => query(product));
+    mock.method(Bid, "find", () =>
+      query([
+        { bidAmount: 45, quantity: 10, acceptedAt: new Date("2026-10-03") },
+        { bidAmount: 44, quantity: 20, bidAt: new Date("2026-10-01") },
+      ])
+    );
+    const res = mockResponse();
+
+    await getPriceHistory({ params: { id: product._id.toString() } }, res);
+
+    assert.deepEqual(res.body.askingPrices, [{ pricePerKg: 40 }]);
+    assert.deepEqual(
+      res.body.acceptedBids.map((bid) => bid.bidAmount),
+      [44, 45]
+    );
+  });
+
+  it("hides the history of listings that are not public", async () => {
+    mock.method(Product, "findById", () => query({ _id: id(), status: "draft" }));
+    const res = mockResponse();
+
+    await getPriceHistory({ params: { id: id().toString() } }, res);
+
+    assert.equal(res.statusCode, 404);
+  });
+
+  const reprice = async (pricePerKg, priceHistory) => {
+    const ownerId = id();
+    const product = new Product({
+      title: "Rice",
+      pricePerKg: 40,
+      totalWeight: 100,
+      user: ownerId,
+      userRole: "seller",
+      postType: "sell",
+      status: "active",
+      priceHistory,
+      createdAt: new Date("2026-09-01"),
+    });
+    mock.method(Product, "findById", async () => product);
+    const write = mock.method(Product, "findOneAndUpdate", (_filter, updateData) =>
+      query({ ...product.toObject(), pricePerKg: Number(updateData.pricePerKg) })
+    );
+    mock.method(WatchlistItem, "find", () => query([]));
+    const res = mockResponse();
+
+    await updateMyProduct(
+      {
+        params: { id: product._id },
+        user: { id: ownerId.toString(), role: "seller", isVerifiedSeller: () => true },
+        body: { pricePerKg },
+      },
+      res
+    );
+    return { written: write.mock.calls[0].arguments[1] };
+  };
+
+  it("records each new asking price", async () => {
+    const { written } = await reprice("38", [{ pricePerKg: 40, changedAt: new Date("2026-10-01") }]);
+
+    const [change] = written.$push.priceHistory.$each;
+    assert.equal(written.$push.priceHistory.$each.length, 1);
+    assert.equal(change.pricePerKg, 38);
+  });
+
+  it("starts the history of older listings with their previous price", async () => {
+    const { written } = await reprice("38", []);
+
+    const changes = written.$push.priceHistory.$each;
+    assert.deepEqual(
+      changes.map((change) => change.pricePerKg),
+      [40, 38]
+    );
+    assert.deepEqual(changes[0].changedAt, new Date("2026-09-01"));
+  });
+
+  it("leaves the history alone when the price is unchanged", async () => {
+    const { written } = await reprice("40", [{ pricePerKg: 40, changedAt: new Date("2026-10-01") }]);
+
+    assert.equal(written.$push, undefined);
+  });
+});
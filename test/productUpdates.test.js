@@ -0,0 +1,167 @@
+import { describe, it, mock, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import Product from "../models/Product.js";
+import Category from "../models/category.js";
+import { updateMyProduct } from "../controllers/productController.js";
+import { query, mockResponse, captureBidEvents, id } from "./helpers.js";
+
+afterEach(() => {
+  mock.restoreAll();
+  delete process.env.UNVERIFIED_SELLER_MAX_LISTING_VALUE;
+});
+
+const ownerId = id();
+
+const seller = {
+  id: ownerId.toString(),
+  role: "seller",
+  isVerifiedSeller: () => false,
+};
+
+const listing = () =>
+  new Product({
+    title: "Aman paddy",
+    description: "Harvested in Bogura",
+    pricePerKg: 40,
+    totalWeight: 100,
+    remainingWeight: 60,
+    user: ownerId,
+    userRole: "seller",
+    postType: "sell",
+    status: "active",
+    category: id(),
+    expiryDate: new Date(Date.now() + 86400000),
+  });
+
+// Run an update and return the response with the update it wrote, if any
+const update = async (body, product = listing(), user = seller) => {
+  mock.method(Product, "findById", async () => product);
+  mock.method(Category, "findById", async () => ({ unit: "kg", grades: [] }));
+  const write = mock.method(Product, "findOneAndUpdate", (_filter, updateData) =>
+    query(new Product({ ...product.toObject(), ...updateData }))
+  );
+  const res = mockResponse();
+
+  await updateMyProduct({ params: { id: product._id }, user, body }, res);
+  return { res, written: write.mock.calls[0]?.arguments[1] };
+};
+
+describe("updateMyProduct", () => {
+  it("writes only the fields an owner may edit", async () => {
+    const { res, written } = await update({
+      title: "Aman paddy, dried",
+      user: id(),
+      status: "sold",
+      postType: "buy",
+      remainingWeight: 1000,
+      searchKeys: ["kfree"],
+      moderation: { reviewedBy: ownerId },
+      bidWinner: ownerId,
+      companyRevenue: 0,
+    });
+
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(written, { title: "Aman paddy, dried" });
+  });
+
+  it("refuses MongoDB operators anywhere in the request", async () => {
+    for (const body of [
+      { $set: { status: "sold" } },
+      { title: "Rice", $inc: { remainingWeight: 500 } },
+      { location: { city: { $ne: null } } },
+      { location: JSON.stringify({ "geo.coordinates": [0, 0] }) },
+      { auction: { $where: "true" } },
+    ]) {
+      const { res, written } = await update(body);
+      assert.equal(res.statusCode, 400, JSON.stringify(body));
+      assert.equal(res.body.message, "Field names cannot start with $ or contain dots");
+      assert.equal(written, undefined);
+      mock.restoreAll();
+    }
+  });
+
+  it("keeps the sold quantity when the total changes", async () => {
+    const { written } = await update({ totalWeight: 150 });
+
+    assert.equal(written.totalWeight, 150);
+    assert.equal(written.unit, "kg");
+    assert.equal(written.remainingWeight, 110);
+  });
+
+  it("refuses a total below what has already been sold", async () => {
+    const { res, written } = await update({ totalWeight: 30 });
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.message, "40 kg has already been sold from this listing");
+    assert.equal(written, undefined);
+  });
+
+  it("holds unverified sellers to the listing value cap", async () => {
+    process.env.UNVERIFIED_SELLER_MAX_LISTING_VALUE = "5000";
+
+    const { res, written } = await update({ pricePerKg: 60 });
+
+    assert.equal(res.statusCode, 403);
+    assert.equal(res.body.listingValueCap, 5000);
+    assert.equal(written, undefined);
+  });
+
+  it("only lets the owner edit", async () => {
+    const product = listing();
+    product.user = id();
+
+    const { res, written } = await update({ title: "Mine now" }, product);
+
+    assert.equal(res.statusCode, 403);
+    assert.equal(written, undefined);
+  });
+
+  describe("of an approved listing", () => {
+    const approved = () => {
+      const product = listing();
+      product.moderation = { reviewedAt: new Date(), reviewedBy: id() };
+      return product;
+    };
+
+    const edit = async (body, user = seller) => {
+      mock.method(Product, "countDocuments", async () => 1);
+      const events = captureBidEvents();
+      return { ...(await update(body, approved(), user)), events };
+    };
+
+    it("goes back for review when what moderation checked changes", async () => {
+      const { res, written, events } = await edit({ title: "Aman paddy, premium" });
+
+      assert.equal(res.statusCode, 200);
+      assert.equal(written.status, "pending-review");
+      assert.ok(written["moderation.submittedAt"] instanceof Date);
+      assert.equal(events[0].data.status, "pending-review");
+    });
+
+    it("stays live when only other fields change or nothing really changed", async () => {
+      for (const body of [{ moisturePercent: 12 }, { title: "Aman paddy", pricePerKg: "40" }]) {
+        const { written } = await edit(body);
+        assert.equal(written.status, undefined, JSON.stringify(body));
+        mock.restoreAll();
+      }
+    });
+
+    it("stays live for owners who no longer need review", async () => {
+      const { written } = await edit({ title: "Aman paddy, premium" }, { ...seller, isVerifiedSeller: () => true });
+
+      assert.equal(written.status, undefined);
+    });
+
+    it("is only written while the listing is still live", async () => {
+      const product = approved();
+      mock.method(Product, "findById", async () => product);
+      const write = mock.method(Product, "findOneAndUpdate", () => query(null));
+      const res = mockResponse();
+
+      await updateMyProduct({ params: { id: product._id }, user: seller, body: { moisturePercent: 12 } }, res);
+
+      assert.deepEqual(write.mock.calls[0].arguments[0], { _id: product._id, status: "active" });
+      assert.equal(res.statusCode, 409);
+    });
+  });
+});
@@ -0,0 +1,176 @@
+import { describe, it, mock, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import Product from "../models/Product.js";
+import Bid from "../models/Bid.js";
+import { checkProxyLimit, proxyMoves, runProxyBids } from "../utils/proxyBids.js";
+import { query, id, captureBidEvents } from "./helpers.js";
+
+let events;
+
+beforeEach(() => {
+  events = captureBidEvents();
+});
+
+afterEach(() => mock.restoreAll());
+
+const sellPost = { _id: id(), postType: "sell", status: "active" };
+const buyPost = { _id: id(), postType: "buy", status: "active" };
+
+let placedAt = Date.parse("2026-10-19T08:00:00Z");
+const bid = (bidAmount, proxyLimit) => ({
+  _id: id(),
+  user: { _id: id(), name: "Bidder" },
+  status: "pending",
+  bidAmount,
+  proxyLimit,
+  quantity: 10,
+  bidAt: new Date((placedAt += 60000)),
+});
+
+// Moves as [bid, amount] pairs, named by the bid's position in `bids`
+const movesOf = (product, bids) =>
+  proxyMoves(product, bids).map(([moved, amount]) => [bids.indexOf(moved), amount]);
+
+describe("proxy limits", () => {
+  it("must be positive and at least the bid", () => {
+    assert.equal(checkProxyLimit(sellPost, 50, undefined), null);
+    assert.equal(checkProxyLimit(sellPost, 50, null), null);
+    assert.equal(checkProxyLimit(sellPost, 50, "lots"), "Proxy limit must be a positive number");
+    assert.equal(checkProxyLimit(sellPost, 50, 0), "Proxy limit must be a positive number");
+    assert.equal(checkProxyLimit(sellPost, 50, 45), "Your maximum cannot be lower than your bid");
+    assert.equal(checkProxyLimit(sellPost, 50, "60"), null);
+  });
+
+  it("are a floor on buy posts", () => {
+    assert.equal(checkProxyLimit(buyPost, 40, 45), "Your floor cannot be higher than your bid");
+    assert.equal(checkProxyLimit(buyPost, 40, 35), null);
+  });
+});
+
+describe("proxy moves", () => {
+  it("takes the furthest limit one increment past the runner-up", () => {
+    const bids = [bid(50, 70), bid(55, 60)];
+
+    assert.deepEqual(movesOf(sellPost, bids), [
+      [1, 60],
+      [0, 61],
+    ]);
+  });
+
+  it("steps by the auction's minimum increment", () => {
+    const bids = [bid(50, 70), bid(55, 60)];
+
+    assert.deepEqual(movesOf({ ...sellPost, auction: { minIncrement: 5 } }, bids), [
+      [1, 60],
+      [0, 65],
+    ]);
+  });
+
+  it("stops the leader at its limit", () => {
+    const bids = [bid(50, 60.5), bid(55, 60)];
+
+    assert.deepEqual(movesOf(sellPost, bids).at(-1), [0, 60.5]);
+  });
+
+  it("gives equal limits to the earlier bid", () => {
+    const bids = [bid(50, 70), bid(60, 70)];
+
+    assert.deepEqual(movesOf(sellPost, bids), [
+      [1, 70],
+      [0, 70],
+    ]);
+  });
+
+  it("answers a plain bid without moving it", () => {
+    const bids = [bid(60), bid(55, 65)];
+
+    assert.deepEqual(movesOf(sellPost, bids), [[1, 61]]);
+  });
+
+  it("does nothing when no limit can beat the best bid", () => {
+    assert.deepEqual(movesOf(sellPost, [bid(60), bid(55, 60)]), []);
+    assert.deepEqual(movesOf(sellPost, [bid(60, 80)]), []);
+    assert.deepEqual(movesOf(sellPost, []), []);
+  });
+
+  it("ignores bids that are no longer pending", () => {
+    const withdrawn = { ...bid(55, 90), status: "withdrawn" };
+
+    assert.deepEqual(movesOf(sellPost, [bid(60), withdrawn]), []);
+  });
+
+  it("bids down to floors on buy posts", () => {
+    const bids = [bid(40, 30), bid(38, 35)];
+
+    assert.deepEqual(movesOf(buyPost, bids), [
+      [1, 35],
+      [0, 34],
+    ]);
+  });
+});
+
+describe("running proxy bids", () => {
+  // Run a round over `bids`. `updated` stands in for each conditional
+  // update; by default every bid takes its new amount.
+  const takeAmount = (bids) => (filter, change) => ({
+    ...bids.find((pending) => pending._id === filter._id),
+    bidAmount: change.$set.bidAmount,
+  });
+
+  const run = async (product, bids, updated = takeAmount(bids)) => {
+    mock.method(Product, "findById", async () => product);
+    const find = mock.method(Bid, "find", () => query(bids));
+    const update = mock.method(Bid, "findOneAndUpdate", (filter, change) => query(updated(filter, change)));
+    const moved = await runProxyBids(product?._id ?? id());
+    return { moved, find, update };
+  };
+
+  it("moves each bid on its previous amount and announces it", async () => {
+    const bids = [bid(50, 70), bid(55, 60)];
+
+    const { moved, update } = await run(sellPost, bids);
+
+    assert.deepEqual(
+      moved.map((summary) => summary.bidAmount),
+      [60, 61]
+    );
+    const [filter, change] = update.mock.calls[1].arguments;
+    assert.deepEqual(filter, { _id: bids[0]._id, status: "pending", bidAmount: 50 });
+    assert.deepEqual(change.$push.offers, { by: "system", action: "auto-bid", amount: 61, quantity: 10 });
+    assert.deepEqual(
+      events.map((event) => [event.type, event.data.automatic]),
+      [
+        ["bid-updated", true],
+        ["bid-updated", true],
+      ]
+    );
+  });
+
+  it("skips a bid that changed in the meantime", async () => {
+    const bids = [bid(50, 70), bid(55, 60)];
+
+    const { moved } = await run(sellPost, bids, (filter, change) =>
+      filter._id === bids[1]._id ? null : { ...bids[0], bidAmount: change.$set.bidAmount }
+    );
+
+    assert.deepEqual(
+      moved.map((summary) => summary._id),
+      [bids[0]._id]
+    );
+    assert.equal(events.length, 1);
+  });
+
+  it("leaves listings alone that are closed or not open for bidding", async () => {
+    const closedAuction = {
+      ...sellPost,
+      auction: { startsAt: new Date(Date.now() - 7200000), endsAt: new Date(Date.now() - 3600000) },
+    };
+
+    for (const product of [null, { ...sellPost, status: "sold" }, closedAuction]) {
+      const { moved, find } = await run(product, [bid(50, 70), bid(55, 60)]);
+      assert.deepEqual(moved, []);
+      assert.equal(find.mock.callCount(), 0);
+      mock.restoreAll();
+    }
+  });
+});
@@ -0,0 +1,167 @@
+import { describe, it, mock, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import User from "../models/User.js";
+import Product from "../models/Product.js";
+import Bid from "../models/Bid.js";
+import Category from "../models/category.js";
+import { PERMISSIONS, isValidPermission } from "../config/roles.js";
+import { authorize } from "../middleware/auth.js";
+import { updateUser } from "../controllers/adminController..js";
+import { createProduct } from "../controllers/productController.js";
+import { query, mockResponse, doc, id } from "./helpers.js";
+
+afterEach(() => mock.restoreAll());
+
+describe("role permissions", () => {
+  it("gives admins every permission except assigning roles", () => {
+    const admin = new User({ role: "admin" });
+    assert.ok(admin.hasPermission(PERMISSIONS.USERS_UPDATE));
+    assert.ok(!admin.hasPermission(PERMISSIONS.ROLES_ASSIGN));
+  });
+
+  it("adds per-user grants to the role defaults", () => {
+    const seller = new User({ role: "seller", permissions: [PERMISSIONS.ARTICLES_PUBLISH] });
+    assert.ok(seller.hasPermission(PERMISSIONS.ARTICLES_PUBLISH));
+    assert.ok(!seller.hasPermission(PERMISSIONS.USERS_READ));
+  });
+
+  it("knows which permissions exist", () => {
+    assert.ok(isValidPermission("users:read"));
+    assert.ok(!isValidPermission("users:everything"));
+  });
+});
+
+describe("authorize", () => {
+  const staff = (role, twoFactor = true) => {
+    const user = new User({ role });
+    user.twoFactor = { enabled: twoFactor };
+    return user;
+  };
+
+  it("lets staff with the permission and a second factor through", () => {
+    const next = mock.fn();
+    authorize(PERMISSIONS.USERS_READ)({ user: staff("admin"), twoFactorVerified: true }, mockResponse(), next);
+    assert.equal(next.mock.callCount(), 1);
+  });
+
+  it("refuses users without the permission", () => {
+    const res = mockResponse();
+    const next = mock.fn();
+    authorize(PERMISSIONS.ROLES_ASSIGN)({ user: staff("admin"), twoFactorVerified: true }, res, next);
+    assert.equal(res.statusCode, 403);
+    assert.equal(next.mock.callCount(), 0);
+  });
+
+  it("asks for a second factor before admin access", () => {
+    const res = mockResponse();
+    authorize(PERMISSIONS.USERS_READ)({ user: staff("admin"), twoFactorVerified: false }, res, mock.fn());
+    assert.equal(res.statusCode, 403);
+    assert.equal(res.body.twoFactorRequired, true);
+  });
+});
+
+describe("updateUser", () => {
+  const superAdmin = () => new User({ role: "super-admin" });
+
+  const target = (fields = {}) =>
+    doc({ _id: id(), role: "seller", isActive: true, ...fields });
+
+  const run = async (body, user = target()) => {
+    mock.method(User, "findById", () => query(user));
+    const update = mock.method(User, "findByIdAndUpdate", () => query(user));
+    const hide = mock.method(Product, "updateMany", async () => ({ modifiedCount: 0 }));
+    const withdraw = mock.method(Bid, "updateMany", async () => ({ modifiedCount: 0 }));
+    const res = mockResponse();
+    await updateUser({ params: { userId: user._id.toString() }, body, user: superAdmin() }, res);
+    return { res, user, update, hide, withdraw };
+  };
+
+  it("rejects unknown permissions before suspending anyone", async () => {
+    const { res, user, update, hide } = await run({ isActive: false, permissions: ["users:everything"] });
+    assert.equal(res.statusCode, 400);
+    assert.equal(user.saved, 0);
+    assert.equal(user.isActive, true);
+    assert.equal(update.mock.callCount(), 0);
+    assert.equal(hide.mock.callCount(), 0);
+  });
+
+  it("rejects a non-boolean isVerified before suspending anyone", async () => {
+    const { res, user } = await run({ isActive: false, isVerified: "yes" });
+    assert.equal(res.statusCode, 400);
+    assert.equal(user.saved, 0);
+  });
+
+  it("rejects an unknown role", async () => {
+    const { res, update } = await run({ role: "owner" });
+    assert.equal(res.statusCode, 400);
+    assert.equal(update.mock.callCount(), 0);
+  });
+
+  it("does not suspend when the update itself fails", async () => {
+    const user = target();
+    mock.method(User, "findById", () => query(user));
+    mock.method(User, "findByIdAndUpdate", () => query(Promise.reject(new Error("Validation failed"))));
+    const res = mockResponse();
+    await updateUser({ params: { userId: user._id.toString() }, body: { isActive: false }, user: superAdmin() }, res);
+    assert.equal(res.statusCode, 500);
+    assert.equal(user.saved, 0);
+  });
+
+  it("applies the update and then suspends", async () => {
+    const { res, user, update, hide, withdraw } = await run({ isActive: false, isVerified: true });
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(update.mock.calls[0].arguments[1], { isVerified: true });
+    assert.equal(user.isActive, false);
+    assert.equal(user.saved, 1);
+    assert.equal(hide.mock.callCount(), 1);
+    assert.equal(withdraw.mock.callCount(), 1);
+  });
+
+  it("reinstates a suspended user", async () => {
+    const { res, user } = await run({ isActive: true }, target({ isActive: false, suspensionReason: "spam" }));
+    assert.equal(res.statusCode, 200);
+    assert.equal(user.isActive, true);
+    assert.equal(user.suspensionReason, undefined);
+  });
+
+  it("keeps staff changes to super admins", async () => {
+    const admin = new User({ role: "admin" });
+    const user = target();
+    mock.method(User, "findById", () => query(user));
+    const res = mockResponse();
+    await updateUser({ params: { userId: user._id.toString() }, body: { role: "admin" }, user: admin }, res);
+    assert.equal(res.statusCode, 403);
+  });
+});
+
+describe("staff listings", () => {
+  it("records the side of the trade rather than the staff role", async () => {
+    const admin = new User({ role: "admin" });
+    mock.method(Category, "findById", async () => ({ unit: "kg", grades: [] }));
+    // Validated like the real insert would be
+    mock.method(Product, "create", async (fields) => {
+      const product = new Product(fields);
+      await product.validate();
+      product.populate = async () => product;
+      return product;
+    });
+    const res = mockResponse();
+
+    await createProduct(
+      {
+        user: admin,
+        body: {
+          title: "Seed potatoes",
+          postType: "buy",
+          category: id().toString(),
+          expiryDate: new Date(Date.now() + 86400000),
+          draft: "true",
+        },
+      },
+      res
+    );
+
+    assert.equal(res.statusCode, 201);
+    assert.equal(res.body.product.userRole, "buyer");
+  });
+});
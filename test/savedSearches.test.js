@@ -0,0 +1,129 @@
+import { describe, it, mock, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import Product from "../models/Product.js";
+import SavedSearch from "../models/SavedSearch.js";
+import User from "../models/User.js";
+import Notification from "../models/Notification.js";
+import { notifySavedSearches } from "../utils/savedSearchAlerts.js";
+import { publishScheduledListings } from "../utils/listingStatus.js";
+import { reviewListing } from "../controllers/moderationController.js";
+import { query, mockResponse, id, captureBidEvents } from "./helpers.js";
+
+// Alerts go out in the background; let them finish
+const settle = () => new Promise((resolve) => setImmediate(resolve));
+
+let notifications;
+
+beforeEach(() => {
+  notifications = [];
+  mock.method(Notification, "create", async (fields) => {
+    notifications.push(fields);
+    return fields;
+  });
+  captureBidEvents();
+  mock.method(User, "findOne", () => query({ _id: id(), name: "Rafiq" }));
+});
+
+afterEach(() => mock.restoreAll());
+
+const matchAlerts = () => notifications.filter((notification) => notification.type === "saved-search-match");
+
+// A listing as findOneAndUpdate returns it: `searchKeys` is not selected
+const listing = (fields = {}) => ({
+  _id: id(),
+  user: id(),
+  title: "Fresh aman paddy",
+  categoryName: "Rice",
+  description: "Harvested in Bogura",
+  category: id(),
+  postType: "sell",
+  pricePerKg: 40,
+  location: { state: "Rajshahi" },
+  status: "active",
+  ...fields,
+});
+
+const stubSearches = (...filters) => {
+  const searches = filters.map((search) => ({
+    _id: id(),
+    user: id(),
+    name: search.search ?? "Anything",
+    alertMode: "instant",
+    filters: { postType: "sell", ...search },
+  }));
+  mock.method(SavedSearch, "find", () => searches);
+  return searches;
+};
+
+describe("saved search alerts", () => {
+  it("matches keywords against listings loaded without their search keys", async () => {
+    stubSearches({ search: "chal" }, { search: "wheat" });
+
+    const matched = await notifySavedSearches(listing());
+
+    assert.equal(matched, 1);
+    assert.equal(matchAlerts().length, 1);
+    assert.equal(matchAlerts()[0].title, 'New listing for "chal"');
+  });
+
+  it("checks the state as a case-insensitive substring", async () => {
+    stubSearches({ state: "rajshahi" }, { state: "Khulna" });
+
+    assert.equal(await notifySavedSearches(listing()), 1);
+  });
+
+  it("queues daily searches for the digest", async () => {
+    const [search] = stubSearches({ search: "rice" });
+    search.alertMode = "daily";
+    const queue = mock.method(SavedSearch, "updateOne", async () => ({}));
+    const product = listing();
+
+    await notifySavedSearches(product);
+
+    assert.deepEqual(queue.mock.calls[0].arguments, [
+      { _id: search._id },
+      { $addToSet: { pendingMatches: product._id } },
+    ]);
+    assert.equal(matchAlerts().length, 0);
+  });
+
+  it("ignores listings that are not live", async () => {
+    const find = mock.method(SavedSearch, "find", () => []);
+
+    assert.equal(await notifySavedSearches(listing({ status: "pending-review" })), 0);
+    assert.equal(find.mock.callCount(), 0);
+  });
+
+  it("alerts when a scheduled listing is published", async () => {
+    stubSearches({ search: "chal" });
+    const owner = { _id: id(), name: "Mita", isActive: true, isVerifiedSeller: () => true };
+    const scheduled = listing({ user: owner, status: "scheduled", publishAt: new Date(Date.now() - 1000) });
+    mock.method(Product, "find", () => query([scheduled]));
+    mock.method(Product, "findOneAndUpdate", async () => listing({ _id: scheduled._id, user: owner._id }));
+
+    assert.equal(await publishScheduledListings(), 1);
+    await settle();
+
+    assert.equal(matchAlerts().length, 1);
+    assert.deepEqual(matchAlerts()[0].products, [scheduled._id]);
+  });
+
+  it("alerts when a listing is approved from the review queue", async () => {
+    stubSearches({ search: "chal" });
+    const owner = { _id: id(), name: "Mita", isActive: true };
+    const queued = listing({ user: owner, status: "pending-review" });
+    mock.method(Product, "findById", () => query(queued));
+    mock.method(Product, "findOneAndUpdate", async () => listing({ _id: queued._id, user: owner._id }));
+    const res = mockResponse();
+
+    await reviewListing(
+      { params: { productId: queued._id }, user: { _id: id() }, body: { decision: "approved" } },
+      res
+    );
+    await settle();
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(matchAlerts().length, 1);
+    assert.deepEqual(matchAlerts()[0].products, [queued._id]);
+  });
+});
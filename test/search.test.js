@@ -0,0 +1,109 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { phoneticKey, buildSearchKeys, buildTextSearch, matchesKeywords } from "../utils/search.js";
+import { geocode } from "../utils/geocode.js";
+
+// English name, romanized Bengali and Bengali script of the same crop
+const SYNONYM_PAIRS = [
+  ["potato", "alu", "আলু"],
+  ["rice", "chal", "চাল"],
+  ["paddy", "dhan", "ধান"],
+  ["wheat", "gom", "গম"],
+  ["onion", "peyaj", "পেঁয়াজ"],
+  ["garlic", "rosun", "রসুন"],
+  ["eggplant", "begun", "বেগুন"],
+  ["tomato", "tometo", "টমেটো"],
+  ["chili", "morich", "মরিচ"],
+  ["lentil", "dal", "ডাল"],
+  ["mustard", "sorisha", "সরিষা"],
+  ["jute", "pat", "পাট"],
+  ["mango", "aam", "আম"],
+  ["banana", "kola", "কলা"],
+  ["pumpkin", "kumra", "কুমড়া"],
+  ["spinach", "shak", "শাক"],
+];
+
+describe("phoneticKey", () => {
+  it("folds spelling variants and typos onto one key", () => {
+    assert.equal(phoneticKey("aloo"), phoneticKey("alu"));
+    assert.equal(phoneticKey("potatoes"), phoneticKey("potato"));
+    assert.equal(phoneticKey("potatto"), phoneticKey("potato"));
+    assert.equal(phoneticKey("morich"), phoneticKey("মরিচ"));
+  });
+
+  it("keeps words that only share consonants apart", () => {
+    for (const [a, b] of [
+      ["pot", "pat"],
+      ["game", "gom"],
+      ["deal", "dal"],
+      ["sack", "shak"],
+      ["coal", "chal"],
+      ["rice", "chili"],
+    ]) {
+      assert.notEqual(phoneticKey(a), phoneticKey(b), `${a} / ${b}`);
+    }
+  });
+});
+
+describe("synonyms", () => {
+  for (const names of SYNONYM_PAIRS) {
+    it(`matches ${names.join(" / ")} with each other`, () => {
+      for (const listed of names) {
+        const keys = buildSearchKeys(`Fresh ${listed} for sale`);
+        for (const searched of names) {
+          assert.ok(matchesKeywords(searched, keys), `"${searched}" finds "${listed}"`);
+        }
+      }
+    });
+  }
+
+  it("does not let one crop's synonyms leak into another's", () => {
+    const chili = buildSearchKeys("Red chili powder");
+    for (const query of ["rice", "চাল", "chal", "coal", "cola"]) {
+      assert.equal(matchesKeywords(query, chili), false, query);
+    }
+  });
+
+  it("does not send everyday words to a crop", () => {
+    for (const [query, crop] of [
+      ["deal", "lentil"],
+      ["pot", "jute"],
+      ["game", "wheat"],
+      ["sack", "spinach"],
+      ["coal", "rice"],
+    ]) {
+      assert.equal(matchesKeywords(query, buildSearchKeys(crop)), false, `${query} / ${crop}`);
+      assert.equal(matchesKeywords(crop, buildSearchKeys(`Big ${query}`)), false, `${crop} / ${query}`);
+    }
+  });
+});
+
+describe("matchesKeywords", () => {
+  it("needs every word of the query", () => {
+    const keys = buildSearchKeys("Organic red potatoes");
+    assert.ok(matchesKeywords("red aloo", keys));
+    assert.ok(!matchesKeywords("red onion", keys));
+  });
+
+  it("matches anything for an empty query", () => {
+    assert.ok(matchesKeywords("", []));
+  });
+});
+
+describe("buildTextSearch", () => {
+  it("searches the words as typed plus their keys", () => {
+    const search = buildTextSearch("Aloo");
+    assert.ok(search.split(" ").includes("aloo"));
+    for (const key of buildSearchKeys("potato")) assert.ok(search.includes(key));
+  });
+});
+
+describe("district names", () => {
+  it("resolves English, alternative and Bengali spellings to one district", () => {
+    const bogura = geocode({ city: "Bogura" });
+    assert.ok(bogura);
+    assert.deepEqual(geocode({ city: "Bogra" }), bogura);
+    assert.deepEqual(geocode({ city: "বগুড়া" }), bogura);
+    assert.deepEqual(geocode({ city: "চট্টগ্রাম" }), geocode({ city: "Chattogram" }));
+  });
+});
@@ -0,0 +1,140 @@
+import { describe, it, mock, afterEach, before } from "node:test";
+import assert from "node:assert/strict";
+import User from "../models/User.js";
+import cloudinary from "../config/cloudinary.js";
+import transporter from "../config/nodemailer.js";
+import { submitSellerVerification, reviewVerification } from "../controllers/verificationController.js";
+import { exceedsUnverifiedListingCap } from "../utils/sellerVerification.js";
+import { query, mockResponse, id } from "./helpers.js";
+
+before(() => {
+  cloudinary.config({ cloud_name: "test", api_key: "key", api_secret: "secret" });
+});
+
+afterEach(() => {
+  mock.restoreAll();
+  delete process.env.UNVERIFIED_SELLER_MAX_LISTING_VALUE;
+});
+
+const sellerWith = (fields = {}) => {
+  const user = new User({ name: "Jamal", email: "jamal@example.com", role: "seller", ...fields });
+  mock.method(user, "save", async () => user);
+  return user;
+};
+
+const file = (name, mimetype = "image/jpeg") => ({ originalname: name, mimetype, buffer: Buffer.from(name) });
+
+describe("submitSellerVerification", () => {
+  it("uploads ID and land documents privately and queues them for review", async () => {
+    let uploaded = 0;
+    const upload = mock.method(cloudinary.uploader, "upload", async (dataUri, options) => ({
+      public_id: `doc-${++uploaded}`,
+      resource_type: options.resource_type,
+      format: "jpg",
+    }));
+    const user = sellerWith();
+    const res = mockResponse();
+
+    await submitSellerVerification(
+      {
+        user,
+        files: { idDocuments: [file("nid.jpg")], landDocuments: [file("deed.pdf", "application/pdf")] },
+        body: { farmName: " Green Acres " },
+      },
+      res
+    );
+
+    assert.equal(res.statusCode, 201);
+    assert.equal(user.sellerVerification.status, "pending");
+    assert.equal(user.sellerVerification.farmName, "Green Acres");
+    assert.deepEqual(user.sellerVerification.documents.map((document) => document.kind), ["id", "land"]);
+    assert.equal(upload.mock.calls[0].arguments[1].type, "authenticated");
+    assert.equal(upload.mock.calls[1].arguments[1].resource_type, "raw");
+  });
+
+  it("needs both kinds of document", async () => {
+    const res = mockResponse();
+    await submitSellerVerification({ user: sellerWith(), files: { idDocuments: [file("nid.jpg")] }, body: {} }, res);
+    assert.equal(res.statusCode, 400);
+  });
+
+  it("is only for sellers without a pending or approved application", async () => {
+    const buyer = mockResponse();
+    await submitSellerVerification({ user: sellerWith({ role: "buyer" }), files: {}, body: {} }, buyer);
+    assert.equal(buyer.statusCode, 403);
+
+    const pending = mockResponse();
+    await submitSellerVerification(
+      { user: sellerWith({ sellerVerification: { status: "pending" } }), files: {}, body: {} },
+      pending
+    );
+    assert.equal(pending.statusCode, 400);
+  });
+});
+
+describe("reviewVerification", () => {
+  const pendingSeller = () =>
+    sellerWith({
+      sellerVerification: {
+        status: "pending",
+        submittedAt: new Date(),
+        documents: [{ kind: "id", public_id: "doc-1", resourceType: "image", format: "jpg" }],
+      },
+    });
+
+  const review = async (user, body) => {
+    mock.method(User, "findById", () => query(user));
+    mock.method(console, "log", () => {});
+    const sendMail = mock.method(transporter, "sendMail", async () => ({}));
+    const res = mockResponse();
+    await reviewVerification(
+      { params: { userId: user._id.toString() }, body, user: { _id: id() } },
+      res
+    );
+    return { res, sendMail };
+  };
+
+  it("approves a pending application and hands staff signed document links", async () => {
+    const user = pendingSeller();
+    const { res, sendMail } = await review(user, { decision: "approved" });
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(user.isVerifiedSeller(), true);
+    assert.match(res.body.verification.documents[0].url, /^https:\/\/res\.cloudinary\.com\/test\/.*authenticated/);
+    assert.equal(res.body.verification.documents[0].public_id, undefined);
+    assert.equal(sendMail.mock.callCount(), 1);
+  });
+
+  it("needs a reason to reject", async () => {
+    const user = pendingSeller();
+    const { res } = await review(user, { decision: "rejected", reason: "  " });
+    assert.equal(res.statusCode, 400);
+    assert.equal(user.sellerVerification.status, "pending");
+  });
+
+  it("records the reason for a rejection", async () => {
+    const user = pendingSeller();
+    const { res } = await review(user, { decision: "rejected", reason: "Blurry ID" });
+    assert.equal(res.statusCode, 200);
+    assert.equal(user.sellerVerification.rejectionReason, "Blurry ID");
+  });
+});
+
+describe("unverified listing cap", () => {
+  const listing = { postType: "sell", pricePerKg: 100, totalWeight: 60 };
+
+  it("caps the value of sell listings from unverified sellers", () => {
+    process.env.UNVERIFIED_SELLER_MAX_LISTING_VALUE = "5000";
+    assert.equal(exceedsUnverifiedListingCap(sellerWith(), listing), 5000);
+    assert.equal(exceedsUnverifiedListingCap(sellerWith(), { ...listing, totalWeight: 50 }), null);
+  });
+
+  it("does not apply to verified sellers, buy posts or when unset", () => {
+    process.env.UNVERIFIED_SELLER_MAX_LISTING_VALUE = "5000";
+    const verified = sellerWith({ sellerVerification: { status: "approved" } });
+    assert.equal(exceedsUnverifiedListingCap(verified, listing), null);
+    assert.equal(exceedsUnverifiedListingCap(sellerWith(), { ...listing, postType: "buy" }), null);
+    delete process.env.UNVERIFIED_SELLER_MAX_LISTING_VALUE;
+    assert.equal(exceedsUnverifiedListingCap(sellerWith(), listing), null);
+  });
+});
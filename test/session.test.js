@@ -0,0 +1,141 @@
+import { describe, it, mock, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import Session from "../models/Session.js";
+import {
+  rotateSession,
+  hashToken,
+  revokeAllSessions,
+  REFRESH_TOKEN_GRACE_MS,
+} from "../utils/session.js";
+import { query, id } from "./helpers.js";
+
+afterEach(() => mock.restoreAll());
+
+const req = { get: () => "test-agent", ip: "127.0.0.1" };
+
+const sessionWith = (fields) => {
+  const session = new Session({
+    user: id(),
+    refreshTokenHash: hashToken("current"),
+    expiresAt: new Date(Date.now() + 60_000),
+    ...fields,
+  });
+  mock.method(session, "save", async () => session);
+  return session;
+};
+
+// Session.findOne answers lookups by current and by previous token hash
+const stubLookup = (session) =>
+  mock.method(Session, "findOne", (filter) => {
+    if (filter.refreshTokenHash) {
+      return query(session.refreshTokenHash === filter.refreshTokenHash ? session : null);
+    }
+    return query(session.previousTokenHash === filter.previousTokenHash ? session : null);
+  });
+
+// Session.findOneAndUpdate applies the update when the token still matches
+const stubRotate = (session) =>
+  mock.method(Session, "findOneAndUpdate", (filter, update) => {
+    if (filter.refreshTokenHash !== session.refreshTokenHash) return query(null);
+    Object.assign(session, update);
+    return query(session);
+  });
+
+describe("rotateSession", () => {
+  it("swaps the current token for a new one", async () => {
+    const session = sessionWith({});
+    stubLookup(session);
+    stubRotate(session);
+
+    const rotated = await rotateSession("current", req);
+
+    assert.ok(rotated.refreshToken);
+    assert.equal(session.refreshTokenHash, hashToken(rotated.refreshToken));
+    assert.equal(session.previousTokenHash, hashToken("current"));
+    assert.ok(session.rotatedAt);
+  });
+
+  it("accepts the previous token within the grace window", async () => {
+    const session = sessionWith({
+      refreshTokenHash: hashToken("next"),
+      previousTokenHash: hashToken("current"),
+      rotatedAt: new Date(Date.now() - 2000),
+    });
+    stubLookup(session);
+    stubRotate(session);
+
+    const rotated = await rotateSession("current", req);
+
+    assert.ok(rotated);
+    assert.equal(session.revokedAt, undefined);
+    assert.equal(session.refreshTokenHash, hashToken(rotated.refreshToken));
+  });
+
+  it("revokes the session when the previous token comes back later", async () => {
+    const session = sessionWith({
+      refreshTokenHash: hashToken("next"),
+      previousTokenHash: hashToken("current"),
+      rotatedAt: new Date(Date.now() - REFRESH_TOKEN_GRACE_MS - 1000),
+    });
+    stubLookup(session);
+    const rotate = stubRotate(session);
+
+    assert.equal(await rotateSession("current", req), null);
+    assert.ok(session.revokedAt);
+    assert.equal(session.revokedReason, "Refresh token reuse detected");
+    assert.equal(rotate.mock.callCount(), 0);
+  });
+
+  it("rejects unknown tokens without touching any session", async () => {
+    const session = sessionWith({});
+    stubLookup(session);
+    assert.equal(await rotateSession("unknown", req), null);
+    assert.equal(session.revokedAt, undefined);
+  });
+
+  it("does not rotate a revoked session", async () => {
+    const session = sessionWith({ revokedAt: new Date() });
+    stubLookup(session);
+    const rotate = stubRotate(session);
+    assert.equal(await rotateSession("current", req), null);
+    assert.equal(rotate.mock.callCount(), 0);
+  });
+
+  it("retries through the grace window when a concurrent refresh won", async () => {
+    const session = sessionWith({});
+    stubLookup(session);
+    let first = true;
+    mock.method(Session, "findOneAndUpdate", (filter, update) => {
+      if (first) {
+        // Another request rotates the session in between
+        first = false;
+        Object.assign(session, {
+          refreshTokenHash: hashToken("other"),
+          previousTokenHash: hashToken("current"),
+          rotatedAt: new Date(),
+        });
+        return query(null);
+      }
+      Object.assign(session, update);
+      return query(session);
+    });
+
+    const rotated = await rotateSession("current", req);
+
+    assert.ok(rotated);
+    assert.equal(session.previousTokenHash, hashToken("other"));
+  });
+});
+
+describe("revokeAllSessions", () => {
+  it("keeps the current session when asked to", async () => {
+    const except = id();
+    const update = mock.method(Session, "updateMany", async () => ({ modifiedCount: 2 }));
+    assert.equal(await revokeAllSessions("user-id", { except, reason: "Password changed" }), 2);
+    assert.deepEqual(update.mock.calls[0].arguments[0], {
+      user: "user-id",
+      revokedAt: null,
+      _id: { $ne: except },
+    });
+  });
+});
@@ -0,0 +1,3 @@
+// Loaded before every test file (see the test script in package.json), so
+// the code under test sees a test environment on any shell
+process.env.NODE_ENV = "test";
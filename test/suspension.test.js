@@ -0,0 +1,126 @@
+import { describe, it, mock, afterEach, before } from "node:test";
+import assert from "node:assert/strict";
+import jwt from "jsonwebtoken";
+import User from "../models/User.js";
+import Session from "../models/Session.js";
+import Product from "../models/Product.js";
+import Bid from "../models/Bid.js";
+import { protect, protectAllowSuspended } from "../middleware/auth.js";
+import { suspendUser } from "../utils/suspension.js";
+import { submitAppeal } from "../controllers/authController.js";
+import { reviewAppeal } from "../controllers/adminController..js";
+import { query, mockResponse, id } from "./helpers.js";
+
+before(() => {
+  process.env.JWT_SECRET = "test-secret";
+});
+
+afterEach(() => mock.restoreAll());
+
+const userWith = (fields) => {
+  const user = new User({ name: "Rahim", email: "rahim@example.com", role: "seller", ...fields });
+  mock.method(user, "save", async () => user);
+  return user;
+};
+
+const signedIn = (user) => {
+  const session = new Session({
+    user: user._id,
+    refreshTokenHash: "hash",
+    expiresAt: new Date(Date.now() + 60_000),
+  });
+  mock.method(Session, "findById", () => query(session));
+  mock.method(User, "findById", () => query(user));
+  const token = jwt.sign({ id: user._id, sid: session._id }, process.env.JWT_SECRET);
+  return { get: () => undefined, cookies: { token } };
+};
+
+describe("protect", () => {
+  it("blocks a suspended user and explains why", async () => {
+    const user = userWith({ isActive: false, suspensionReason: "Spam listings" });
+    const res = mockResponse();
+    const next = mock.fn();
+    await protect(signedIn(user), res, next);
+    assert.equal(res.statusCode, 403);
+    assert.equal(res.body.suspension.reason, "Spam listings");
+    assert.equal(next.mock.callCount(), 0);
+  });
+
+  it("lifts a suspension whose end date has passed", async () => {
+    const user = userWith({ isActive: false, suspendedUntil: new Date(Date.now() - 1000) });
+    mock.method(Product, "updateMany", async () => ({ modifiedCount: 2 }));
+    const next = mock.fn();
+    await protect(signedIn(user), mockResponse(), next);
+    assert.equal(next.mock.callCount(), 1);
+    assert.equal(user.isActive, true);
+  });
+
+  it("lets suspended users reach the appeal route", async () => {
+    const user = userWith({ isActive: false });
+    const next = mock.fn();
+    await protectAllowSuspended(signedIn(user), mockResponse(), next);
+    assert.equal(next.mock.callCount(), 1);
+  });
+
+  it("refuses tokens whose session was revoked", async () => {
+    const user = userWith({});
+    const req = signedIn(user);
+    mock.restoreAll();
+    mock.method(Session, "findById", () =>
+      query(new Session({ user: user._id, revokedAt: new Date(), expiresAt: new Date(Date.now() + 60_000) }))
+    );
+    const res = mockResponse();
+    await protect(req, res, mock.fn());
+    assert.equal(res.statusCode, 401);
+  });
+});
+
+describe("suspendUser", () => {
+  it("hides active listings and withdraws pending bids", async () => {
+    const user = userWith({});
+    const hide = mock.method(Product, "updateMany", async () => ({ modifiedCount: 3 }));
+    const withdraw = mock.method(Bid, "updateMany", async () => ({ modifiedCount: 1 }));
+
+    const result = await suspendUser(user, { reason: "Fraud", until: "2030-01-01" });
+
+    assert.deepEqual(result, { listingsHidden: 3, bidsWithdrawn: 1 });
+    assert.equal(user.isActive, false);
+    assert.equal(user.suspensionReason, "Fraud");
+    assert.deepEqual(hide.mock.calls[0].arguments[0], { user: user._id, status: "active" });
+    assert.deepEqual(withdraw.mock.calls[0].arguments[0], { user: user._id, status: "pending" });
+  });
+});
+
+describe("appeals", () => {
+  it("takes one appeal from a suspended user", async () => {
+    const user = userWith({ isActive: false });
+    const res = mockResponse();
+    await submitAppeal({ user, body: { message: " Please review " } }, res);
+    assert.equal(res.statusCode, 201);
+    assert.equal(user.appeal.status, "pending");
+
+    const again = mockResponse();
+    await submitAppeal({ user, body: { message: "Again" } }, again);
+    assert.equal(again.statusCode, 400);
+  });
+
+  it("refuses appeals from users who are not suspended", async () => {
+    const res = mockResponse();
+    await submitAppeal({ user: userWith({}), body: { message: "Hi" } }, res);
+    assert.equal(res.statusCode, 400);
+  });
+
+  it("reinstates the user when an admin approves the appeal", async () => {
+    const user = userWith({ isActive: false, appeal: { message: "Sorry", status: "pending" } });
+    mock.method(User, "findById", () => query(user));
+    mock.method(Product, "updateMany", async () => ({ modifiedCount: 0 }));
+    const res = mockResponse();
+    await reviewAppeal(
+      { params: { userId: user._id.toString() }, body: { decision: "approved" }, user: { _id: id() } },
+      res
+    );
+    assert.equal(res.statusCode, 200);
+    assert.equal(user.isActive, true);
+    assert.equal(user.appeal.status, "approved");
+  });
+});
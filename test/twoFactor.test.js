@@ -0,0 +1,163 @@
+import { describe, it, mock, afterEach, before } from "node:test";
+import assert from "node:assert/strict";
+import User from "../models/User.js";
+import Session from "../models/Session.js";
+import {
+  verifyTotp,
+  encryptSecret,
+  decryptSecret,
+  generateSecret,
+  generateRecoveryCodes,
+} from "../utils/totp.js";
+import { login } from "../controllers/authController.js";
+import { verifyTwoFactorLogin, disableTwoFactor } from "../controllers/twoFactorController.js";
+import { createTwoFactorChallenge } from "../utils/sendToken.js";
+import { query, mockResponse } from "./helpers.js";
+
+before(() => {
+  process.env.JWT_SECRET = "test-secret";
+});
+
+afterEach(() => mock.restoreAll());
+
+// RFC 6238 test vector: the ASCII secret "12345678901234567890" gives
+// 94287082 at T=59s; authenticator apps show the last six digits
+const RFC_SECRET = "GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ";
+const RFC_CODE = "287082";
+const atRfcTime = () => mock.method(Date, "now", () => 59 * 1000);
+
+const userWithTwoFactor = (fields = {}) => {
+  const user = new User({ name: "Admin", email: "admin@example.com", role: "admin", isVerified: true, ...fields });
+  user.twoFactor = { enabled: true, secret: encryptSecret(RFC_SECRET), recoveryCodes: [], lastUsedStep: -1 };
+  mock.method(user, "save", async () => user);
+  return user;
+};
+
+describe("verifyTotp", () => {
+  it("matches the RFC 6238 test vector", () => {
+    atRfcTime();
+    assert.equal(verifyTotp(RFC_SECRET, RFC_CODE), 1);
+  });
+
+  it("refuses a step that was already used", () => {
+    atRfcTime();
+    assert.equal(verifyTotp(RFC_SECRET, RFC_CODE, 1), null);
+  });
+
+  it("refuses malformed codes", () => {
+    assert.equal(verifyTotp(RFC_SECRET, "12345"), null);
+    assert.equal(verifyTotp(RFC_SECRET, "abcdef"), null);
+  });
+});
+
+describe("secret storage", () => {
+  it("encrypts secrets so they round-trip but are not stored in the clear", () => {
+    const secret = generateSecret();
+    const stored = encryptSecret(secret);
+    assert.ok(!stored.includes(secret));
+    assert.equal(decryptSecret(stored), secret);
+  });
+
+  it("generates distinct recovery codes", () => {
+    const codes = generateRecoveryCodes();
+    assert.equal(codes.length, 10);
+    assert.equal(new Set(codes).size, 10);
+    assert.match(codes[0], /^[0-9a-f]{5}-[0-9a-f]{5}$/);
+  });
+});
+
+describe("verifySecondFactor", () => {
+  it("accepts each authenticator code once", () => {
+    atRfcTime();
+    const user = userWithTwoFactor();
+    assert.equal(user.verifySecondFactor(RFC_CODE), true);
+    assert.equal(user.verifySecondFactor(RFC_CODE), false);
+  });
+
+  it("accepts each recovery code once", () => {
+    const user = userWithTwoFactor();
+    user.setRecoveryCodes(["abcde-12345"]);
+    assert.equal(user.verifySecondFactor(" ABCDE-12345 "), true);
+    assert.equal(user.verifySecondFactor("abcde-12345"), false);
+  });
+});
+
+describe("two-factor login", () => {
+  it("answers a correct password with a challenge instead of a session", async () => {
+    const user = userWithTwoFactor();
+    mock.method(user, "comparePassword", async () => true);
+    mock.method(User, "findOne", () => query(user));
+    const create = mock.method(Session, "create", async (fields) => new Session(fields));
+    const res = mockResponse();
+
+    await login({ body: { email: "admin@example.com", password: "pw" }, get: () => undefined }, res);
+
+    assert.equal(res.body.twoFactorRequired, true);
+    assert.ok(res.body.challengeToken);
+    assert.equal(create.mock.callCount(), 0);
+    assert.equal(res.cookies.token, undefined);
+  });
+
+  it("opens a verified session for the challenge plus a valid code", async () => {
+    atRfcTime();
+    const user = userWithTwoFactor();
+    mock.method(User, "findById", () => query(user));
+    const create = mock.method(Session, "create", async (fields) => new Session(fields));
+    const res = mockResponse();
+
+    await verifyTwoFactorLogin(
+      { body: { challengeToken: createTwoFactorChallenge(user), code: RFC_CODE }, get: () => undefined },
+      res
+    );
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(create.mock.calls[0].arguments[0].twoFactorVerified, true);
+    assert.ok(res.cookies.token);
+  });
+
+  it("counts a wrong code as a failed attempt", async () => {
+    const user = userWithTwoFactor();
+    mock.method(User, "findById", () => query(user));
+    const res = mockResponse();
+
+    await verifyTwoFactorLogin(
+      { body: { challengeToken: createTwoFactorChallenge(user), code: "000000" }, get: () => undefined },
+      res
+    );
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(user.failedAttempts, 1);
+  });
+
+  it("rejects a session token passed off as a challenge", async () => {
+    const user = userWithTwoFactor();
+    const res = mockResponse();
+    await verifyTwoFactorLogin(
+      { body: { challengeToken: user.getJwtToken("sid"), code: RFC_CODE }, get: () => undefined },
+      res
+    );
+    assert.equal(res.statusCode, 401);
+  });
+});
+
+describe("disableTwoFactor", () => {
+  it("is refused for accounts with admin access", async () => {
+    const user = userWithTwoFactor();
+    mock.method(User, "findById", () => query(user));
+    const res = mockResponse();
+    await disableTwoFactor({ user: { id: user._id }, body: { password: "pw", code: RFC_CODE } }, res);
+    assert.equal(res.statusCode, 403);
+    assert.equal(user.twoFactor.enabled, true);
+  });
+
+  it("turns 2FA off for a seller with the password and a code", async () => {
+    atRfcTime();
+    const user = userWithTwoFactor({ role: "seller" });
+    mock.method(user, "comparePassword", async () => true);
+    mock.method(User, "findById", () => query(user));
+    const res = mockResponse();
+    await disableTwoFactor({ user: { id: user._id }, body: { password: "pw", code: RFC_CODE } }, res);
+    assert.equal(res.statusCode, 200);
+    assert.equal(user.twoFactor.enabled, false);
+  });
+});
@@ -0,0 +1,163 @@
+import { describe, it, mock, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import Category from "../models/category.js";
+import Product from "../models/Product.js";
+import User from "../models/User.js";
+import { getUnit, isValidQuantity, formatQuantity, DEFAULT_UNIT } from "../config/units.js";
+import { createCategory, updateCategory } from "../controllers/categoryController.js";
+import { createProduct } from "../controllers/productController.js";
+import { placeBid } from "../controllers/bidController.js";
+import { query, mockResponse, id } from "./helpers.js";
+
+afterEach(() => mock.restoreAll());
+
+describe("units", () => {
+  it("falls back to kg for unknown units", () => {
+    assert.equal(getUnit("bushel").label, DEFAULT_UNIT);
+    assert.equal(formatQuantity(3, "dozen"), "3 dozen");
+  });
+
+  it("allows fractions only for units that can be split", () => {
+    assert.equal(isValidQuantity(2.5, "kg"), true);
+    assert.equal(isValidQuantity(2.5, "head"), false);
+    assert.equal(isValidQuantity(2, "head"), true);
+    assert.equal(isValidQuantity(0, "kg"), false);
+    assert.equal(isValidQuantity(Number("lots"), "kg"), false);
+  });
+});
+
+describe("category units and grades", () => {
+  it("rejects units the marketplace does not know", async () => {
+    const res = mockResponse();
+
+    await createCategory({ body: { name: "Rice", unit: "bushel" } }, res);
+
+    assert.equal(res.statusCode, 400);
+    assert.match(res.body.message, /^Unit must be one of: kg, maund/);
+  });
+
+  it("rejects grades that are not a list of names", async () => {
+    for (const grades of ["A", ["A", " "], [1]]) {
+      const res = mockResponse();
+      await createCategory({ body: { name: "Rice", grades } }, res);
+      assert.equal(res.statusCode, 400, JSON.stringify(grades));
+      assert.equal(res.body.message, "Grades must be a list of names");
+    }
+  });
+
+  it("stores trimmed grades", async () => {
+    mock.method(Category, "findOne", async () => null);
+    const create = mock.method(Category, "create", async (fields) => fields);
+    const res = mockResponse();
+
+    await createCategory({ body: { name: "Eggs", unit: "dozen", grades: [" A ", "B"] } }, res);
+
+    assert.equal(res.statusCode, 201);
+    assert.deepEqual(create.mock.calls[0].arguments[0], { name: "Eggs", unit: "dozen", grades: ["A", "B"] });
+  });
+
+  it("leaves the unit alone when an update does not mention it", async () => {
+    mock.method(Category, "findOne", async () => null);
+    const update = mock.method(Category, "findByIdAndUpdate", async (_id, fields) => ({ _id, ...fields }));
+    mock.method(Product, "reindexSearch", async () => 0);
+    const res = mockResponse();
+
+    await updateCategory({ params: { id: id() }, body: { name: "Paddy" } }, res);
+
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(update.mock.calls[0].arguments[1], { name: "Paddy" });
+  });
+});
+
+describe("listing quantities", () => {
+  const eggs = { _id: id(), name: "Eggs", unit: "dozen", grades: ["A", "B"] };
+
+  const create = async (body) => {
+    mock.method(Category, "findById", async () => eggs);
+    const res = mockResponse();
+    await createProduct(
+      {
+        user: { id: id().toString(), role: "seller" },
+        body: { postType: "sell", category: eggs._id.toString(), ...body },
+      },
+      res
+    );
+    return res;
+  };
+
+  it("requires whole units for units that cannot be split", async () => {
+    const res = await create({ totalWeight: "12.5" });
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.message, "Total quantity must be a whole number dozen");
+  });
+
+  it("only accepts the category's grades", async () => {
+    const res = await create({ totalWeight: "12", grade: "Premium" });
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.message, "Grade must be one of: A, B");
+  });
+
+  it("keeps the minimum order within the listing", async () => {
+    const res = await create({ totalWeight: "12", grade: "A", minOrderQuantity: "20" });
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.message, "Minimum order must be between 0 and 12 dozen");
+  });
+});
+
+describe("bid quantities", () => {
+  const bid = async (listing, quantity) => {
+    const bidderId = id();
+    const product = {
+      _id: id(),
+      user: { _id: id(), address: {} },
+      status: "active",
+      postType: "sell",
+      pricePerKg: 100,
+      expiryDate: new Date(Date.now() + 86400000),
+      bids: [],
+      ...listing,
+    };
+    mock.method(Product, "findById", () => query(product));
+    mock.method(User, "findById", async () => ({ _id: bidderId }));
+    const res = mockResponse();
+
+    await placeBid(
+      {
+        params: { id: product._id },
+        user: { id: bidderId.toString() },
+        body: {
+          bidAmount: 120,
+          quantity,
+          deliveryAddress: { address: "Road 1", city: "Dhaka", state: "Dhaka", zipCode: "1207" },
+        },
+      },
+      res
+    );
+    return res;
+  };
+
+  it("holds bids to the listing's minimum order", async () => {
+    const res = await bid({ unit: "kg", remainingWeight: 200, minOrderQuantity: 50 }, 10);
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.message, "Minimum order is 50 kg");
+  });
+
+  it("lets the last lot go below the minimum", async () => {
+    const res = await bid({ unit: "kg", remainingWeight: 30, minOrderQuantity: 50 }, 29);
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.message, "Minimum order is 30 kg");
+  });
+
+  it("refuses part units and more than is left", async () => {
+    const split = await bid({ unit: "head", remainingWeight: 5 }, 1.5);
+    assert.equal(split.body.message, "Quantity must be a whole number and at most 5 head");
+
+    const tooMuch = await bid({ unit: "head", remainingWeight: 5 }, 6);
+    assert.equal(tooMuch.body.message, "Quantity must be a whole number and at most 5 head");
+  });
+});
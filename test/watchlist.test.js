@@ -0,0 +1,134 @@
+import { describe, it, mock, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import Product from "../models/Product.js";
+import WatchlistItem from "../models/WatchlistItem.js";
+import Notification from "../models/Notification.js";
+import transporter from "../config/nodemailer.js";
+import { getWatcherCounts, notifyWatchers } from "../utils/watchlist.js";
+import {
+  getWatchlist,
+  addToWatchlist,
+  removeFromWatchlist,
+} from "../controllers/watchlistController.js";
+import { query, mockResponse, id } from "./helpers.js";
+
+afterEach(() => mock.restoreAll());
+
+describe("watchlist", () => {
+  it("adds a listing once, however often it is added", async () => {
+    const product = { _id: id(), user: id(), status: "active" };
+    const user = { _id: id() };
+    mock.method(Product, "findById", () => query(product));
+    const upsert = mock.method(WatchlistItem, "updateOne", async () => ({ upsertedCount: 1 }));
+    const res = mockResponse();
+
+    await addToWatchlist({ params: { productId: product._id.toString() }, user }, res);
+
+    assert.equal(res.statusCode, 201);
+    const [filter, update, options] = upsert.mock.calls[0].arguments;
+    assert.deepEqual(filter, { user: user._id, product: product._id });
+    assert.ok(update.$setOnInsert);
+    assert.equal(options.upsert, true);
+  });
+
+  it("refuses the owner's own listing", async () => {
+    const user = { _id: id() };
+    mock.method(Product, "findById", () => query({ _id: id(), user: user._id, status: "active" }));
+    const res = mockResponse();
+
+    await addToWatchlist({ params: { productId: id().toString() }, user }, res);
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.message, "You cannot watch your own listing");
+  });
+
+  it("treats hidden, unpublished and malformed listings as missing", async () => {
+    mock.method(Product, "findById", () => query({ _id: id(), user: id(), status: "draft" }));
+
+    for (const productId of [id().toString(), "not-an-id"]) {
+      const res = mockResponse();
+      await addToWatchlist({ params: { productId }, user: { _id: id() } }, res);
+      assert.equal(res.statusCode, 404);
+    }
+  });
+
+  it("reports removing a listing that was not watched", async () => {
+    mock.method(WatchlistItem, "deleteOne", async () => ({ deletedCount: 0 }));
+    const res = mockResponse();
+
+    await removeFromWatchlist({ params: { productId: id().toString() }, user: { _id: id() } }, res);
+
+    assert.equal(res.statusCode, 404);
+  });
+
+  it("lists watched listings without hidden or deleted ones", async () => {
+    const live = { _id: id(), status: "active" };
+    const items = [
+      { product: live, createdAt: new Date() },
+      { product: { _id: id(), status: "hidden" }, createdAt: new Date() },
+      { product: null, createdAt: new Date() },
+    ];
+    mock.method(WatchlistItem, "find", () => query(items));
+    mock.method(WatchlistItem, "countDocuments", async () => items.length);
+    const res = mockResponse();
+
+    await getWatchlist({ query: {}, user: { _id: id() } }, res);
+
+    assert.deepEqual(
+      res.body.watchlist.map((item) => item.product),
+      [live]
+    );
+    assert.equal(res.body.pagination.totalItems, 3);
+  });
+});
+
+describe("watcher alerts", () => {
+  const watchers = (...users) => users.map((user) => ({ user }));
+
+  it("notifies watchers in-app, skipping deleted accounts and the excluded user", async () => {
+    const product = { _id: id(), title: "Rice" };
+    const buyer = id();
+    const find = mock.method(WatchlistItem, "find", () =>
+      query(watchers({ _id: id(), name: "Rafiq" }, { _id: id(), deletedAt: new Date() }, null))
+    );
+    const created = mock.method(Notification, "create", async (fields) => fields);
+
+    const count = await notifyWatchers(product, {
+      type: "watchlist-sold",
+      title: "A listing you watch is closed",
+      message: "Sold",
+      exclude: buyer,
+    });
+
+    assert.equal(count, 3);
+    assert.deepEqual(find.mock.calls[0].arguments[0], { product: product._id, user: { $ne: buyer } });
+    assert.equal(created.mock.callCount(), 1);
+    assert.deepEqual(created.mock.calls[0].arguments[0].products, [product._id]);
+  });
+
+  it("emails watchers only when asked to", async () => {
+    const product = { _id: id(), title: "Rice", slug: "rice" };
+    mock.method(WatchlistItem, "find", () => query(watchers({ _id: id(), name: "Rafiq", email: "rafiq@example.com" })));
+    mock.method(Notification, "create", async (fields) => fields);
+    const sendMail = mock.method(transporter, "sendMail", async () => ({}));
+    // sendEmail logs to the console
+    mock.method(console, "log", () => {});
+
+    await notifyWatchers(product, { type: "watchlist-bid", title: "New bid", message: "A bid" });
+    assert.equal(sendMail.mock.callCount(), 0);
+
+    await notifyWatchers(product, { type: "watchlist-price-change", title: "Price changed", message: "Now less", email: true });
+    assert.equal(sendMail.mock.callCount(), 1);
+    assert.equal(sendMail.mock.calls[0].arguments[0].to, "rafiq@example.com");
+  });
+
+  it("counts watchers per listing", async () => {
+    const [rice, wheat] = [id(), id()];
+    mock.method(WatchlistItem, "aggregate", async () => [{ _id: rice, count: 4 }]);
+
+    const counts = await getWatcherCounts([rice, wheat]);
+
+    assert.equal(counts.get(rice.toString()), 4);
+    assert.equal(counts.get(wheat.toString()), undefined);
+  });
+});
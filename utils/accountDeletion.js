@@ -0,0 +1,141 @@
+import User from '../models/User.js';
+import Product from '../models/Product.js';
+import Bid from '../models/Bid.js';
+import Order from '../models/Order.js';
+import AiChat from '../models/AiChat.js';
+import Session from '../models/Session.js';
+import ApiKey from '../models/ApiKey.js';
+import SavedSearch from '../models/SavedSearch.js';
+import Notification from '../models/Notification.js';
+import WatchlistItem from '../models/WatchlistItem.js';
+import PricePoint from '../models/PricePoint.js';
+import { deleteFromCloudinary } from './cloudinaryUpload.js';
+import { deleteVerificationDocuments } from './sellerVerification.js';
+import { removeListing } from './listingStatus.js';
+
+export const DELETION_GRACE_DAYS = 30;
+
+const REMOVED = '[deleted]';
+
+// Replace a user's personal data with a tombstone. The User document is
+// kept so orders, bids and reviews still point at "Deleted user".
+export const anonymizeUser = async (user, { reason = 'Account deleted' } = {}) => {
+  const userId = user._id;
+
+  // Listings are removed, except those that traded: they are cancelled and
+  // kept for order history, without the street address
+  const listings = await Product.find({ user: userId });
+  for (const listing of listings) {
+    await removeListing(listing);
+  }
+  await Product.updateMany(
+    { user: userId },
+    { 'location.address': REMOVED, 'location.zipCode': REMOVED }
+  );
+  await WatchlistItem.deleteMany({ user: userId });
+
+  // Withdraw open bids and scrub the addresses in every bid they placed
+  await Bid.updateMany(
+    { user: userId },
+    { 'deliveryAddress.address': REMOVED, 'deliveryAddress.zipCode': REMOVED }
+  );
+  await Bid.updateMany({ user: userId, status: 'pending' }, { status: 'withdrawn' });
+
+  // Open orders can no longer be fulfilled, nor count towards market prices
+  const openOrders = await Order.find({
+    $or: [{ seller: userId }, { buyer: userId }],
+    orderStatus: 'Processing',
+  }).select('_id');
+  const openOrderIds = openOrders.map((order) => order._id);
+  await PricePoint.deleteMany({ order: { $in: openOrderIds } });
+  await Order.updateMany(
+    { _id: { $in: openOrderIds } },
+    {
+      orderStatus: 'Cancelled',
+      deliveryStatus: 'Cancelled',
+      cancelledAt: new Date(),
+      cancellationReason: reason,
+    }
+  );
+
+  // Keep city/state for statistics, drop street addresses and zip codes
+  await Order.updateMany(
+    { seller: userId },
+    { 'sellerLocation.address': REMOVED, 'sellerLocation.zipCode': REMOVED }
+  );
+  await Order.updateMany(
+    { buyer: userId },
+    {
+      'buyerLocation.address': REMOVED,
+      'buyerLocation.zipCode': REMOVED,
+      'deliveryAddress.address': REMOVED,
+      'deliveryAddress.zipCode': REMOVED,
+    }
+  );
+
+  await AiChat.deleteMany({ userId });
+  await Session.deleteMany({ user: userId });
+  await ApiKey.deleteMany({ user: userId });
+  await SavedSearch.deleteMany({ user: userId });
+  await Notification.deleteMany({ user: userId });
+
+  await deleteVerificationDocuments(user.sellerVerification?.documents);
+
+  if (user.profilePicture?.public_id) {
+    await deleteFromCloudinary(user.profilePicture.public_id);
+  }
+
+  // Written directly: the tombstone deliberately fails the normal validators
+  await User.collection.updateOne(
+    { _id: userId },
+    {
+      $set: {
+        name: 'Deleted user',
+        isActive: false,
+        isVerified: false,
+        deletedAt: new Date(),
+        permissions: [],
+      },
+      $unset: {
+        email: 1,
+        phone: 1,
+        address: 1,
+        password: 1,
+        profilePicture: 1,
+        oauthAccounts: 1,
+        twoFactor: 1,
+        appeal: 1,
+        sellerVerification: 1,
+        deletion: 1,
+        verificationToken: 1,
+        resetPasswordToken: 1,
+        loginOtp: 1,
+        resetKey: 1,
+        pendingEmail: 1,
+        emailChangeToken: 1,
+        emailChangeExpire: 1,
+        pendingPhone: 1,
+        phoneChangeToken: 1,
+        phoneChangeExpire: 1,
+      },
+    }
+  );
+};
+
+// Anonymize every account whose grace period has run out
+export const processDueDeletions = async () => {
+  const users = await User.find({
+    'deletion.scheduledFor': { $lte: new Date() },
+    deletedAt: null,
+  });
+
+  for (const user of users) {
+    try {
+      await anonymizeUser(user);
+    } catch (error) {
+      console.error(`Failed to delete account ${user._id}:`, error.message);
+    }
+  }
+
+  return users.length;
+};
@@ -0,0 +1,219 @@
+import Product from '../models/Product.js';
+import { acceptBidLot } from './orders.js';
+import { notifyUser } from './notify.js';
+import { emailTemplates } from './sendEmail.js';
+import { smsTemplates } from './sendSms.js';
+import { publishBidEvent } from './bidEvents.js';
+import { getUnit, formatQuantity } from '../config/units.js';
+
+const MINUTE_MS = 60 * 1000;
+
+// Anti-sniping: a bid in the last SNIPING_WINDOW_MINUTES moves the close to
+// EXTENSION_MINUTES after that bid
+export const SNIPING_WINDOW_MINUTES =
+  parseInt(process.env.AUCTION_SNIPING_WINDOW_MINUTES) || 5;
+export const EXTENSION_MINUTES = parseInt(process.env.AUCTION_EXTENSION_MINUTES) || 5;
+
+export const isAuction = (product) => Boolean(product.auction?.endsAt);
+
+export const auctionPhase = (product, now = new Date()) => {
+  const { startsAt, endsAt, closedAt } = product.auction;
+  if (closedAt || endsAt <= now) return 'closed';
+  if (startsAt && startsAt > now) return 'upcoming';
+  return 'open';
+};
+
+// Whether `amount` beats `other`: higher on sell posts, lower on buy posts
+export const beats = (postType, amount, other) =>
+  postType === 'sell' ? amount > other : amount < other;
+
+// Best of a listing's pending bids; `bids` defaults to its populated bids
+export const bestPendingBid = (product, bids = product.bids) =>
+  bids
+    .filter((bid) => bid.status === 'pending')
+    .reduce(
+      (best, bid) => (!best || beats(product.postType, bid.bidAmount, best.bidAmount) ? bid : best),
+      null
+    );
+
+export const meetsReserve = (product, amount) => {
+  const reserve = product.auction.reservePrice;
+  if (reserve === undefined || reserve === null) return true;
+  return product.postType === 'sell' ? amount >= reserve : amount <= reserve;
+};
+
+// Smallest (sell) or largest (buy) amount the next bid may offer
+export const nextBidThreshold = (product) => {
+  const best = bestPendingBid(product);
+  if (!best) return null;
+
+  const increment = product.auction.minIncrement || 0;
+  return product.postType === 'sell' ? best.bidAmount + increment : best.bidAmount - increment;
+};
+
+// Mongo condition on `bidAmount` for the bids that `amount` does not beat
+// by the minimum increment
+export const competingAmounts = (product, amount) => {
+  const increment = product.auction.minIncrement || 0;
+  if (product.postType === 'sell') {
+    return increment > 0 ? { $gt: amount - increment } : { $gte: amount };
+  }
+  return increment > 0 ? { $lt: amount + increment } : { $lte: amount };
+};
+
+// Close time after a bid placed at `now`
+export const extendedEnd = (product, now = new Date()) => {
+  const { endsAt } = product.auction;
+  return endsAt.getTime() - now.getTime() <= SNIPING_WINDOW_MINUTES * MINUTE_MS
+    ? new Date(now.getTime() + EXTENSION_MINUTES * MINUTE_MS)
+    : endsAt;
+};
+
+// Check auction settings sent with a listing. Returns an error message or
+// null. `goesLiveAt` is when the listing is published.
+export const checkAuctionSettings = (
+  auction,
+  { postType, pricePerKg, expiryDate, goesLiveAt = new Date() }
+) => {
+  const startsAt = auction.startsAt ? new Date(auction.startsAt) : goesLiveAt;
+  const endsAt = new Date(auction.endsAt);
+
+  if (Number.isNaN(startsAt.getTime()) || Number.isNaN(endsAt.getTime())) {
+    return 'Auction start and end must be valid dates';
+  }
+  if (endsAt <= startsAt || endsAt <= goesLiveAt) {
+    return 'Auction must end after it starts and after the listing goes live';
+  }
+  if (expiryDate && endsAt > new Date(expiryDate)) {
+    return 'Auction must end before the listing expires';
+  }
+
+  const reserve = auction.reservePrice;
+  if (reserve !== undefined && reserve !== null && reserve !== '') {
+    if (!(Number(reserve) >= 0)) return 'Reserve price cannot be negative';
+    if (pricePerKg !== undefined && !beats(postType, Number(reserve), Number(pricePerKg))) {
+      return postType === 'sell'
+        ? 'Reserve price must be above the starting price'
+        : 'Reserve price must be below the starting price';
+    }
+  }
+
+  if (auction.minIncrement !== undefined && !(Number(auction.minIncrement) >= 0)) {
+    return 'Minimum increment cannot be negative';
+  }
+
+  return null;
+};
+
+// Auction settings as stored on the listing
+export const auctionFields = (auction) => ({
+  startsAt: auction.startsAt ? new Date(auction.startsAt) : undefined,
+  endsAt: new Date(auction.endsAt),
+  reservePrice:
+    auction.reservePrice === undefined || auction.reservePrice === ''
+      ? undefined
+      : Number(auction.reservePrice),
+  minIncrement: auction.minIncrement ? Number(auction.minIncrement) : undefined,
+});
+
+const settle = async (product) => {
+  const best = bestPendingBid(product);
+  if (!best) return { outcome: 'no-bids' };
+  if (!meetsReserve(product, best.bidAmount)) return { outcome: 'reserve-not-met', best };
+
+  // Auction bids are for the whole lot, but never more than is left
+  const quantity = Math.min(best.quantity ?? product.remainingWeight, product.remainingWeight);
+  const accepted = await acceptBidLot(product, best, quantity, { by: 'system' });
+  return accepted ? { outcome: 'won', best, quantity } : { outcome: 'failed', best };
+};
+
+const notifyAuctionResult = async (product, { outcome, best, quantity }) => {
+  const owner = product.user;
+  const unit = getUnit(product.unit).label;
+  const messages = {
+    won: `"${product.title}" closed with a winning bid of ₹${best?.bidAmount}/${unit}. The order has been created.`,
+    'reserve-not-met': `"${product.title}" closed at ₹${best?.bidAmount}/${unit}, which did not meet your reserve. You can still accept the bid yourself.`,
+    'no-bids': `"${product.title}" closed without any bids.`,
+    failed: `"${product.title}" closed but the winning bid could not be accepted. Please review the bids.`,
+  };
+
+  await notifyUser(owner, {
+    inApp: {
+      type: 'auction-closed',
+      title: 'Your auction has closed',
+      message: messages[outcome],
+      products: [product._id],
+    },
+    subject: 'Auction Closed - Annanewa Farming Media',
+    html: emailTemplates.auctionClosed(owner.name, product, messages[outcome]),
+    sms: smsTemplates.auctionClosed(product.title),
+  });
+
+  if (outcome === 'won') {
+    const message = `You won "${product.title}" at ₹${best.bidAmount}/${unit} for ${formatQuantity(quantity, product.unit)}. Your order has been created.`;
+    await notifyUser(best.user, {
+      inApp: {
+        type: 'auction-won',
+        title: 'You won an auction',
+        message,
+        products: [product._id],
+      },
+      subject: 'You Won an Auction - Annanewa Farming Media',
+      html: emailTemplates.auctionClosed(best.user.name, product, message),
+      sms: smsTemplates.auctionWon(product.title),
+    });
+  }
+};
+
+// Close auctions whose time is up and accept the winning bids. Each auction
+// is claimed with a conditional update, so it is only settled once.
+export const closeEndedAuctions = async () => {
+  const now = new Date();
+  const candidates = await Product.find({
+    status: 'active',
+    'auction.endsAt': { $lte: now },
+    'auction.closedAt': null,
+  }).select('_id');
+
+  let closed = 0;
+  for (const { _id } of candidates) {
+    // Conditional on endsAt too, in case a late bid just extended it
+    const claimed = await Product.findOneAndUpdate(
+      { _id, status: 'active', 'auction.endsAt': { $lte: now }, 'auction.closedAt': null },
+      { 'auction.closedAt': now },
+      { new: true }
+    )
+      .populate('user', 'name email phone address')
+      .populate({
+        path: 'bids',
+        match: { status: 'pending' },
+        // Orders need the winner's delivery address
+        select: '+deliveryAddress',
+        populate: { path: 'user', select: 'name email phone address' },
+      });
+    if (!claimed) continue;
+
+    let result;
+    try {
+      result = await settle(claimed);
+    } catch (error) {
+      // Release the claim so the next run tries again
+      console.error(`Failed to settle auction ${_id}:`, error.message);
+      await Product.updateOne(
+        { _id, 'auction.closedAt': now, 'auction.outcome': null },
+        { $unset: { 'auction.closedAt': 1 } }
+      );
+      continue;
+    }
+
+    await Product.updateOne({ _id }, { 'auction.outcome': result.outcome });
+    await publishBidEvent(_id, 'auction-closed', {
+      outcome: result.outcome,
+      winningBidId: result.outcome === 'won' ? result.best._id : undefined,
+    });
+    await notifyAuctionResult(claimed, result);
+    closed++;
+  }
+
+  return closed;
+};
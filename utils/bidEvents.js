@@ -0,0 +1,84 @@
+import { EventEmitter } from 'node:events';
+import mongoose from 'mongoose';
+import BidEvent from '../models/BidEvent.js';
+
+const MAX_REPLAY = 100;
+
+const listeners = new EventEmitter();
+listeners.setMaxListeners(0);
+
+const deliver = (event) => listeners.emit(event.product.toString(), event);
+
+// On a replica set every server hears every event through a change stream,
+// so clients get updates made by another server or the job scheduler. A
+// standalone server has no change streams; events then only reach clients
+// connected to the server that published them.
+let delivery = null;
+
+const startDelivery = async () => {
+  const hello = await mongoose.connection.db.admin().command({ hello: 1 });
+  if (!hello.setName && hello.msg !== 'isdbgrid') return 'local';
+
+  const changeStream = BidEvent.watch([{ $match: { operationType: 'insert' } }]);
+  changeStream.on('change', ({ fullDocument }) => deliver(fullDocument));
+  changeStream.on('error', (error) => {
+    console.error('Bid event stream stopped, delivering locally:', error.message);
+    delivery = Promise.resolve('local');
+  });
+  return 'stream';
+};
+
+const getDelivery = () => {
+  // Not connected (yet): deliver locally and look again next time
+  if (mongoose.connection.readyState !== 1) return Promise.resolve('local');
+
+  delivery ??= startDelivery().catch((error) => {
+    console.error('Bid event stream unavailable, delivering locally:', error.message);
+    return 'local';
+  });
+  return delivery;
+};
+
+// What bidders see of a bid: no contact details or addresses
+export const bidSummary = (bid) => ({
+  _id: bid._id,
+  user: { _id: bid.user?._id ?? bid.user, name: bid.user?.name },
+  bidAmount: bid.bidAmount,
+  quantity: bid.quantity,
+  status: bid.status,
+  bidAt: bid.bidAt,
+});
+
+// Record an event for a listing's bid stream, for everyone watching it or
+// only the users in `audience`. Failures are logged rather than thrown;
+// live updates must never break the action that caused them.
+export const publishBidEvent = async (productId, type, data = {}, { audience } = {}) => {
+  try {
+    const event = await BidEvent.create({ product: productId, type, data, audience });
+    if ((await getDelivery()) === 'local') deliver(event.toObject());
+  } catch (error) {
+    console.error(`Failed to publish ${type} for product ${productId}:`, error.message);
+  }
+};
+
+export const canSeeBidEvent = (event, userId) =>
+  !event.audience?.length || event.audience.some((id) => id.toString() === userId.toString());
+
+// Call `listener` with every new event for a listing. Returns a function
+// that stops listening.
+export const subscribeToBidEvents = (productId, listener) => {
+  getDelivery();
+
+  const key = productId.toString();
+  listeners.on(key, listener);
+  return () => listeners.off(key, listener);
+};
+
+// Events after `lastEventId`, for a client that reconnected
+export const getMissedBidEvents = (productId, lastEventId) =>
+  mongoose.Types.ObjectId.isValid(lastEventId)
+    ? BidEvent.find({ product: productId, _id: { $gt: lastEventId } })
+        .sort({ _id: 1 })
+        .limit(MAX_REPLAY)
+        .lean()
+    : [];
@@ -20,9 +20,34 @@ export const uploadToCloudinary = async (buffer) => {
   }
 };
 
-export const deleteFromCloudinary = async (publicId) => {
+// Identity and land documents are uploaded as authenticated assets so they
+// can only be opened through a signed URL
+export const uploadDocumentToCloudinary = async (file) => {
   try {
-    await cloudinary.uploader.destroy(publicId);
+    const dataURI = `data:${file.mimetype};base64,${file.buffer.toString('base64')}`;
+
+    return await cloudinary.uploader.upload(dataURI, {
+      folder: 'annanewa/verifications',
+      type: 'authenticated',
+      resource_type: file.mimetype === 'application/pdf' ? 'raw' : 'image',
+    });
+  } catch (error) {
+    throw new Error('Failed to upload document');
+  }
+};
+
+export const getSignedDocumentUrl = (document) =>
+  cloudinary.url(document.public_id, {
+    type: 'authenticated',
+    resource_type: document.resourceType,
+    format: document.format,
+    sign_url: true,
+    secure: true,
+  });
+
+export const deleteFromCloudinary = async (publicId, options = {}) => {
+  try {
+    await cloudinary.uploader.destroy(publicId, options);
   } catch (error) {
     console.log('Delete failed for:', publicId);
   }
@@ -0,0 +1,116 @@
+import { DISTRICTS } from '../config/districts.js';
+import { nameKey } from './search.js';
+
+const EARTH_RADIUS_KM = 6371;
+
+export const DEFAULT_RADIUS_KM = 50;
+export const MAX_RADIUS_KM = 500;
+
+const toPoint = ({ lat, lng }) => ({ type: 'Point', coordinates: [lng, lat] });
+
+// District names by phonetic key, so "Bogra", "Bogura" and "বগুড়া" all match
+const districtsByKey = new Map();
+for (const district of DISTRICTS) {
+  for (const name of [district.name, ...(district.aliases || [])]) {
+    districtsByKey.set(nameKey(name), district);
+  }
+}
+
+const findByPostcode = (zipCode) => {
+  const code = parseInt(String(zipCode).trim(), 10);
+  if (Number.isNaN(code)) return null;
+
+  return (
+    DISTRICTS.find(({ postcodes }) =>
+      postcodes.some(([from, to]) => code >= from && code <= to)
+    ) || null
+  );
+};
+
+const findByName = (name) => {
+  if (!name || !String(name).trim()) return null;
+  return districtsByKey.get(nameKey(String(name))) || null;
+};
+
+// GeoJSON point for explicit coordinates, or null when they are out of range
+export const pointFromCoordinates = (lat, lng) => {
+  const latitude = parseFloat(lat);
+  const longitude = parseFloat(lng);
+
+  if (
+    Number.isNaN(latitude) ||
+    Number.isNaN(longitude) ||
+    Math.abs(latitude) > 90 ||
+    Math.abs(longitude) > 180
+  ) {
+    return null;
+  }
+
+  return toPoint({ lat: latitude, lng: longitude });
+};
+
+// Resolve an address to its district headquarters: postcode first, then
+// city, then state. Returns null when nothing matches.
+export const geocode = ({ zipCode, city, state } = {}) => {
+  const district =
+    (zipCode && findByPostcode(zipCode)) || findByName(city) || findByName(state);
+
+  return district ? toPoint(district) : null;
+};
+
+// Copy of a product location or user address with its `geo` point filled
+// in. Clients with GPS can send latitude/longitude; otherwise it is geocoded.
+export const withGeo = (location) => {
+  if (!location || typeof location !== 'object') return location;
+
+  const { latitude, longitude, ...rest } = location;
+  const geo =
+    (latitude !== undefined && longitude !== undefined
+      ? pointFromCoordinates(latitude, longitude)
+      : null) || geocode(rest);
+
+  return { ...rest, geo: geo || undefined };
+};
+
+// Parse a `near` parameter: "lat,lng", or a postcode or district name
+export const parseNear = (near) => {
+  const parts = String(near).split(',');
+  if (parts.length === 2) {
+    const point = pointFromCoordinates(parts[0], parts[1]);
+    if (point) return point;
+  }
+
+  return geocode({ zipCode: near, city: near });
+};
+
+export const parseRadiusKm = (radius) => {
+  const km = parseFloat(radius);
+  if (Number.isNaN(km) || km <= 0) return DEFAULT_RADIUS_KM;
+  return Math.min(km, MAX_RADIUS_KM);
+};
+
+// Great-circle distance between two GeoJSON points
+export const distanceKm = (from, to) => {
+  const [lng1, lat1] = from.coordinates.map((degrees) => (degrees * Math.PI) / 180);
+  const [lng2, lat2] = to.coordinates.map((degrees) => (degrees * Math.PI) / 180);
+
+  const a =
+    Math.sin((lat2 - lat1) / 2) ** 2 +
+    Math.cos(lat1) * Math.cos(lat2) * Math.sin((lng2 - lng1) / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+};
+
+// Mongo filters for products within `radiusKm` of `point`. `sorted` uses
+// $nearSphere, which orders by distance but cannot be counted or combined
+// with $text; `within` can.
+export const nearFilters = (point, radiusKm) => ({
+  sorted: {
+    $nearSphere: { $geometry: point, $maxDistance: radiusKm * 1000 },
+  },
+  within: {
+    $geoWithin: {
+      $centerSphere: [point.coordinates, radiusKm / EARTH_RADIUS_KM],
+    },
+  },
+});
@@ -0,0 +1,134 @@
+import Product from '../models/Product.js';
+import Bid from '../models/Bid.js';
+import User from '../models/User.js';
+import { notifyUser } from './notify.js';
+import { emailTemplates } from './sendEmail.js';
+import { smsTemplates } from './sendSms.js';
+import { notifyWatchers } from './watchlist.js';
+import { publishBidEvent } from './bidEvents.js';
+import { CLOSED_STATUSES, closedReason, rejectPendingBids } from './listingStatus.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// How long before expiry owners get a reminder
+export const EXPIRY_REMINDER_HOURS =
+  parseInt(process.env.LISTING_EXPIRY_REMINDER_HOURS) || 48;
+
+// Auctions are settled by the auction job before their listing can expire
+const AUCTION_SETTLED = {
+  $or: [{ 'auction.endsAt': null }, { 'auction.closedAt': { $ne: null } }],
+};
+
+const loadOwner = (product) =>
+  User.findById(product.user).select('name email phone');
+
+// Each listing is claimed with a conditional update, so a listing is only
+// reminded or expired once even if the job is rerun or runs twice at once
+const sendExpiryReminders = async (now) => {
+  const candidates = await Product.find({
+    status: 'active',
+    expiryDate: { $gt: now, $lte: new Date(now.getTime() + EXPIRY_REMINDER_HOURS * HOUR_MS) },
+    expiryReminderSentAt: null,
+  }).select('_id');
+
+  let reminded = 0;
+  for (const { _id } of candidates) {
+    const product = await Product.findOneAndUpdate(
+      { _id, status: 'active', expiryReminderSentAt: null },
+      { expiryReminderSentAt: now },
+      { new: true }
+    );
+    if (!product) continue;
+
+    const owner = await loadOwner(product);
+    if (owner) {
+      await notifyUser(owner, {
+        inApp: {
+          type: 'listing-expiring',
+          title: 'Your listing expires soon',
+          message: `"${product.title}" expires on ${product.expiryDate.toDateString()}.`,
+          products: [product._id],
+        },
+        subject: 'Your Listing Expires Soon - Annanewa Farming Media',
+        html: emailTemplates.listingExpiring(owner.name, product.title, product.expiryDate),
+        sms: smsTemplates.listingExpiring(product.title, product.expiryDate),
+      });
+    }
+    await notifyWatchers(product, {
+      type: 'watchlist-expiring',
+      title: 'A listing you watch expires soon',
+      message: `"${product.title}" expires on ${product.expiryDate.toDateString()}.`,
+      email: true,
+    });
+    reminded++;
+  }
+
+  return reminded;
+};
+
+const expireListings = async (now) => {
+  const candidates = await Product.find({
+    status: 'active',
+    expiryDate: { $lte: now },
+    ...AUCTION_SETTLED,
+  }).select('_id');
+
+  let expired = 0;
+  for (const { _id } of candidates) {
+    const product = await Product.findOneAndUpdate(
+      { _id, status: 'active', expiryDate: { $lte: now }, ...AUCTION_SETTLED },
+      { status: 'expired', expiredAt: now }
+    );
+    if (!product) continue;
+
+    await publishBidEvent(product._id, 'status-changed', { status: 'expired' });
+    const rejectedBids = await rejectPendingBids(product._id, 'Listing expired');
+
+    const owner = await loadOwner(product);
+    if (owner) {
+      await notifyUser(owner, {
+        inApp: {
+          type: 'listing-expired',
+          title: 'Your listing has expired',
+          message: `"${product.title}" has expired. You can relist it from My Products.`,
+          products: [product._id],
+        },
+        subject: 'Your Listing Has Expired - Annanewa Farming Media',
+        html: emailTemplates.listingExpired(owner.name, product.title, rejectedBids.length),
+        sms: smsTemplates.listingExpired(product.title),
+      });
+    }
+    expired++;
+  }
+
+  return expired;
+};
+
+// Closing a listing and turning down its bids are separate writes, so a
+// crash in between leaves bids pending on a closed listing. Pick those up.
+const rejectStrandedBids = async () => {
+  const withPendingBids = await Bid.find({ status: 'pending' }).distinct('product');
+  if (withPendingBids.length === 0) return 0;
+
+  const closed = await Product.find({
+    _id: { $in: withPendingBids },
+    status: { $in: CLOSED_STATUSES },
+  }).select('_id status');
+
+  let rejected = 0;
+  for (const product of closed) {
+    rejected += (await rejectPendingBids(product._id, closedReason(product.status))).length;
+  }
+
+  return rejected;
+};
+
+export const processListingExpiry = async () => {
+  const now = new Date();
+
+  const reminded = await sendExpiryReminders(now);
+  const expired = await expireListings(now);
+  const rejectedBids = await rejectStrandedBids();
+
+  return { reminded, expired, rejectedBids };
+};
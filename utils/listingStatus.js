@@ -0,0 +1,214 @@
+import Product from '../models/Product.js';
+import Bid from '../models/Bid.js';
+import Order from '../models/Order.js';
+import WatchlistItem from '../models/WatchlistItem.js';
+import { deleteFromCloudinary } from './cloudinaryUpload.js';
+import { notifyUser } from './notify.js';
+import { notifySavedSearches } from './savedSearchAlerts.js';
+import { emailTemplates } from './sendEmail.js';
+import { smsTemplates } from './sendSms.js';
+import { publishBidEvent } from './bidEvents.js';
+
+// Where a listing may go from each status. Sold, purchased and cancelled
+// listings are final.
+export const LISTING_TRANSITIONS = {
+  draft: ['scheduled', 'pending-review', 'active'],
+  scheduled: ['draft', 'pending-review', 'active'],
+  'pending-review': ['draft', 'active', 'rejected'],
+  rejected: ['draft', 'pending-review'],
+  active: ['sold', 'purchased', 'expired', 'cancelled', 'hidden'],
+  expired: ['active', 'cancelled'],
+  hidden: ['active'],
+  sold: [],
+  purchased: [],
+  cancelled: [],
+};
+
+// Listings only their owner and admins can see
+export const UNPUBLISHED_STATUSES = ['draft', 'scheduled', 'pending-review', 'rejected'];
+export const NOT_PUBLIC_STATUSES = [...UNPUBLISHED_STATUSES, 'hidden'];
+
+// Listings that no longer take bids. Hidden listings keep theirs; they come
+// back when the owner is reinstated.
+export const CLOSED_STATUSES = ['sold', 'purchased', 'expired', 'cancelled'];
+
+// Sell posts go through review until the seller is verified or has had
+// this many listings published
+export const REVIEW_THRESHOLD = parseInt(process.env.LISTING_REVIEW_THRESHOLD ?? '3', 10);
+
+export const canTransition = (from, to) =>
+  LISTING_TRANSITIONS[from]?.includes(to) ?? false;
+
+export const transitionError = (from, to) =>
+  `A ${from} listing cannot be moved to ${to}`;
+
+// Whether a listing from `user` has to wait in the review queue
+export const requiresReview = async (user, postType) => {
+  if (postType !== 'sell' || user.isVerifiedSeller()) return false;
+
+  const published = await Product.countDocuments({
+    user: user._id,
+    status: { $nin: UNPUBLISHED_STATUSES },
+  });
+  return published < REVIEW_THRESHOLD;
+};
+
+// Move a listing to `status`, conditional on it still having the status it
+// was loaded with. Returns the updated listing, or null when it changed in
+// the meantime. Callers check canTransition first.
+export const transitionListing = async (product, status, { set = {}, unset = {} } = {}) => {
+  const update = { $set: { ...set, status } };
+  if (Object.keys(unset).length > 0) update.$unset = unset;
+
+  const updated = await Product.findOneAndUpdate(
+    { _id: product._id, status: product.status },
+    update,
+    { new: true }
+  );
+
+  if (updated) {
+    await publishBidEvent(updated._id, 'status-changed', { status });
+  }
+  return updated;
+};
+
+// Turn down the bids still pending on a listing that has closed. Returns
+// the ids of the bids turned down.
+export const rejectPendingBids = async (productId, reason) => {
+  const rejected = await Bid.find({ product: productId, status: 'pending' }).distinct('_id');
+  if (rejected.length === 0) return rejected;
+
+  await Bid.updateMany(
+    { _id: { $in: rejected }, status: 'pending' },
+    {
+      $set: { status: 'rejected' },
+      $push: { offers: { by: 'system', action: 'rejected', message: reason } },
+    }
+  );
+  await publishBidEvent(productId, 'bid-rejected', { bidIds: rejected, reason });
+  return rejected;
+};
+
+export const closedReason = (status) =>
+  status === 'expired' ? 'Listing expired' : 'Listing closed';
+
+// Whether a listing has an accepted bid or an order against it
+export const hasTradeHistory = async (productId) =>
+  Boolean(
+    (await Bid.exists({ product: productId, status: 'accepted' })) ||
+      (await Order.exists({ product: productId }))
+  );
+
+const SOLD_STATUSES = ['sold', 'purchased'];
+
+// Take a listing down for good. Listings that have traded are cancelled
+// instead, so their orders and accepted bids keep pointing at them.
+// Returns 'cancelled' or 'deleted'.
+export const removeListing = async (product) => {
+  if (SOLD_STATUSES.includes(product.status) || (await hasTradeHistory(product._id))) {
+    const cancelled = await Product.findOneAndUpdate(
+      { _id: product._id, status: { $nin: [...SOLD_STATUSES, 'cancelled'] } },
+      { status: 'cancelled' }
+    );
+    if (cancelled) {
+      await publishBidEvent(product._id, 'status-changed', { status: 'cancelled' });
+    }
+    await rejectPendingBids(product._id, closedReason('cancelled'));
+    await WatchlistItem.deleteMany({ product: product._id });
+    return 'cancelled';
+  }
+
+  for (const image of product.images ?? []) {
+    await deleteFromCloudinary(image.public_id);
+  }
+  await Product.deleteOne({ _id: product._id });
+  await Bid.deleteMany({ product: product._id });
+  await WatchlistItem.deleteMany({ product: product._id });
+  return 'deleted';
+};
+
+// Publish now: live straight away, or into the review queue for new sellers.
+// A rejected listing always goes back to the queue.
+export const publishTarget = async (product, owner) =>
+  product.status === 'rejected' || (await requiresReview(owner, product.postType))
+    ? 'pending-review'
+    : 'active';
+
+export const publishListing = async (product, owner) => {
+  const now = new Date();
+  const toReview = (await publishTarget(product, owner)) === 'pending-review';
+
+  const published = await transitionListing(
+    product,
+    toReview ? 'pending-review' : 'active',
+    toReview
+      ? { set: { 'moderation.submittedAt': now }, unset: { publishAt: 1 } }
+      : { set: { publishedAt: now }, unset: { publishAt: 1 } }
+  );
+
+  if (published?.status === 'active') {
+    // Alerts go out in the background; the owner doesn't wait for them
+    notifySavedSearches(published).catch((error) =>
+      console.error('Saved search alerts failed:', error.message)
+    );
+  }
+
+  return published;
+};
+
+// Publish scheduled listings whose time has come
+export const publishScheduledListings = async () => {
+  const due = await Product.find({
+    status: 'scheduled',
+    publishAt: { $lte: new Date() },
+  }).populate('user', 'name email phone role isActive sellerVerification.status');
+
+  let published = 0;
+  for (const product of due) {
+    // Suspended owners' listings wait until they are reinstated
+    const owner = product.user;
+    if (!owner?.isActive) continue;
+
+    const updated = await publishListing(product, owner);
+    if (!updated) continue;
+
+    const live = updated.status === 'active';
+    await notifyUser(owner, {
+      inApp: {
+        type: 'listing-published',
+        title: live ? 'Your listing is live' : 'Your listing is waiting for review',
+        message: live
+          ? `"${updated.title}" was published as scheduled.`
+          : `"${updated.title}" will go live once an admin approves it.`,
+        products: [updated._id],
+      },
+    });
+    published++;
+  }
+
+  return published;
+};
+
+// Let the owner know how the review of their listing went
+export const notifyListingReviewed = (owner, product) => {
+  const approved = product.status === 'active';
+  const reason = product.moderation?.rejectionReason;
+
+  return notifyUser(owner, {
+    inApp: {
+      type: approved ? 'listing-approved' : 'listing-rejected',
+      title: approved ? 'Your listing was approved' : 'Your listing was not approved',
+      message: approved
+        ? `"${product.title}" is now live.`
+        : `"${product.title}" was not approved: ${reason}`,
+      products: [product._id],
+    },
+    subject: 'Listing Review - Annanewa Farming Media',
+    html: approved
+      ? emailTemplates.listingApproved(owner.name, product)
+      : emailTemplates.listingRejected(owner.name, product.title, reason),
+    sms: approved
+      ? smsTemplates.listingApproved(product.title)
+      : smsTemplates.listingRejected(product.title, reason),
+  });
+};
@@ -0,0 +1,87 @@
+import mongoose from 'mongoose';
+import PricePoint from '../models/PricePoint.js';
+
+export const INTERVALS = {
+  daily: { unit: 'day', defaultDays: 30 },
+  weekly: { unit: 'week', defaultDays: 12 * 7 },
+};
+
+export const MAX_DAYS = 365;
+
+// Price series per category, state and unit, one point per day or week.
+// Average prices are weighted by quantity so a few large lots are not
+// outvoted by many small ones. Weeks start on Monday.
+export const getPriceIndex = ({ category, state, postType, interval = 'daily', from, to }) => {
+  const match = { recordedAt: { $gte: from, $lt: to } };
+  if (category) match.category = new mongoose.Types.ObjectId(category);
+  if (state) match.state = { $regex: state, $options: 'i' };
+  if (postType) match.postType = postType;
+
+  const period = {
+    $dateTrunc: {
+      date: '$recordedAt',
+      unit: INTERVALS[interval].unit,
+      ...(interval === 'weekly' && { startOfWeek: 'monday' }),
+    },
+  };
+
+  return PricePoint.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: {
+          category: '$category',
+          state: { $toLower: '$state' },
+          unit: '$unit',
+          period,
+        },
+        state: { $first: '$state' },
+        value: { $sum: { $multiply: ['$price', '$quantity'] } },
+        quantity: { $sum: '$quantity' },
+        minPrice: { $min: '$price' },
+        maxPrice: { $max: '$price' },
+        trades: { $sum: 1 },
+        completedTrades: {
+          $sum: { $cond: [{ $eq: ['$source', 'completed-order'] }, 1, 0] },
+        },
+      },
+    },
+    { $sort: { '_id.period': 1 } },
+    {
+      $group: {
+        _id: { category: '$_id.category', state: '$_id.state', unit: '$_id.unit' },
+        state: { $first: '$state' },
+        points: {
+          $push: {
+            period: '$_id.period',
+            averagePrice: { $round: [{ $divide: ['$value', '$quantity'] }, 2] },
+            minPrice: '$minPrice',
+            maxPrice: '$maxPrice',
+            trades: '$trades',
+            completedTrades: '$completedTrades',
+            quantity: '$quantity',
+          },
+        },
+      },
+    },
+    {
+      $lookup: {
+        from: 'categories',
+        localField: '_id.category',
+        foreignField: '_id',
+        pipeline: [{ $project: { name: 1 } }],
+        as: 'category',
+      },
+    },
+    {
+      $project: {
+        _id: 0,
+        category: { $first: '$category' },
+        state: 1,
+        unit: '$_id.unit',
+        points: 1,
+      },
+    },
+    { $sort: { 'category.name': 1, state: 1 } },
+  ]);
+};
@@ -0,0 +1,24 @@
+import Notification from '../models/Notification.js';
+import { sendEmail } from './sendEmail.js';
+import { sendSms } from './sendSms.js';
+
+// Notify a user in-app when `inApp` is given, and by email when they have an
+// address (or SMS otherwise) when `html`/`sms` are given. Failures are
+// logged rather than thrown so one bad address does not stop a batch job.
+//
+//   inApp: { type, title, message, products }
+export const notifyUser = async (user, { inApp, subject, html, sms }) => {
+  try {
+    if (inApp) {
+      await Notification.create({ user: user._id, ...inApp });
+    }
+
+    if (user.email && html) {
+      await sendEmail({ email: user.email, subject, html });
+    } else if (!user.email && user.phone && sms) {
+      await sendSms({ phone: user.phone, message: sms });
+    }
+  } catch (error) {
+    console.error(`Failed to notify user ${user._id}:`, error.message);
+  }
+};
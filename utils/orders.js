@@ -0,0 +1,195 @@
+import Order from '../models/Order.js';
+import Product from '../models/Product.js';
+import Bid from '../models/Bid.js';
+import PricePoint from '../models/PricePoint.js';
+import { notifyWatchers } from './watchlist.js';
+import { publishBidEvent } from './bidEvents.js';
+
+export const COMMISSION_RATE = 0.02; // 2%
+
+// ORD-YYYYMMDD-NNNN, numbered within the day
+const nextOrderNumber = async (offset = 0) => {
+  const date = new Date();
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+
+  const todaysOrders = await Order.countDocuments({
+    createdAt: {
+      $gte: new Date(date.setHours(0, 0, 0, 0)),
+      $lte: new Date(date.setHours(23, 59, 59, 999))
+    }
+  });
+
+  return `ORD-${year}${month}${day}-${String(todaysOrders + 1 + offset).padStart(4, '0')}`;
+};
+
+export const lotFinancials = (quantity, pricePerKg) => {
+  const totalPrice = quantity * pricePerKg;
+  const companyRevenue = totalPrice * COMMISSION_RATE;
+
+  return {
+    totalPrice,
+    companyRevenue: parseFloat(companyRevenue.toFixed(2)),
+    sellerEarning: parseFloat((totalPrice - companyRevenue).toFixed(2)),
+  };
+};
+
+// Create the order for one accepted bid. `product.user` and `bid.user`
+// must be populated with their addresses, and the bid's delivery address
+// selected.
+export const createOrderForBid = async (product, bid, quantity) => {
+  // Seller post: owner sells to the bidder. Buyer post: the other way round.
+  const seller = product.postType === 'sell' ? product.user : bid.user;
+  const buyer = product.postType === 'sell' ? bid.user : product.user;
+
+  const { totalPrice, companyRevenue, sellerEarning } = lotFinancials(quantity, bid.bidAmount);
+
+  const orderData = {
+    product: product._id,
+    seller: seller._id,
+    buyer: buyer._id,
+    postType: product.postType,
+    quantity,
+    unit: product.unit,
+    pricePerKg: bid.bidAmount,
+    totalPrice,
+    companyRevenue,
+    sellerEarning,
+    buyerPayment: totalPrice,
+    commissionRate: COMMISSION_RATE,
+    paymentMethod: bid.paymentMethod,
+    sellerLocation: product.user.address,
+    buyerLocation: bid.user.address,
+    deliveryAddress: bid.deliveryAddress,
+    expectedDelivery: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000),
+    notes: `Order created from ${product.postType} post: ${product.title}`
+  };
+
+  // Two lots accepted at the same moment can draw the same number
+  let order;
+  for (let attempt = 0; !order; attempt++) {
+    try {
+      order = await Order.create({ ...orderData, orderNumber: await nextOrderNumber(attempt) });
+    } catch (error) {
+      if (error.code !== 11000 || attempt >= 4) throw error;
+    }
+  }
+
+  await PricePoint.syncOrder(order);
+  return order;
+};
+
+// Accept `quantity` of a listing for one pending bid: take it off what is
+// left, close the listing once sold out and create the order. Used by the
+// owner accepting a bid and by auctions closing. `product.user` and
+// `bid.user` must be populated with their addresses, and the bid's
+// delivery address selected. Returns the updated listing and the order,
+// or null when the listing or bid changed first. `by` is who accepted,
+// for the bid's offer thread.
+export const acceptBidLot = async (product, bid, quantity, { by = 'owner' } = {}) => {
+  // Listings from before lots existed have no stored remaining weight
+  if (product.$isDefault('remainingWeight')) {
+    await Product.updateOne(
+      { _id: product._id, remainingWeight: { $exists: false } },
+      [{ $set: { remainingWeight: '$totalWeight' } }]
+    );
+  }
+
+  const { companyRevenue } = lotFinancials(quantity, bid.bidAmount);
+  const acceptedAt = new Date();
+
+  // Claim the bid first, so it is only ever accepted once
+  const claimed = await Bid.findOneAndUpdate(
+    { _id: bid._id, product: product._id, status: 'pending' },
+    {
+      $set: { status: 'accepted', quantity, acceptedAt },
+      $unset: { counterOffer: 1 },
+      $push: { offers: { by, action: 'accepted', amount: bid.bidAmount, quantity, at: acceptedAt } }
+    }
+  ).select('+counterOffer');
+  if (!claimed) return null;
+
+  // Conditional so two accepts can never sell the same kilos twice
+  const updated = await Product.findOneAndUpdate(
+    { _id: product._id, status: 'active', remainingWeight: { $gte: quantity } },
+    {
+      $inc: { remainingWeight: -quantity, companyRevenue },
+      $set: {
+        bidWinner: {
+          user: bid.user._id,
+          bidAmount: bid.bidAmount,
+          quantity,
+          acceptedAt
+        }
+      }
+    },
+    { new: true }
+  );
+
+  if (!updated) {
+    // Not enough left: put the bid back as it was
+    const restore = { $set: { status: 'pending' }, $unset: { acceptedAt: 1 }, $pop: { offers: 1 } };
+    if (claimed.quantity === undefined) restore.$unset.quantity = 1;
+    else restore.$set.quantity = claimed.quantity;
+    if (claimed.counterOffer?.amount !== undefined) restore.$set.counterOffer = claimed.counterOffer;
+
+    await Bid.updateOne({ _id: bid._id, status: 'accepted', acceptedAt }, restore);
+    return null;
+  }
+
+  const soldOut = updated.remainingWeight <= 0;
+
+  // Sold out: turn down everyone still waiting. Otherwise only bids for
+  // more than what is left, which can no longer be accepted.
+  const turnedDownFilter = {
+    product: product._id,
+    status: 'pending',
+    ...(!soldOut && { quantity: { $gt: updated.remainingWeight } })
+  };
+  const turnedDown = await Bid.find(turnedDownFilter).distinct('_id');
+  const reason = soldOut ? 'Listing closed' : 'Not enough left on the listing';
+
+  if (soldOut) {
+    notifyWatchers(product, {
+      type: 'watchlist-sold',
+      title: 'A listing you watch is closed',
+      message: `"${product.title}" has been ${product.postType === 'sell' ? 'sold' : 'fulfilled'}.`,
+      email: true,
+      exclude: bid.user._id
+    }).catch(error => console.error('Watchlist alerts failed:', error.message));
+
+    await Product.updateOne(
+      { _id: product._id, status: 'active' },
+      { status: product.postType === 'sell' ? 'sold' : 'purchased', soldAt: acceptedAt }
+    );
+  }
+
+  if (turnedDown.length > 0) {
+    await Bid.updateMany(
+      { _id: { $in: turnedDown }, status: 'pending' },
+      {
+        $set: { status: 'rejected' },
+        $push: { offers: { by: 'system', action: 'rejected', message: reason } }
+      }
+    );
+  }
+
+  const order = await createOrderForBid(product, bid, quantity);
+
+  await publishBidEvent(product._id, 'bid-accepted', {
+    bidId: bid._id,
+    quantity,
+    remainingWeight: updated.remainingWeight
+  });
+  if (turnedDown.length > 0) {
+    await publishBidEvent(product._id, 'bid-rejected', { bidIds: turnedDown, reason });
+  }
+  if (soldOut) {
+    await publishBidEvent(product._id, 'status-changed', {
+      status: product.postType === 'sell' ? 'sold' : 'purchased'
+    });
+  }
+
+  return { product: updated, order };
+};
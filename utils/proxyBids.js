@@ -0,0 +1,112 @@
+import Product from '../models/Product.js';
+import Bid from '../models/Bid.js';
+import { isAuction, auctionPhase, beats, bestPendingBid } from './auctions.js';
+import { publishBidEvent, bidSummary } from './bidEvents.js';
+
+// Proxy bidding: a bidder may set a limit, the most (sell posts) or least
+// (buy posts) they are willing to offer. Whenever someone else takes the
+// lead, the system bids for them by one increment, until the limit is
+// reached. Each automatic step is recorded in the bid's offer thread.
+
+// Step for listings without an auction minimum increment
+export const PROXY_BID_INCREMENT = parseFloat(process.env.PROXY_BID_INCREMENT) || 1;
+
+export const bidIncrement = (product) => product.auction?.minIncrement || PROXY_BID_INCREMENT;
+
+const hasLimit = (bid) => bid.proxyLimit !== undefined && bid.proxyLimit !== null;
+
+// The furthest a bid can go
+const reach = (bid) => (hasLimit(bid) ? bid.proxyLimit : bid.bidAmount);
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Check a proxy limit against the bid it belongs to. Returns an error
+// message or null; no limit is fine.
+export const checkProxyLimit = (product, bidAmount, proxyLimit) => {
+  if (proxyLimit === undefined || proxyLimit === null) return null;
+
+  const limit = Number(proxyLimit);
+  if (!Number.isFinite(limit) || limit <= 0) {
+    return 'Proxy limit must be a positive number';
+  }
+  if (beats(product.postType, Number(bidAmount), limit)) {
+    return product.postType === 'sell'
+      ? 'Your maximum cannot be lower than your bid'
+      : 'Your floor cannot be higher than your bid';
+  }
+  return null;
+};
+
+// Where the proxy bids end up once they have answered the best bid, as
+// [bid, amount] pairs, given the listing's pending bids. Settles in one go
+// what would otherwise be a run of one-increment steps: every proxy that gets
+// outbid stops at its limit, and the one with the furthest limit leads by one
+// increment over the runner-up.
+export const proxyMoves = (product, bids) => {
+  const { postType } = product;
+  const best = bestPendingBid(product, bids);
+  if (!best) return [];
+
+  const contenders = bids.filter(
+    (bid) =>
+      bid === best ||
+      (bid.status === 'pending' && hasLimit(bid) && beats(postType, bid.proxyLimit, best.bidAmount))
+  );
+  if (contenders.length < 2) return [];
+
+  // Furthest limit first; on equal limits the earlier bid wins
+  contenders.sort((a, b) => {
+    if (reach(a) === reach(b)) return a.bidAt - b.bidAt;
+    return beats(postType, reach(a), reach(b)) ? -1 : 1;
+  });
+  const [leader, runnerUp] = contenders;
+
+  const moves = contenders
+    .slice(1)
+    .filter((bid) => hasLimit(bid) && bid.bidAmount !== bid.proxyLimit)
+    .map((bid) => [bid, bid.proxyLimit]);
+
+  if (hasLimit(leader)) {
+    const step = bidIncrement(product);
+    const target = roundAmount(
+      postType === 'sell'
+        ? Math.min(leader.proxyLimit, reach(runnerUp) + step)
+        : Math.max(leader.proxyLimit, reach(runnerUp) - step)
+    );
+    if (beats(postType, target, leader.bidAmount)) moves.push([leader, target]);
+  }
+
+  return moves;
+};
+
+// Let the proxy bids on a listing answer its current best bid. Each step is
+// conditional on the bid being unchanged, so a racing update wins and runs
+// its own round. Returns summaries of the bids that moved.
+export const runProxyBids = async (productId) => {
+  const product = await Product.findById(productId);
+  if (!product || product.status !== 'active') return [];
+  if (isAuction(product) && auctionPhase(product) !== 'open') return [];
+
+  const bids = await Bid.find({ product: product._id, status: 'pending' })
+    .select('+proxyLimit')
+    .sort({ bidAt: 1 });
+
+  const moved = [];
+  for (const [bid, amount] of proxyMoves(product, bids)) {
+    const updated = await Bid.findOneAndUpdate(
+      { _id: bid._id, status: 'pending', bidAmount: bid.bidAmount },
+      {
+        $set: { bidAmount: amount },
+        $push: { offers: { by: 'system', action: 'auto-bid', amount, quantity: bid.quantity } },
+      },
+      { new: true }
+    ).populate('user', 'name');
+    if (!updated) continue;
+
+    const summary = bidSummary(updated);
+    moved.push(summary);
+    await publishBidEvent(product._id, 'bid-updated', { bid: summary, automatic: true });
+  }
+
+  return moved;
+};
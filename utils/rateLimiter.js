@@ -0,0 +1,40 @@
+// Fixed-window request counter kept in memory. Good enough for a single
+// server process; counts reset when the process restarts.
+const windows = new Map();
+
+// Count one hit for `key`. Returns whether it is allowed plus the numbers
+// needed for the X-RateLimit-* headers.
+export const hit = (key, { max, windowMs }) => {
+  const now = Date.now();
+  let entry = windows.get(key);
+
+  if (!entry || entry.resetAt <= now) {
+    entry = { count: 0, resetAt: now + windowMs };
+    windows.set(key, entry);
+  }
+
+  entry.count += 1;
+
+  return {
+    allowed: entry.count <= max,
+    limit: max,
+    remaining: Math.max(0, max - entry.count),
+    resetAt: entry.resetAt,
+  };
+};
+
+export const setRateLimitHeaders = (res, result) => {
+  res.set({
+    "X-RateLimit-Limit": String(result.limit),
+    "X-RateLimit-Remaining": String(result.remaining),
+    "X-RateLimit-Reset": String(Math.ceil(result.resetAt / 1000)),
+  });
+};
+
+// Drop expired windows so the map does not grow without bound
+setInterval(() => {
+  const now = Date.now();
+  for (const [key, entry] of windows) {
+    if (entry.resetAt <= now) windows.delete(key);
+  }
+}, 60 * 1000).unref();
@@ -0,0 +1,126 @@
+import SavedSearch from '../models/SavedSearch.js';
+import Product from '../models/Product.js';
+import User from '../models/User.js';
+import { notifyUser } from './notify.js';
+import { emailTemplates } from './sendEmail.js';
+import { buildSearchKeys, matchesKeywords } from './search.js';
+
+const DIGEST_INTERVAL_MS = 24 * 60 * 60 * 1000;
+
+const idOf = (value) => value?._id ?? value;
+
+// State and keywords are checked here rather than in the query: state is a
+// case-insensitive substring like the listing routes, and keywords use the
+// product's phonetic search keys
+const matchesDetails = (product, searchKeys, filters) => {
+  if (
+    filters.state &&
+    !product.location.state.toLowerCase().includes(filters.state.toLowerCase())
+  ) {
+    return false;
+  }
+
+  return !filters.search || matchesKeywords(filters.search, searchKeys);
+};
+
+const loadRecipient = (userId) =>
+  User.findOne({ _id: userId, deletedAt: null }).select('name email phone');
+
+// Alert everyone whose saved search matches a newly created listing.
+// Instant searches are notified now; daily ones queue it for the digest.
+export const notifySavedSearches = async (product) => {
+  if (product.status !== 'active') return 0;
+
+  const price = product.pricePerKg;
+  // Built here: `searchKeys` is not selected when a listing is loaded
+  const searchKeys = buildSearchKeys(product.title, product.categoryName, product.description);
+  const searches = SavedSearch.find({
+    alertMode: { $ne: 'off' },
+    user: { $ne: idOf(product.user) },
+    'filters.postType': product.postType,
+    $and: [
+      { $or: [{ 'filters.category': null }, { 'filters.category': idOf(product.category) }] },
+      { $or: [{ 'filters.minPrice': null }, { 'filters.minPrice': { $lte: price } }] },
+      { $or: [{ 'filters.maxPrice': null }, { 'filters.maxPrice': { $gte: price } }] },
+    ],
+  });
+
+  let matched = 0;
+  for await (const search of searches) {
+    if (!matchesDetails(product, searchKeys, search.filters)) continue;
+    matched++;
+
+    if (search.alertMode === 'daily') {
+      await SavedSearch.updateOne(
+        { _id: search._id },
+        { $addToSet: { pendingMatches: product._id } }
+      );
+      continue;
+    }
+
+    const recipient = await loadRecipient(search.user);
+    if (!recipient) continue;
+
+    await notifyUser(recipient, {
+      inApp: {
+        type: 'saved-search-match',
+        title: `New listing for "${search.name}"`,
+        message: product.title,
+        products: [product._id],
+      },
+      ...(search.emailAlerts && {
+        subject: `New listing for "${search.name}" - Annanewa Farming Media`,
+        html: emailTemplates.listingMatch(recipient.name, search.name, product),
+      }),
+    });
+  }
+
+  return matched;
+};
+
+// Send each daily search its queued matches, at most once per day. The
+// queue is claimed and emptied in one update so a digest is never sent twice.
+export const sendSavedSearchDigests = async () => {
+  const now = new Date();
+  const due = await SavedSearch.find({
+    alertMode: 'daily',
+    'pendingMatches.0': { $exists: true },
+    $or: [
+      { lastDigestAt: null },
+      { lastDigestAt: { $lte: new Date(now.getTime() - DIGEST_INTERVAL_MS) } },
+    ],
+  }).select('_id lastDigestAt');
+
+  let sent = 0;
+  for (const { _id, lastDigestAt } of due) {
+    const search = await SavedSearch.findOneAndUpdate(
+      { _id, lastDigestAt: lastDigestAt ?? null },
+      { $set: { pendingMatches: [], lastDigestAt: now } }
+    );
+    if (!search) continue;
+
+    // Skip anything sold or withdrawn since it was queued
+    const products = await Product.find({
+      _id: { $in: search.pendingMatches },
+      status: 'active',
+    }).sort({ createdAt: -1 });
+
+    const recipient = await loadRecipient(search.user);
+    if (!recipient || products.length === 0) continue;
+
+    await notifyUser(recipient, {
+      inApp: {
+        type: 'saved-search-digest',
+        title: `${products.length} new listing(s) for "${search.name}"`,
+        products: products.map((product) => product._id),
+      },
+      ...(search.emailAlerts && {
+        subject: `Today's listings for "${search.name}" - Annanewa Farming Media`,
+        html: emailTemplates.savedSearchDigest(recipient.name, search.name, products),
+      }),
+    });
+    sent++;
+  }
+
+  return sent;
+};
@@ -0,0 +1,83 @@
+import crypto from 'crypto';
+import ScheduledJob from '../models/ScheduledJob.js';
+
+const TICK_MS = 30 * 1000;
+const DEFAULT_LEASE_MS = 10 * 60 * 1000;
+
+const instanceId = `${process.pid}-${crypto.randomBytes(4).toString('hex')}`;
+const running = new Set();
+
+// Take the job's lease if it is due and nobody else holds it
+const claim = (job, now) =>
+  ScheduledJob.findOneAndUpdate(
+    {
+      name: job.name,
+      nextRunAt: { $lte: now },
+      $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }],
+    },
+    {
+      lockedUntil: new Date(now.getTime() + (job.leaseMs || DEFAULT_LEASE_MS)),
+      lockedBy: instanceId,
+      lastStartedAt: now,
+    },
+    { new: true }
+  );
+
+const runJob = async (job) => {
+  if (running.has(job.name)) return;
+  running.add(job.name);
+
+  try {
+    const claimed = await claim(job, new Date());
+    if (!claimed) return;
+
+    let result;
+    let error;
+    try {
+      result = await job.run();
+    } catch (err) {
+      error = err;
+      console.error(`Job ${job.name} failed:`, err.message);
+    }
+
+    const finishedAt = new Date();
+    await ScheduledJob.updateOne(
+      { name: job.name, lockedBy: instanceId },
+      {
+        nextRunAt: new Date(finishedAt.getTime() + job.intervalMs),
+        lockedUntil: null,
+        lockedBy: null,
+        lastFinishedAt: finishedAt,
+        lastResult: result,
+        lastError: error ? error.message : null,
+      }
+    );
+  } catch (error) {
+    console.error(`Scheduler could not run ${job.name}:`, error.message);
+  } finally {
+    running.delete(job.name);
+  }
+};
+
+// Run each job every `intervalMs`. Jobs must be safe to repeat: a job whose
+// instance died mid-run is started again once its lease expires.
+//
+//   startScheduler([{ name, intervalMs, run, leaseMs? }])
+export const startScheduler = (jobs) => {
+  const register = Promise.all(
+    jobs.map((job) =>
+      ScheduledJob.updateOne(
+        { name: job.name },
+        { $setOnInsert: { nextRunAt: new Date() } },
+        { upsert: true }
+      )
+    )
+  ).catch((error) => console.error('Scheduler setup failed:', error.message));
+
+  const tick = () => {
+    register.then(() => jobs.forEach(runJob));
+  };
+
+  tick();
+  return setInterval(tick, TICK_MS);
+};
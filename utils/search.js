@@ -0,0 +1,154 @@
+// Helpers for product search. Every word is reduced to a phonetic key so
+// spelling variants ("aloo", "alu", "আলু") and small typos ("potatto")
+// land on the same token in the text index.
+
+const BENGALI_TO_LATIN = {
+  // Vowels and vowel signs
+  'অ': 'a', 'আ': 'a', 'া': 'a',
+  'ই': 'i', 'ঈ': 'i', 'ি': 'i', 'ী': 'i',
+  'উ': 'u', 'ঊ': 'u', 'ু': 'u', 'ূ': 'u',
+  'ঋ': 'ri', 'ৃ': 'ri',
+  'এ': 'e', 'ে': 'e',
+  'ঐ': 'oi', 'ৈ': 'oi',
+  'ও': 'o', 'ো': 'o',
+  'ঔ': 'ou', 'ৌ': 'ou',
+  // Consonants
+  'ক': 'k', 'খ': 'k', 'গ': 'g', 'ঘ': 'g', 'ঙ': 'ng',
+  'চ': 'c', 'ছ': 'c', 'জ': 'j', 'ঝ': 'j', 'ঞ': 'n',
+  'ট': 't', 'ঠ': 't', 'ড': 'd', 'ঢ': 'd', 'ণ': 'n',
+  'ত': 't', 'থ': 't', 'দ': 'd', 'ধ': 'd', 'ন': 'n',
+  'প': 'p', 'ফ': 'f', 'ব': 'b', 'ভ': 'b', 'ম': 'm',
+  'য': 'j', 'র': 'r', 'ল': 'l', 'শ': 'x', 'ষ': 'x',
+  'স': 's', 'হ': 'h', 'ৎ': 't', 'ং': 'ng', 'ঃ': 'h',
+  'ঁ': '', '্': '',
+};
+
+// NFC splits ড়, ঢ় and য় into a base letter plus nukta
+const NUKTA_LETTERS = [
+  [/[ডঢ]\u09BC/g, 'r'],
+  [/য\u09BC/g, 'y'],
+];
+
+// Romanized Bengali spells the same sound several ways. "sh" (x) and "ch"
+// (c) stay apart from "s" and "k" so "sack" and "shak", or "coal" and
+// "chal", keep different keys; a lone English "c" sounds like "k" or "s".
+const LATIN_DIGRAPHS = [
+  [/c(?=[eiy])/g, 's'],
+  [/c(?!h)/g, 'k'],
+  [/sh/g, 'x'],
+  [/ch/g, 'c'],
+  [/kh/g, 'k'],
+  [/gh/g, 'g'],
+  [/ph/g, 'f'],
+  [/th/g, 't'],
+  [/dh/g, 'd'],
+  [/bh/g, 'b'],
+  [/jh/g, 'j'],
+  [/q/g, 'k'],
+  [/z/g, 'j'],
+  [/oo/g, 'u'],
+  [/ee/g, 'i'],
+];
+
+// Common crops whose English and Bengali names share nothing phonetically
+const SYNONYMS = [
+  ['potato', 'alu', 'আলু'],
+  ['rice', 'chal', 'চাল'],
+  ['paddy', 'dhan', 'ধান'],
+  ['wheat', 'gom', 'গম'],
+  ['onion', 'peyaj', 'পেঁয়াজ'],
+  ['garlic', 'rosun', 'রসুন'],
+  ['eggplant', 'brinjal', 'begun', 'বেগুন'],
+  ['tomato', 'tometo', 'টমেটো'],
+  ['chili', 'morich', 'মরিচ'],
+  ['lentil', 'dal', 'ডাল'],
+  ['mustard', 'sorisha', 'সরিষা'],
+  ['jute', 'pat', 'পাট'],
+  ['mango', 'aam', 'আম'],
+  ['banana', 'kola', 'কলা'],
+  ['pumpkin', 'kumra', 'কুমড়া'],
+  ['spinach', 'shak', 'শাক'],
+];
+
+const WORD_PATTERN = /[\p{L}\p{M}\p{N}]+/gu;
+
+const transliterate = (word) =>
+  [...NUKTA_LETTERS.reduce((text, [pattern, latin]) => text.replace(pattern, latin), word)]
+    .map((char) => BENGALI_TO_LATIN[char] ?? char)
+    .join('');
+
+// English plurals: "potatoes" and "potato" should share a key
+const singular = (word) =>
+  /^[a-z]{4,}$/.test(word) && !word.endsWith('ss') ? word.replace(/e?s$/, '') : word;
+
+// Skeleton of a word: digraphs folded, transliterated and doubled letters
+// collapsed. Bengali script leaves the inherent vowel unwritten (মরিচ is
+// "mrich" letter by letter) where romanized spellings write an "o"
+// ("morich"), so only an "o" between two consonants is dropped; every other
+// vowel stays, which keeps "pot" apart from "pat" and "game" from "gom".
+export const phoneticKey = (word) => {
+  let key = singular(word.normalize('NFC').toLowerCase());
+
+  for (const [pattern, replacement] of LATIN_DIGRAPHS) {
+    key = key.replace(pattern, replacement);
+  }
+
+  return transliterate(key)
+    .replace(/[^a-z0-9]/g, '')
+    .replace(/(.)\1+/g, '$1')
+    .replace(/(?<=[^aeiou])o(?=[^aeiou])/g, '')
+    .replace(/(.)\1+/g, '$1');
+};
+
+// Looser key for short, fixed lists of names such as districts, where
+// official spellings write the inherent vowel as "a" ("Chattogram" for
+// চট্টগ্রাম): every vowel after the first letter is dropped too
+export const nameKey = (word) => {
+  const key = phoneticKey(word);
+  return key.charAt(0) + key.slice(1).replace(/[aeiouy]/g, '');
+};
+
+// Key -> every key it is a synonym of. Groups that share a key are merged,
+// never overwritten.
+const synonymKeys = new Map();
+for (const group of SYNONYMS) {
+  const keys = group.map(phoneticKey);
+  for (const key of keys) {
+    synonymKeys.set(key, [...new Set([...(synonymKeys.get(key) || []), ...keys])]);
+  }
+}
+
+export const tokenize = (text = '') =>
+  String(text).normalize('NFC').toLowerCase().match(WORD_PATTERN) || [];
+
+// Keys stored on a product and matched against the query keys. Prefixed so
+// they don't match real words in the title or description.
+export const buildSearchKeys = (...texts) => {
+  const keys = new Set();
+
+  for (const word of texts.flatMap(tokenize)) {
+    const key = phoneticKey(word);
+    if (key.length < 2) continue;
+
+    for (const variant of synonymKeys.get(key) || [key]) {
+      keys.add(`k${variant}`);
+    }
+  }
+
+  return [...keys];
+};
+
+// The $search string for a user query: the words as typed plus their keys
+export const buildTextSearch = (query) =>
+  [...new Set([...tokenize(query), ...buildSearchKeys(query)])].join(' ');
+
+// Whether every word of a query matches one of a product's search keys,
+// allowing for the same spelling variants as the text search
+export const matchesKeywords = (query, productKeys = []) => {
+  const keys = new Set(productKeys);
+
+  return tokenize(query).every((word) => {
+    const variants = buildSearchKeys(word);
+    return variants.length === 0 || variants.some((key) => keys.has(key));
+  });
+};
@@ -0,0 +1,28 @@
+import { deleteFromCloudinary } from './cloudinaryUpload.js';
+
+// Optional ceiling on pricePerKg * totalWeight for sell listings posted by
+// sellers who have not passed verification. Unset means no cap.
+export const getUnverifiedListingCap = () => {
+  const cap = parseFloat(process.env.UNVERIFIED_SELLER_MAX_LISTING_VALUE);
+  return cap > 0 ? cap : null;
+};
+
+// Returns the cap when this listing would exceed it, otherwise null
+export const exceedsUnverifiedListingCap = (user, { postType, pricePerKg, totalWeight }) => {
+  const cap = getUnverifiedListingCap();
+
+  if (!cap || user.role !== 'seller' || postType !== 'sell') return null;
+  if (user.isVerifiedSeller()) return null;
+
+  const value = Number(pricePerKg) * Number(totalWeight);
+  return value > cap ? cap : null;
+};
+
+export const deleteVerificationDocuments = async (documents = []) => {
+  for (const document of documents) {
+    await deleteFromCloudinary(document.public_id, {
+      type: 'authenticated',
+      resource_type: document.resourceType,
+    });
+  }
+};
@@ -31,4 +31,145 @@ export const emailTemplates = {
       <p>This code expires in 10 minutes.</p>
     </div>
   `,
+
+  emailChange: (name, code) => `
+    <div>
+      <h2>Confirm Your New Email</h2>
+      <p>Hello ${name},</p>
+      <p>Your code to confirm this email address: <strong>${code}</strong></p>
+      <p>This code expires in 10 minutes.</p>
+    </div>
+  `,
+
+  emailChanged: (name, newEmail) => `
+    <div>
+      <h2>Your Email Was Changed</h2>
+      <p>Hello ${name},</p>
+      <p>The email address on your account was changed to <strong>${newEmail}</strong>.</p>
+      <p>If you did not do this, reset your password and contact support immediately.</p>
+    </div>
+  `,
+
+  passwordChanged: (name) => `
+    <div>
+      <h2>Your Password Was Changed</h2>
+      <p>Hello ${name},</p>
+      <p>The password on your account was just changed and other devices were signed out.</p>
+      <p>If you did not do this, reset your password and contact support immediately.</p>
+    </div>
+  `,
+
+  sellerVerificationApproved: (name) => `
+    <div>
+      <h2>You Are Now a Verified Seller</h2>
+      <p>Hello ${name},</p>
+      <p>Your documents were approved. Buyers will now see a verified badge on your listings.</p>
+    </div>
+  `,
+
+  sellerVerificationRejected: (name, reason) => `
+    <div>
+      <h2>Seller Verification Not Approved</h2>
+      <p>Hello ${name},</p>
+      <p>We could not verify your documents for the following reason:</p>
+      <p><strong>${reason}</strong></p>
+      <p>You can upload new documents from your account at any time.</p>
+    </div>
+  `,
+
+  listingExpiring: (name, title, expiryDate) => `
+    <div>
+      <h2>Your Listing Expires Soon</h2>
+      <p>Hello ${name},</p>
+      <p>Your listing <strong>${title}</strong> expires on <strong>${expiryDate.toDateString()}</strong>.</p>
+      <p>Renew it from My Products to keep receiving bids.</p>
+    </div>
+  `,
+
+  listingExpired: (name, title, rejectedBids) => `
+    <div>
+      <h2>Your Listing Has Expired</h2>
+      <p>Hello ${name},</p>
+      <p>Your listing <strong>${title}</strong> has expired${rejectedBids ? ` and its ${rejectedBids} open bid(s) were closed` : ''}.</p>
+      <p>You can relist it from My Products at any time.</p>
+    </div>
+  `,
+
+  listingApproved: (name, product) => `
+    <div>
+      <h2>Your Listing Is Live</h2>
+      <p>Hello ${name},</p>
+      <p>Your listing <a href="${process.env.CLIENT_URL}/product/${product.slug}"><strong>${product.title}</strong></a> was approved and is now visible to buyers.</p>
+    </div>
+  `,
+
+  listingRejected: (name, title, reason) => `
+    <div>
+      <h2>Listing Not Approved</h2>
+      <p>Hello ${name},</p>
+      <p>Your listing <strong>${title}</strong> was not approved for the following reason:</p>
+      <p><strong>${reason}</strong></p>
+      <p>You can edit it and submit it again from My Products.</p>
+    </div>
+  `,
+
+  auctionClosed: (name, product, message) => `
+    <div>
+      <h2>Auction Closed</h2>
+      <p>Hello ${name},</p>
+      <p>${message}</p>
+      <p><a href="${process.env.CLIENT_URL}/product/${product.slug}">View the listing</a></p>
+    </div>
+  `,
+
+  listingMatch: (name, searchName, product) => `
+    <div>
+      <h2>New Listing for "${searchName}"</h2>
+      <p>Hello ${name},</p>
+      <p>A new listing matches your saved search:</p>
+      <p><a href="${process.env.CLIENT_URL}/product/${product.slug}"><strong>${product.title}</strong></a>
+        at ₹${product.pricePerKg}/${product.unit || 'kg'} in ${product.location.city}, ${product.location.state}</p>
+    </div>
+  `,
+
+  savedSearchDigest: (name, searchName, products) => `
+    <div>
+      <h2>Today's Listings for "${searchName}"</h2>
+      <p>Hello ${name},</p>
+      <p>${products.length} new listing(s) matched your saved search:</p>
+      <ul>
+        ${products.map((product) => `
+          <li><a href="${process.env.CLIENT_URL}/product/${product.slug}">${product.title}</a>
+            at ₹${product.pricePerKg}/${product.unit || 'kg'} in ${product.location.city}, ${product.location.state}</li>
+        `).join('')}
+      </ul>
+    </div>
+  `,
+
+  watchlistUpdate: (name, title, message, product) => `
+    <div>
+      <h2>${title}</h2>
+      <p>Hello ${name},</p>
+      <p>${message}</p>
+      <p><a href="${process.env.CLIENT_URL}/product/${product.slug}">View the listing</a></p>
+    </div>
+  `,
+
+  bidReply: (name, title, message, product) => `
+    <div>
+      <h2>${title}</h2>
+      <p>Hello ${name},</p>
+      <p>${message}</p>
+      <p><a href="${process.env.CLIENT_URL}/product/${product.slug}">Open the bid</a></p>
+    </div>
+  `,
+
+  accountDeletion: (name, scheduledFor) => `
+    <div>
+      <h2>Account Deletion Scheduled</h2>
+      <p>Hello ${name},</p>
+      <p>Your account will be permanently deleted on <strong>${scheduledFor.toDateString()}</strong>.</p>
+      <p>If you change your mind, log in and cancel the deletion before then.</p>
+    </div>
+  `,
 };
\ No newline at end of file
@@ -0,0 +1,55 @@
+import smsProvider from '../config/sms.js';
+
+export const sendSms = async (options) => {
+  await smsProvider.send({
+    to: options.phone,
+    message: options.message,
+  });
+};
+
+// Bangladeshi numbers are stored in +880 form so "017..." and "+88017..."
+// match the same account
+export const normalizePhone = (phone) => {
+  if (!phone) return phone;
+
+  const digits = String(phone).replace(/[^\d+]/g, '');
+
+  if (/^01\d{9}$/.test(digits)) return `+88${digits}`;
+  if (/^8801\d{9}$/.test(digits)) return `+${digits}`;
+  return digits;
+};
+
+export const smsTemplates = {
+  verification: (code) =>
+    `Annanewa: your verification code is ${code}. It expires in 10 minutes.`,
+
+  login: (code) =>
+    `Annanewa: your login code is ${code}. It expires in 10 minutes. Do not share it.`,
+
+  phoneChange: (code) =>
+    `Annanewa: your code to move your account to this number is ${code}. It expires in 10 minutes. Do not share it.`,
+
+  phoneChanged: (newPhone) =>
+    `Annanewa: your account phone number was changed to ${newPhone}. If this wasn't you, contact support right away.`,
+
+  resetPassword: (code) =>
+    `Annanewa: your password reset code is ${code}. It expires in 10 minutes. Do not share it.`,
+
+  listingExpiring: (title, expiryDate) =>
+    `Annanewa: your listing "${title}" expires on ${expiryDate.toDateString()}. Renew it to keep receiving bids.`,
+
+  listingExpired: (title) =>
+    `Annanewa: your listing "${title}" has expired. You can relist it from My Products.`,
+
+  listingApproved: (title) =>
+    `Annanewa: your listing "${title}" was approved and is now live.`,
+
+  auctionClosed: (title) =>
+    `Annanewa: your auction "${title}" has closed. Check My Products for the result.`,
+
+  auctionWon: (title) =>
+    `Annanewa: you won the auction for "${title}". Your order has been created.`,
+
+  listingRejected: (title, reason) =>
+    `Annanewa: your listing "${title}" was not approved: ${reason}. Edit it and submit again from My Products.`,
+};
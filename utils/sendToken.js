@@ -0,0 +1,110 @@
+import jwt from 'jsonwebtoken';
+import {
+  ACCESS_TOKEN_TTL_MS,
+  REFRESH_TOKEN_TTL_MS,
+  createSession,
+} from './session.js';
+
+const cookieOptions = (maxAge, path = '/') => ({
+  expires: new Date(Date.now() + maxAge),
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production',
+  sameSite: 'strict',
+  path,
+});
+
+// Mobile and partner clients ask for tokens in the body with this header
+// and send them back as `Authorization: Bearer`
+const wantsBearerTokens = (req) => req.get('x-auth-mode') === 'bearer';
+
+// Set the access token and refresh token cookies for a session. Returns the
+// tokens for clients that asked for them in the response body.
+export const setAuthCookies = (req, res, user, session, refreshToken) => {
+  const accessToken = user.getJwtToken(session._id);
+
+  res
+    .cookie('token', accessToken, cookieOptions(ACCESS_TOKEN_TTL_MS))
+    .cookie(
+      'refreshToken',
+      refreshToken,
+      cookieOptions(REFRESH_TOKEN_TTL_MS, '/api/auth')
+    );
+
+  if (!wantsBearerTokens(req)) return {};
+
+  return {
+    accessToken,
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_TTL_MS / 1000,
+  };
+};
+
+export const clearAuthCookies = (res) => {
+  res
+    .cookie('token', null, { expires: new Date(Date.now()), httpOnly: true })
+    .cookie('refreshToken', null, {
+      expires: new Date(Date.now()),
+      httpOnly: true,
+      path: '/api/auth',
+    });
+};
+
+// Start a new session and send its tokens in cookies
+export const sendToken = async (user, req, res, message, { twoFactorVerified = false } = {}) => {
+  const { session, refreshToken } = await createSession(user, req, { twoFactorVerified });
+  const tokens = setAuthCookies(req, res, user, session, refreshToken);
+
+  res.status(200).json({
+    success: true,
+    message,
+    ...tokens,
+    user: {
+      id: user._id,
+      name: user.name,
+      email: user.email,
+      role: user.role,
+      permissions: user.getPermissions(),
+      twoFactorEnabled: Boolean(user.twoFactor?.enabled),
+      profilePicture: user.profilePicture,
+    },
+  });
+};
+
+const TWO_FACTOR_CHALLENGE_TTL = '5m';
+
+// Finish a successful first login step. Users with 2FA get a short-lived
+// challenge token to exchange at /api/auth/2fa/verify instead of a session.
+export const sendLoginResponse = async (user, req, res, message) => {
+  if (!user.twoFactor?.enabled) {
+    return sendToken(user, req, res, message);
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Enter the code from your authenticator app',
+    twoFactorRequired: true,
+    challengeToken: createTwoFactorChallenge(user),
+  });
+};
+
+export const createTwoFactorChallenge = (user) =>
+  jwt.sign({ id: user._id, purpose: '2fa' }, process.env.JWT_SECRET, {
+    expiresIn: TWO_FACTOR_CHALLENGE_TTL,
+  });
+
+export const verifyChallengeToken = (challengeToken) => {
+  const decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+  if (decoded.purpose !== '2fa') throw new Error('Invalid challenge token');
+  return decoded.id;
+};
+
+// Reply for accounts locked by too many wrong passwords or codes
+export const sendLocked = (res, user) => {
+  const retryAfter = Math.ceil((user.lockUntil - Date.now()) / 1000);
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    success: false,
+    message: `Too many failed attempts. Try again in ${Math.ceil(retryAfter / 60)} minute(s)`,
+    lockUntil: user.lockUntil,
+  });
+};
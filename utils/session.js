@@ -0,0 +1,102 @@
+import crypto from "crypto";
+import Session from "../models/Session.js";
+
+export const ACCESS_TOKEN_TTL_MS = 15 * 60 * 1000; // 15 minutes
+export const REFRESH_TOKEN_TTL_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
+
+export const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+const generateRefreshToken = () => crypto.randomBytes(48).toString("hex");
+
+// Start a session for a freshly authenticated user
+export const createSession = async (user, req, { twoFactorVerified = false } = {}) => {
+  const refreshToken = generateRefreshToken();
+
+  const session = await Session.create({
+    user: user._id,
+    refreshTokenHash: hashToken(refreshToken),
+    twoFactorVerified,
+    userAgent: req.get("user-agent"),
+    ip: req.ip,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS),
+  });
+
+  return { session, refreshToken };
+};
+
+// How long a just-rotated refresh token is still accepted. Two tabs or a
+// retried request can refresh with the same token at nearly the same time;
+// that is not a stolen token.
+export const REFRESH_TOKEN_GRACE_MS = 10 * 1000;
+
+const inGraceWindow = (session) =>
+  session.rotatedAt && Date.now() - session.rotatedAt.getTime() <= REFRESH_TOKEN_GRACE_MS;
+
+// Swap a refresh token for a new one. Presenting an already rotated token
+// after the grace window means it leaked, so the whole session is revoked.
+export const rotateSession = async (refreshToken, req) => {
+  const tokenHash = hashToken(refreshToken);
+
+  // A second pass only happens when a concurrent refresh rotated the
+  // session between the lookup and the update
+  for (let attempt = 0; attempt < 2; attempt++) {
+    let session = await Session.findOne({ refreshTokenHash: tokenHash });
+
+    if (!session) {
+      session = await Session.findOne({ previousTokenHash: tokenHash });
+      if (!session) return null;
+
+      if (!inGraceWindow(session)) {
+        if (!session.revokedAt) {
+          session.revokedAt = new Date();
+          session.revokedReason = "Refresh token reuse detected";
+          await session.save();
+        }
+        return null;
+      }
+    }
+
+    if (!session.isValid()) return null;
+
+    // Only rotate from the token the session holds right now, so two
+    // refreshes never both think they issued the current token
+    const nextToken = generateRefreshToken();
+    const rotated = await Session.findOneAndUpdate(
+      { _id: session._id, refreshTokenHash: session.refreshTokenHash },
+      {
+        refreshTokenHash: hashToken(nextToken),
+        previousTokenHash: session.refreshTokenHash,
+        rotatedAt: new Date(),
+        lastUsedAt: new Date(),
+        userAgent: req.get("user-agent") || session.userAgent,
+        ip: req.ip,
+      },
+      { new: true }
+    );
+
+    if (rotated) return { session: rotated, refreshToken: nextToken };
+  }
+
+  return null;
+};
+
+export const revokeSession = async (sessionId, reason) => {
+  await Session.updateOne(
+    { _id: sessionId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+};
+
+// Revoke every session of a user, optionally keeping the current one
+export const revokeAllSessions = async (userId, { except, reason } = {}) => {
+  const query = { user: userId, revokedAt: null };
+  if (except) query._id = { $ne: except };
+
+  const result = await Session.updateMany(query, {
+    revokedAt: new Date(),
+    revokedReason: reason,
+  });
+
+  return result.modifiedCount;
+};
@@ -0,0 +1,47 @@
+import Product from "../models/Product.js";
+import Bid from "../models/Bid.js";
+
+// Suspend a user: block the account, hide their active listings and
+// withdraw every bid they still have pending on other listings.
+export const suspendUser = async (user, { reason, until, suspendedBy } = {}) => {
+  user.isActive = false;
+  user.suspensionReason = reason || "Violation of marketplace rules";
+  user.suspendedUntil = until ? new Date(until) : undefined;
+  user.suspendedAt = new Date();
+  user.suspendedBy = suspendedBy;
+  user.appeal = undefined;
+  await user.save();
+
+  const hidden = await Product.updateMany(
+    { user: user._id, status: "active" },
+    { status: "hidden", hiddenReason: "owner-suspended" }
+  );
+
+  const withdrawn = await Bid.updateMany(
+    { user: user._id, status: "pending" },
+    { status: "withdrawn" }
+  );
+
+  return {
+    listingsHidden: hidden.modifiedCount,
+    bidsWithdrawn: withdrawn.modifiedCount,
+  };
+};
+
+// Lift a suspension and bring back the listings it hid. Withdrawn bids are
+// not restored; the user can bid again.
+export const reinstateUser = async (user) => {
+  user.isActive = true;
+  user.suspendedUntil = undefined;
+  user.suspensionReason = undefined;
+  user.suspendedAt = undefined;
+  user.suspendedBy = undefined;
+  await user.save();
+
+  const restored = await Product.updateMany(
+    { user: user._id, status: "hidden", hiddenReason: "owner-suspended" },
+    { status: "active", $unset: { hiddenReason: 1 } }
+  );
+
+  return { listingsRestored: restored.modifiedCount };
+};
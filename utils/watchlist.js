@@ -0,0 +1,39 @@
+import WatchlistItem from '../models/WatchlistItem.js';
+import { notifyUser } from './notify.js';
+import { emailTemplates } from './sendEmail.js';
+
+// Number of watchers for each of the given product ids, keyed by id string
+export const getWatcherCounts = async (productIds) => {
+  const counts = await WatchlistItem.aggregate([
+    { $match: { product: { $in: productIds } } },
+    { $group: { _id: '$product', count: { $sum: 1 } } },
+  ]);
+
+  return new Map(counts.map(({ _id, count }) => [_id.toString(), count]));
+};
+
+// Tell everyone watching a product that something happened to it. Email is
+// only sent when `email` is true; bids are frequent enough to stay in-app.
+export const notifyWatchers = async (
+  product,
+  { type, title, message, email = false, exclude }
+) => {
+  const items = await WatchlistItem.find({
+    product: product._id,
+    ...(exclude && { user: { $ne: exclude } }),
+  }).populate('user', 'name email phone deletedAt');
+
+  for (const { user } of items) {
+    if (!user || user.deletedAt) continue;
+
+    await notifyUser(user, {
+      inApp: { type, title, message, products: [product._id] },
+      ...(email && {
+        subject: `${title} - Annanewa Farming Media`,
+        html: emailTemplates.watchlistUpdate(user.name, title, message, product),
+      }),
+    });
+  }
+
+  return items.length;
+};